@@ -5,9 +5,55 @@
 ( function( $ ) {
     'use strict';
 
+    const { __, _n, sprintf } = wp.i18n;
+
+    /**
+     * Markup that is safe to insert: built by WCST.html`` or explicitly opted in with WCST.raw().
+     */
+    class SafeHtml {
+        constructor( markup ) {
+            this.markup = String( markup );
+        }
+    }
+
     const WCST = {
         currentSubscriptionId: null,
+        searchTerm: '',
+        searchShortcuts: null,
+        pinnedIds: [],
         analysisData: null,
+        analysisRun: 0,
+        analysisRunId: null,
+        analysisStages: [
+            { stage: 'anatomy', containers: '#wcst-anatomy-content' },
+            { stage: 'expected', containers: '#wcst-expected-content' },
+            { stage: 'timeline', containers: '#wcst-timeline-content' },
+            { stage: 'enhanced', containers: '#wcst-skipped-cycles-content, #wcst-manual-completions-content, #wcst-status-mismatches-content, #wcst-action-scheduler-content, #wcst-year-over-year-content' },
+            { stage: 'discrepancies', containers: '#wcst-discrepancies-content' }
+        ],
+        bulkReport: null,
+        bulkPageSize: 25,
+        batchJobId: null,
+        playbookCheck: null,
+        devData: null,
+        timelineRange: null,
+        timelineEvents: [],
+        timelineBrush: null,
+        timelineHidden: { categories: [], event_types: [], status_counts: [] },
+        timelineSearch: '',
+        timelineCollapse: true,
+        timelineFacetFields: { categories: 'category', event_types: 'type', status_counts: 'status' },
+        timelineLanes: [
+            { id: 'subscription', label: __( 'Subscription', 'doctor-subs' ) },
+            { id: 'orders', label: __( 'Orders', 'doctor-subs' ) },
+            { id: 'actions', label: __( 'Scheduled Actions', 'doctor-subs' ) },
+            { id: 'payments', label: __( 'Payments', 'doctor-subs' ) },
+            { id: 'notes', label: __( 'Notes', 'doctor-subs' ) }
+        ],
+        devPaths: {},
+        routing: false,
+        dateMode: 'relative',
+        dateModes: [ 'relative', 'store', 'utc' ],
 
         init: function() {
             this.bindEvents();
@@ -18,27 +64,217 @@
             // Search input events
             $( '#wcst-subscription-search' )
                 .on( 'input', this.handleSearchInput.bind( this ) )
-                .on( 'keypress', this.handleSearchKeypress.bind( this ) );
+                .on( 'focus', this.handleSearchFocus.bind( this ) )
+                .on( 'keydown', this.handleSearchKeydown.bind( this ) );
             $( document ).on( 'click', '.wcst-search-result-item', this.handleSearchResultClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-search-more', this.handleSearchMoreClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-pin-toggle', this.handlePinToggleClick.bind( this ) );
+            $( document ).on( 'click', this.handleDocumentClick.bind( this ) );
             
             // Enhanced detection tab switching
             $( document ).on( 'click', '.wcst-enhanced-tab', this.handleEnhancedTabClick.bind( this ) );
             
             // Main analysis tab switching
             $( document ).on( 'click', '.wcst-main-tab', this.handleMainTabClick.bind( this ) );
+
+            // Analysis stages
+            $( document ).on( 'click', '.wcst-retry-stage', this.handleRetryStageClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-action-operation', this.handleActionOperationClick.bind( this ) );
+            $( '#wcst-history-compare' ).on( 'change', this.handleHistoryCompareChange.bind( this ) );
+            $( document ).on( 'click', '.wcst-export-analysis-btn', this.handleExportAnalysisClick.bind( this ) );
+
+            // Remediation playbooks
+            $( document ).on( 'click', '.wcst-playbook-preview-btn', this.handlePlaybookPreviewClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-playbook-apply-btn', this.handlePlaybookApplyClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-stripe-verify-btn', this.handleStripeVerifyClick.bind( this ) );
+
+            // Year-over-year chart zooms the timeline
+            $( document ).on( 'click keydown', '.wcst-yoy-year', this.handleYearOverYearClick.bind( this ) );
+
+            // Swimlane timeline
+            $( document ).on( 'mouseenter focus', '.wcst-swimlane-marker', this.showTimelineCard.bind( this ) );
+            $( document ).on( 'mouseleave blur', '.wcst-swimlane-marker', this.hideTimelineCard.bind( this ) );
+            $( document ).on( 'mousedown', '.wcst-timeline-brush', this.handleTimelineBrushStart.bind( this ) );
+            $( document ).on( 'mousemove', this.handleTimelineBrushMove.bind( this ) );
+            $( document ).on( 'mouseup', this.handleTimelineBrushEnd.bind( this ) );
+            $( document ).on( 'click', '.wcst-timeline-reset-zoom', this.handleTimelineResetZoomClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-facet-chip', this.handleTimelineFacetClick.bind( this ) );
+            $( document ).on( 'input', '.wcst-timeline-search', this.handleTimelineSearchInput.bind( this ) );
+            $( document ).on( 'change', '.wcst-timeline-collapse', this.handleTimelineCollapseChange.bind( this ) );
+
+            // Screen switching (Analyze / Fleet Scan)
+            $( document ).on( 'click', '.wcst-screen-tab', this.handleScreenTabClick.bind( this ) );
+
+            // Subscription comparison
+            $( '#wcst-compare-form' ).on( 'submit', this.handleCompareSubmit.bind( this ) );
+
+            // Fleet scan
+            $( '#wcst-fleet-scan-form' ).on( 'submit', this.handleGenerateReportClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-bulk-sort', this.handleBulkSortClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-bulk-page', this.handleBulkPageClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-analyze-link', this.handleAnalyzeLinkClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-export-report-btn', this.handleExportReportClick.bind( this ) );
+
+            // Repair tools
+            $( '#wcst-fix-form' ).on( 'submit', this.handlePreviewFixClick.bind( this ) );
+            $( '#wcst-apply-fix-btn' ).on( 'click', this.handleApplyFixClick.bind( this ) );
+            $( document ).on( 'click', '.wcst-undo-fix-btn', this.handleUndoFixClick.bind( this ) );
+
+            // Batch fixing
+            $( '#wcst-batch-dry-run-btn, #wcst-batch-apply-btn' ).on( 'click', this.handleBatchStartClick.bind( this ) );
+            $( '#wcst-batch-csv' ).on( 'change', this.handleBatchCsvChange.bind( this ) );
+            $( '.wcst-batch-control-btn' ).on( 'click', this.handleBatchControlClick.bind( this ) );
+            $( '#wcst-queue-batch-fix-btn' ).on( 'click', this.handleQueueBatchFixClick.bind( this ) );
+
+            // Developer tools
+            $( '#wcst-dev-form' ).on( 'submit', this.handleDevAnalyzeClick.bind( this ) );
+            $( '#wcst-dev-key-search' ).on( 'input', this.handleDevKeySearch.bind( this ) );
+            $( '.wcst-json-toggle-all' ).on( 'click', this.handleJsonToggleAll.bind( this ) );
+            $( document ).on( 'click', '.wcst-json-copy', this.handleJsonCopyClick.bind( this ) );
+            $( '#wcst-dev-snapshot-btn' ).on( 'click', this.handleDevSnapshotClick.bind( this ) );
+            $( '#wcst-snapshot-diff-btn' ).on( 'click', this.handleDevSnapshotDiffClick.bind( this ) );
+            $( '#wcst-snapshot-clear-btn' ).on( 'click', this.handleDevSnapshotClearClick.bind( this ) );
+
+            // PII redaction
+            $( '#wcst-redact-pii' ).on( 'change', this.handleRedactToggleChange.bind( this ) );
+            $( '#wcst-date-mode' ).on( 'change', this.handleDateModeChange.bind( this ) );
+
+            // URL routing
+            $( window ).on( 'popstate', this.handlePopState.bind( this ) );
         },
 
         initializeInterface: function() {
             // Initialize any default states
             $( '#wcst-results' ).hide();
             $( '#wcst-progress' ).hide();
+            this.restoreDateMode();
+            this.purgeUnredactedDevSnapshots();
+            this.renderDevSnapshots();
+            
+            if ( wcst_ajax.route.error ) {
+                this.showNotice( 'error', wcst_ajax.route.error );
+            }
             
-            // Check if we should auto-analyze a subscription
+            // Restore the view from the URL; the nonce'd link from the subscriptions list wins.
             if ( wcst_ajax.auto_analyze_id ) {
-                this.autoAnalyzeSubscription( wcst_ajax.auto_analyze_id );
+                this.applyRoute( Object.assign( {}, wcst_ajax.route, { subscription_id: wcst_ajax.auto_analyze_id } ) );
+            } else {
+                this.applyRoute( wcst_ajax.route );
+            }
+        },
+
+        applyRoute: function( route ) {
+            this.routing = true;
+            this.showScreen( 'wcst-screen-' + ( route.screen || 'analyze' ) );
+            
+            if ( route.subscription_id ) {
+                if ( String( route.subscription_id ) !== String( this.currentSubscriptionId ) ) {
+                    this.autoAnalyzeSubscription( route.subscription_id );
+                }
+                
+                // The analysis resets the timeline filters, so restore them afterwards.
+                this.timelineRange = route.range ? { start: route.range[0] * 1000, end: route.range[1] * 1000 } : null;
+                this.timelineHidden = {};
+                Object.keys( this.timelineFacetFields ).forEach( ( facet ) => {
+                    this.timelineHidden[ facet ] = ( route.hidden[ facet ] || [] ).slice();
+                } );
+                this.timelineSearch = route.search || '';
+                this.timelineCollapse = false !== route.collapse;
+                
+                if ( this.analysisData && this.analysisData.timeline ) {
+                    this.displayTimeline( this.analysisData.timeline );
+                }
+                
+                this.showMainTab( route.tab || 'step1' );
+                this.showEnhancedTab( 'wcst-advanced-' + ( route.advanced || 'discrepancies' ) );
+            } else if ( this.currentSubscriptionId ) {
+                // Back to the view before any subscription was opened.
+                this.currentSubscriptionId = null;
+                this.analysisRun++;
+                $( '#wcst-results, #wcst-progress' ).hide();
+                $( '#wcst-subscription-search' ).val( '' );
+            }
+            
+            this.routing = false;
+            this.updateRoute( true );
+        },
+
+        getRouteFromUrl: function() {
+            const params = new URLSearchParams( window.location.search );
+            const range = /^(\d+)-(\d+)$/.exec( params.get( 'wcst_range' ) || '' );
+            const route = {
+                screen: params.get( 'wcst_screen' ),
+                subscription_id: parseInt( params.get( 'wcst_subscription' ), 10 ) || null,
+                tab: params.get( 'wcst_tab' ),
+                advanced: params.get( 'wcst_advanced' ),
+                range: range ? [ parseInt( range[1], 10 ), parseInt( range[2], 10 ) ] : null,
+                hidden: {},
+                search: params.get( 'wcst_q' ) || '',
+                collapse: '0' !== params.get( 'wcst_collapse' )
+            };
+            
+            Object.keys( this.timelineFacetFields ).forEach( ( facet ) => {
+                route.hidden[ facet ] = ( params.get( 'wcst_hide_' + facet ) || '' ).split( ',' ).filter( Boolean );
+            } );
+            
+            return route;
+        },
+
+        updateRoute: function( replace ) {
+            if ( this.routing || ! window.history || ! window.history.pushState ) {
+                return;
+            }
+            
+            const url = new URL( window.location.href );
+            const screen = String( $( '.wcst-screen-tab.nav-tab-active' ).data( 'screen' ) || '' ).replace( 'wcst-screen-', '' );
+            
+            // Drop our old parameters, including the one-time nonce'd link from the subscriptions list.
+            Array.from( url.searchParams.keys() ).forEach( ( key ) => {
+                if ( 0 === key.indexOf( 'wcst_' ) || 'subscription_id' === key ) {
+                    url.searchParams.delete( key );
+                }
+            } );
+            
+            if ( screen && 'analyze' !== screen ) {
+                url.searchParams.set( 'wcst_screen', screen );
+            }
+            
+            if ( this.currentSubscriptionId ) {
+                const tab = $( '.wcst-main-tab.active' ).data( 'tab' );
+                const advanced = String( $( '.wcst-enhanced-tab.active' ).data( 'tab' ) || '' ).replace( 'wcst-advanced-', '' );
+                
+                url.searchParams.set( 'wcst_subscription', this.currentSubscriptionId );
+                if ( tab && 'step1' !== tab ) {
+                    url.searchParams.set( 'wcst_tab', tab );
+                }
+                if ( 'detection' === tab && advanced && 'discrepancies' !== advanced ) {
+                    url.searchParams.set( 'wcst_advanced', advanced );
+                }
+                if ( this.timelineRange ) {
+                    url.searchParams.set( 'wcst_range', Math.floor( this.timelineRange.start / 1000 ) + '-' + Math.ceil( this.timelineRange.end / 1000 ) );
+                }
+                Object.keys( this.timelineHidden ).forEach( ( facet ) => {
+                    if ( this.timelineHidden[ facet ].length ) {
+                        url.searchParams.set( 'wcst_hide_' + facet, this.timelineHidden[ facet ].join( ',' ) );
+                    }
+                } );
+                if ( this.timelineSearch ) {
+                    url.searchParams.set( 'wcst_q', this.timelineSearch );
+                }
+                if ( ! this.timelineCollapse ) {
+                    url.searchParams.set( 'wcst_collapse', '0' );
+                }
+            }
+            
+            if ( url.href !== window.location.href ) {
+                window.history[ replace ? 'replaceState' : 'pushState' ]( null, '', url.href );
             }
         },
 
+        handlePopState: function() {
+            this.applyRoute( this.getRouteFromUrl() );
+        },
+
         autoAnalyzeSubscription: function( subscriptionId ) {
             // Pre-fill the search input
             $( '#wcst-subscription-search' ).val( subscriptionId );
@@ -55,8 +291,15 @@
         handleSearchInput: function( e ) {
             const searchTerm = $( e.target ).val().trim();
             
+            if ( ! searchTerm.length ) {
+                clearTimeout( this.searchTimeout );
+                this.searchTerm = '';
+                this.showSearchShortcuts();
+                return;
+            }
+            
             if ( searchTerm.length < 2 ) {
-                $( '#wcst-search-results' ).hide();
+                this.closeSearchResults();
                 return;
             }
             
@@ -67,19 +310,102 @@
             }, 300 );
         },
 
-        handleSearchKeypress: function( e ) {
-            if ( 13 === e.which ) { // Enter key
-                const subscriptionId = $( '#wcst-subscription-search' ).val().trim();
-                if ( subscriptionId ) {
-                    this.analyzeSubscription( subscriptionId );
+        handleSearchFocus: function( e ) {
+            if ( ! $( e.target ).val().trim() ) {
+                this.showSearchShortcuts();
+            }
+        },
+
+        handleSearchKeydown: function( e ) {
+            const $results = $( '#wcst-search-results' );
+            const $options = $results.find( '.wcst-search-result-item[data-id], .wcst-search-more' );
+            const $active = $options.filter( '.active' );
+            const searchTerm = $( e.target ).val().trim();
+            
+            switch ( e.key ) {
+                case 'ArrowDown':
+                case 'ArrowUp': {
+                    e.preventDefault();
+                    
+                    if ( ! $results.is( ':visible' ) ) {
+                        if ( searchTerm ) {
+                            $results.show();
+                            $( e.target ).attr( 'aria-expanded', 'true' );
+                        } else {
+                            this.showSearchShortcuts();
+                        }
+                        return;
+                    }
+                    
+                    if ( ! $options.length ) {
+                        return;
+                    }
+                    
+                    const index = $options.index( $active );
+                    const next = 'ArrowDown' === e.key ? Math.min( index + 1, $options.length - 1 ) : Math.max( index - 1, 0 );
+                    this.setActiveSearchOption( $options.eq( next ) );
+                    break;
+                }
+                
+                case 'Enter': {
+                    e.preventDefault();
+                    
+                    // Open the highlighted result, else the first one, else treat the term as a subscription ID.
+                    const $target = $results.is( ':visible' ) ? ( $active.length ? $active : $options.filter( '[data-id]' ).first() ) : $();
+                    
+                    if ( $target.length ) {
+                        $target.trigger( 'click' );
+                    } else if ( /^\d+$/.test( searchTerm ) ) {
+                        this.closeSearchResults();
+                        this.analyzeSubscription( searchTerm );
+                    }
+                    break;
                 }
+                
+                case 'Escape':
+                    if ( $results.is( ':visible' ) ) {
+                        e.preventDefault();
+                        this.closeSearchResults();
+                    }
+                    break;
+            }
+        },
+
+        handleDocumentClick: function( e ) {
+            if ( ! $( e.target ).closest( '.wcst-search-section' ).length ) {
+                this.closeSearchResults();
             }
         },
 
+        setActiveSearchOption: function( $option ) {
+            $( '#wcst-search-results' ).find( '.active' ).removeClass( 'active' ).attr( 'aria-selected', 'false' );
+            $option.addClass( 'active' ).attr( 'aria-selected', 'true' );
+            $( '#wcst-subscription-search' ).attr( 'aria-activedescendant', $option.attr( 'id' ) );
+            
+            if ( $option[0] && $option[0].scrollIntoView ) {
+                $option[0].scrollIntoView( { block: 'nearest' } );
+            }
+        },
+
+        openSearchResults: function( content ) {
+            this.render( '#wcst-search-results', content ).show();
+            $( '#wcst-subscription-search' ).attr( 'aria-expanded', 'true' ).removeAttr( 'aria-activedescendant' );
+        },
+
+        closeSearchResults: function() {
+            $( '#wcst-search-results' ).hide().find( '.active' ).removeClass( 'active' ).attr( 'aria-selected', 'false' );
+            $( '#wcst-subscription-search' ).attr( 'aria-expanded', 'false' ).removeAttr( 'aria-activedescendant' );
+        },
+
         handleSearchResultClick: function( e ) {
             const subscriptionId = $( e.currentTarget ).data( 'id' );
+            
+            if ( ! subscriptionId ) {
+                return;
+            }
+            
             $( '#wcst-subscription-search' ).val( subscriptionId );
-            $( '#wcst-search-results' ).hide();
+            this.closeSearchResults();
             // Automatically start analysis when clicking a search result
             this.analyzeSubscription( subscriptionId );
         },
@@ -87,8 +413,16 @@
         handleEnhancedTabClick: function( e ) {
             e.preventDefault();
             
-            const $tab = $( e.currentTarget );
-            const tabId = $tab.data( 'tab' );
+            this.showEnhancedTab( $( e.currentTarget ).data( 'tab' ) );
+            this.updateRoute();
+        },
+
+        showEnhancedTab: function( tabId ) {
+            const $tab = $( '.wcst-enhanced-tab' ).filter( ( index, tab ) => $( tab ).data( 'tab' ) === tabId );
+            
+            if ( ! $tab.length ) {
+                return;
+            }
             
             // Update active tab
             $( '.wcst-enhanced-tab' ).removeClass( 'active' );
@@ -99,11 +433,33 @@
             $( '#' + tabId ).addClass( 'active' );
         },
 
+        handleScreenTabClick: function( e ) {
+            e.preventDefault();
+            this.showScreen( $( e.currentTarget ).data( 'screen' ) );
+            this.updateRoute();
+        },
+
+        showScreen: function( screenId ) {
+            $( '.wcst-screen-tab' ).removeClass( 'nav-tab-active' );
+            $( '.wcst-screen-tab[data-screen="' + screenId + '"]' ).addClass( 'nav-tab-active' );
+
+            $( '.wcst-screen' ).removeClass( 'active' );
+            $( '#' + screenId ).addClass( 'active' );
+        },
+
         handleMainTabClick: function( e ) {
             e.preventDefault();
             
-            const $tab = $( e.currentTarget );
-            const tabId = $tab.data( 'tab' );
+            this.showMainTab( $( e.currentTarget ).data( 'tab' ) );
+            this.updateRoute();
+        },
+
+        showMainTab: function( tabId ) {
+            const $tab = $( '.wcst-main-tab' ).filter( ( index, tab ) => $( tab ).data( 'tab' ) === tabId );
+            
+            if ( ! $tab.length ) {
+                return;
+            }
             
             // Update active tab
             $( '.wcst-main-tab' ).removeClass( 'active' );
@@ -117,1034 +473,2873 @@
         
 
         analyzeSubscription: function( subscriptionId ) {
-            this.showProgress();
             this.currentSubscriptionId = subscriptionId;
+            this.analysisData = { subscription_id: subscriptionId };
+            this.analysisRun++;
+            this.analysisRunId = String( Date.now() );
+            this.timelineRange = null;
+            this.timelineHidden = { categories: [], event_types: [], status_counts: [] };
+            this.timelineSearch = '';
+            
+            this.analysisStages.forEach( ( config ) => {
+                $( config.containers ).empty();
+            } );
+            $( '#wcst-summary-content' ).empty();
+            $( '#wcst-analysis-history' ).hide();
+            $( '#wcst-stripe-verification' ).prop( 'hidden', true ).find( '.wcst-stripe-verification-result' ).empty();
             
-            $.ajax( {
+            this.showProgress();
+            this.runAnalysisStages( this.analysisRun, 0 );
+            this.updateRoute();
+        },
+
+        runAnalysisStages: function( run, index ) {
+            if ( run !== this.analysisRun ) {
+                return;
+            }
+            
+            if ( index >= this.analysisStages.length ) {
+                this.finishAnalysis( run );
+                return;
+            }
+            
+            this.runAnalysisStage( run, this.analysisStages[ index ].stage ).always( () => {
+                this.runAnalysisStages( run, index + 1 );
+            } );
+        },
+
+        runAnalysisStage: function( run, stage ) {
+            this.setStageState( stage, 'active' );
+            
+            return $.ajax( {
                 url: wcst_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'wcst_analyze_subscription',
-                    subscription_id: subscriptionId,
+                    action: 'wcst_analyze_stage',
+                    stage: stage,
+                    subscription_id: this.currentSubscriptionId,
                     nonce: wcst_ajax.nonce
                 },
                 success: ( response ) => {
-                    if ( response.success ) {
-                        this.analysisData = response.data;
-                        this.displayResults( response.data );
-                    } else {
-                        // Handle detailed error response.
-                        let errorMessage = 'Analysis failed. Please try again.';
-                        if ( response.data ) {
-                            if ( typeof response.data === 'string' ) {
-                                errorMessage = response.data;
-                            } else if ( response.data.message ) {
-                                errorMessage = response.data.message;
-                                // Include debug info if available.
-                                if ( response.data.debug && window.console ) {
-                                    console.error( 'Doctor Subs Error:', response.data.debug );
-                                }
-                            }
-                        }
-                        this.showError( errorMessage );
-                        // Log to console for debugging.
-                        if ( window.console ) {
-                            console.error( 'Doctor Subs Analysis Error:', response );
-                        }
-                    }
-                },
-                error: ( xhr, status, error ) => {
-                    let errorMessage = 'Analysis failed. Please try again.';
-                    // Try to parse error response.
-                    if ( xhr.responseJSON && xhr.responseJSON.data ) {
-                        if ( typeof xhr.responseJSON.data === 'string' ) {
-                            errorMessage = xhr.responseJSON.data;
-                        } else if ( xhr.responseJSON.data.message ) {
-                            errorMessage = xhr.responseJSON.data.message;
-                        }
+                    if ( run !== this.analysisRun ) {
+                        return;
                     }
-                    this.showError( errorMessage );
-                    // Log full error to console for debugging.
-                    if ( window.console ) {
-                        console.error( 'Doctor Subs AJAX Error:', {
-                            status: status,
-                            error: error,
-                            response: xhr.responseText,
-                            xhr: xhr
-                        } );
+                    
+                    if ( ! response.success ) {
+                        this.failStage( stage, response.data || __( 'This step failed.', 'doctor-subs' ) );
+                        return;
                     }
+                    
+                    this.analysisData[ stage ] = response.data.data;
+                    this.displayStage( stage, response.data.data );
+                    this.setStageState( stage, 'completed' );
                 },
-                complete: () => {
-                    this.hideProgress();
+                error: ( xhr ) => {
+                    if ( run !== this.analysisRun ) {
+                        return;
+                    }
+                    
+                    this.failStage( stage, xhr.responseJSON && 'string' === typeof xhr.responseJSON.data ? xhr.responseJSON.data : __( 'This step failed. Please try again.', 'doctor-subs' ) );
                 }
             } );
         },
 
-        searchSubscriptions: function( searchTerm ) {
+        displayStage: function( stage, data ) {
+            switch ( stage ) {
+                case 'anatomy':
+                    this.displayAnatomy( data );
+                    break;
+                case 'expected':
+                    this.displayExpectedBehavior( data );
+                    break;
+                case 'timeline':
+                    this.displayTimeline( data );
+                    break;
+                case 'enhanced':
+                    this.displayEnhancedDetection( data );
+                    break;
+                case 'discrepancies':
+                    this.displayDiscrepancies( data || [] );
+                    break;
+            }
+            
+            $( '#wcst-results' ).show();
+        },
+
+        failStage: function( stage, message ) {
+            const config = this.analysisStages.find( item => item.stage === stage );
+            
+            this.setStageState( stage, 'failed' );
+            this.render( config.containers, this.html`<div class="wcst-error">${ message } <button type="button" class="button button-small wcst-retry-stage" data-stage="${ stage }">${ __( 'Retry this step', 'doctor-subs' ) }</button></div>` );
+            $( '#wcst-results' ).show();
+            
+            if ( window.console ) {
+                console.error( 'Doctor Subs analysis step failed:', stage, message );
+            }
+        },
+
+        finishAnalysis: function( run ) {
             $.ajax( {
                 url: wcst_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'wcst_search_subscriptions',
-                    search_term: searchTerm,
+                    action: 'wcst_analyze_stage',
+                    stage: 'summary',
+                    run_id: this.analysisRunId,
+                    subscription_id: this.currentSubscriptionId,
                     nonce: wcst_ajax.nonce
                 },
                 success: ( response ) => {
-                    if ( response.success ) {
-                        this.displaySearchResults( response.data );
+                    if ( run !== this.analysisRun ) {
+                        return;
+                    }
+                    
+                    if ( ! response.success ) {
+                        this.render( '#wcst-summary-content', this.html`<div class="wcst-error">${ response.data || __( 'The summary could not be built.', 'doctor-subs' ) }</div>` );
+                        return;
+                    }
+                    
+                    this.analysisData.summary = response.data.data;
+                    this.analysisData.timestamp = response.data.timestamp;
+                    this.displaySummary( response.data.data );
+                    this.displayAnalysisHistory( response.data.history || [], response.data.comparison );
+                    this.verifyPlaybook( response.data.data );
+                    
+                    if ( $( '.wcst-step.failed' ).length ) {
+                        $( '#wcst-summary-content' ).prepend( this.toHtml( this.html`<div class="wcst-warning">${ __( 'Some steps failed, so this summary only covers the steps that completed.', 'doctor-subs' ) }</div>` ) );
+                    } else {
+                        this.hideProgress();
+                    }
+                },
+                error: () => {
+                    if ( run === this.analysisRun ) {
+                        this.render( '#wcst-summary-content', this.html`<div class="wcst-error">${ __( 'The summary could not be built.', 'doctor-subs' ) }</div>` );
                     }
                 }
             } );
         },
 
-        displaySearchResults: function( results ) {
-            const $container = $( '#wcst-search-results' );
+        handleRetryStageClick: function( e ) {
+            const run = this.analysisRun;
             
-            if ( 0 === results.length ) {
-                $container.html( '<div class="wcst-search-result-item">No subscriptions found.</div>' );
-            } else {
-                let html = '<div class="wcst-search-results-header">Click a subscription to analyze:</div>';
-                results.forEach( ( result ) => {
-                    html += '<div class="wcst-search-result-item" data-id="' + result.id + '">';
-                    html += '<strong>Subscription #' + result.id + '</strong>';
-                    
-                    // Build customer details with fallbacks
-                    let customerInfo = '';
-                    if ( result.customer && result.customer.trim() ) {
-                        customerInfo = result.customer;
-                    } else if ( result.email ) {
-                        customerInfo = result.email;
-                    } else {
-                        customerInfo = 'Customer #' + ( result.customer_id || 'N/A' );
+            e.preventDefault();
+            
+            this.runAnalysisStage( run, String( $( e.currentTarget ).data( 'stage' ) ) ).always( () => {
+                if ( run === this.analysisRun ) {
+                    this.finishAnalysis( run );
+                }
+            } );
+        },
+
+        handleRedactToggleChange: function( e ) {
+            const $toggle = $( e.currentTarget );
+            const enabled = $toggle.is( ':checked' );
+            
+            $toggle.prop( 'disabled', true );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_set_pii_redaction',
+                    enabled: enabled ? 1 : 0,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( ! response.success ) {
+                        $toggle.prop( 'checked', ! enabled );
+                        this.showNotice( 'error', response.data || __( 'Redaction setting could not be saved.', 'doctor-subs' ) );
+                        return;
                     }
                     
-                    html += '<div class="wcst-result-details">Status: ' + result.status + ' | Customer: ' + customerInfo + '</div>';
-                    html += '</div>';
-                } );
-                $container.html( html );
+                    wcst_ajax.redact_pii = response.data.enabled;
+                    this.reloadForRedaction();
+                },
+                error: () => {
+                    $toggle.prop( 'checked', ! enabled );
+                    this.showNotice( 'error', __( 'Redaction setting could not be saved. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    $toggle.prop( 'disabled', false );
+                }
+            } );
+        },
+
+        reloadForRedaction: function() {
+            // Everything on screen was rendered with the old setting, so clear it or load it again.
+            $( '#wcst-search-results' ).empty().hide();
+            this.searchShortcuts = null;
+            $( '#wcst-compare-results, #wcst-bulk-results, #wcst-dev-results' ).hide();
+            $( '#wcst-compare-results, #wcst-bulk-report-content, #wcst-dev-content, #wcst-snapshot-diff' ).empty();
+            this.bulkReport = null;
+            this.devData = null;
+            this.purgeUnredactedDevSnapshots();
+            this.renderDevSnapshots();
+            
+            if ( this.currentSubscriptionId && $( '#wcst-results' ).is( ':visible' ) ) {
+                this.analyzeSubscription( this.currentSubscriptionId );
+            }
+        },
+
+        restoreDateMode: function() {
+            let mode = null;
+            
+            try {
+                mode = window.localStorage.getItem( 'wcst_date_mode' );
+            } catch ( e ) {
+                mode = null;
             }
             
-            $container.show();
+            this.dateMode = this.dateModes.includes( mode ) ? mode : 'relative';
+            $( '#wcst-date-mode' ).val( this.dateMode );
         },
 
-        displayResults: function( data ) {
-            this.displayAnatomy( data.anatomy );
-            this.displayExpectedBehavior( data.expected );
-            this.displayTimeline( data.timeline );
-            this.displaySummary( data.summary );
+        handleDateModeChange: function( e ) {
+            this.dateMode = this.dateModes.includes( $( e.currentTarget ).val() ) ? $( e.currentTarget ).val() : 'relative';
             
-            // Display enhanced detection if available
-            if ( data.enhanced ) {
-                this.displayEnhancedDetection( data.enhanced );
+            try {
+                window.localStorage.setItem( 'wcst_date_mode', this.dateMode );
+            } catch ( err ) {
+                // The mode still applies to this page when it cannot be remembered.
             }
             
-            $( '#wcst-results' ).show();
-            this.updateProgressComplete();
+            this.refreshDates();
         },
 
-        displayAnatomy: function( anatomy ) {
-            const html = this.renderAnatomyContent( anatomy );
-            $( '#wcst-anatomy-content' ).html( html );
+        refreshDates: function() {
+            $( 'time.wcst-date' ).each( ( index, element ) => {
+                const $time = $( element );
+                
+                $time.text( this.formatDateText( $time.attr( 'datetime' ), $time.data( 'format' ) ) );
+            } );
+            
+            // The timeline toolbar and axis are drawn from the mode, so draw them again.
+            if ( this.analysisData && this.analysisData.timeline ) {
+                this.renderTimelineView();
+            }
         },
 
-        displayExpectedBehavior: function( expected ) {
-            const html = this.renderExpectedBehaviorContent( expected );
-            $( '#wcst-expected-content' ).html( html );
+        handleExportAnalysisClick: function( e ) {
+            e.preventDefault();
+            
+            if ( ! this.currentSubscriptionId ) {
+                return;
+            }
+            
+            // The report is built from the stage results stored on the server.
+            window.location.href = wcst_ajax.ajax_url + '?' + $.param( {
+                action: 'wcst_export_analysis',
+                subscription_id: this.currentSubscriptionId,
+                format: $( e.currentTarget ).data( 'format' ),
+                nonce: wcst_ajax.nonce
+            } );
         },
 
-        displayTimeline: function( timeline ) {
-            const html = this.renderTimelineContent( timeline );
-            $( '#wcst-timeline-content' ).html( html );
+        displayAnalysisHistory: function( history, comparison ) {
+            const previous = history.filter( run => run.id !== this.analysisRunId );
+            
+            if ( ! previous.length ) {
+                $( '#wcst-analysis-history' ).hide();
+                return;
+            }
+            
+            const options = previous.map( run => this.html`<option value="${ run.id }">${ sprintf(
+                /* translators: 1: run date, 2: run status, 3: number of issues, 4: user who ran the analysis */
+                _n( '%1$s — %2$s, %3$d issue (%4$s)', '%1$s — %2$s, %3$d issues (%4$s)', parseInt( run.issue_count, 10 ), 'doctor-subs' ),
+                this.formatDateText( run.created ),
+                null === run.score || undefined === run.score
+                    ? this.humanizeKey( run.status )
+                    /* translators: 1: run status, 2: health score */
+                    : sprintf( __( '%1$s %2$d/100', 'doctor-subs' ), this.humanizeKey( run.status ), parseInt( run.score, 10 ) ),
+                parseInt( run.issue_count, 10 ),
+                run.user
+            ) }</option>` );
+            
+            this.render( '#wcst-history-compare', options ).val( comparison ? comparison.compare_to.id : previous[0].id );
+            this.render( '#wcst-history-diff', comparison ? this.renderAnalysisDiff( comparison ) : '' );
+            $( '#wcst-analysis-history' ).show();
         },
 
-        displaySummary: function( summary ) {
-            const html = this.renderSummaryContent( summary );
-            $( '#wcst-summary-content' ).html( html );
+        handleHistoryCompareChange: function( e ) {
+            const $diff = $( '#wcst-history-diff' );
+            
+            this.render( $diff, this.html`<p>${ __( 'Comparing…', 'doctor-subs' ) }</p>` );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_compare_analysis',
+                    subscription_id: this.currentSubscriptionId,
+                    run_id: this.analysisRunId,
+                    compare_id: $( e.currentTarget ).val(),
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.render( $diff, this.renderAnalysisDiff( response.data ) );
+                    } else {
+                        this.render( $diff, this.html`<div class="wcst-error">${ response.data || __( 'The runs could not be compared.', 'doctor-subs' ) }</div>` );
+                    }
+                },
+                error: () => {
+                    this.render( $diff, this.html`<div class="wcst-error">${ __( 'The runs could not be compared.', 'doctor-subs' ) }</div>` );
+                }
+            } );
         },
 
-        renderAnatomyContent: function( anatomy ) {
-            let html = '';
+        renderAnalysisDiff: function( diff ) {
+            const renderIssues = issues => this.html`<ul>${ issues.map( issue => this.html`<li><span class="wcst-status-badge ${ this.getSeverityClass( issue.severity ) }">${ issue.severity }</span> ${ issue.title }</li>` ) }</ul>`;
+            const html = [];
             
-            // Basic Info Summary Panel
-            html += '<div class="wcst-summary-panel">';
-            html += '<div class="wcst-summary-card">';
-            html += '<h3>Status</h3>';
-            html += '<div class="wcst-summary-value">';
-            html += '<span class="wcst-status-badge ' + this.getStatusClass( anatomy.basic_info.status ) + '">' + anatomy.basic_info.status + '</span>';
-            html += '</div>';
-            html += '</div>';
-            
-            html += '<div class="wcst-summary-card">';
-            html += '<h3>Customer</h3>';
-            html += '<div class="wcst-summary-value">' + anatomy.basic_info.customer_id + '</div>';
-            html += '<small>ID: ' + anatomy.basic_info.customer_id + '</small>';
-            html += '</div>';
-            
-            html += '<div class="wcst-summary-card">';
-            html += '<h3>Total</h3>';
-            html += '<div class="wcst-summary-value">' + anatomy.basic_info.total + ' ' + anatomy.basic_info.currency + '</div>';
-            html += '</div>';
-            
-            html += '<div class="wcst-summary-card">';
-            html += '<h3>Next Payment</h3>';
-            html += '<div class="wcst-summary-value">';
-            if ( anatomy.billing_schedule.next_payment ) {
-                html += this.formatDate( anatomy.billing_schedule.next_payment );
-            } else {
-                html += 'N/A';
+            if ( ! diff.issues_appeared.length && ! diff.issues_resolved.length && ! diff.dates_changed.length && ! diff.new_events.length ) {
+                /* translators: %s: date of the earlier run */
+                return this.html`<div class="wcst-info">${ this.formatHtml( __( 'Nothing changed since the run of %s.', 'doctor-subs' ), this.formatDate( diff.compare_to.created ) ) }</div>`;
             }
-            html += '</div>';
-            html += '</div>';
-            html += '</div>';
             
-            // Payment Method Details
-            html += '<h3>Payment Method</h3>';
-            html += '<table class="wcst-data-table">';
-            html += '<tr><th>Gateway</th><th>Type</th><th>Status</th></tr>';
-            html += '<tr>';
-            html += '<td>' + ( anatomy.payment_method.title || 'N/A' ) + '</td>';
-            html += '<td>' + ( anatomy.payment_method.requires_manual ? 'Manual' : 'Automatic' ) + '</td>';
-            html += '<td>';
-            if ( anatomy.payment_method.status.is_valid ) {
-                html += '<span class="wcst-status-badge success">Valid</span>';
-            } else {
-                html += '<span class="wcst-status-badge error">Issues Found</span>';
+            if ( diff.issues_resolved.length ) {
+                html.push( this.html`<div class="wcst-success"><strong>${ sprintf( /* translators: %d: number of issues */ _n( 'Resolved issue (%d)', 'Resolved issues (%d)', diff.issues_resolved.length, 'doctor-subs' ), diff.issues_resolved.length ) }</strong>${ renderIssues( diff.issues_resolved ) }</div>` );
             }
-            html += '</td>';
-            html += '</tr>';
-            html += '</table>';
             
-            // Warnings
-            if ( anatomy.payment_method.status.warnings && anatomy.payment_method.status.warnings.length > 0 ) {
-                html += '<div class="wcst-warning">';
-                html += '<strong>Payment Method Warnings:</strong><br>';
-                html += anatomy.payment_method.status.warnings.join( '<br>' );
-                html += '</div>';
+            if ( diff.issues_appeared.length ) {
+                html.push( this.html`<div class="wcst-warning"><strong>${ sprintf( /* translators: %d: number of issues */ _n( 'New issue (%d)', 'New issues (%d)', diff.issues_appeared.length, 'doctor-subs' ), diff.issues_appeared.length ) }</strong>${ renderIssues( diff.issues_appeared ) }</div>` );
             }
             
-            // Billing Schedule
-            html += '<h3>Billing Schedule</h3>';
-            html += '<table class="wcst-data-table">';
-            html += '<tr><th>Property</th><th>Value</th></tr>';
-            html += '<tr><td>Billing Interval</td><td>' + anatomy.billing_schedule.interval + ' ' + anatomy.billing_schedule.period + '</td></tr>';
-            html += '<tr><td>Start Date</td><td>' + this.formatDate( anatomy.billing_schedule.start_date ) + '</td></tr>';
-            html += '<tr><td>Next Payment</td><td>' + this.formatDate( anatomy.billing_schedule.next_payment ) + '</td></tr>';
-            html += '<tr><td>End Date</td><td>' + this.formatDate( anatomy.billing_schedule.end_date ) + '</td></tr>';
-            html += '<tr><td>Editable</td><td>' + ( anatomy.billing_schedule.is_editable ? 'Yes' : 'No' ) + '</td></tr>';
-            html += '</table>';
-            
-            return html;
-        },
-
-        renderExpectedBehaviorContent: function( expected ) {
-            let html = '';
-            
-            // Payment Gateway Behavior
-            html += '<h3>Payment Gateway Capabilities</h3>';
-            if ( expected.payment_gateway_behavior && ! expected.payment_gateway_behavior.error ) {
-                // Gateway Mode Information
-                if ( expected.payment_gateway_behavior.gateway_mode ) {
-                    const mode = expected.payment_gateway_behavior.gateway_mode;
-                    const modeClass = mode.is_test ? 'warning' : 'success';
-                    html += '<div class="wcst-gateway-mode">';
-                    html += '<strong>Gateway Mode:</strong> ';
-                    html += '<span class="wcst-status-badge ' + modeClass + '">' + mode.description + '</span>';
-                    html += '</div>';
-                }
-                
-                html += '<table class="wcst-data-table">';
-                html += '<tr><th>Feature</th><th>Supported</th></tr>';
-                html += '<tr><td>Subscriptions</td><td>' + this.renderSupportIcon( expected.payment_gateway_behavior.supports_subscriptions ) + '</td></tr>';
-                html += '<tr><td>Cancellation</td><td>' + this.renderSupportIcon( expected.payment_gateway_behavior.supports_subscription_cancellation ) + '</td></tr>';
-                html += '<tr><td>Suspension</td><td>' + this.renderSupportIcon( expected.payment_gateway_behavior.supports_subscription_suspension ) + '</td></tr>';
-                html += '<tr><td>Amount Changes</td><td>' + this.renderSupportIcon( expected.payment_gateway_behavior.supports_subscription_amount_changes ) + '</td></tr>';
-                html += '<tr><td>Date Changes</td><td>' + this.renderSupportIcon( expected.payment_gateway_behavior.supports_subscription_date_changes ) + '</td></tr>';
-                html += '</table>';
-            } else {
-                html += '<div class="wcst-error">Payment gateway information not available.</div>';
+            if ( diff.dates_changed.length ) {
+                const rows = diff.dates_changed.map( change => this.html`<tr><td>${ change.label }</td><td>${ change.before ? this.formatDate( change.before ) : '—' }</td><td>${ change.after ? this.formatDate( change.after ) : '—' }</td></tr>` );
+                html.push( this.html`<div class="wcst-info"><strong>${ __( 'Changed dates', 'doctor-subs' ) }</strong><table class="wcst-data-table"><thead><tr><th>${ __( 'Date', 'doctor-subs' ) }</th><th>${ __( 'Before', 'doctor-subs' ) }</th><th>${ __( 'After', 'doctor-subs' ) }</th></tr></thead><tbody>${ rows }</tbody></table></div>` );
             }
             
-            // Renewal Expectations
-            html += '<h3>Renewal Process</h3>';
-            if ( expected.renewal_expectations ) {
-                html += '<div class="wcst-info">';
-                html += '<strong>Type:</strong> ' + expected.renewal_expectations.type + '<br>';
-                html += '<strong>Description:</strong> ' + expected.renewal_expectations.description;
-                html += '</div>';
-                
-                if ( expected.renewal_expectations.next_action ) {
-                    html += '<p><strong>Next Action:</strong> ' + expected.renewal_expectations.next_action + '</p>';
-                }
+            if ( diff.new_events.length ) {
+                const items = diff.new_events.map( event => this.html`<li>${ this.formatDate( event.timestamp ) } &mdash; ${ event.title }</li>` );
+                html.push( this.html`<div class="wcst-info"><strong>${ sprintf( /* translators: %d: number of events */ _n( 'New timeline event (%d)', 'New timeline events (%d)', diff.new_events.length, 'doctor-subs' ), diff.new_events.length ) }</strong><ul>${ items }</ul></div>` );
             }
             
-            return html;
+            return this.html`<div class="wcst-history-diff-grid">${ html }</div>`;
         },
 
-        renderTimelineContent: function( timeline ) {
-            let html = '';
-            
-            if ( timeline.events && timeline.events.length > 0 ) {
-                html += '<div class="wcst-timeline">';
-                timeline.events.forEach( ( event ) => {
-                    html += '<div class="wcst-timeline-event ' + event.status + '">';
-                    html += '<div class="wcst-timeline-header">';
-                    html += '<span class="wcst-timeline-date">' + this.formatDate( event.timestamp ) + '</span>';
-                    html += '<span class="wcst-timeline-type">' + event.type + '</span>';
-                    html += '</div>';
-                    html += '<div class="wcst-timeline-description">' + event.title + '</div>';
-                    if ( event.description !== event.title ) {
-                        html += '<div style="font-size: 12px; color: #666; margin-top: 5px;">' + event.description + '</div>';
-                    }
-                    html += '</div>';
-                } );
-                html += '</div>';
-            } else {
-                html += '<p>No timeline events found.</p>';
-            }
+        setStageState: function( stage, state ) {
+            const $step = $( `.wcst-step[data-stage="${ stage }"]` );
             
-            return html;
+            $step.removeClass( 'active completed failed' ).addClass( state );
+            $step.find( '.wcst-retry-stage' ).prop( 'hidden', 'failed' !== state );
         },
 
-        renderSummaryContent: function( summary ) {
-            let html = '';
-            
-            // Summary Statistics
-            if ( summary.statistics ) {
-                html += '<h3>Summary Statistics</h3>';
-                html += '<div class="wcst-summary-cards">';
-                html += '<div class="wcst-summary-card">';
-                html += '<h4>Total Issues</h4>';
-                html += '<div class="value">' + summary.statistics.total_issues + '</div>';
-                html += '</div>';
-                html += '<div class="wcst-summary-card">';
-                html += '<h4>Critical</h4>';
-                html += '<div class="value">' + summary.statistics.critical + '</div>';
-                html += '</div>';
-                html += '<div class="wcst-summary-card">';
-                html += '<h4>Warnings</h4>';
-                html += '<div class="value">' + summary.statistics.warnings + '</div>';
-                html += '</div>';
-                html += '</div>';
-            }
+        searchSubscriptions: function( searchTerm, page ) {
+            this.searchTerm = searchTerm;
             
-            // Issues List
-            if ( summary.issues && summary.issues.length > 0 ) {
-                html += '<h3>Issues Detected</h3>';
-                html += '<div class="wcst-issues-list">';
-                summary.issues.forEach( ( issue ) => {
-                    // Map severity levels to CSS classes
-                    let severityClass = 'info';
-                    if ( 'critical' === issue.severity || 'error' === issue.severity || 'high' === issue.severity ) {
-                        severityClass = 'error'; // Red
-                    } else if ( 'warning' === issue.severity || 'medium' === issue.severity ) {
-                        severityClass = 'warning'; // Yellow
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_search_subscriptions',
+                    search_term: searchTerm,
+                    page: page || 1,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    // Ignore responses for a term the user has already typed past.
+                    if ( response.success && searchTerm === this.searchTerm ) {
+                        this.displaySearchResults( response.data );
+                    }
+                }
+            } );
+        },
+
+        displaySearchResults: function( data ) {
+            const $container = $( '#wcst-search-results' );
+            const html = data.results.map( result => this.renderSearchResultItem( result, 'search' ) );
+            
+            if ( data.has_more ) {
+                html.push( this.html`<button type="button" class="button-link wcst-search-more" id="wcst-search-more-${ parseInt( data.page, 10 ) }" role="option" aria-selected="false" tabindex="-1" data-page="${ parseInt( data.page, 10 ) + 1 }">${ __( 'Show more results', 'doctor-subs' ) }</button>` );
+            }
+            
+            if ( data.page > 1 ) {
+                const hadFocus = $container.find( '.wcst-search-more' ).hasClass( 'active' );
+                $container.find( '.wcst-search-more' ).replaceWith( this.toHtml( html ) );
+                $container.show();
+                
+                // Keep the keyboard position on the first newly loaded result.
+                if ( hadFocus && data.results.length ) {
+                    this.setActiveSearchOption( $container.find( `#wcst-search-option-search-${ parseInt( data.results[0].id, 10 ) }` ) );
+                }
+            } else if ( ! data.results.length ) {
+                this.openSearchResults( this.html`<div class="wcst-search-empty">${ __( 'No subscriptions found.', 'doctor-subs' ) }</div>` );
+            } else {
+                this.openSearchResults( this.html`<div class="wcst-search-results-header">${ __( 'Click a subscription or use the arrow keys and Enter to analyze:', 'doctor-subs' ) }</div>${ html }` );
+            }
+        },
+
+        renderSearchResultItem: function( result, list ) {
+            const id = parseInt( result.id, 10 );
+            const pinned = -1 !== this.pinnedIds.indexOf( id );
+            
+            // Build customer details with fallbacks
+            let customerInfo = '';
+            if ( result.customer && result.customer.trim() ) {
+                customerInfo = result.customer;
+            } else if ( result.email ) {
+                customerInfo = result.email;
+            } else {
+                /* translators: %s: customer ID */
+                customerInfo = sprintf( __( 'Customer #%s', 'doctor-subs' ), result.customer_id || __( 'N/A', 'doctor-subs' ) );
+            }
+            
+            const html = [];
+            html.push( this.html`<button type="button" class="wcst-pin-toggle${ pinned ? ' pinned' : '' }" data-id="${ id }" tabindex="-1" aria-pressed="${ pinned }" title="${ this.getPinLabel( id, pinned ) }">${ pinned ? '★' : '☆' }</button>` );
+            /* translators: %d: subscription ID */
+            html.push( this.html`<strong>${ sprintf( __( 'Subscription #%d', 'doctor-subs' ), id ) }</strong>` );
+            /* translators: 1: subscription status, 2: customer name, email or ID */
+            html.push( this.html`<div class="wcst-result-details">${ sprintf( __( 'Status: %1$s | Customer: %2$s', 'doctor-subs' ), result.status, customerInfo ) }</div>` );
+            if ( result.matched && 'search' === list ) {
+                /* translators: %s: what the search term matched, e.g. "Billing email" */
+                html.push( this.html`<div class="wcst-result-matched">${ sprintf( __( 'Matched: %s', 'doctor-subs' ), result.matched ) }</div>` );
+            }
+            
+            return this.html`<div class="wcst-search-result-item" id="wcst-search-option-${ list }-${ id }" role="option" aria-selected="false" data-id="${ id }">${ html }</div>`;
+        },
+
+        getPinLabel: function( id, pinned ) {
+            /* translators: %d: subscription ID */
+            return sprintf( pinned ? __( 'Unpin subscription #%d', 'doctor-subs' ) : __( 'Pin subscription #%d', 'doctor-subs' ), id );
+        },
+
+        showSearchShortcuts: function() {
+            if ( this.searchShortcuts ) {
+                this.displaySearchShortcuts( this.searchShortcuts );
+            }
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_get_search_shortcuts',
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( ! response.success ) {
+                        return;
+                    }
+                    
+                    this.setSearchShortcuts( response.data );
+                    
+                    // Only show them if the field is still empty and focused.
+                    const $input = $( '#wcst-subscription-search' );
+                    if ( ! $input.val().trim() && $input.is( ':focus' ) ) {
+                        this.displaySearchShortcuts( response.data );
+                    }
+                }
+            } );
+        },
+
+        setSearchShortcuts: function( shortcuts ) {
+            this.searchShortcuts = shortcuts;
+            this.pinnedIds = shortcuts.pinned.map( result => parseInt( result.id, 10 ) );
+        },
+
+        displaySearchShortcuts: function( shortcuts ) {
+            const html = [];
+            
+            if ( shortcuts.pinned.length ) {
+                html.push( this.html`<div class="wcst-search-results-header">${ __( 'Pinned', 'doctor-subs' ) }</div>` );
+                html.push( shortcuts.pinned.map( result => this.renderSearchResultItem( result, 'pinned' ) ) );
+            }
+            
+            if ( shortcuts.recent.length ) {
+                html.push( this.html`<div class="wcst-search-results-header">${ __( 'Recently analyzed', 'doctor-subs' ) }</div>` );
+                html.push( shortcuts.recent.map( result => this.renderSearchResultItem( result, 'recent' ) ) );
+            }
+            
+            this.openSearchResults( html.length ? html : this.html`<div class="wcst-search-empty">${ __( 'Subscriptions you analyze or pin will appear here.', 'doctor-subs' ) }</div>` );
+        },
+
+        handlePinToggleClick: function( e ) {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            const $button = $( e.currentTarget );
+            const id = parseInt( $button.data( 'id' ), 10 );
+            const pinned = -1 === this.pinnedIds.indexOf( id );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_pin_subscription',
+                    subscription_id: id,
+                    pinned: pinned ? 1 : 0,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( ! response.success ) {
+                        this.showNotice( 'error', response.data || __( 'The subscription could not be pinned.', 'doctor-subs' ) );
+                        return;
+                    }
+                    
+                    this.setSearchShortcuts( response.data );
+                    
+                    if ( ! $( '#wcst-subscription-search' ).val().trim() ) {
+                        this.displaySearchShortcuts( response.data );
                     } else {
-                        severityClass = 'info'; // Blue/Gray
+                        $( `.wcst-pin-toggle[data-id="${ id }"]` )
+                            .toggleClass( 'pinned', pinned )
+                            .attr( { 'aria-pressed': pinned, title: this.getPinLabel( id, pinned ) } )
+                            .text( pinned ? '★' : '☆' );
                     }
-                    html += '<div class="wcst-issue-item wcst-status-' + severityClass + '">';
-                    html += '<h4>' + issue.title + '</h4>';
-                    html += '<p>' + issue.description + '</p>';
-                    html += '</div>';
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'The subscription could not be pinned. Please try again.', 'doctor-subs' ) );
+                }
+            } );
+        },
+
+        handleSearchMoreClick: function( e ) {
+            e.preventDefault();
+            
+            const $button = $( e.currentTarget );
+            $button.prop( 'disabled', true ).text( __( 'Loading…', 'doctor-subs' ) );
+            this.searchSubscriptions( this.searchTerm, $button.data( 'page' ) );
+        },
+
+        displayAnatomy: function( anatomy ) {
+            this.render( '#wcst-anatomy-content', this.renderAnatomyContent( anatomy ) );
+        },
+
+        displayExpectedBehavior: function( expected ) {
+            this.render( '#wcst-expected-content', this.renderExpectedBehaviorContent( expected ) );
+        },
+
+        displayTimeline: function( timeline ) {
+            this.render( '#wcst-timeline-content', this.html`${ this.renderTimelineFacets( timeline.summary || {} ) }<div class="wcst-timeline-view"></div>` );
+            this.renderTimelineView();
+        },
+
+        renderTimelineView: function() {
+            const timeline = this.analysisData.timeline;
+            const events = this.filterTimelineEvents( timeline.events || [] );
+            let html;
+            
+            if ( ! events.length && ( timeline.events || [] ).length ) {
+                this.timelineEvents = [];
+                html = this.html`<p>${ __( 'No events match the current filters.', 'doctor-subs' ) }</p>`;
+            } else {
+                html = this.renderTimelineContent( Object.assign( {}, timeline, { events: events } ) );
+            }
+            
+            this.render( '#wcst-timeline-content .wcst-timeline-view', html );
+        },
+
+        displaySummary: function( summary ) {
+            this.render( '#wcst-summary-content', this.renderSummaryContent( summary ) );
+        },
+
+        renderAnatomyContent: function( anatomy ) {
+            const info = anatomy.basic_info;
+            const paymentMethod = anatomy.payment_method;
+            const schedule = anatomy.billing_schedule;
+            const html = [];
+            
+            // Basic Info Summary Panel
+            const cards = [
+                this.html`<div class="wcst-summary-card"><h3>${ __( 'Status', 'doctor-subs' ) }</h3><div class="wcst-summary-value"><span class="wcst-status-badge ${ this.getStatusClass( info.status ) }">${ info.status }</span></div></div>`,
+                this.html`<div class="wcst-summary-card"><h3>${ __( 'Customer', 'doctor-subs' ) }</h3><div class="wcst-summary-value">${ info.customer_id }</div><small>${ sprintf( /* translators: %s: customer ID */ __( 'ID: %s', 'doctor-subs' ), info.customer_id ) }</small></div>`,
+                this.html`<div class="wcst-summary-card"><h3>${ __( 'Total', 'doctor-subs' ) }</h3><div class="wcst-summary-value">${ info.total } ${ info.currency }</div></div>`,
+                this.html`<div class="wcst-summary-card"><h3>${ __( 'Next Payment', 'doctor-subs' ) }</h3><div class="wcst-summary-value">${ schedule.next_payment ? this.formatDate( schedule.next_payment ) : __( 'N/A', 'doctor-subs' ) }</div></div>`
+            ];
+            html.push( this.html`<div class="wcst-summary-panel">${ cards }</div>` );
+            
+            // Payment Method Details
+            const status = paymentMethod.status.is_valid ? this.html`<span class="wcst-status-badge success">${ __( 'Valid', 'doctor-subs' ) }</span>` : this.html`<span class="wcst-status-badge error">${ __( 'Issues Found', 'doctor-subs' ) }</span>`;
+            html.push( this.html`<h3>${ __( 'Payment Method', 'doctor-subs' ) }</h3>` );
+            html.push( this.html`<table class="wcst-data-table"><tr><th>${ __( 'Gateway', 'doctor-subs' ) }</th><th>${ __( 'Type', 'doctor-subs' ) }</th><th>${ __( 'Status', 'doctor-subs' ) }</th></tr><tr><td>${ paymentMethod.title || __( 'N/A', 'doctor-subs' ) }</td><td>${ paymentMethod.requires_manual ? __( 'Manual', 'doctor-subs' ) : __( 'Automatic', 'doctor-subs' ) }</td><td>${ status }</td></tr></table>` );
+            
+            // Warnings
+            if ( paymentMethod.status.warnings && paymentMethod.status.warnings.length > 0 ) {
+                const warnings = paymentMethod.status.warnings.map( warning => this.html`<br>${ warning }` );
+                html.push( this.html`<div class="wcst-warning"><strong>${ __( 'Payment Method Warnings:', 'doctor-subs' ) }</strong>${ warnings }</div>` );
+            }
+            
+            // Billing Schedule
+            const rows = [
+                [ __( 'Billing Interval', 'doctor-subs' ), `${ schedule.interval } ${ schedule.period }` ],
+                [ __( 'Start Date', 'doctor-subs' ), this.formatDate( schedule.start_date ) ],
+                [ __( 'Next Payment', 'doctor-subs' ), this.formatDate( schedule.next_payment ) ],
+                [ __( 'End Date', 'doctor-subs' ), this.formatDate( schedule.end_date ) ],
+                [ __( 'Editable', 'doctor-subs' ), schedule.is_editable ? __( 'Yes', 'doctor-subs' ) : __( 'No', 'doctor-subs' ) ]
+            ];
+            html.push( this.html`<h3>${ __( 'Billing Schedule', 'doctor-subs' ) }</h3>` );
+            html.push( this.html`<table class="wcst-data-table"><tr><th>${ __( 'Property', 'doctor-subs' ) }</th><th>${ __( 'Value', 'doctor-subs' ) }</th></tr>${ rows.map( row => this.html`<tr><td>${ row[0] }</td><td>${ row[1] }</td></tr>` ) }</table>` );
+            
+            return this.html`${ html }`;
+        },
+
+        renderExpectedBehaviorContent: function( expected ) {
+            const gateway = expected.payment_gateway_behavior;
+            const renewal = expected.renewal_expectations;
+            const html = [];
+            
+            // Payment Gateway Behavior
+            html.push( this.html`<h3>${ __( 'Payment Gateway Capabilities', 'doctor-subs' ) }</h3>` );
+            if ( gateway && ! gateway.error ) {
+                // Gateway Mode Information
+                if ( gateway.gateway_mode ) {
+                    const mode = gateway.gateway_mode;
+                    const modeClass = mode.is_test ? 'warning' : 'success';
+                    html.push( this.html`<div class="wcst-gateway-mode"><strong>${ __( 'Gateway Mode:', 'doctor-subs' ) }</strong> <span class="wcst-status-badge ${ modeClass }">${ mode.description }</span></div>` );
+                }
+                
+                const features = [
+                    [ __( 'Subscriptions', 'doctor-subs' ), gateway.supports_subscriptions ],
+                    [ __( 'Cancellation', 'doctor-subs' ), gateway.supports_subscription_cancellation ],
+                    [ __( 'Suspension', 'doctor-subs' ), gateway.supports_subscription_suspension ],
+                    [ __( 'Amount Changes', 'doctor-subs' ), gateway.supports_subscription_amount_changes ],
+                    [ __( 'Date Changes', 'doctor-subs' ), gateway.supports_subscription_date_changes ]
+                ];
+                html.push( this.html`<table class="wcst-data-table"><tr><th>${ __( 'Feature', 'doctor-subs' ) }</th><th>${ __( 'Supported', 'doctor-subs' ) }</th></tr>${ features.map( feature => this.html`<tr><td>${ feature[0] }</td><td>${ this.renderSupportIcon( feature[1] ) }</td></tr>` ) }</table>` );
+            } else {
+                html.push( this.html`<div class="wcst-error">${ __( 'Payment gateway information not available.', 'doctor-subs' ) }</div>` );
+            }
+            
+            // Renewal Expectations
+            html.push( this.html`<h3>${ __( 'Renewal Process', 'doctor-subs' ) }</h3>` );
+            if ( renewal ) {
+                html.push( this.html`<div class="wcst-info"><strong>${ __( 'Type:', 'doctor-subs' ) }</strong> ${ renewal.type }<br><strong>${ __( 'Description:', 'doctor-subs' ) }</strong> ${ renewal.description }</div>` );
+                
+                if ( renewal.next_action ) {
+                    html.push( this.html`<p><strong>${ __( 'Next Action:', 'doctor-subs' ) }</strong> ${ renewal.next_action }</p>` );
+                }
+            }
+            
+            return this.html`${ html }`;
+        },
+
+        renderTimelineContent: function( timeline ) {
+            const events = ( timeline.events || [] ).map( ( event, index ) => Object.assign( {}, event, {
+                index: index,
+                time: this.parseDate( event.timestamp ),
+                lane: this.getTimelineLane( event )
+            } ) ).filter( event => ! isNaN( event.time ) );
+            const expected = ( timeline.expected_renewals || [] ).map( date => this.parseDate( date ) ).filter( time => ! isNaN( time ) );
+            
+            this.timelineEvents = events;
+            
+            if ( ! events.length ) {
+                return this.html`<p>${ __( 'No timeline events found.', 'doctor-subs' ) }</p>`;
+            }
+            
+            const extent = this.getTimelineExtent( events.map( event => event.time ).concat( expected ) );
+            const range = this.timelineRange || extent;
+            const span = range.end - range.start;
+            const position = time => ( ( time - range.start ) / span * 100 ).toFixed( 3 );
+            const inRange = time => time >= range.start && time <= range.end;
+            const visible = events.filter( event => inRange( event.time ) );
+            const html = [];
+            
+            this.timelineExtent = extent;
+            
+            html.push( this.html`<div class="wcst-timeline-toolbar"><span>${ this.formatHtml( /* translators: 1: number of events shown, 2: total number of events, 3: range start date, 4: range end date */ _n( 'Showing %1$d of %2$d event, %3$s – %4$s', 'Showing %1$d of %2$d events, %3$s – %4$s', events.length, 'doctor-subs' ), visible.length, events.length, this.formatDate( range.start, 'day' ), this.formatDate( range.end, 'day' ) ) }</span>${ this.timelineRange ? this.html` <button type="button" class="button button-small wcst-timeline-reset-zoom">${ __( 'Reset zoom', 'doctor-subs' ) }</button>` : '' }</div>` );
+            
+            const lanes = this.timelineLanes.map( ( lane ) => {
+                const laneEvents = visible.filter( event => event.lane === lane.id );
+                const track = [];
+                
+                if ( 'payments' === lane.id ) {
+                    expected.filter( inRange ).forEach( ( time ) => {
+                        track.push( this.html`<span class="wcst-swimlane-ghost" style="left: ${ position( time ) }%;" title="${ sprintf( /* translators: %s: expected renewal date and time */ __( 'Expected renewal: %s', 'doctor-subs' ), this.formatDateTitle( time ) ) }"></span>` );
+                    } );
+                }
+                
+                laneEvents.forEach( ( event ) => {
+                    track.push( this.html`<button type="button" class="wcst-swimlane-marker wcst-marker-${ event.status }" style="left: ${ position( event.time ) }%;" data-index="${ event.index }" aria-label="${ event.title }"></button>` );
+                } );
+                
+                return this.html`<div class="wcst-swimlane wcst-swimlane-${ lane.id }"><div class="wcst-swimlane-label">${ lane.label } <span class="wcst-swimlane-count">${ laneEvents.length }</span></div><div class="wcst-swimlane-track">${ track }</div></div>`;
+            } );
+            html.push( this.html`<div class="wcst-swimlanes">${ lanes }</div>` );
+            
+            const ticks = [];
+            for ( let i = 0; i <= 4; i++ ) {
+                ticks.push( this.html`<span style="left: ${ i * 25 }%;">${ this.formatDate( range.start + span * i / 4, 'day' ) }</span>` );
+            }
+            html.push( this.html`<div class="wcst-timeline-axis">${ ticks }</div>` );
+            
+            // Overview strip: every event across the full extent, drag to zoom.
+            const extentSpan = extent.end - extent.start;
+            const brushTicks = events.map( event => this.html`<span class="wcst-brush-tick" style="left: ${ ( ( event.time - extent.start ) / extentSpan * 100 ).toFixed( 3 ) }%;"></span>` );
+            html.push( this.html`<div class="wcst-timeline-brush" title="${ __( 'Drag to zoom into a date range', 'doctor-subs' ) }">${ brushTicks }<div class="wcst-brush-selection" style="left: ${ ( ( range.start - extent.start ) / extentSpan * 100 ).toFixed( 3 ) }%; width: ${ ( span / extentSpan * 100 ).toFixed( 3 ) }%;"></div></div>` );
+            html.push( this.html`<p class="wcst-yoy-legend"><span class="wcst-swimlane-ghost wcst-legend-ghost"></span> ${ __( 'Expected renewal — drag across the strip above to zoom into a date range.', 'doctor-subs' ) }</p>` );
+            html.push( this.html`<div class="wcst-timeline-card" hidden></div>` );
+            
+            const runs = this.groupTimelineRuns( visible ).map( ( run ) => {
+                if ( 1 === run.events.length ) {
+                    return this.renderTimelineEvent( run.events[0] );
+                }
+                
+                const first = run.events[0];
+                const last = run.events[ run.events.length - 1 ];
+                
+                return this.html`<details class="wcst-timeline-run"><summary>${ this.highlightText( first.title, this.timelineSearch ) } <span class="wcst-facet-count">&times;${ run.events.length }</span> <span class="wcst-timeline-date">${ this.formatDate( first.timestamp ) } &ndash; ${ this.formatDate( last.timestamp ) }</span></summary>${ run.events.map( event => this.renderTimelineEvent( event ) ) }</details>`;
+            } );
+            html.push( this.html`<details class="wcst-timeline-list"${ this.timelineSearch ? this.html` open` : '' }><summary>${ sprintf( /* translators: %d: number of events */ __( 'Event list (%d)', 'doctor-subs' ), visible.length ) }</summary><div class="wcst-timeline">${ runs }</div></details>` );
+            
+            return this.html`<div class="wcst-swimlane-timeline">${ html }</div>`;
+        },
+
+        renderTimelineFacets: function( summary ) {
+            const groups = [
+                { facet: 'categories', label: __( 'Categories:', 'doctor-subs' ) },
+                { facet: 'event_types', label: __( 'Event types:', 'doctor-subs' ) },
+                { facet: 'status_counts', label: __( 'Statuses:', 'doctor-subs' ) }
+            ];
+            const html = [];
+            
+            groups.forEach( ( group ) => {
+                const counts = summary[ group.facet ] || {};
+                
+                if ( ! Object.keys( counts ).length ) {
+                    return;
+                }
+                
+                const chips = Object.keys( counts ).map( ( value ) => {
+                    const active = this.timelineHidden[ group.facet ].indexOf( value ) === -1;
+                    
+                    return this.html`<button type="button" class="wcst-facet-chip${ active ? ' is-active' : '' }" data-facet="${ group.facet }" data-value="${ value }" aria-pressed="${ active }">${ this.humanizeKey( value ) } <span class="wcst-facet-count">${ parseInt( counts[ value ], 10 ) }</span></button>`;
                 } );
-                html += '</div>';
+                html.push( this.html`<div class="wcst-facet-group"><span class="wcst-facet-label">${ group.label }</span>${ chips }</div>` );
+            } );
+            
+            html.push( this.html`<div class="wcst-facet-group"><input type="search" class="wcst-timeline-search regular-text" placeholder="${ __( 'Search event titles and descriptions', 'doctor-subs' ) }" value="${ this.timelineSearch }"><label><input type="checkbox" class="wcst-timeline-collapse"${ this.timelineCollapse ? this.html` checked` : '' }> ${ __( 'Collapse repeated events', 'doctor-subs' ) }</label></div>` );
+            
+            return this.html`<div class="wcst-timeline-facets">${ html }</div>`;
+        },
+
+        filterTimelineEvents: function( events ) {
+            const query = this.timelineSearch.toLowerCase();
+            
+            return events.filter( ( event ) => {
+                const hidden = Object.keys( this.timelineFacetFields ).some( facet => this.timelineHidden[ facet ].indexOf( String( event[ this.timelineFacetFields[ facet ] ] ) ) !== -1 );
+                
+                if ( hidden ) {
+                    return false;
+                }
+                
+                return ! query || ( String( event.title ) + ' ' + this.stripTags( event.description ) ).toLowerCase().indexOf( query ) !== -1;
+            } );
+        },
+
+        groupTimelineRuns: function( events ) {
+            const runs = [];
+            
+            events.forEach( ( event ) => {
+                const key = [ event.type, event.title, this.stripTags( event.description ) ].join( '|' );
+                const last = runs[ runs.length - 1 ];
+                
+                if ( this.timelineCollapse && last && last.key === key ) {
+                    last.events.push( event );
+                } else {
+                    runs.push( { key: key, events: [ event ] } );
+                }
+            } );
+            
+            return runs;
+        },
+
+        renderTimelineEvent: function( event ) {
+            const description = this.stripTags( event.description );
+            const html = [];
+            
+            html.push( this.html`<div class="wcst-timeline-header"><span class="wcst-timeline-date">${ this.formatDate( event.timestamp ) }</span><span class="wcst-timeline-type">${ event.type }</span></div>` );
+            html.push( this.html`<div class="wcst-timeline-description">${ this.highlightText( event.title, this.timelineSearch ) }</div>` );
+            if ( description && description !== event.title ) {
+                html.push( this.html`<div class="wcst-timeline-detail">${ this.highlightText( description, this.timelineSearch ) }</div>` );
+            }
+            
+            return this.html`<div class="wcst-timeline-event ${ event.status }">${ html }</div>`;
+        },
+
+        highlightText: function( value, query ) {
+            const text = String( null === value || undefined === value ? '' : value );
+            
+            if ( ! query ) {
+                return this.html`${ text }`;
+            }
+            
+            const haystack = text.toLowerCase();
+            const needle = query.toLowerCase();
+            const html = [];
+            let position = 0;
+            let index = haystack.indexOf( needle );
+            
+            while ( -1 !== index ) {
+                html.push( this.html`${ text.substring( position, index ) }<mark>${ text.substring( index, index + needle.length ) }</mark>` );
+                position = index + needle.length;
+                index = haystack.indexOf( needle, position );
+            }
+            
+            return this.html`${ html }${ text.substring( position ) }`;
+        },
+
+        handleTimelineFacetClick: function( e ) {
+            const $chip = $( e.currentTarget );
+            const hidden = this.timelineHidden[ $chip.data( 'facet' ) ];
+            const value = String( $chip.data( 'value' ) );
+            const index = hidden.indexOf( value );
+            
+            e.preventDefault();
+            
+            if ( -1 === index ) {
+                hidden.push( value );
             } else {
-                html += '<div class="wcst-no-issues">';
-                html += '<h3>No Issues Detected</h3>';
-                html += '<p>This subscription appears to be functioning normally.</p>';
-                html += '</div>';
+                hidden.splice( index, 1 );
+            }
+            
+            $chip.toggleClass( 'is-active', -1 !== index ).attr( 'aria-pressed', -1 !== index );
+            this.renderTimelineView();
+            this.updateRoute();
+        },
+
+        handleTimelineSearchInput: function( e ) {
+            this.timelineSearch = $( e.currentTarget ).val().trim();
+            this.renderTimelineView();
+            // Replace rather than push, so typing does not fill the back button history.
+            this.updateRoute( true );
+        },
+
+        handleTimelineCollapseChange: function( e ) {
+            this.timelineCollapse = $( e.currentTarget ).is( ':checked' );
+            this.renderTimelineView();
+            this.updateRoute();
+        },
+
+        getTimelineLane: function( event ) {
+            if ( 'note' === event.type || 'order_note' === event.type ) {
+                return 'notes';
+            }
+            if ( 'system' === event.category ) {
+                return 'actions';
+            }
+            if ( 'payment' === event.category ) {
+                return 'payments';
+            }
+            if ( 'order' === event.category ) {
+                return 'orders';
+            }
+            return 'subscription';
+        },
+
+        getTimelineExtent: function( times ) {
+            const start = Math.min( ...times );
+            const end = Math.max( ...times );
+            // Pad the edges so the first and last markers are not clipped.
+            const padding = Math.max( ( end - start ) * 0.02, 86400000 );
+            
+            return { start: start - padding, end: end + padding };
+        },
+
+        stripTags: function( value ) {
+            return String( null === value || undefined === value ? '' : value ).replace( /<[^>]*>/g, '' ).trim();
+        },
+
+        showTimelineCard: function( e ) {
+            const $marker = $( e.currentTarget );
+            const event = this.timelineEvents.find( item => item.index === $marker.data( 'index' ) );
+            const $timeline = $marker.closest( '.wcst-swimlane-timeline' );
+            
+            if ( ! event ) {
+                return;
+            }
+            
+            const lane = this.timelineLanes.find( item => item.id === event.lane );
+            const description = this.stripTags( event.description );
+            const offset = $marker.offset();
+            const origin = $timeline.offset();
+            const html = [];
+            
+            html.push( this.html`<strong>${ event.title }</strong>` );
+            html.push( this.html`<div class="wcst-timeline-card-meta">${ this.formatDate( event.timestamp ) } &middot; ${ lane ? lane.label : event.category } &middot; <span class="wcst-status-badge ${ event.status }">${ event.status }</span></div>` );
+            if ( description && description !== event.title ) {
+                html.push( this.html`<div>${ description.length > 300 ? description.substring( 0, 300 ) + '…' : description }</div>` );
+            }
+            html.push( this.html`<div class="wcst-timeline-card-meta">${ sprintf( /* translators: %s: where the event was read from */ __( 'Source: %s', 'doctor-subs' ), event.source ) }</div>` );
+            
+            this.render( $timeline.find( '.wcst-timeline-card' ), html )
+                .css( {
+                    left: Math.min( offset.left - origin.left, $timeline.width() - 320 ) + 'px',
+                    top: ( offset.top - origin.top + $marker.outerHeight() + 6 ) + 'px'
+                } )
+                .prop( 'hidden', false );
+        },
+
+        hideTimelineCard: function( e ) {
+            $( e.currentTarget ).closest( '.wcst-swimlane-timeline' ).find( '.wcst-timeline-card' ).prop( 'hidden', true );
+        },
+
+        handleTimelineBrushStart: function( e ) {
+            const $brush = $( e.currentTarget );
+            
+            e.preventDefault();
+            this.timelineBrush = {
+                $brush: $brush,
+                left: $brush.offset().left,
+                width: $brush.width(),
+                startX: e.pageX
+            };
+        },
+
+        handleTimelineBrushMove: function( e ) {
+            if ( ! this.timelineBrush ) {
+                return;
+            }
+            
+            const brush = this.timelineBrush;
+            const from = Math.max( Math.min( brush.startX, e.pageX ) - brush.left, 0 );
+            const to = Math.min( Math.max( brush.startX, e.pageX ) - brush.left, brush.width );
+            
+            brush.$brush.find( '.wcst-brush-selection' ).css( {
+                left: ( from / brush.width * 100 ) + '%',
+                width: ( Math.max( to - from, 0 ) / brush.width * 100 ) + '%'
+            } );
+        },
+
+        handleTimelineBrushEnd: function( e ) {
+            if ( ! this.timelineBrush ) {
+                return;
+            }
+            
+            const brush = this.timelineBrush;
+            const extent = this.timelineExtent;
+            const from = Math.max( Math.min( brush.startX, e.pageX ) - brush.left, 0 );
+            const to = Math.min( Math.max( brush.startX, e.pageX ) - brush.left, brush.width );
+            
+            this.timelineBrush = null;
+            
+            // Ignore plain clicks on the strip.
+            if ( to - from < 5 ) {
+                this.renderTimelineView();
+                return;
+            }
+            
+            this.timelineRange = {
+                start: extent.start + ( extent.end - extent.start ) * from / brush.width,
+                end: extent.start + ( extent.end - extent.start ) * to / brush.width
+            };
+            this.renderTimelineView();
+            this.updateRoute();
+        },
+
+        handleTimelineResetZoomClick: function( e ) {
+            e.preventDefault();
+            
+            this.timelineRange = null;
+            this.renderTimelineView();
+            this.updateRoute();
+        },
+
+        renderSummaryContent: function( summary ) {
+            const html = [];
+            
+            // Health Score
+            if ( summary.health ) {
+                html.push( this.html`<h3>${ __( 'Health Score', 'doctor-subs' ) }</h3>` );
+                html.push( this.renderHealthScore( summary.health ) );
+            }
+            
+            // Summary Statistics
+            if ( summary.statistics ) {
+                html.push( this.html`<h3>${ __( 'Summary Statistics', 'doctor-subs' ) }</h3>` );
+                html.push( this.html`<div class="wcst-summary-cards"><div class="wcst-summary-card"><h4>${ __( 'Total Issues', 'doctor-subs' ) }</h4><div class="value">${ summary.statistics.total_issues }</div></div><div class="wcst-summary-card"><h4>${ __( 'Critical', 'doctor-subs' ) }</h4><div class="value">${ summary.statistics.critical }</div></div><div class="wcst-summary-card"><h4>${ __( 'Warnings', 'doctor-subs' ) }</h4><div class="value">${ summary.statistics.warnings }</div></div></div>` );
+            }
+            
+            // Issues List
+            if ( summary.issues && summary.issues.length > 0 ) {
+                const issues = summary.issues.map( ( issue ) => {
+                    // Map severity levels to CSS classes
+                    let severityClass = 'info';
+                    if ( 'critical' === issue.severity || 'error' === issue.severity || 'high' === issue.severity ) {
+                        severityClass = 'error'; // Red
+                    } else if ( 'warning' === issue.severity || 'medium' === issue.severity ) {
+                        severityClass = 'warning'; // Yellow
+                    } else {
+                        severityClass = 'info'; // Blue/Gray
+                    }
+                    const fix = issue.playbook
+                        ? this.html`<p><button type="button" class="button button-small wcst-playbook-preview-btn" data-playbook="${ issue.playbook }" data-issue-type="${ issue.type }">${ __( 'Fix…', 'doctor-subs' ) }</button></p><div class="wcst-playbook-preview"></div>`
+                        : '';
+                    return this.html`<div class="wcst-issue-item wcst-status-${ severityClass }"><h4>${ issue.title }</h4><p>${ issue.description }</p>${ fix }</div>`;
+                } );
+                html.push( this.html`<h3>${ __( 'Issues Detected', 'doctor-subs' ) }</h3>` );
+                html.push( this.html`<div class="wcst-issues-list">${ issues }</div>` );
+            } else {
+                html.push( this.html`<div class="wcst-no-issues"><h3>${ __( 'No Issues Detected', 'doctor-subs' ) }</h3><p>${ __( 'This subscription appears to be functioning normally.', 'doctor-subs' ) }</p></div>` );
+            }
+            
+            return this.html`${ html }`;
+        },
+
+        renderHealthScore: function( health ) {
+            const score = parseInt( health.score, 10 );
+            const gauge = this.html`<div class="wcst-health-gauge wcst-health-${ health.band }" style="--wcst-health: ${ score };" role="img" aria-label="${ sprintf( /* translators: 1: health score, 2: health band */ __( 'Health score %1$d of 100, %2$s', 'doctor-subs' ), score, this.getHealthBandLabel( health.band ) ) }"><span class="wcst-health-gauge-value">${ score }</span><span class="wcst-health-gauge-label">${ this.getHealthBandLabel( health.band ) }</span></div>`;
+            
+            if ( ! health.factors.length ) {
+                return this.html`<div class="wcst-health">${ gauge }<p class="description">${ __( 'No issues are taking points off this subscription.', 'doctor-subs' ) }</p></div>`;
+            }
+            
+            const rows = health.factors.map( factor => this.html`<tr><td>${ factor.label }</td><td><span class="wcst-status-badge ${ this.getSeverityClass( factor.severity ) }">${ factor.severity }</span></td><td>${ factor.date ? this.formatDate( factor.date ) : __( 'Current', 'doctor-subs' ) }</td><td>${ factor.severity_weight } × ${ factor.type_weight } × ${ factor.recency }</td><td>−${ factor.penalty }</td></tr>` );
+            
+            return this.html`<div class="wcst-health">${ gauge }<table class="wcst-data-table wcst-health-factors"><tr><th>${ __( 'Issue', 'doctor-subs' ) }</th><th>${ __( 'Severity', 'doctor-subs' ) }</th><th>${ __( 'Date', 'doctor-subs' ) }</th><th title="${ __( 'Severity weight × type weight × recency', 'doctor-subs' ) }">${ __( 'Weighting', 'doctor-subs' ) }</th><th>${ __( 'Points Lost', 'doctor-subs' ) }</th></tr>${ rows }</table></div>`;
+        },
+
+        getHealthBandLabel: function( band ) {
+            const labels = {
+                healthy: __( 'Healthy', 'doctor-subs' ),
+                warning: __( 'Needs Attention', 'doctor-subs' ),
+                critical: __( 'Critical', 'doctor-subs' )
+            };
+            
+            return labels[ band ] || band;
+        },
+
+        
+
+        handlePlaybookPreviewClick: function( e ) {
+            e.preventDefault();
+            
+            const $button = $( e.currentTarget );
+            const $preview = $button.closest( '.wcst-issue-item' ).find( '.wcst-playbook-preview' );
+            
+            $button.prop( 'disabled', true );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_run_playbook',
+                    subscription_id: this.currentSubscriptionId,
+                    playbook: $button.data( 'playbook' ),
+                    dry_run: true,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.render( $preview, this.renderPlaybookPreview( response.data, $button.data( 'issue-type' ) ) );
+                    } else {
+                        this.showNotice( 'error', response.data || __( 'Fix preview failed.', 'doctor-subs' ) );
+                    }
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Fix preview failed. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    $button.prop( 'disabled', false );
+                }
+            } );
+        },
+
+        renderPlaybookPreview: function( preview, issueType ) {
+            const rows = preview.changes.map( ( change ) => {
+                const values = [ change.before, change.after ].map( value => ( null === value ? '—' : ( change.is_date ? this.formatDate( value ) : value ) ) );
+                
+                return this.html`<tr class="wcst-fix-changed"><td>${ change.label }</td><td>${ values[ 0 ] }</td><td>${ values[ 1 ] }</td></tr>`;
+            } );
+            const changes = rows.length
+                ? this.html`<table class="wcst-data-table wcst-fix-diff"><tr><th>${ __( 'Field', 'doctor-subs' ) }</th><th>${ __( 'Current', 'doctor-subs' ) }</th><th>${ __( 'After Fix', 'doctor-subs' ) }</th></tr>${ rows }</table>`
+                : '';
+            const apply = preview.can_apply
+                ? this.html`<button type="button" class="button button-primary wcst-playbook-apply-btn" data-playbook="${ preview.playbook }" data-issue-type="${ issueType }" data-title="${ preview.title }">${ __( 'Apply Fix', 'doctor-subs' ) }</button>`
+                : '';
+            
+            return this.html`<h5>${ preview.title }</h5><div class="${ preview.can_apply ? 'wcst-info' : 'wcst-warning' }">${ preview.message }</div>${ changes }${ apply }`;
+        },
+
+        handlePlaybookApplyClick: function( e ) {
+            e.preventDefault();
+            
+            const $button = $( e.currentTarget );
+            const subscriptionId = this.currentSubscriptionId;
+            
+            /* translators: %s: fix title */
+            if ( ! confirm( sprintf( __( '%s? The changes listed in the preview are made right away and recorded as a subscription note.', 'doctor-subs' ), $button.data( 'title' ) ) ) ) {
+                return;
+            }
+            
+            $( '.wcst-playbook-preview-btn, .wcst-playbook-apply-btn' ).prop( 'disabled', true );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_run_playbook',
+                    subscription_id: subscriptionId,
+                    playbook: $button.data( 'playbook' ),
+                    dry_run: false,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( ! response.success ) {
+                        this.showNotice( 'error', response.data || __( 'Fix application failed.', 'doctor-subs' ) );
+                        return;
+                    }
+                    
+                    // Analyze again so the summary shows whether the issue has cleared.
+                    this.playbookCheck = {
+                        subscriptionId: subscriptionId,
+                        issueType: $button.data( 'issue-type' ),
+                        message: response.data.message
+                    };
+                    this.showSuccess( response.data.message );
+                    this.analyzeSubscription( subscriptionId );
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Fix application failed. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    $( '.wcst-playbook-preview-btn, .wcst-playbook-apply-btn' ).prop( 'disabled', false );
+                }
+            } );
+        },
+
+        verifyPlaybook: function( summary ) {
+            const check = this.playbookCheck;
+            
+            this.playbookCheck = null;
+            
+            if ( ! check || String( check.subscriptionId ) !== String( this.currentSubscriptionId ) ) {
+                return;
+            }
+            
+            if ( ( summary.issues || [] ).some( issue => issue.type === check.issueType ) ) {
+                /* translators: %s: result of the applied fix */
+                this.showNotice( 'warning', sprintf( __( '%s The new analysis still reports this issue; review it in the summary below.', 'doctor-subs' ), check.message ) );
+            } else {
+                /* translators: %s: result of the applied fix */
+                this.showSuccess( sprintf( __( '%s The new analysis confirms the issue has cleared.', 'doctor-subs' ), check.message ) );
+            }
+        },
+
+        showProgress: function() {
+            $( '#wcst-progress' ).show();
+            $( '#wcst-results' ).hide();
+            $( '.wcst-step' ).removeClass( 'active completed failed' );
+            $( '.wcst-step .wcst-retry-stage' ).prop( 'hidden', true );
+        },
+
+        hideProgress: function() {
+            $( '#wcst-progress' ).hide();
+        },
+
+        showSuccess: function( message ) {
+            this.showNotice( 'success', message );
+        },
+
+        showNotice: function( type, message ) {
+            this.render( '#wcst-notices', this.html`<div class="notice notice-${ type } wcst-notice"><p>${ message }</p></div>` );
+        },
+
+        // Helper functions
+        getStatusClass: function( status ) {
+            const statusMap = {
+                'active': 'success',
+                'on-hold': 'warning',
+                'cancelled': 'error',
+                'expired': 'error',
+                'pending': 'warning'
+            };
+            return statusMap[ status ] || 'info';
+        },
+
+        escapeHtml: function( value ) {
+            return String( null === value || undefined === value ? '' : value )
+                .replace( /&/g, '&amp;' )
+                .replace( /</g, '&lt;' )
+                .replace( />/g, '&gt;' )
+                .replace( /"/g, '&quot;' )
+                .replace( /'/g, '&#039;' );
+        },
+
+        // Escape-safe rendering: every value interpolated into html`` is escaped, unless it
+        // is markup from another html`` (or an array of them) or explicitly passed through raw().
+        html: function( strings, ...values ) {
+            return new SafeHtml( strings.reduce( ( markup, string, index ) => markup + this.toHtml( values[ index - 1 ] ) + string ) );
+        },
+
+        raw: function( markup ) {
+            return new SafeHtml( markup );
+        },
+
+        toHtml: function( value ) {
+            if ( value instanceof SafeHtml ) {
+                return value.markup;
+            }
+            if ( Array.isArray( value ) ) {
+                return value.map( item => this.toHtml( item ) ).join( '' );
+            }
+            return this.escapeHtml( value );
+        },
+
+        // sprintf() for markup: the format and plain arguments are escaped, while markup
+        // arguments such as formatDate() keep their elements.
+        formatHtml: function( format, ...args ) {
+            return this.raw( sprintf( this.toHtml( format ), ...args.map( arg => this.toHtml( arg ) ) ) );
+        },
+
+        render: function( target, content ) {
+            return $( target ).html( this.toHtml( content ) );
+        },
+
+        renderSupportIcon: function( supported ) {
+            return supported ? '✅ ' + __( 'Yes', 'doctor-subs' ) : '❌ ' + __( 'No', 'doctor-subs' );
+        },
+
+        parseDate: function( value ) {
+            if ( 'number' === typeof value ) {
+                return value;
+            }
+            
+            // Dates come as ISO 8601 with an offset; older values without one are GMT.
+            const date = String( value ).trim().replace( ' ', 'T' );
+            
+            return Date.parse( /T[\d:.]+$/.test( date ) ? date + 'Z' : date );
+        },
+
+        getStoreOffset: function( time ) {
+            const timezone = wcst_ajax.timezone || 'UTC';
+            const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec( timezone );
+            const parts = {};
+            
+            // Stores set to a manual UTC offset have no named timezone to look up.
+            if ( fixed ) {
+                return ( '-' === fixed[1] ? -1 : 1 ) * ( parseInt( fixed[2], 10 ) * 60 + parseInt( fixed[3], 10 ) );
+            }
+            
+            try {
+                new Intl.DateTimeFormat( 'en-US', { timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' } )
+                    .formatToParts( new Date( time ) )
+                    .forEach( ( part ) => {
+                        parts[ part.type ] = parseInt( part.value, 10 );
+                    } );
+            } catch ( e ) {
+                return 0;
+            }
+            
+            return Math.round( ( Date.UTC( parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second ) - Math.floor( time / 1000 ) * 1000 ) / 60000 );
+        },
+
+        formatTimestamp: function( time, zone, format ) {
+            const offset = 'utc' === zone ? 0 : this.getStoreOffset( time );
+            const iso = new Date( time + offset * 60000 ).toISOString();
+            const pad = number => String( number ).padStart( 2, '0' );
+            
+            if ( 'day' === format ) {
+                return iso.slice( 0, 10 );
+            }
+            if ( 'utc' === zone ) {
+                return iso.slice( 0, 19 ).replace( 'T', ' ' ) + ' UTC';
+            }
+            
+            return `${ iso.slice( 0, 19 ).replace( 'T', ' ' ) } ${ offset < 0 ? '-' : '+' }${ pad( Math.floor( Math.abs( offset ) / 60 ) ) }:${ pad( Math.abs( offset ) % 60 ) }`;
+        },
+
+        formatDateTitle: function( time ) {
+            const timezone = wcst_ajax.timezone || 'UTC';
+            const store = this.formatTimestamp( time, 'store' );
+            
+            // A manual UTC offset is already shown in the timestamp itself.
+            return [ /^[+-]/.test( timezone ) ? store : `${ store } (${ timezone })`, this.formatTimestamp( time, 'utc' ) ].join( ' / ' );
+        },
+
+        formatDateText: function( value, format ) {
+            if ( ! value || 'N/A' === value ) {
+                return __( 'N/A', 'doctor-subs' );
+            }
+            
+            const time = this.parseDate( value );
+            
+            if ( isNaN( time ) ) {
+                return String( value );
+            }
+            if ( 'relative' !== this.dateMode ) {
+                return this.formatTimestamp( time, this.dateMode, format );
+            }
+            
+            return 'day' === format ? this.formatTimestamp( time, 'store', format ) : this.formatRelativeDate( time );
+        },
+
+        // A <time> element showing the date in the current mode, with the full timestamp on hover.
+        formatDate: function( value, format ) {
+            const time = value && 'N/A' !== value ? this.parseDate( value ) : NaN;
+            
+            if ( isNaN( time ) ) {
+                return this.formatDateText( value );
+            }
+            
+            return this.html`<time class="wcst-date" datetime="${ new Date( time ).toISOString() }"${ format ? this.html` data-format="${ format }"` : '' } title="${ this.formatDateTitle( time ) }">${ this.formatDateText( time, format ) }</time>`;
+        },
+
+        formatRelativeDate: function( time ) {
+            const diffDays = Math.ceil( ( time - Date.now() ) / ( 1000 * 60 * 60 * 24 ) );
+            
+            // If it's a future date, show relative time
+            if ( diffDays > 0 ) {
+                if ( diffDays === 1 ) {
+                    return __( 'Tomorrow', 'doctor-subs' );
+                } else if ( diffDays <= 7 ) {
+                    /* translators: %d: number of days */
+                    return sprintf( _n( 'In %d day', 'In %d days', diffDays, 'doctor-subs' ), diffDays );
+                } else if ( diffDays <= 30 ) {
+                    const weeks = Math.ceil( diffDays / 7 );
+                    /* translators: %d: number of weeks */
+                    return sprintf( _n( 'In %d week', 'In %d weeks', weeks, 'doctor-subs' ), weeks );
+                }
+            } else if ( diffDays < 0 ) {
+                // Past date
+                const absDays = Math.abs( diffDays );
+                if ( absDays === 1 ) {
+                    return __( 'Yesterday', 'doctor-subs' );
+                } else if ( absDays <= 7 ) {
+                    /* translators: %d: number of days */
+                    return sprintf( _n( '%d day ago', '%d days ago', absDays, 'doctor-subs' ), absDays );
+                }
+            } else {
+                return __( 'Today', 'doctor-subs' );
+            }
+            
+            return this.formatTimestamp( time, 'store', 'day' );
+        },
+
+
+
+
+
+
+        displayYearOverYear: function( analysis ) {
+            const container = $( '#wcst-year-over-year-content' );
+            const years = analysis && Array.isArray( analysis.years ) ? analysis.years : [];
+            const issues = Object.keys( analysis || {} ).filter( key => /^\d+$/.test( key ) ).map( key => analysis[ key ] );
+            
+            if ( 0 === years.length ) {
+                this.render( container, this.html`<p>${ __( 'No renewal history or billing schedule to compare yet.', 'doctor-subs' ) }</p>` );
+                return;
+            }
+            
+            const currency = this.analysisData && this.analysisData.anatomy ? this.analysisData.anatomy.basic_info.currency : '';
+            const html = [];
+            
+            html.push( this.html`<div class="wcst-yoy-charts">${ this.renderYearOverYearChart( years, __( 'Renewals', 'doctor-subs' ), 'expected_renewals', 'actual_renewals', value => String( value ) ) }${ this.renderYearOverYearChart( years, __( 'Revenue', 'doctor-subs' ), 'expected_revenue', 'actual_revenue', value => value.toFixed( 2 ) + ' ' + currency ) }</div>` );
+            html.push( this.html`<p class="wcst-yoy-legend"><span class="wcst-yoy-swatch expected"></span> ${ __( 'Expected', 'doctor-subs' ) } <span class="wcst-yoy-swatch actual"></span> ${ __( 'Actual', 'doctor-subs' ) } <span class="wcst-yoy-swatch missing"></span> ${ __( 'Missing renewals — click a year to zoom the timeline to it.', 'doctor-subs' ) }</p>` );
+            
+            if ( issues.length > 0 ) {
+                html.push( this.html`<div class="wcst-issues-list">${ issues.map( issue => this.html`<div class="wcst-issue-item wcst-status-${ issue.severity || 'warning' }"><p><strong>⚠️ ${ issue.description }</strong></p><p><small>${ issue.recommendation }</small></p></div>` ) }</div>` );
+            } else {
+                html.push( this.html`<p class="wcst-status-healthy">✅ ${ __( 'No year-over-year issues detected', 'doctor-subs' ) }</p>` );
+            }
+            
+            this.render( container, html );
+        },
+
+        renderYearOverYearChart: function( years, title, expectedKey, actualKey, formatValue ) {
+            const groupWidth = 70;
+            const barWidth = 22;
+            const chartHeight = 140;
+            const top = 25;
+            const width = Math.max( 280, years.length * groupWidth + 20 );
+            const height = top + chartHeight + 30;
+            const max = Math.max( 1, ...years.map( row => Math.max( row[ expectedKey ], row[ actualKey ] ) ) );
+            
+            const groups = years.map( ( row, index ) => {
+                const x = 10 + index * groupWidth;
+                const expectedHeight = Math.round( ( row[ expectedKey ] / max ) * chartHeight );
+                const actualHeight = Math.round( ( row[ actualKey ] / max ) * chartHeight );
+                /* translators: 1: year, 2: expected value, 3: actual value */
+                const label = sprintf( __( '%1$s: expected %2$s, actual %3$s', 'doctor-subs' ), row.year, formatValue( row[ expectedKey ] ), formatValue( row[ actualKey ] ) );
+                
+                return this.html`<g class="wcst-yoy-year${ row.missing ? ' missing' : '' }" data-year="${ row.year }" role="button" tabindex="0" aria-label="${ label }"><title>${ label }</title><rect class="wcst-yoy-hit" x="${ x }" y="${ top }" width="${ groupWidth - 10 }" height="${ chartHeight }" /><rect class="wcst-yoy-bar expected" x="${ x + 5 }" y="${ top + chartHeight - expectedHeight }" width="${ barWidth }" height="${ expectedHeight }" /><rect class="wcst-yoy-bar actual" x="${ x + 5 + barWidth }" y="${ top + chartHeight - actualHeight }" width="${ barWidth }" height="${ actualHeight }" /><text class="wcst-yoy-label" x="${ x + 5 + barWidth }" y="${ top + chartHeight + 18 }" text-anchor="middle">${ row.year }</text></g>`;
+            } );
+            
+            return this.html`<svg class="wcst-yoy-chart" width="${ width }" height="${ height }" viewBox="0 0 ${ width } ${ height }" role="img" aria-label="${ sprintf( /* translators: %s: chart title */ __( '%s: expected vs actual per year', 'doctor-subs' ), title ) }"><text class="wcst-yoy-title" x="10" y="15">${ title }</text><line class="wcst-yoy-axis" x1="10" y1="${ top + chartHeight }" x2="${ width - 10 }" y2="${ top + chartHeight }" />${ groups }</svg>`;
+        },
+
+        handleYearOverYearClick: function( e ) {
+            if ( 'keydown' === e.type && 13 !== e.which && 32 !== e.which ) {
+                return;
+            }
+            e.preventDefault();
+            
+            const year = parseInt( $( e.currentTarget ).data( 'year' ), 10 );
+            
+            // Years are counted in UTC on the server.
+            this.timelineRange = {
+                start: Date.UTC( year, 0, 1 ),
+                end: Date.UTC( year + 1, 0, 1 ) - 1
+            };
+            
+            // Stages fail on their own, so the year chart can be there without a timeline; the range applies once it loads.
+            if ( ! this.analysisData || ! this.analysisData.timeline ) {
+                this.showNotice( 'warning', __( 'The timeline has not loaded. Retry the timeline step to see this year.', 'doctor-subs' ) );
+                return;
+            }
+            
+            this.renderTimelineView();
+            $( '.wcst-main-tab[data-tab="step3"]' ).trigger( 'click' );
+        },
+
+        // Bulk reports
+        handleGenerateReportClick: function( e ) {
+            e.preventDefault();
+            
+            const filters = {
+                report_type: $( '#wcst-report-type' ).val(),
+                status: $( '#wcst-status-filter' ).val(),
+                gateway: $( '#wcst-gateway-filter' ).val(),
+                date_from: $( '#wcst-date-from' ).val(),
+                date_to: $( '#wcst-date-to' ).val(),
+                limit: $( '#wcst-limit' ).val()
+            };
+            
+            this.generateBulkReport( filters );
+        },
+
+        generateBulkReport: function( filters ) {
+            this.bulkReport = {
+                id: null,
+                totalCount: 0,
+                rows: [],
+                sortKey: 'health_score',
+                sortDir: 'asc',
+                page: 1
+            };
+
+            $( '#wcst-generate-report-btn' ).prop( 'disabled', true );
+            $( '#wcst-bulk-results, #wcst-bulk-export' ).hide();
+            this.updateBulkProgress( 0, 0 );
+            $( '#wcst-bulk-progress' ).show();
+
+            this.requestBulkReportBatch( filters );
+        },
+
+        requestBulkReportBatch: function( filters ) {
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_generate_bulk_report',
+                    report_id: this.bulkReport.id || '',
+                    filters: filters,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( ! response.success ) {
+                        this.finishBulkReport( response.data || __( 'Bulk report generation failed.', 'doctor-subs' ) );
+                        return;
+                    }
+
+                    this.bulkReport.id = response.data.report_id;
+                    this.bulkReport.totalCount = response.data.total_count;
+                    this.bulkReport.rows = this.bulkReport.rows.concat( response.data.rows );
+                    this.updateBulkProgress( response.data.scanned, response.data.total_count );
+
+                    if ( response.data.done ) {
+                        this.finishBulkReport();
+                    } else {
+                        this.requestBulkReportBatch( filters );
+                    }
+                },
+                error: () => {
+                    this.finishBulkReport( __( 'Bulk report generation failed. Please try again.', 'doctor-subs' ) );
+                }
+            } );
+        },
+
+        finishBulkReport: function( errorMessage ) {
+            $( '#wcst-generate-report-btn' ).prop( 'disabled', false );
+            $( '#wcst-bulk-progress' ).hide();
+
+            if ( errorMessage ) {
+                this.render( '#wcst-bulk-report-content', this.html`<div class="wcst-error">${ errorMessage }</div>` );
+                $( '#wcst-bulk-results' ).show();
+                return;
+            }
+
+            $( '#wcst-bulk-export' ).show();
+            this.renderBulkReport();
+        },
+
+        renderBulkReport: function() {
+            this.displayBulkReport( {
+                total_count: this.bulkReport.totalCount,
+                report_data: this.bulkReport.rows
+            } );
+        },
+
+        updateBulkProgress: function( scanned, total ) {
+            const percent = total > 0 ? Math.round( ( scanned / total ) * 100 ) : 0;
+            $( '#wcst-bulk-progress .wcst-bulk-progress-bar span' ).css( 'width', percent + '%' );
+            $( '#wcst-bulk-progress .wcst-bulk-progress-text' ).text(
+                /* translators: 1: number of subscriptions scanned, 2: total number of subscriptions */
+                total > 0 ? sprintf( _n( 'Scanned %1$d of %2$d subscription…', 'Scanned %1$d of %2$d subscriptions…', total, 'doctor-subs' ), scanned, total ) : __( 'Finding subscriptions…', 'doctor-subs' )
+            );
+        },
+
+        displayBulkReport: function( data ) {
+            $( '#wcst-bulk-results' ).show();
+            
+            const container = $( '#wcst-bulk-report-content' );
+            const rows = this.sortBulkRows( data.report_data || [] );
+            const withIssues = rows.filter( item => item.issues.length > 0 ).length;
+            const critical = rows.filter( item => 'critical' === item.severity ).length;
+            const html = [];
+            
+            html.push( this.html`<h4>${ __( 'Report Summary', 'doctor-subs' ) }</h4>` );
+            html.push( this.html`<div class="wcst-summary-cards"><div class="wcst-summary-card"><h4>${ __( 'Analyzed', 'doctor-subs' ) }</h4><div class="value">${ data.total_count }</div></div><div class="wcst-summary-card"><h4>${ __( 'With Issues', 'doctor-subs' ) }</h4><div class="value">${ withIssues }</div></div><div class="wcst-summary-card"><h4>${ __( 'Critical', 'doctor-subs' ) }</h4><div class="value">${ critical }</div></div></div>` );
+            
+            if ( rows.length > 0 ) {
+                const pageCount = Math.ceil( rows.length / this.bulkPageSize );
+                const page = Math.min( this.bulkReport.page, pageCount );
+                const pageRows = rows.slice( ( page - 1 ) * this.bulkPageSize, page * this.bulkPageSize );
+                const headers = [
+                    this.renderBulkSortHeader( 'subscription_id', __( 'Subscription ID', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'customer_email', __( 'Customer', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'gateway', __( 'Gateway', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'last_renewal', __( 'Last Renewal', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'expected_next', __( 'Expected Next', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'actual_next', __( 'Actual Next', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'status', __( 'Status', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'health_score', __( 'Health', 'doctor-subs' ) ),
+                    this.renderBulkSortHeader( 'severity', __( 'Issues', 'doctor-subs' ) )
+                ];
+                const body = pageRows.map( item => this.html`<tr><td><a href="${ item.analyze_url }" class="wcst-analyze-link" data-id="${ item.subscription_id }">#${ item.subscription_id }</a></td><td>${ item.customer_email || item.customer_name || __( 'N/A', 'doctor-subs' ) }</td><td>${ item.gateway || __( 'N/A', 'doctor-subs' ) }</td><td>${ item.last_renewal ? this.formatDate( item.last_renewal ) : __( 'N/A', 'doctor-subs' ) }</td><td>${ item.expected_next ? this.formatDate( item.expected_next ) : __( 'N/A', 'doctor-subs' ) }</td><td>${ item.actual_next ? this.formatDate( item.actual_next ) : __( 'N/A', 'doctor-subs' ) }</td><td><span class="wcst-status-badge ${ this.getStatusClass( item.status ) }">${ item.status }</span></td><td><span class="wcst-health-score wcst-health-${ item.health_band }" title="${ this.getHealthBandLabel( item.health_band ) }">${ item.health_score }</span></td><td>${ this.renderBulkIssues( item.issues ) }</td></tr>` );
+                
+                html.push( this.html`<table class="wp-list-table widefat fixed striped wcst-bulk-table"><thead><tr>${ headers }</tr></thead><tbody>${ body }</tbody></table>` );
+                html.push( this.renderBulkPagination( page, pageCount ) );
+            } else {
+                html.push( this.html`<p class="wcst-status-healthy">${ __( 'No subscriptions matched the scan filters.', 'doctor-subs' ) }</p>` );
+            }
+            
+            this.render( container, html );
+        },
+
+        renderBulkSortHeader: function( key, label ) {
+            let indicator = '';
+            if ( this.bulkReport.sortKey === key ) {
+                indicator = 'asc' === this.bulkReport.sortDir ? ' ▲' : ' ▼';
+            }
+            return this.html`<th><a href="#" class="wcst-bulk-sort" data-sort="${ key }">${ label }${ indicator }</a></th>`;
+        },
+
+        renderBulkIssues: function( issues ) {
+            if ( ! issues || 0 === issues.length ) {
+                return this.html`<span class="wcst-status-badge success">${ __( 'None', 'doctor-subs' ) }</span>`;
+            }
+
+            const items = issues.map( issue => this.html`<li class="wcst-status-${ 'critical' === issue.severity ? 'error' : issue.severity }">${ issue.description || issue.type }</li>` );
+
+            return this.html`<ul class="wcst-bulk-issues">${ items }</ul>`;
+        },
+
+        renderBulkPagination: function( page, pageCount ) {
+            if ( pageCount <= 1 ) {
+                return '';
+            }
+
+            return this.html`<div class="wcst-bulk-pagination"><button type="button" class="button wcst-bulk-page" data-page="${ page - 1 }"${ page <= 1 ? this.html` disabled` : '' }>‹ ${ __( 'Previous', 'doctor-subs' ) }</button><span class="wcst-bulk-page-info">${ sprintf( /* translators: 1: current page, 2: number of pages */ __( 'Page %1$d of %2$d', 'doctor-subs' ), page, pageCount ) }</span><button type="button" class="button wcst-bulk-page" data-page="${ page + 1 }"${ page >= pageCount ? this.html` disabled` : '' }>${ __( 'Next', 'doctor-subs' ) } ›</button></div>`;
+        },
+
+        sortBulkRows: function( rows ) {
+            const key = this.bulkReport.sortKey;
+            const direction = 'asc' === this.bulkReport.sortDir ? 1 : -1;
+            const severityRank = { healthy: 0, info: 1, warning: 2, critical: 3 };
+
+            const valueOf = ( row ) => {
+                if ( 'severity' === key ) {
+                    // Rank by worst severity, then by number of issues.
+                    return ( severityRank[ row.severity ] || 0 ) * 1000 + row.issues.length;
+                }
+                if ( 'subscription_id' === key || 'health_score' === key ) {
+                    return parseInt( row[ key ], 10 );
+                }
+                if ( -1 !== [ 'last_renewal', 'expected_next', 'actual_next' ].indexOf( key ) ) {
+                    // Missing dates sort before every real one.
+                    return row[ key ] ? this.parseDate( row[ key ] ) : -Infinity;
+                }
+                return ( row[ key ] || '' ).toString().toLowerCase();
+            };
+
+            return rows.slice().sort( ( a, b ) => {
+                const valueA = valueOf( a );
+                const valueB = valueOf( b );
+                if ( valueA === valueB ) {
+                    return 0;
+                }
+                return valueA > valueB ? direction : -direction;
+            } );
+        },
+
+        handleBulkSortClick: function( e ) {
+            e.preventDefault();
+
+            const key = $( e.currentTarget ).data( 'sort' );
+            if ( this.bulkReport.sortKey === key ) {
+                this.bulkReport.sortDir = 'asc' === this.bulkReport.sortDir ? 'desc' : 'asc';
+            } else {
+                this.bulkReport.sortKey = key;
+                this.bulkReport.sortDir = 'asc';
+            }
+            this.bulkReport.page = 1;
+
+            this.renderBulkReport();
+        },
+
+        handleBulkPageClick: function( e ) {
+            e.preventDefault();
+
+            this.bulkReport.page = parseInt( $( e.currentTarget ).data( 'page' ), 10 ) || 1;
+            this.renderBulkReport();
+        },
+
+        handleAnalyzeLinkClick: function( e ) {
+            // Let modified clicks open the nonce'd link in a new tab.
+            if ( e.ctrlKey || e.metaKey || e.shiftKey || 1 !== e.which ) {
+                return;
+            }
+            e.preventDefault();
+
+            const subscriptionId = $( e.currentTarget ).data( 'id' );
+            this.showScreen( 'wcst-screen-analyze' );
+            $( '#wcst-subscription-search' ).val( subscriptionId );
+            this.analyzeSubscription( subscriptionId );
+        },
+
+        handleExportReportClick: function( e ) {
+            e.preventDefault();
+            
+            if ( ! this.bulkReport || ! this.bulkReport.id ) {
+                return;
+            }
+            
+            // The server streams the stored report; the browser just follows the download.
+            window.location.href = wcst_ajax.ajax_url + '?' + $.param( {
+                action: 'wcst_export_bulk_report',
+                report_id: this.bulkReport.id,
+                format: $( e.currentTarget ).data( 'format' ),
+                nonce: wcst_ajax.nonce
+            } );
+        },
+
+        // Fixing tools
+        handlePreviewFixClick: function( e ) {
+            e.preventDefault();
+            
+            const subscriptionId = $( '#wcst-fix-search' ).val().trim();
+            
+            if ( ! subscriptionId ) {
+                this.showNotice( 'error', __( 'Please enter a subscription ID.', 'doctor-subs' ) );
+                return;
             }
             
-            return html;
+            this.previewFix( subscriptionId );
         },
 
-        
-
-        showProgress: function() {
-            $( '#wcst-progress' ).show();
-            $( '#wcst-results' ).hide();
-            this.updateProgress( 1 );
+        previewFix: function( subscriptionId ) {
+            this.setFixBusy( true );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_fix_subscription',
+                    subscription_id: subscriptionId,
+                    fix_type: 'payment_date',
+                    dry_run: true,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.displayFixPreview( response.data );
+                        this.displayFixHistory( response.data.subscription_id, response.data.history );
+                    } else {
+                        this.showNotice( 'error', response.data || __( 'Fix preview failed.', 'doctor-subs' ) );
+                    }
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Fix preview failed. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    this.setFixBusy( false );
+                }
+            } );
         },
 
-        hideProgress: function() {
-            $( '#wcst-progress' ).hide();
+        displayFixPreview: function( data ) {
+            this.render( '.wcst-fix-preview-content', this.html`<h4>${ __( 'Fix Preview', 'doctor-subs' ) }</h4><div class="${ data.can_apply ? 'wcst-info' : 'wcst-warning' }">${ data.message }</div>${ this.renderFixDiff( data.changes, __( 'Current', 'doctor-subs' ), __( 'After Fix', 'doctor-subs' ) ) }` );
+            $( '#wcst-apply-fix-btn' ).toggle( !! data.can_apply ).data( 'subscription-id', data.subscription_id );
+            $( '#wcst-fix-preview' ).show();
         },
 
-        updateProgress: function( step ) {
-            $( '.wcst-step' ).removeClass( 'active completed' );
+        renderFixDiff: function( changes, beforeLabel, afterLabel ) {
+            const rows = ( changes || [] ).map( change => this.html`<tr class="${ change.changed ? 'wcst-fix-changed' : '' }"><td>${ change.label }</td><td>${ change.before ? this.formatDate( change.before ) : '—' }</td><td>${ change.after ? this.formatDate( change.after ) : '—' }</td></tr>` );
             
-            for ( let i = 1; i <= step; i++ ) {
-                const $step = $( '.wcst-step[data-step="' + i + '"]' );
-                if ( i === step ) {
-                    $step.addClass( 'active' );
-                } else {
-                    $step.addClass( 'completed' );
-                }
-            }
+            return this.html`<table class="wcst-data-table wcst-fix-diff"><tr><th>${ __( 'Field', 'doctor-subs' ) }</th><th>${ beforeLabel }</th><th>${ afterLabel }</th></tr>${ rows }</table>`;
         },
 
-        updateProgressComplete: function() {
-            $( '.wcst-step' ).removeClass( 'active' ).addClass( 'completed' );
+        displayFixHistory: function( subscriptionId, history ) {
+            const container = $( '#wcst-fix-history' );
+            
+            if ( ! history || 0 === history.length ) {
+                container.hide().empty();
+                return;
+            }
+            
+            const rows = history.map( ( record ) => {
+                const action = record.undone
+                    ? this.html`<span class="wcst-status-badge info">${ this.formatHtml( /* translators: %s: date the fix was undone */ __( 'Undone %s', 'doctor-subs' ), this.formatDate( record.undone ) ) }</span>`
+                    : this.html`<button type="button" class="button wcst-undo-fix-btn" data-subscription-id="${ subscriptionId }" data-undo-id="${ record.id }">${ __( 'Undo', 'doctor-subs' ) }</button>`;
+                
+                return this.html`<tr><td>${ this.formatDate( record.applied ) }</td><td>${ record.user }</td><td>${ record.before.next_payment ? this.formatDate( record.before.next_payment ) : '—' }</td><td>${ record.after.next_payment ? this.formatDate( record.after.next_payment ) : '—' }</td><td>${ action }</td></tr>`;
+            } );
+            
+            this.render( container, this.html`<h4>${ __( 'Applied Fixes', 'doctor-subs' ) }</h4><table class="wcst-data-table"><tr><th>${ __( 'Applied', 'doctor-subs' ) }</th><th>${ __( 'By', 'doctor-subs' ) }</th><th>${ __( 'Next Payment Before', 'doctor-subs' ) }</th><th>${ __( 'Next Payment After', 'doctor-subs' ) }</th><th></th></tr>${ rows }</table>` ).show();
         },
 
-        showError: function( message ) {
-            // Show error in results area.
-            const html = '<div class="wcst-error">' + message + '</div>';
-            $( '#wcst-results' ).html( html ).show();
-            $( '#wcst-progress' ).hide();
+        handleApplyFixClick: function( e ) {
+            e.preventDefault();
             
-            // Also show error near search input for better visibility.
-            $( '#wcst-search-results' ).html( '<div class="wcst-error" style="margin-top: 10px; padding: 10px; background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; border-radius: 4px;">' + message + '</div>' ).show();
+            const subscriptionId = $( e.currentTarget ).data( 'subscription-id' );
             
-            // Log to console for debugging.
-            if ( window.console ) {
-                console.error( 'Doctor Subs Error:', message );
+            if ( ! subscriptionId ) {
+                return;
+            }
+            
+            if ( confirm( __( 'Apply this fix? The previous dates are saved and can be restored with Undo.', 'doctor-subs' ) ) ) {
+                this.applyFix( subscriptionId );
             }
         },
 
-        // Helper functions
-        getStatusClass: function( status ) {
-            const statusMap = {
-                'active': 'success',
-                'on-hold': 'warning',
-                'cancelled': 'error',
-                'expired': 'error',
-                'pending': 'warning'
-            };
-            return statusMap[ status ] || 'info';
+        applyFix: function( subscriptionId ) {
+            this.setFixBusy( true );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_fix_subscription',
+                    subscription_id: subscriptionId,
+                    fix_type: 'payment_date',
+                    dry_run: false,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.showSuccess( response.data.message );
+                        this.render( '.wcst-fix-preview-content', this.html`<h4>${ __( 'Applied Changes', 'doctor-subs' ) }</h4>${ this.renderFixDiff( response.data.changes, __( 'Before', 'doctor-subs' ), __( 'After', 'doctor-subs' ) ) }` );
+                        $( '#wcst-apply-fix-btn' ).hide();
+                        this.displayFixHistory( response.data.subscription_id, response.data.history );
+                    } else {
+                        this.showNotice( 'error', response.data || __( 'Fix application failed.', 'doctor-subs' ) );
+                    }
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Fix application failed. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    this.setFixBusy( false );
+                }
+            } );
         },
 
-        renderSupportIcon: function( supported ) {
-            return supported ? '✅ Yes' : '❌ No';
+        handleUndoFixClick: function( e ) {
+            e.preventDefault();
+            
+            const $button = $( e.currentTarget );
+            
+            if ( confirm( __( 'Restore the dates recorded before this fix?', 'doctor-subs' ) ) ) {
+                this.undoFix( $button.data( 'subscription-id' ), $button.data( 'undo-id' ) );
+            }
         },
 
-        formatDate: function( dateString ) {
-            if ( ! dateString || 'N/A' === dateString ) {
-                return 'N/A';
-            }
+        undoFix: function( subscriptionId, undoId ) {
+            this.setFixBusy( true );
             
-            try {
-                const date = new Date( dateString );
-                const now = new Date();
-                const diffTime = date.getTime() - now.getTime();
-                const diffDays = Math.ceil( diffTime / ( 1000 * 60 * 60 * 24 ) );
-                
-                // If it's a future date, show relative time
-                if ( diffDays > 0 ) {
-                    if ( diffDays === 1 ) {
-                        return 'Tomorrow';
-                    } else if ( diffDays <= 7 ) {
-                        return `In ${ diffDays } days`;
-                    } else if ( diffDays <= 30 ) {
-                        const weeks = Math.ceil( diffDays / 7 );
-                        return `In ${ weeks } week${ weeks > 1 ? 's' : '' }`;
-                    } else {
-                        return date.toLocaleDateString();
-                    }
-                } else if ( diffDays < 0 ) {
-                    // Past date
-                    const absDays = Math.abs( diffDays );
-                    if ( absDays === 1 ) {
-                        return 'Yesterday';
-                    } else if ( absDays <= 7 ) {
-                        return `${ absDays } days ago`;
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_undo_fix',
+                    subscription_id: subscriptionId,
+                    undo_id: undoId,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.showSuccess( response.data.message );
+                        this.render( '.wcst-fix-preview-content', this.html`<h4>${ __( 'Restored Changes', 'doctor-subs' ) }</h4>${ this.renderFixDiff( response.data.changes, __( 'Before', 'doctor-subs' ), __( 'After', 'doctor-subs' ) ) }` );
+                        $( '#wcst-apply-fix-btn' ).hide();
+                        $( '#wcst-fix-preview' ).show();
+                        this.displayFixHistory( response.data.subscription_id, response.data.history );
                     } else {
-                        return date.toLocaleDateString();
+                        this.showNotice( 'error', response.data || __( 'Undo failed.', 'doctor-subs' ) );
                     }
-                } else {
-                    return 'Today';
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Undo failed. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    this.setFixBusy( false );
                 }
-            } catch ( e ) {
-                return dateString;
-            }
+            } );
         },
 
+        setFixBusy: function( busy ) {
+            $( '#wcst-preview-fix-btn, #wcst-apply-fix-btn, .wcst-undo-fix-btn' ).prop( 'disabled', busy );
+        },
 
-
-        displayManualCompletions: function( completions ) {
-            const container = $( '#wcst-manual-completions-content' );
+        // Batch fixing
+        handleBatchStartClick: function( e ) {
+            e.preventDefault();
+            
+            const dryRun = 'wcst-batch-dry-run-btn' === e.currentTarget.id;
+            const subscriptionIds = this.getBatchSubscriptionIds();
             
-            if ( completions.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">No manual completions detected.</p>' );
+            if ( ! subscriptionIds.length ) {
+                this.showNotice( 'error', __( 'Please enter subscription IDs.', 'doctor-subs' ) );
                 return;
             }
             
-            let html = '<div class="wcst-issues-list">';
-            completions.forEach( completion => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-${ completion.severity }">
-                        <h4>${ completion.description }</h4>
-                        <p><strong>Details:</strong> ${ JSON.stringify( completion.details ) }</p>
-                        <p><strong>Recommendation:</strong> ${ completion.recommendation }</p>
-                    </div>
-                `;
-            } );
-            html += '</div>';
+            if ( ! dryRun && ! confirm( sprintf( /* translators: %d: number of subscriptions */ _n( 'Apply fixes to %d subscription? Each fix can be undone individually from the Repair Tools screen.', 'Apply fixes to %d subscriptions? Each fix can be undone individually from the Repair Tools screen.', subscriptionIds.length, 'doctor-subs' ), subscriptionIds.length ) ) ) {
+                return;
+            }
             
-            container.html( html );
+            this.startBatchFix( subscriptionIds, $( '#wcst-batch-fix-type' ).val(), dryRun );
         },
 
-        displayStatusMismatches: function( mismatches ) {
-            const container = $( '#wcst-status-mismatches-content' );
+        getBatchSubscriptionIds: function() {
+            const idsText = $( '#wcst-batch-subscription-ids' ).val();
+            const ids = idsText.split( /[\s,;]+/ ).map( id => parseInt( id, 10 ) ).filter( id => id > 0 );
+            return ids.filter( ( id, index ) => ids.indexOf( id ) === index );
+        },
+
+        handleBatchCsvChange: function( e ) {
+            const file = e.target.files[ 0 ];
             
-            if ( mismatches.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">No status mismatches detected.</p>' );
+            if ( ! file ) {
                 return;
             }
             
-            let html = '<div class="wcst-issues-list">';
-            mismatches.forEach( mismatch => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-${ mismatch.severity }">
-                        <h4>${ mismatch.description }</h4>
-                        <p><strong>Details:</strong> ${ JSON.stringify( mismatch.details ) }</p>
-                        <p><strong>Recommendation:</strong> ${ mismatch.recommendation }</p>
-                    </div>
-                `;
-            } );
-            html += '</div>';
+            const reader = new FileReader();
+            reader.onload = () => {
+                const ids = this.parseCsvSubscriptionIds( reader.result );
+                this.queueBatchSubscriptionIds( ids );
+                /* translators: 1: number of subscription IDs, 2: file name */
+                this.showSuccess( sprintf( _n( 'Imported %1$d subscription ID from %2$s.', 'Imported %1$d subscription IDs from %2$s.', ids.length, 'doctor-subs' ), ids.length, file.name ) );
+                $( e.target ).val( '' );
+            };
+            reader.readAsText( file );
+        },
+
+        parseCsvSubscriptionIds: function( text ) {
+            const lines = text.split( /\r?\n/ ).filter( line => line.trim() );
+            
+            if ( ! lines.length ) {
+                return [];
+            }
+            
+            // Use the subscription_id (or id) column when there is a header row, otherwise the first column.
+            const header = lines[ 0 ].split( ',' ).map( cell => cell.trim().replace( /^"|"$/g, '' ).toLowerCase() );
+            let column = header.indexOf( 'subscription_id' );
+            if ( -1 === column ) {
+                column = header.indexOf( 'id' );
+            }
+            
+            const rows = -1 === column && /^\d+$/.test( header[ 0 ] ) ? lines : lines.slice( 1 );
+            column = Math.max( column, 0 );
             
-            container.html( html );
+            return rows.map( line => parseInt( ( line.split( ',' )[ column ] || '' ).replace( /"/g, '' ), 10 ) ).filter( id => id > 0 );
         },
 
-        displayActionScheduler: function( scheduler ) {
-            const container = $( '#wcst-action-scheduler-content' );
+        queueBatchSubscriptionIds: function( ids ) {
+            const $field = $( '#wcst-batch-subscription-ids' );
+            const existing = $field.val().trim();
+            $field.val( ( existing ? existing + '\n' : '' ) + ids.join( '\n' ) );
+        },
+
+        handleQueueBatchFixClick: function( e ) {
+            e.preventDefault();
             
-            if ( scheduler.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">No Action Scheduler issues detected.</p>' );
+            if ( ! this.bulkReport ) {
                 return;
             }
             
-            let html = '<div class="wcst-issues-list">';
-            scheduler.forEach( action => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-${ action.severity }">
-                        <h4>${ action.description }</h4>
-                        <p><strong>Details:</strong> ${ JSON.stringify( action.details ) }</p>
-                        <p><strong>Recommendation:</strong> ${ action.recommendation }</p>
-                    </div>
-                `;
-            } );
-            html += '</div>';
+            const ids = this.bulkReport.rows.filter( row => row.issues.length > 0 ).map( row => row.subscription_id );
+            this.queueBatchSubscriptionIds( ids );
+            this.showScreen( 'wcst-screen-repair' );
+            /* translators: %d: number of subscriptions */
+            this.showSuccess( sprintf( _n( 'Queued %d subscription with issues from the fleet scan.', 'Queued %d subscriptions with issues from the fleet scan.', ids.length, 'doctor-subs' ), ids.length ) );
+        },
+
+        startBatchFix: function( subscriptionIds, fixType, dryRun ) {
+            $( '#wcst-batch-dry-run-btn, #wcst-batch-apply-btn' ).prop( 'disabled', true );
+            $( '#wcst-batch-results' ).hide();
             
-            container.html( html );
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_start_batch_fix',
+                    subscription_ids: subscriptionIds.join( ',' ),
+                    fix_type: fixType,
+                    dry_run: dryRun,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.batchJobId = response.data.job_id;
+                        this.updateBatchJob( response.data );
+                    } else {
+                        this.showNotice( 'error', response.data || __( 'Batch fix failed.', 'doctor-subs' ) );
+                        $( '#wcst-batch-dry-run-btn, #wcst-batch-apply-btn' ).prop( 'disabled', false );
+                    }
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Batch fix failed. Please try again.', 'doctor-subs' ) );
+                    $( '#wcst-batch-dry-run-btn, #wcst-batch-apply-btn' ).prop( 'disabled', false );
+                }
+            } );
         },
 
-        displayYearOverYear: function( analysis ) {
-            const container = $( '#wcst-year-over-year-content' );
+        pollBatchJob: function() {
+            clearTimeout( this.batchPollTimeout );
+            this.batchPollTimeout = setTimeout( () => {
+                $.ajax( {
+                    url: wcst_ajax.ajax_url,
+                    type: 'POST',
+                    data: {
+                        action: 'wcst_batch_fix_status',
+                        job_id: this.batchJobId,
+                        nonce: wcst_ajax.nonce
+                    },
+                    success: ( response ) => {
+                        if ( response.success ) {
+                            this.updateBatchJob( response.data );
+                        } else {
+                            this.showNotice( 'error', response.data || __( 'Could not load batch progress.', 'doctor-subs' ) );
+                        }
+                    },
+                    error: () => {
+                        // Keep polling through transient network errors.
+                        this.pollBatchJob();
+                    }
+                } );
+            }, 2000 );
+        },
+
+        handleBatchControlClick: function( e ) {
+            e.preventDefault();
             
-            // Check if analysis is an array and has items
-            if ( ! Array.isArray( analysis ) || analysis.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">✅ No year-over-year issues detected</p>' );
+            const command = $( e.currentTarget ).data( 'command' );
+            
+            if ( 'cancel' === command && ! confirm( __( 'Cancel this batch job? Subscriptions already processed keep their changes.', 'doctor-subs' ) ) ) {
                 return;
             }
             
-            let html = '<div class="wcst-issues-list">';
-            analysis.forEach( year => {
-                if ( typeof year === 'object' && year.type ) {
-                    html += `
-                        <div class="wcst-issue-item wcst-status-${ year.severity || 'warning' }">
-                            <p><strong>⚠️ ${ year.description }</strong></p>
-                            <p><small>${ year.recommendation }</small></p>
-                        </div>
-                    `;
+            $( '.wcst-batch-control-btn' ).prop( 'disabled', true );
+            
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_control_batch_fix',
+                    job_id: this.batchJobId,
+                    command: command,
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.updateBatchJob( response.data );
+                    } else {
+                        this.showNotice( 'error', response.data || __( 'Batch command failed.', 'doctor-subs' ) );
+                        $( '.wcst-batch-control-btn' ).prop( 'disabled', false );
+                    }
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'Batch command failed. Please try again.', 'doctor-subs' ) );
+                    $( '.wcst-batch-control-btn' ).prop( 'disabled', false );
                 }
             } );
-            html += '</div>';
-            
-            container.html( html );
         },
 
-        // Bulk reports
-        handleGenerateReportClick: function( e ) {
-            e.preventDefault();
+        updateBatchJob: function( job ) {
+            const finished = 'completed' === job.status || 'cancelled' === job.status;
+            const percent = job.total > 0 ? Math.round( ( job.processed / job.total ) * 100 ) : 0;
+            const statusLabels = {
+                running: __( 'Running', 'doctor-subs' ),
+                paused: __( 'Paused', 'doctor-subs' ),
+                completed: __( 'Completed', 'doctor-subs' ),
+                cancelled: __( 'Cancelled', 'doctor-subs' )
+            };
             
-            const reportType = $( '#wcst-report-type' ).val();
-            const statusFilter = $( '#wcst-status-filter' ).val();
-            const limit = $( '#wcst-limit' ).val();
+            $( '#wcst-batch-job' ).show();
+            $( '#wcst-batch-job .wcst-bulk-progress-bar span' ).css( 'width', percent + '%' );
+            $( '#wcst-batch-job .wcst-batch-job-text' ).text(
+                sprintf(
+                    /* translators: 1: job status, 2: number of subscriptions processed, 3: total number of subscriptions */
+                    job.dry_run ? _n( '%1$s (dry run): %2$d of %3$d subscription processed', '%1$s (dry run): %2$d of %3$d subscriptions processed', job.total, 'doctor-subs' ) : _n( '%1$s: %2$d of %3$d subscription processed', '%1$s: %2$d of %3$d subscriptions processed', job.total, 'doctor-subs' ),
+                    statusLabels[ job.status ] || job.status,
+                    job.processed,
+                    job.total
+                )
+            );
+            
+            $( '.wcst-batch-control-btn' ).prop( 'disabled', false );
+            $( '#wcst-batch-pause-btn' ).toggle( 'running' === job.status );
+            $( '#wcst-batch-resume-btn' ).toggle( 'paused' === job.status );
+            $( '#wcst-batch-cancel-btn' ).toggle( ! finished );
+            
+            this.displayBatchItems( job.items );
+            
+            if ( 'running' === job.status ) {
+                this.pollBatchJob();
+            } else {
+                clearTimeout( this.batchPollTimeout );
+            }
             
-            const filters = {
-                report_type: reportType,
-                status: statusFilter,
-                limit: limit
+            if ( finished ) {
+                $( '#wcst-batch-dry-run-btn, #wcst-batch-apply-btn' ).prop( 'disabled', false );
+                this.displayBatchResults( job );
+            }
+        },
+
+        displayBatchItems: function( items ) {
+            const statusClasses = {
+                pending: 'info',
+                success: 'success',
+                skipped: 'warning',
+                failed: 'error',
+                cancelled: 'info'
             };
+            const rows = items.map( item => this.html`<tr><td>#${ item.subscription_id }</td><td><span class="wcst-status-badge ${ statusClasses[ item.status ] || 'info' }">${ item.status }</span></td><td>${ item.message }</td></tr>` );
             
-            this.generateBulkReport( filters );
+            this.render( '#wcst-batch-items', this.html`<table class="wcst-data-table"><tr><th>${ __( 'Subscription', 'doctor-subs' ) }</th><th>${ __( 'Status', 'doctor-subs' ) }</th><th>${ __( 'Message', 'doctor-subs' ) }</th></tr>${ rows }</table>` );
         },
 
-        generateBulkReport: function( filters ) {
-            this.showProgress( 'Generating bulk report...' );
+        displayBatchResults: function( data ) {
+            const container = $( '#wcst-batch-results' );
+            const cards = [
+                this.html`<div class="wcst-summary-card"><h4>${ __( 'Successful', 'doctor-subs' ) }</h4><div class="value">${ data.successful }</div></div>`,
+                this.html`<div class="wcst-summary-card"><h4>${ __( 'Skipped', 'doctor-subs' ) }</h4><div class="value">${ data.skipped }</div></div>`,
+                this.html`<div class="wcst-summary-card"><h4>${ __( 'Failed', 'doctor-subs' ) }</h4><div class="value">${ data.failed }</div></div>`
+            ];
+            if ( data.cancelled > 0 ) {
+                cards.push( this.html`<div class="wcst-summary-card"><h4>${ __( 'Cancelled', 'doctor-subs' ) }</h4><div class="value">${ data.cancelled }</div></div>` );
+            }
+            
+            const html = [];
+            html.push( this.html`<h4>${ data.dry_run ? __( 'Batch Fix Results (Dry Run)', 'doctor-subs' ) : __( 'Batch Fix Results', 'doctor-subs' ) }</h4>` );
+            html.push( this.html`<div class="wcst-summary-cards">${ cards }</div>` );
+            
+            const failures = data.items.filter( item => 'failed' === item.status );
+            if ( failures.length > 0 ) {
+                html.push( this.html`<h5>${ __( 'Failures:', 'doctor-subs' ) }</h5><ul>${ failures.map( item => this.html`<li>${ sprintf( /* translators: 1: subscription ID, 2: failure message */ __( 'Subscription #%1$d: %2$s', 'doctor-subs' ), item.subscription_id, item.message ) }</li>` ) }</ul>` );
+            }
+            
+            this.render( container, html ).show();
+        },
+
+        // Subscription comparison
+        handleCompareSubmit: function( e ) {
+            e.preventDefault();
+            
+            const subscriptionA = $( '#wcst-compare-a' ).val().trim();
+            const subscriptionB = $( '#wcst-compare-b' ).val().trim();
+            
+            if ( ! subscriptionA || ! subscriptionB ) {
+                this.showNotice( 'error', __( 'Please enter two subscription IDs.', 'doctor-subs' ) );
+                return;
+            }
+            
+            $( '#wcst-compare-btn' ).prop( 'disabled', true );
+            this.render( '#wcst-compare-results', this.html`<p>${ __( 'Analyzing both subscriptions…', 'doctor-subs' ) }</p>` ).show();
             
             $.ajax( {
                 url: wcst_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'wcst_generate_bulk_report',
-                    filters: filters,
+                    action: 'wcst_compare_subscriptions',
+                    subscription_a: subscriptionA,
+                    subscription_b: subscriptionB,
                     nonce: wcst_ajax.nonce
                 },
                 success: ( response ) => {
                     if ( response.success ) {
-                        this.displayBulkReport( response.data );
-                        this.currentCSVData = response.data.csv_content;
-                        $( '#wcst-export-csv-btn' ).show();
+                        this.displayComparison( response.data.subscriptions );
                     } else {
-                        this.showError( response.data || 'Bulk report generation failed.' );
+                        $( '#wcst-compare-results' ).hide();
+                        this.showNotice( 'error', response.data || __( 'Comparison failed.', 'doctor-subs' ) );
                     }
                 },
                 error: () => {
-                    this.showError( 'Bulk report generation failed. Please try again.' );
+                    $( '#wcst-compare-results' ).hide();
+                    this.showNotice( 'error', __( 'Comparison failed. Please try again.', 'doctor-subs' ) );
                 },
                 complete: () => {
-                    $( '#wcst-progress' ).hide();
+                    $( '#wcst-compare-btn' ).prop( 'disabled', false );
                 }
             } );
         },
 
-        displayBulkReport: function( data ) {
-            $( '#wcst-bulk-results' ).show();
+        displayComparison: function( subscriptions ) {
+            const fields = subscriptions.map( subscription => this.getComparisonFields( subscription ) );
+            // Values can be markup (dates), so compare what is rendered.
+            const differing = fields[0].filter( ( field, index ) => this.toHtml( field.value ) !== this.toHtml( fields[1][ index ].value ) ).length;
+            const rows = [];
+            const html = [];
+            let group = '';
             
-            const container = $( '#wcst-bulk-report-content' );
-            let html = `<h4>Report Summary</h4>`;
-            html += `<p>Total subscriptions analyzed: ${ data.total_count }</p>`;
-            
-            if ( data.report_data && data.report_data.length > 0 ) {
-                html += '<table class="wp-list-table widefat fixed striped">';
-                html += '<thead><tr>';
-                html += '<th>Subscription ID</th>';
-                html += '<th>Customer</th>';
-                html += '<th>Last Renewal</th>';
-                html += '<th>Expected Next</th>';
-                html += '<th>Actual Next</th>';
-                html += '<th>Status</th>';
-                html += '<th>Issues</th>';
-                html += '</tr></thead>';
-                html += '<tbody>';
+            fields[0].forEach( ( field, index ) => {
+                const other = fields[1][ index ];
                 
-                data.report_data.forEach( item => {
-                    html += '<tr>';
-                    html += `<td>${ item.subscription_id }</td>`;
-                    html += `<td>${ item.customer_email }</td>`;
-                    html += `<td>${ item.last_renewal || 'N/A' }</td>`;
-                    html += `<td>${ item.expected_next || 'N/A' }</td>`;
-                    html += `<td>${ item.actual_next || 'N/A' }</td>`;
-                    html += `<td>${ item.status }</td>`;
-                    html += `<td>${ item.issues.join( ', ' ) }</td>`;
-                    html += '</tr>';
-                } );
+                if ( field.group !== group ) {
+                    group = field.group;
+                    rows.push( this.html`<tr class="wcst-compare-group"><th colspan="3">${ group }</th></tr>` );
+                }
                 
-                html += '</tbody></table>';
-            }
+                rows.push( this.html`<tr${ this.toHtml( field.value ) !== this.toHtml( other.value ) ? this.html` class="wcst-compare-diff"` : '' }><td>${ field.label }</td><td>${ field.value }</td><td>${ other.value }</td></tr>` );
+            } );
+            
+            html.push( this.html`<h3>${ __( 'Key Differences', 'doctor-subs' ) } <span class="wcst-status-badge ${ differing ? 'warning' : 'success' }">${ sprintf( /* translators: %d: number of fields that differ */ _n( '%d differing', '%d differing', differing, 'doctor-subs' ), differing ) }</span></h3>` );
+            html.push( this.html`<table class="wcst-data-table wcst-compare-table"><thead><tr><th>${ __( 'Field', 'doctor-subs' ) }</th><th>${ this.getSubscriptionLabel( subscriptions[0].subscription_id ) }</th><th>${ this.getSubscriptionLabel( subscriptions[1].subscription_id ) }</th></tr></thead><tbody>${ rows }</tbody></table>` );
             
-            container.html( html );
+            const columns = subscriptions.map( subscription => this.html`<div class="wcst-compare-column"><h2>${ this.getSubscriptionLabel( subscription.subscription_id ) }</h2>${ this.renderAnatomyContent( subscription.anatomy ) }${ this.renderExpectedBehaviorContent( subscription.expected ) }</div>` );
+            html.push( this.html`<div class="wcst-compare-columns">${ columns }</div>` );
+            
+            html.push( this.html`<h3>${ __( 'Timelines by Billing Cycle', 'doctor-subs' ) }</h3>` );
+            html.push( this.renderCycleAlignedTimelines( subscriptions ) );
+            
+            this.render( '#wcst-compare-results', html ).show();
         },
 
-        handleExportCSVClick: function( e ) {
-            e.preventDefault();
-            
-            if ( ! this.currentCSVData ) {
-                this.showError( 'No CSV data available for export.' );
-                return;
+        getComparisonFields: function( subscription ) {
+            const anatomy = subscription.anatomy;
+            const expected = subscription.expected;
+            const paymentMethod = anatomy.payment_method || {};
+            const token = paymentMethod.token_info;
+            const schedule = anatomy.billing_schedule || {};
+            const gateway = expected.payment_gateway_behavior || {};
+            const actions = anatomy.scheduled_actions || {};
+            const products = expected.product_configuration || [];
+            const na = __( 'N/A', 'doctor-subs' );
+            const yesNo = value => value ? __( 'Yes', 'doctor-subs' ) : __( 'No', 'doctor-subs' );
+            const date = value => value ? this.formatDate( value ) : na;
+            const count = status => String( Array.isArray( actions[ status ] ) ? actions[ status ].length : 0 );
+            const pending = Array.isArray( actions.pending ) ? actions.pending : [];
+            
+            return [
+                { group: __( 'Gateway', 'doctor-subs' ), label: __( 'Gateway', 'doctor-subs' ), value: paymentMethod.gateway_id || na },
+                { group: __( 'Gateway', 'doctor-subs' ), label: __( 'Gateway enabled', 'doctor-subs' ), value: yesNo( paymentMethod.gateway_enabled ) },
+                { group: __( 'Gateway', 'doctor-subs' ), label: __( 'Gateway mode', 'doctor-subs' ), value: gateway.gateway_mode ? gateway.gateway_mode.description : na },
+                { group: __( 'Gateway', 'doctor-subs' ), label: __( 'Renewal type', 'doctor-subs' ), value: paymentMethod.requires_manual ? __( 'Manual', 'doctor-subs' ) : __( 'Automatic', 'doctor-subs' ) },
+                { group: __( 'Gateway', 'doctor-subs' ), label: __( 'Billing control', 'doctor-subs' ), value: anatomy.subscription_type ? this.humanizeKey( anatomy.subscription_type.billing_control ) : na },
+                { group: __( 'Payment token', 'doctor-subs' ), label: __( 'Payment method status', 'doctor-subs' ), value: paymentMethod.status && paymentMethod.status.is_valid ? __( 'Valid', 'doctor-subs' ) : __( 'Issues found', 'doctor-subs' ) },
+                { group: __( 'Payment token', 'doctor-subs' ), label: __( 'Token', 'doctor-subs' ), value: token ? ( token.is_valid ? __( 'Valid', 'doctor-subs' ) : __( 'Invalid', 'doctor-subs' ) ) : __( 'No token', 'doctor-subs' ) },
+                { group: __( 'Payment token', 'doctor-subs' ), label: __( 'Token type', 'doctor-subs' ), value: token && token.type ? token.type : na },
+                { group: __( 'Payment token', 'doctor-subs' ), label: __( 'Token expiry', 'doctor-subs' ), value: token && token.expiry ? token.expiry : na },
+                { group: __( 'Billing schedule', 'doctor-subs' ), label: __( 'Billing interval', 'doctor-subs' ), value: `${ schedule.interval } ${ schedule.period }` },
+                { group: __( 'Billing schedule', 'doctor-subs' ), label: __( 'Trial end', 'doctor-subs' ), value: date( schedule.trial_end ) },
+                { group: __( 'Billing schedule', 'doctor-subs' ), label: __( 'Next payment', 'doctor-subs' ), value: date( schedule.next_payment ) },
+                { group: __( 'Billing schedule', 'doctor-subs' ), label: __( 'End date', 'doctor-subs' ), value: date( schedule.end_date ) },
+                { group: __( 'Billing schedule', 'doctor-subs' ), label: __( 'Editable', 'doctor-subs' ), value: yesNo( schedule.is_editable ) },
+                { group: __( 'Sync settings', 'doctor-subs' ), label: __( 'Products', 'doctor-subs' ), value: products.map( product => product.name ).join( ', ' ) || na },
+                { group: __( 'Sync settings', 'doctor-subs' ), label: __( 'Synchronization', 'doctor-subs' ), value: products.map( product => this.describeSynchronization( product.synchronization ) ).join( ', ' ) || na },
+                { group: __( 'Scheduled actions', 'doctor-subs' ), label: __( 'Pending', 'doctor-subs' ), value: count( 'pending' ) },
+                { group: __( 'Scheduled actions', 'doctor-subs' ), label: __( 'Failed', 'doctor-subs' ), value: count( 'failed' ) },
+                { group: __( 'Scheduled actions', 'doctor-subs' ), label: __( 'Complete', 'doctor-subs' ), value: count( 'complete' ) },
+                { group: __( 'Scheduled actions', 'doctor-subs' ), label: __( 'Next pending action', 'doctor-subs' ), value: pending.length ? this.formatHtml( /* translators: 1: action hook, 2: scheduled date */ __( '%1$s (%2$s)', 'doctor-subs' ), pending[0].hook, this.formatDate( pending[0].scheduled_date ) ) : __( 'None', 'doctor-subs' ) }
+            ];
+        },
+
+        getSubscriptionLabel: function( subscriptionId ) {
+            /* translators: %d: subscription ID */
+            return sprintf( __( 'Subscription #%d', 'doctor-subs' ), parseInt( subscriptionId, 10 ) );
+        },
+
+        describeSynchronization: function( sync ) {
+            if ( ! sync || ! sync.enabled ) {
+                return __( 'Disabled', 'doctor-subs' );
             }
             
-            const filename = 'doctor-subs-report-' + new Date().toISOString().split( 'T' )[0] + '.csv';
+            const day = 'object' === typeof sync.sync_date && sync.sync_date ? Object.values( sync.sync_date ).join( '/' ) : sync.sync_date;
+            
+            /* translators: %s: synchronization day of the billing period */
+            return sprintf( sync.prorate_enabled ? __( 'Day %s, prorated', 'doctor-subs' ) : __( 'Day %s', 'doctor-subs' ), day || __( 'none', 'doctor-subs' ) );
+        },
+
+        renderCycleAlignedTimelines: function( subscriptions ) {
+            const sides = subscriptions.map( ( subscription ) => {
+                const boundaries = [ this.parseDate( subscription.anatomy.billing_schedule.start_date ) ]
+                    .concat( ( subscription.timeline.expected_renewals || [] ).map( date => this.parseDate( date ) ) )
+                    .filter( time => ! isNaN( time ) );
+                const cycles = {};
+                
+                ( subscription.timeline.events || [] ).forEach( ( event ) => {
+                    const time = this.parseDate( event.timestamp );
+                    const cycle = boundaries.filter( boundary => boundary <= time ).length;
+                    
+                    cycles[ cycle ] = cycles[ cycle ] || [];
+                    cycles[ cycle ].push( event );
+                } );
+                
+                return { boundaries: boundaries, cycles: cycles };
+            } );
+            const lastCycle = Math.max( 0, ...sides.map( side => Math.max( -1, ...Object.keys( side.cycles ).map( Number ) ) ) );
+            const rows = [];
             
-            // Create form and submit for download
-            const form = $( '<form>' )
-                .attr( 'method', 'POST' )
-                .attr( 'action', wcst_ajax.ajax_url )
-                .append( $( '<input>' ).attr( 'type', 'hidden' ).attr( 'name', 'action' ).val( 'wcst_export_csv' ) )
-                .append( $( '<input>' ).attr( 'type', 'hidden' ).attr( 'name', 'nonce' ).val( wcst_ajax.nonce ) )
-                .append( $( '<input>' ).attr( 'type', 'hidden' ).attr( 'name', 'csv_data' ).val( this.currentCSVData ) )
-                .append( $( '<input>' ).attr( 'type', 'hidden' ).attr( 'name', 'filename' ).val( filename ) );
+            for ( let cycle = 0; cycle <= lastCycle; cycle++ ) {
+                const counts = sides.map( side => ( side.cycles[ cycle ] || [] ).length );
+                
+                if ( ! counts[0] && ! counts[1] && 0 === cycle ) {
+                    continue;
+                }
+                
+                const cells = sides.map( ( side ) => {
+                    const start = cycle > 0 && side.boundaries[ cycle - 1 ] ? this.html`<div class="wcst-compare-cycle-start">${ this.formatHtml( /* translators: %s: cycle start date */ __( 'From %s', 'doctor-subs' ), this.formatDate( side.boundaries[ cycle - 1 ], 'day' ) ) }</div>` : '';
+                    const items = ( side.cycles[ cycle ] || [] ).map( event => this.html`<li class="wcst-compare-event ${ event.status }">${ this.formatDate( event.timestamp ) } &mdash; ${ event.title }</li>` );
+                    
+                    return this.html`<td>${ start }<ul>${ items }</ul></td>`;
+                } );
+                
+                rows.push( this.html`<tr${ counts[0] !== counts[1] ? this.html` class="wcst-compare-diff"` : '' }><th>${ 0 === cycle ? __( 'Before start', 'doctor-subs' ) : sprintf( /* translators: %d: billing cycle number */ __( 'Cycle %d', 'doctor-subs' ), cycle ) }</th>${ cells }</tr>` );
+            }
             
-            $( 'body' ).append( form );
-            form.submit();
-            form.remove();
+            return this.html`<table class="wcst-data-table wcst-compare-cycles"><thead><tr><th>${ __( 'Billing cycle', 'doctor-subs' ) }</th><th>${ this.getSubscriptionLabel( subscriptions[0].subscription_id ) }</th><th>${ this.getSubscriptionLabel( subscriptions[1].subscription_id ) }</th></tr></thead><tbody>${ rows }</tbody></table>`;
         },
 
-        // Fixing tools
-        handlePreviewFixClick: function( e ) {
+        // Developer tools
+        handleDevAnalyzeClick: function( e ) {
             e.preventDefault();
             
-            const subscriptionId = $( '#wcst-fix-search' ).val().trim();
+            const subscriptionId = $( '#wcst-dev-search' ).val().trim();
+            const debugType = $( '#wcst-debug-type' ).val();
             
             if ( ! subscriptionId ) {
-                this.showError( 'Please enter a subscription ID.' );
+                this.showNotice( 'error', __( 'Please enter a subscription ID.', 'doctor-subs' ) );
                 return;
             }
             
-            this.previewFix( subscriptionId );
+            this.runDevAnalysis( subscriptionId, debugType );
         },
 
-        previewFix: function( subscriptionId ) {
-            this.showProgress( 'Previewing fix...' );
+        runDevAnalysis: function( subscriptionId, debugType ) {
+            $( '#wcst-dev-analyze-btn' ).prop( 'disabled', true );
             
             $.ajax( {
                 url: wcst_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'wcst_fix_subscription',
+                    action: 'wcst_get_developer_debug',
                     subscription_id: subscriptionId,
-                    fix_type: 'payment_date',
-                    dry_run: true,
+                    debug_type: debugType,
                     nonce: wcst_ajax.nonce
                 },
                 success: ( response ) => {
                     if ( response.success ) {
-                        this.displayFixPreview( response.data );
+                        this.displayDevResults( response.data, debugType );
                     } else {
-                        this.showError( response.data || 'Fix preview failed.' );
+                        this.showNotice( 'error', response.data || __( 'Debug analysis failed.', 'doctor-subs' ) );
                     }
                 },
                 error: () => {
-                    this.showError( 'Fix preview failed. Please try again.' );
+                    this.showNotice( 'error', __( 'Debug analysis failed. Please try again.', 'doctor-subs' ) );
                 },
                 complete: () => {
-                    $( '#wcst-progress' ).hide();
+                    $( '#wcst-dev-analyze-btn' ).prop( 'disabled', false );
                 }
             } );
         },
 
-        displayFixPreview: function( data ) {
-            $( '#wcst-fix-preview' ).show();
+        displayDevResults: function( data, debugType ) {
+            this.devData = data;
+            this.devDebugType = debugType;
+            this.devPaths = {};
             
-            const container = $( '.wcst-fix-preview-content' );
-            let html = '<h4>Fix Preview</h4>';
-            html += `<p><strong>Message:</strong> ${ data.message }</p>`;
+            const nodes = Object.keys( data.sections ).map( section => this.renderJsonNode( section, data.sections[ section ], this.buildJsonPath( '', section ), true ) );
             
-            if ( data.current_next_payment ) {
-                html += `<p><strong>Current Next Payment:</strong> ${ data.current_next_payment }</p>`;
-            }
+            $( '#wcst-dev-key-search' ).val( '' );
+            this.render( '#wcst-dev-content', this.html`<h4>${ this.formatHtml( /* translators: 1: subscription ID, 2: debug type, 3: collection time */ __( 'Subscription #%1$d (%2$s, collected %3$s)', 'doctor-subs' ), data.subscription_id, debugType, this.formatDate( data.collected ) ) }</h4><ul class="wcst-json-tree">${ nodes }</ul>` );
+            $( '#wcst-dev-results' ).show();
+        },
+
+        renderJsonNode: function( key, value, path, open ) {
+            const isObject = null !== value && 'object' === typeof value;
+            const actions = this.html`<span class="wcst-json-actions"><a href="#" class="wcst-json-copy" data-copy="path">${ __( 'copy path', 'doctor-subs' ) }</a> <a href="#" class="wcst-json-copy" data-copy="value">${ __( 'copy value', 'doctor-subs' ) }</a></span>`;
+            
+            this.devPaths[ path ] = value;
             
-            if ( data.suggested_next_payment ) {
-                html += `<p><strong>Suggested Next Payment:</strong> ${ data.suggested_next_payment }</p>`;
+            if ( ! isObject ) {
+                return this.html`<li class="wcst-json-node" data-key="${ String( key ).toLowerCase() }" data-path="${ path }"><span class="wcst-json-key">${ key }</span>: ${ this.renderJsonValue( value ) } ${ actions }</li>`;
             }
             
-            container.html( html );
+            const keys = Object.keys( value );
+            const summary = Array.isArray( value ) ? `[${ keys.length }]` : `{${ keys.length }}`;
+            const children = keys.map( childKey => this.renderJsonNode( childKey, value[ childKey ], this.buildJsonPath( path, childKey, Array.isArray( value ) ), false ) );
+            
+            return this.html`<li class="wcst-json-node" data-key="${ String( key ).toLowerCase() }" data-path="${ path }"><details${ open ? this.html` open` : '' }><summary><span class="wcst-json-key">${ key }</span> <span class="wcst-json-count">${ summary }</span> ${ actions }</summary><ul>${ children }</ul></details></li>`;
         },
 
-        handleApplyFixClick: function( e ) {
-            e.preventDefault();
+        renderJsonValue: function( value ) {
+            if ( null === value ) {
+                return this.html`<span class="wcst-json-null">null</span>`;
+            }
+            if ( 'string' === typeof value ) {
+                return this.html`<span class="wcst-json-string">"${ value }"</span>`;
+            }
+            return this.html`<span class="wcst-json-${ typeof value }">${ String( value ) }</span>`;
+        },
+
+        buildJsonPath: function( parent, key, isIndex ) {
+            if ( isIndex ) {
+                return `${ parent }[${ key }]`;
+            }
+            if ( /^[A-Za-z_$][\w$]*$/.test( key ) ) {
+                return parent ? `${ parent }.${ key }` : key;
+            }
+            return `${ parent }[${ JSON.stringify( String( key ) ) }]`;
+        },
+
+        handleDevKeySearch: function( e ) {
+            const term = $( e.target ).val().trim().toLowerCase();
+            const $nodes = $( '#wcst-dev-content .wcst-json-node' );
             
-            const subscriptionId = $( '#wcst-fix-search' ).val().trim();
+            $nodes.removeClass( 'wcst-json-match' ).show();
             
-            if ( ! subscriptionId ) {
-                this.showError( 'Please enter a subscription ID.' );
+            if ( ! term ) {
                 return;
             }
             
-            if ( confirm( 'Are you sure you want to apply this fix? This action cannot be undone.' ) ) {
-                this.applyFix( subscriptionId, false );
-            }
+            const $matches = $nodes.filter( ( index, node ) => -1 !== String( $( node ).data( 'key' ) ).indexOf( term ) );
+            
+            $nodes.hide();
+            $matches.addClass( 'wcst-json-match' ).show();
+            $matches.parents( '.wcst-json-node' ).show().children( 'details' ).prop( 'open', true );
+            $matches.find( '.wcst-json-node' ).show();
+        },
+
+        handleJsonToggleAll: function( e ) {
+            e.preventDefault();
+            $( '#wcst-dev-content details' ).prop( 'open', '1' === String( $( e.currentTarget ).data( 'open' ) ) );
         },
 
-        handleDryRunClick: function( e ) {
+        handleJsonCopyClick: function( e ) {
             e.preventDefault();
+            e.stopPropagation();
             
-            const subscriptionId = $( '#wcst-fix-search' ).val().trim();
+            const $link = $( e.currentTarget );
+            const path = $link.closest( '.wcst-json-node' ).data( 'path' );
+            const value = this.devPaths[ path ];
+            const text = 'path' === $link.data( 'copy' ) ? path : ( 'string' === typeof value ? value : JSON.stringify( value, null, 2 ) );
             
-            if ( ! subscriptionId ) {
-                this.showError( 'Please enter a subscription ID.' );
-                return;
+            const label = $link.text();
+            
+            this.copyToClipboard( text ).then( () => {
+                $link.text( __( 'copied', 'doctor-subs' ) );
+                setTimeout( () => $link.text( label ), 1500 );
+            } );
+        },
+
+        copyToClipboard: function( text ) {
+            if ( navigator.clipboard && window.isSecureContext ) {
+                return navigator.clipboard.writeText( text );
             }
             
-            this.applyFix( subscriptionId, true );
+            // Fallback for plain-HTTP admin screens.
+            const $textarea = $( '<textarea class="wcst-clipboard-buffer">' ).val( text ).appendTo( 'body' );
+            $textarea[ 0 ].select();
+            document.execCommand( 'copy' );
+            $textarea.remove();
+            
+            return Promise.resolve();
         },
 
-        applyFix: function( subscriptionId, dryRun ) {
-            this.showProgress( dryRun ? 'Running dry run...' : 'Applying fix...' );
+        getDevSnapshots: function() {
+            try {
+                return JSON.parse( window.localStorage.getItem( 'wcst_debug_snapshots' ) ) || [];
+            } catch ( e ) {
+                return [];
+            }
+        },
+
+        handleDevSnapshotClick: function( e ) {
+            e.preventDefault();
             
-            $.ajax( {
-                url: wcst_ajax.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'wcst_fix_subscription',
-                    subscription_id: subscriptionId,
-                    fix_type: 'payment_date',
-                    dry_run: dryRun,
-                    nonce: wcst_ajax.nonce
-                },
-                success: ( response ) => {
-                    if ( response.success ) {
-                        this.showSuccess( response.data.message );
-                        if ( ! dryRun ) {
-                            $( '#wcst-fix-preview' ).hide();
-                        }
-                    } else {
-                        this.showError( response.data || 'Fix application failed.' );
-                    }
-                },
-                error: () => {
-                    this.showError( 'Fix application failed. Please try again.' );
-                },
-                complete: () => {
-                    $( '#wcst-progress' ).hide();
-                }
+            if ( ! this.devData ) {
+                return;
+            }
+            
+            const snapshots = this.getDevSnapshots();
+            snapshots.push( {
+                label: `#${ this.devData.subscription_id } ${ this.devDebugType } @ ${ this.formatDateText( this.devData.collected ) }`,
+                data: this.devData.sections,
+                redacted: !! wcst_ajax.redact_pii
             } );
+            
+            try {
+                // Keep the ten newest snapshots.
+                window.localStorage.setItem( 'wcst_debug_snapshots', JSON.stringify( snapshots.slice( -10 ) ) );
+                this.showSuccess( __( 'Snapshot saved.', 'doctor-subs' ) );
+            } catch ( err ) {
+                this.showNotice( 'error', __( 'Snapshot could not be saved: browser storage is full.', 'doctor-subs' ) );
+            }
+            
+            this.renderDevSnapshots();
         },
 
-        // Batch fixing
-        handleBatchPreviewClick: function( e ) {
+        handleDevSnapshotClearClick: function( e ) {
             e.preventDefault();
+            window.localStorage.removeItem( 'wcst_debug_snapshots' );
+            $( '#wcst-snapshot-diff' ).empty();
+            this.renderDevSnapshots();
+        },
+
+        purgeUnredactedDevSnapshots: function() {
+            if ( ! wcst_ajax.redact_pii ) {
+                return;
+            }
             
-            const subscriptionIds = this.getBatchSubscriptionIds();
-            const fixTypes = $( '#wcst-batch-fix-type' ).val();
+            // Hiding them is not enough: browser storage can still be read from the developer tools while sharing a screen.
+            const snapshots = this.getDevSnapshots();
+            const redacted = snapshots.filter( snapshot => snapshot.redacted );
             
-            if ( ! subscriptionIds.length ) {
-                this.showError( 'Please enter subscription IDs.' );
+            if ( redacted.length === snapshots.length ) {
                 return;
             }
             
-            this.batchFix( subscriptionIds, fixTypes, true );
+            if ( redacted.length ) {
+                window.localStorage.setItem( 'wcst_debug_snapshots', JSON.stringify( redacted ) );
+            } else {
+                window.localStorage.removeItem( 'wcst_debug_snapshots' );
+            }
+            $( '#wcst-snapshot-diff' ).empty();
+            
+            const removed = snapshots.length - redacted.length;
+            /* translators: %d: number of deleted snapshots */
+            this.showNotice( 'info', sprintf( _n( '%d debug snapshot taken without PII redaction was deleted.', '%d debug snapshots taken without PII redaction were deleted.', removed, 'doctor-subs' ), removed ) );
         },
 
-        handleBatchDryRunClick: function( e ) {
-            e.preventDefault();
-            
-            const subscriptionIds = this.getBatchSubscriptionIds();
-            const fixTypes = $( '#wcst-batch-fix-type' ).val();
+        renderDevSnapshots: function() {
+            const snapshots = this.getDevSnapshots();
             
-            if ( ! subscriptionIds.length ) {
-                this.showError( 'Please enter subscription IDs.' );
+            if ( ! snapshots.length ) {
+                $( '#wcst-dev-snapshots' ).hide();
                 return;
             }
             
-            this.batchFix( subscriptionIds, fixTypes, true );
+            const options = snapshots.map( ( snapshot, index ) => this.html`<option value="${ index }">${ snapshot.label }</option>` );
+            
+            this.render( '.wcst-snapshot-select', options );
+            $( '#wcst-snapshot-a' ).val( Math.max( snapshots.length - 2, 0 ) );
+            $( '#wcst-snapshot-b' ).val( snapshots.length - 1 );
+            $( '#wcst-dev-snapshots' ).show();
+        },
+
+        flattenJson: function( value, path, result ) {
+            if ( null !== value && 'object' === typeof value && Object.keys( value ).length > 0 ) {
+                Object.keys( value ).forEach( key => {
+                    this.flattenJson( value[ key ], this.buildJsonPath( path, key, Array.isArray( value ) ), result );
+                } );
+            } else {
+                result[ path ] = JSON.stringify( value );
+            }
+            return result;
         },
 
-        handleBatchApplyClick: function( e ) {
+        handleDevSnapshotDiffClick: function( e ) {
             e.preventDefault();
             
-            const subscriptionIds = this.getBatchSubscriptionIds();
-            const fixTypes = $( '#wcst-batch-fix-type' ).val();
+            const snapshots = this.getDevSnapshots();
+            const snapshotA = snapshots[ $( '#wcst-snapshot-a' ).val() ];
+            const snapshotB = snapshots[ $( '#wcst-snapshot-b' ).val() ];
             
-            if ( ! subscriptionIds.length ) {
-                this.showError( 'Please enter subscription IDs.' );
+            if ( ! snapshotA || ! snapshotB ) {
                 return;
             }
             
-            if ( confirm( 'Are you sure you want to apply batch fixes? This action cannot be undone.' ) ) {
-                this.batchFix( subscriptionIds, fixTypes, false );
+            const flatA = this.flattenJson( snapshotA.data, '', {} );
+            const flatB = this.flattenJson( snapshotB.data, '', {} );
+            const paths = Object.keys( Object.assign( {}, flatA, flatB ) ).sort();
+            const changes = paths.filter( path => flatA[ path ] !== flatB[ path ] );
+            
+            if ( ! changes.length ) {
+                this.render( '#wcst-snapshot-diff', this.html`<p class="wcst-status-healthy">${ __( 'The snapshots are identical.', 'doctor-subs' ) }</p>` );
+                return;
             }
+            
+            const rows = changes.map( path => {
+                let rowClass = 'wcst-diff-changed';
+                if ( undefined === flatA[ path ] ) {
+                    rowClass = 'wcst-diff-added';
+                } else if ( undefined === flatB[ path ] ) {
+                    rowClass = 'wcst-diff-removed';
+                }
+                return this.html`<tr class="${ rowClass }"><td><code>${ path }</code></td><td>${ undefined === flatA[ path ] ? '—' : flatA[ path ] }</td><td>${ undefined === flatB[ path ] ? '—' : flatB[ path ] }</td></tr>`;
+            } );
+            
+            this.render( '#wcst-snapshot-diff', this.html`<p>${ sprintf( /* translators: %d: number of differences */ _n( '%d difference', '%d differences', changes.length, 'doctor-subs' ), changes.length ) }</p><table class="wcst-data-table wcst-snapshot-diff-table"><tr><th>${ __( 'Path', 'doctor-subs' ) }</th><th>${ __( 'Snapshot A', 'doctor-subs' ) }</th><th>${ __( 'Snapshot B', 'doctor-subs' ) }</th></tr>${ rows }</table>` );
         },
 
-        getBatchSubscriptionIds: function() {
-            const idsText = $( '#wcst-batch-subscription-ids' ).val().trim();
-            return idsText.split( ',' ).map( id => parseInt( id.trim() ) ).filter( id => id > 0 );
+        displayEnhancedDetection: function( enhancedData ) {
+            // Display skipped cycles
+            this.displaySkippedCycles( enhancedData.skipped_cycles || [] );
+            
+            // Display manual completions
+            this.displayManualCompletions( enhancedData.manual_completions || [] );
+            
+            // Display status mismatches
+            this.displayStatusMismatches( enhancedData.status_mismatches || [] );
+            
+            // Display action scheduler audit
+            this.displayActionScheduler( enhancedData.action_scheduler || [] );
+            
+            // Display year-over-year analysis
+            this.displayYearOverYear( enhancedData.year_over_year || [] );
+        },
+
+        displayDiscrepancies: function( discrepancies ) {
+            const container = $( '#wcst-discrepancies-content' );
+            const anatomy = this.analysisData && this.analysisData.anatomy;
+            
+            // The live Stripe check is only offered for subscriptions paid with Stripe.
+            $( '#wcst-stripe-verification' ).prop( 'hidden', ! ( anatomy && /^stripe/.test( anatomy.payment_method.gateway_id || '' ) ) );
+            
+            if ( ! Array.isArray( discrepancies ) || 0 === discrepancies.length ) {
+                this.render( container, this.html`<p class="wcst-status-healthy">✅ ${ __( 'No discrepancies detected', 'doctor-subs' ) }</p>` );
+                return;
+            }
+            
+            const categoryLabels = {
+                gateway_communication: __( 'Gateway Communication', 'doctor-subs' ),
+                payment_timing: __( 'Payment Timing', 'doctor-subs' ),
+                scheduler_issue: __( 'Action Scheduler', 'doctor-subs' ),
+                status_issue: __( 'Subscription Status', 'doctor-subs' ),
+                payment_method: __( 'Payment Method', 'doctor-subs' ),
+                notification_gap: __( 'Notifications', 'doctor-subs' ),
+                configuration: __( 'Configuration', 'doctor-subs' )
+            };
+            
+            // Group by category, then order entries and categories by their worst severity.
+            const groups = {};
+            discrepancies.forEach( entry => {
+                const category = entry.category || 'other';
+                groups[ category ] = groups[ category ] || [];
+                groups[ category ].push( entry );
+            } );
+            
+            const categories = Object.keys( groups ).map( category => {
+                const entries = groups[ category ].sort( ( a, b ) => this.getSeverityRank( b.severity ) - this.getSeverityRank( a.severity ) );
+                return { category, entries, rank: this.getSeverityRank( entries[ 0 ].severity ) };
+            } ).sort( ( a, b ) => b.rank - a.rank );
+            
+            const html = categories.map( group => {
+                const label = categoryLabels[ group.category ] || this.humanizeKey( group.category );
+                const entries = group.entries.map( entry => {
+                    const details = entry.details && 'object' === typeof entry.details && Object.keys( entry.details ).length > 0 ? this.renderDetailsTable( entry.details ) : '';
+                    const recommendation = entry.recommendation ? this.html`<p><strong>${ __( 'Recommendation:', 'doctor-subs' ) }</strong> ${ entry.recommendation }</p>` : '';
+                    
+                    return this.html`<div class="wcst-issue-item wcst-status-${ this.getSeverityClass( entry.severity ) }"><p><span class="wcst-status-badge ${ this.getSeverityClass( entry.severity ) }">${ entry.severity }</span> <strong>${ entry.description }</strong></p>${ details }${ recommendation }</div>`;
+                } );
+                
+                return this.html`<div class="wcst-discrepancy-category"><h4>${ label } <span class="wcst-status-badge ${ this.getSeverityClass( group.entries[ 0 ].severity ) }">${ group.entries.length }</span></h4><div class="wcst-issues-list">${ entries }</div></div>`;
+            } );
+            
+            this.render( container, html );
         },
 
-        batchFix: function( subscriptionIds, fixTypes, dryRun ) {
-            this.showProgress( dryRun ? 'Running batch dry run...' : 'Applying batch fixes...' );
+        handleStripeVerifyClick: function( e ) {
+            e.preventDefault();
+            
+            const $button = $( e.currentTarget );
+            const $result = $( '#wcst-stripe-verification .wcst-stripe-verification-result' );
+            
+            $button.prop( 'disabled', true );
+            this.render( $result, this.html`<p class="description">${ __( 'Asking Stripe…', 'doctor-subs' ) }</p>` );
             
             $.ajax( {
                 url: wcst_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'wcst_batch_fix_subscriptions',
-                    subscription_ids: subscriptionIds,
-                    fix_types: fixTypes,
-                    dry_run: dryRun,
+                    action: 'wcst_verify_stripe_payment_method',
+                    subscription_id: this.currentSubscriptionId,
                     nonce: wcst_ajax.nonce
                 },
                 success: ( response ) => {
                     if ( response.success ) {
-                        this.displayBatchResults( response.data );
-                        if ( ! dryRun ) {
-                            this.showSuccess( `Batch fix completed: ${ response.data.successful } successful, ${ response.data.failed } failed` );
-                        }
+                        this.render( $result, this.renderStripeVerification( response.data ) );
                     } else {
-                        this.showError( response.data || 'Batch fix failed.' );
+                        this.render( $result, this.html`<div class="wcst-error">${ response.data || __( 'The Stripe check failed.', 'doctor-subs' ) }</div>` );
                     }
                 },
                 error: () => {
-                    this.showError( 'Batch fix failed. Please try again.' );
+                    this.render( $result, this.html`<div class="wcst-error">${ __( 'The Stripe check failed. Please try again.', 'doctor-subs' ) }</div>` );
                 },
                 complete: () => {
-                    $( '#wcst-progress' ).hide();
+                    $button.prop( 'disabled', false );
                 }
             } );
         },
 
-        displayBatchResults: function( data ) {
-            $( '#wcst-batch-results' ).show();
+        renderStripeVerification: function( result ) {
+            const paymentMethod = result.payment_method;
+            const customer = result.customer;
+            const card = paymentMethod.card;
+            const statuses = {
+                attached: [ 'success', __( 'Attached to the subscription\'s customer', 'doctor-subs' ) ],
+                detached: [ 'error', __( 'Detached', 'doctor-subs' ) ],
+                attached_to_another_customer: [ 'error', __( 'Attached to another customer', 'doctor-subs' ) ],
+                not_found: [ 'error', __( 'Not found', 'doctor-subs' ) ]
+            };
+            const status = statuses[ paymentMethod.status ] || [ 'info', paymentMethod.status ];
+            let customerStatus = __( 'Not found', 'doctor-subs' );
             
-            const container = $( '#wcst-batch-results' );
-            let html = '<h4>Batch Fix Results</h4>';
-            html += `<p><strong>Successful:</strong> ${ data.successful }</p>`;
-            html += `<p><strong>Failed:</strong> ${ data.failed }</p>`;
-            
-            if ( data.details && data.details.length > 0 ) {
-                html += '<h5>Details:</h5>';
-                html += '<ul>';
-                data.details.forEach( detail => {
-                    html += `<li>Subscription ${ detail.subscription_id }: ${ detail.fixes_applied.length > 0 ? 'Fixed' : 'Failed' }</li>`;
-                } );
-                html += '</ul>';
+            if ( customer.found ) {
+                customerStatus = __( 'Found', 'doctor-subs' );
+            } else if ( customer.deleted ) {
+                customerStatus = __( 'Deleted', 'doctor-subs' );
             }
             
-            container.html( html );
+            const rows = [
+                [ __( 'Mode', 'doctor-subs' ), this.html`${ 'test' === result.mode ? __( 'Test', 'doctor-subs' ) : __( 'Live', 'doctor-subs' ) } <code>${ result.api_base }</code>` ],
+                [ __( 'Payment Method', 'doctor-subs' ), this.html`<code>${ paymentMethod.stripe_source_id }</code>${ paymentMethod.type ? ' (' + paymentMethod.type + ')' : '' }` ],
+                [ __( 'Status', 'doctor-subs' ), this.html`<span class="wcst-status-badge ${ status[ 0 ] }">${ status[ 1 ] }</span>` ],
+                [ __( 'Attached To', 'doctor-subs' ), paymentMethod.attached_to || '—' ],
+                [ __( 'Card', 'doctor-subs' ), card ? `${ card.brand } •••• ${ card.last4 }` : '—' ],
+                [ __( 'Card Expiry', 'doctor-subs' ), card ? this.html`${ String( card.exp_month ).padStart( 2, '0' ) }/${ card.exp_year }${ card.expired ? this.html` <span class="wcst-status-badge error">${ __( 'Expired', 'doctor-subs' ) }</span>` : '' }` : '—' ],
+                [ __( 'Customer', 'doctor-subs' ), customer.stripe_customer_id ? this.html`<code>${ customer.stripe_customer_id }</code> ${ customerStatus }` : '—' ],
+                [ __( 'Default Payment Method', 'doctor-subs' ), customer.default_payment_method || '—' ],
+                [ __( 'Checked', 'doctor-subs' ), this.formatDate( result.checked ) ]
+            ];
+            const findings = result.findings.length
+                ? result.findings.map( finding => this.html`<div class="wcst-issue-item wcst-status-${ this.getSeverityClass( finding.severity ) }"><p><span class="wcst-status-badge ${ this.getSeverityClass( finding.severity ) }">${ finding.severity }</span> <strong>${ finding.description }</strong></p><p><strong>${ __( 'Recommendation:', 'doctor-subs' ) }</strong> ${ finding.recommendation }</p></div>` )
+                : this.html`<p class="wcst-status-healthy">✅ ${ __( 'Stripe confirms the payment method is attached to the subscription\'s customer and can be charged.', 'doctor-subs' ) }</p>`;
+            
+            return this.html`<table class="wcst-data-table wcst-details-table">${ rows.map( row => this.html`<tr><th>${ row[ 0 ] }</th><td>${ row[ 1 ] }</td></tr>` ) }</table><div class="wcst-issues-list">${ findings }</div>`;
         },
 
-        // Developer tools
-        handleDevAnalyzeClick: function( e ) {
-            e.preventDefault();
+        renderDetailsTable: function( details ) {
+            const rows = Object.keys( details ).map( key => this.html`<tr><th>${ this.humanizeKey( key ) }</th><td>${ this.renderDetailValue( details[ key ] ) }</td></tr>` );
             
-            const subscriptionId = $( '#wcst-dev-search' ).val().trim();
-            const debugType = $( '#wcst-debug-type' ).val();
+            return this.html`<table class="wcst-data-table wcst-details-table">${ rows }</table>`;
+        },
+
+        renderDetailValue: function( value ) {
+            if ( null === value || undefined === value || '' === value ) {
+                return '—';
+            }
+            if ( 'boolean' === typeof value ) {
+                return value ? __( 'Yes', 'doctor-subs' ) : __( 'No', 'doctor-subs' );
+            }
+            if ( Array.isArray( value ) ) {
+                if ( 0 === value.length ) {
+                    return '—';
+                }
+                return this.html`<ol class="wcst-details-list">${ value.map( item => this.html`<li>${ this.renderDetailValue( item ) }</li>` ) }</ol>`;
+            }
+            if ( 'object' === typeof value ) {
+                // WC_DateTime values arrive as { date, timezone_type, timezone }.
+                if ( value.date && value.timezone ) {
+                    return value.date.replace( /\.\d+$/, '' ) + ' ' + value.timezone;
+                }
+                return this.renderDetailsTable( value );
+            }
+            return String( value );
+        },
+
+        humanizeKey: function( key ) {
+            const text = String( key ).replace( /^_+/, '' ).replace( /_/g, ' ' );
+            return text.charAt( 0 ).toUpperCase() + text.slice( 1 );
+        },
+
+        getSeverityRank: function( severity ) {
+            const ranks = { critical: 4, error: 4, high: 3, warning: 2, medium: 2, low: 1, info: 1 };
+            return ranks[ severity ] || 0;
+        },
+
+        getSeverityClass: function( severity ) {
+            const rank = this.getSeverityRank( severity );
+            if ( rank >= 3 ) {
+                return 'error';
+            }
+            return 2 === rank ? 'warning' : 'info';
+        },
+
+        displaySkippedCycles: function( skippedCycles ) {
+            const container = $( '#wcst-skipped-cycles-content' );
             
-            if ( ! subscriptionId ) {
-                this.showError( 'Please enter a subscription ID.' );
+            if ( ! Array.isArray( skippedCycles ) || skippedCycles.length === 0 ) {
+                this.render( container, this.html`<p class="wcst-status-healthy">✅ ${ __( 'No skipped cycles detected', 'doctor-subs' ) }</p>` );
                 return;
             }
             
-            this.runDevAnalysis( subscriptionId, debugType );
+            const items = skippedCycles.map( cycle => this.html`<div class="wcst-issue-item wcst-status-warning"><p><strong>⚠️ ${ cycle.description }</strong></p><p><small>${ cycle.recommendation }</small></p></div>` );
+            
+            this.render( container, this.html`<div class="wcst-issues-list">${ items }</div>` );
         },
 
-        runDevAnalysis: function( subscriptionId, debugType ) {
-            this.showProgress( 'Running debug analysis...' );
+        displayManualCompletions: function( completions ) {
+            this.renderDetectionIssues( '#wcst-manual-completions-content', completions, __( 'No manual completions detected.', 'doctor-subs' ) );
+        },
+
+        displayStatusMismatches: function( mismatches ) {
+            this.renderDetectionIssues( '#wcst-status-mismatches-content', mismatches, __( 'No status mismatches detected.', 'doctor-subs' ) );
+        },
+
+        displayActionScheduler: function( scheduler ) {
+            this.renderDetectionIssues( '#wcst-action-scheduler-content', scheduler, __( 'No Action Scheduler issues detected.', 'doctor-subs' ) );
+            this.loadScheduledActions();
+        },
+
+        loadScheduledActions: function() {
+            const subscriptionId = this.currentSubscriptionId;
+            
+            this.render( '#wcst-action-panel', this.html`<p>${ __( 'Loading scheduled actions…', 'doctor-subs' ) }</p>` );
             
             $.ajax( {
                 url: wcst_ajax.ajax_url,
                 type: 'POST',
                 data: {
-                    action: 'wcst_get_developer_debug',
+                    action: 'wcst_get_scheduled_actions',
                     subscription_id: subscriptionId,
-                    debug_type: debugType,
                     nonce: wcst_ajax.nonce
                 },
                 success: ( response ) => {
+                    // Another subscription may have been analyzed in the meantime.
+                    if ( String( subscriptionId ) !== String( this.currentSubscriptionId ) ) {
+                        return;
+                    }
+                    
                     if ( response.success ) {
-                        this.displayDevResults( response.data, debugType );
+                        this.renderActionPanel( response.data );
                     } else {
-                        this.showError( response.data || 'Debug analysis failed.' );
+                        this.render( '#wcst-action-panel', this.html`<div class="wcst-error">${ response.data || __( 'Scheduled actions could not be loaded.', 'doctor-subs' ) }</div>` );
                     }
                 },
                 error: () => {
-                    this.showError( 'Debug analysis failed. Please try again.' );
-                },
-                complete: () => {
-                    $( '#wcst-progress' ).hide();
+                    this.render( '#wcst-action-panel', this.html`<div class="wcst-error">${ __( 'Scheduled actions could not be loaded.', 'doctor-subs' ) }</div>` );
                 }
             } );
         },
 
-        displayDevResults: function( data, debugType ) {
-            $( '#wcst-dev-results' ).show();
-            
-            const container = $( '#wcst-dev-content' );
-            let html = `<h4>Debug Information (${ debugType })</h4>`;
-            
-            html += '<pre>' + JSON.stringify( data, null, 2 ) + '</pre>';
-            
-            container.html( html );
-        },
-
-        displayEnhancedDetection: function( enhancedData ) {
-            // Display skipped cycles
-            this.displaySkippedCycles( enhancedData.skipped_cycles || [] );
+        renderActionPanel: function( panel ) {
+            // Reschedule dates are entered in UTC when dates are shown in UTC, otherwise in store time.
+            const zone = 'utc' === this.dateMode ? 'utc' : 'store';
+            const zoneLabel = 'utc' === zone ? 'UTC' : wcst_ajax.timezone;
+            const statusClasses = { pending: 'info', 'in-progress': 'info', complete: 'success', failed: 'error', canceled: 'warning' };
+            const html = [];
             
-            // Display manual completions
-            this.displayManualCompletions( enhancedData.manual_completions || [] );
-            
-            // Display status mismatches
-            this.displayStatusMismatches( enhancedData.status_mismatches || [] );
-            
-            // Display action scheduler audit
-            this.displayActionScheduler( enhancedData.action_scheduler || [] );
+            html.push( this.html`<h4>${ __( 'Scheduled Actions', 'doctor-subs' ) }</h4>` );
             
-            // Display year-over-year analysis
-            this.displayYearOverYear( enhancedData.year_over_year || [] );
-        },
-
-        displaySkippedCycles: function( skippedCycles ) {
-            const container = $( '#wcst-skipped-cycles-content' );
+            if ( panel.can_recreate ) {
+                html.push( this.html`<div class="wcst-warning"><p>${ this.formatHtml( /* translators: %s: next payment date */ __( 'No renewal payment action is scheduled, although the next payment is due %s.', 'doctor-subs' ), this.formatDate( panel.next_payment ) ) }</p><p><button type="button" class="button wcst-action-operation" data-operation="recreate">${ __( 'Recreate payment action', 'doctor-subs' ) }</button></p></div>` );
+            }
             
-            if ( ! Array.isArray( skippedCycles ) || skippedCycles.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">✅ No skipped cycles detected</p>' );
-                return;
+            if ( ! panel.actions.length ) {
+                html.push( this.html`<p>${ __( 'No scheduled actions found for this subscription.', 'doctor-subs' ) }</p>` );
+                return this.render( '#wcst-action-panel', html );
             }
             
-            let html = '<div class="wcst-issues-list">';
-            skippedCycles.forEach( cycle => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-warning">
-                        <p><strong>⚠️ ${ cycle.description }</strong></p>
-                        <p><small>${ cycle.recommendation }</small></p>
-                    </div>
-                `;
+            const rows = panel.actions.map( ( action ) => {
+                const operations = [];
+                
+                if ( 'pending' === action.status ) {
+                    const value = this.formatTimestamp( this.parseDate( action.scheduled_date ), zone ).slice( 0, 16 ).replace( ' ', 'T' );
+                    
+                    operations.push( this.html`<button type="button" class="button button-small wcst-action-operation" data-operation="run">${ __( 'Run now', 'doctor-subs' ) }</button>` );
+                    operations.push( this.html`<span class="wcst-action-reschedule"><input type="datetime-local" class="wcst-action-date" data-zone="${ zone }" value="${ value }" aria-label="${ sprintf( /* translators: %s: timezone */ __( 'New date (%s)', 'doctor-subs' ), zoneLabel ) }"> <span class="description">${ zoneLabel }</span> <button type="button" class="button button-small wcst-action-operation" data-operation="reschedule">${ __( 'Reschedule', 'doctor-subs' ) }</button></span>` );
+                }
+                if ( action.is_duplicate ) {
+                    operations.push( this.html`<button type="button" class="button button-small wcst-action-operation" data-operation="cancel">${ __( 'Cancel duplicate', 'doctor-subs' ) }</button>` );
+                }
+                
+                const logs = action.logs.length ? this.html`<details><summary>${ sprintf( /* translators: %d: number of log entries */ _n( '%d entry', '%d entries', action.logs.length, 'doctor-subs' ), action.logs.length ) }</summary><ul class="wcst-action-log">${ action.logs.map( log => this.html`<li>${ this.formatDate( log.date ) } &mdash; ${ log.message }</li>` ) }</ul></details>` : '—';
+                const attempts = this.html`${ action.attempts }${ action.last_attempt ? this.html`<br><small>${ this.formatDate( action.last_attempt ) }</small>` : '' }`;
+                
+                return this.html`<tr${ action.is_duplicate ? this.html` class="wcst-compare-diff"` : '' } data-action-id="${ action.id }" data-hook="${ action.hook }"><td><code>${ action.hook }</code> #${ action.id }</td><td>${ this.formatDate( action.scheduled_date ) }</td><td><span class="wcst-status-badge ${ statusClasses[ action.status ] || 'info' }">${ action.status }</span>${ action.is_duplicate ? this.html` <span class="wcst-status-badge warning">${ __( 'Duplicate', 'doctor-subs' ) }</span>` : '' }</td><td>${ attempts }</td><td>${ logs }</td><td class="wcst-action-operations">${ operations }</td></tr>`;
             } );
-            html += '</div>';
             
-            container.html( html );
+            html.push( this.html`<table class="wcst-data-table wcst-action-table"><thead><tr><th>${ __( 'Hook', 'doctor-subs' ) }</th><th>${ __( 'Scheduled', 'doctor-subs' ) }</th><th>${ __( 'Status', 'doctor-subs' ) }</th><th>${ __( 'Attempts', 'doctor-subs' ) }</th><th>${ __( 'Log', 'doctor-subs' ) }</th><th>${ __( 'Operations', 'doctor-subs' ) }</th></tr></thead><tbody>${ rows }</tbody></table>` );
+            
+            return this.render( '#wcst-action-panel', html );
         },
 
-        displayManualCompletions: function( completions ) {
-            const container = $( '#wcst-manual-completions-content' );
+        handleActionOperationClick: function( e ) {
+            e.preventDefault();
             
-            if ( completions.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">No manual completions detected.</p>' );
-                return;
+            const $button = $( e.currentTarget );
+            const $row = $button.closest( 'tr' );
+            const $date = $row.find( '.wcst-action-date' );
+            const operation = $button.data( 'operation' );
+            const hook = $row.data( 'hook' );
+            let question;
+            
+            if ( 'run' === operation ) {
+                /* translators: %s: action hook */
+                question = sprintf( __( 'Run %s now? It runs right away, so a renewal payment action charges the customer immediately.', 'doctor-subs' ), hook );
+            } else if ( 'reschedule' === operation ) {
+                if ( ! $date.val() ) {
+                    this.showNotice( 'error', __( 'Choose the new date and time first.', 'doctor-subs' ) );
+                    return;
+                }
+                /* translators: 1: action hook, 2: new date and time, 3: timezone */
+                question = sprintf( __( 'Reschedule %1$s to %2$s (%3$s)?', 'doctor-subs' ), hook, $date.val().replace( 'T', ' ' ), 'utc' === $date.data( 'zone' ) ? 'UTC' : wcst_ajax.timezone );
+            } else if ( 'cancel' === operation ) {
+                /* translators: %s: action hook */
+                question = sprintf( __( 'Cancel this duplicate %s action? The other pending one stays scheduled.', 'doctor-subs' ), hook );
+            } else {
+                question = __( 'Schedule the renewal payment action again for the next payment date?', 'doctor-subs' );
             }
             
-            let html = '<div class="wcst-issues-list">';
-            completions.forEach( completion => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-${ completion.severity }">
-                        <h4>${ completion.description }</h4>
-                        <p><strong>Details:</strong> ${ JSON.stringify( completion.details ) }</p>
-                        <p><strong>Recommendation:</strong> ${ completion.recommendation }</p>
-                    </div>
-                `;
-            } );
-            html += '</div>';
-            
-            container.html( html );
-        },
-
-        displayStatusMismatches: function( mismatches ) {
-            const container = $( '#wcst-status-mismatches-content' );
-            
-            if ( mismatches.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">No status mismatches detected.</p>' );
+            if ( ! confirm( question ) ) {
                 return;
             }
             
-            let html = '<div class="wcst-issues-list">';
-            mismatches.forEach( mismatch => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-${ mismatch.severity }">
-                        <h4>${ mismatch.description }</h4>
-                        <p><strong>Details:</strong> ${ JSON.stringify( mismatch.details ) }</p>
-                        <p><strong>Recommendation:</strong> ${ mismatch.recommendation }</p>
-                    </div>
-                `;
-            } );
-            html += '</div>';
+            $( '#wcst-action-panel button' ).prop( 'disabled', true );
             
-            container.html( html );
+            $.ajax( {
+                url: wcst_ajax.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_manage_scheduled_action',
+                    subscription_id: this.currentSubscriptionId,
+                    operation: operation,
+                    action_id: $row.data( 'action-id' ) || 0,
+                    date: $date.val() || '',
+                    zone: $date.data( 'zone' ) || 'store',
+                    nonce: wcst_ajax.nonce
+                },
+                success: ( response ) => {
+                    if ( response.success ) {
+                        this.showSuccess( response.data.message );
+                        this.renderActionPanel( response.data.panel );
+                    } else {
+                        this.showNotice( 'error', response.data || __( 'The operation failed.', 'doctor-subs' ) );
+                    }
+                },
+                error: () => {
+                    this.showNotice( 'error', __( 'The operation failed. Please try again.', 'doctor-subs' ) );
+                },
+                complete: () => {
+                    $( '#wcst-action-panel button' ).prop( 'disabled', false );
+                }
+            } );
         },
 
-        displayActionScheduler: function( scheduler ) {
-            const container = $( '#wcst-action-scheduler-content' );
-            
-            if ( scheduler.length === 0 ) {
-                container.html( '<p class="wcst-status-healthy">No Action Scheduler issues detected.</p>' );
+        renderDetectionIssues: function( target, issues, emptyMessage ) {
+            if ( ! Array.isArray( issues ) || 0 === issues.length ) {
+                this.render( target, this.html`<p class="wcst-status-healthy">${ emptyMessage }</p>` );
                 return;
             }
             
-            let html = '<div class="wcst-issues-list">';
-            scheduler.forEach( action => {
-                html += `
-                    <div class="wcst-issue-item wcst-status-${ action.severity }">
-                        <h4>${ action.description }</h4>
-                        <p><strong>Details:</strong> ${ JSON.stringify( action.details ) }</p>
-                        <p><strong>Recommendation:</strong> ${ action.recommendation }</p>
-                    </div>
-                `;
+            const items = issues.map( ( issue ) => {
+                const details = issue.details && 'object' === typeof issue.details && Object.keys( issue.details ).length > 0 ? this.renderDetailsTable( issue.details ) : '';
+                
+                return this.html`<div class="wcst-issue-item wcst-status-${ issue.severity }"><h4>${ issue.description }</h4>${ details }<p><strong>${ __( 'Recommendation:', 'doctor-subs' ) }</strong> ${ issue.recommendation }</p></div>`;
             } );
-            html += '</div>';
             
-            container.html( html );
+            this.render( target, this.html`<div class="wcst-issues-list">${ items }</div>` );
         },
 
     };
@@ -0,0 +1,115 @@
+/**
+ * Doctor Subs health badges for the WooCommerce Subscriptions list table
+ */
+
+( function( $ ) {
+    'use strict';
+
+    const { __, _n, sprintf } = wp.i18n;
+
+    const WCSTListTableHealth = {
+        queue: [],
+
+        init: function() {
+            this.queue = $( '.wcst-health-badge[data-subscription-id]' ).map( ( index, badge ) => parseInt( $( badge ).data( 'subscription-id' ), 10 ) ).get();
+
+            if ( ! this.queue.length ) {
+                return;
+            }
+
+            $( '.wcst-health-badge[data-subscription-id]' ).addClass( 'wcst-health-loading' ).attr( 'title', __( 'Checking subscription health…', 'doctor-subs' ) );
+            this.loadNextBatch();
+        },
+
+        // Badges are requested a few at a time, one request after the other, so the list never waits on them.
+        loadNextBatch: function() {
+            const batch = this.queue.splice( 0, parseInt( wcst_list_table.batch_size, 10 ) || 5 );
+
+            if ( ! batch.length ) {
+                return;
+            }
+
+            $.ajax( {
+                url: wcst_list_table.ajax_url,
+                type: 'POST',
+                data: {
+                    action: 'wcst_get_health_badges',
+                    subscription_ids: batch,
+                    nonce: wcst_list_table.nonce
+                },
+                success: ( response ) => {
+                    if ( ! response.success ) {
+                        this.showUnavailable( batch.concat( this.queue ) );
+                        return;
+                    }
+
+                    batch.forEach( id => {
+                        if ( response.data[ id ] ) {
+                            this.renderBadge( id, response.data[ id ] );
+                        } else {
+                            this.showUnavailable( [ id ] );
+                        }
+                    } );
+                    this.loadNextBatch();
+                },
+                error: () => {
+                    this.showUnavailable( batch.concat( this.queue ) );
+                }
+            } );
+        },
+
+        renderBadge: function( id, badge ) {
+            const $badge = this.getBadge( id );
+            const $issues = $( '<span class="wcst-health-badge-issues" role="tooltip">' );
+
+            if ( badge.issue_count > 0 ) {
+                /* translators: %d: number of issues */
+                $issues.append( $( '<strong>' ).text( sprintf( _n( '%d issue', '%d issues', badge.issue_count, 'doctor-subs' ), badge.issue_count ) ) );
+                $issues.append( $( '<ul>' ).append( badge.top_issues.map( issue => $( '<li>' ).addClass( 'wcst-health-issue-' + issue.severity ).text( issue.label ) ) ) );
+
+                if ( badge.issue_count > badge.top_issues.length ) {
+                    /* translators: %d: number of issues not listed */
+                    $issues.append( $( '<span>' ).text( sprintf( __( 'and %d more', 'doctor-subs' ), badge.issue_count - badge.top_issues.length ) ) );
+                }
+            } else {
+                $issues.append( $( '<strong>' ).text( __( 'No issues found', 'doctor-subs' ) ) );
+            }
+
+            $badge.removeClass( 'wcst-health-loading' ).removeAttr( 'title' ).attr( 'tabindex', 0 ).empty().append(
+                $( '<span class="wcst-health-score">' ).addClass( 'wcst-health-' + badge.band ).text( badge.score ).attr( 'aria-label', sprintf(
+                    /* translators: 1: health score, 2: health band */
+                    __( 'Health score %1$d of 100, %2$s', 'doctor-subs' ),
+                    badge.score,
+                    this.getBandLabel( badge.band )
+                ) ),
+                $issues
+            );
+        },
+
+        showUnavailable: function( ids ) {
+            ids.forEach( id => {
+                this.getBadge( id ).removeClass( 'wcst-health-loading' ).attr( 'title', __( 'Subscription health could not be checked.', 'doctor-subs' ) ).text( '?' );
+            } );
+        },
+
+        getBadge: function( id ) {
+            return $( '.wcst-health-badge[data-subscription-id="' + parseInt( id, 10 ) + '"]' );
+        },
+
+        getBandLabel: function( band ) {
+            const labels = {
+                healthy: __( 'Healthy', 'doctor-subs' ),
+                warning: __( 'Needs Attention', 'doctor-subs' ),
+                critical: __( 'Critical', 'doctor-subs' )
+            };
+
+            return labels[ band ] || band;
+        }
+    };
+
+    // Initialize when document is ready
+    $( document ).ready( function() {
+        WCSTListTableHealth.init();
+    } );
+
+} )( jQuery );
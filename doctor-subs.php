@@ -15,6 +15,7 @@ declare( strict_types=1 );
  * Author: DavidR
  * Author URI: https://github.com/davidrukahu
  * Text Domain: doctor-subs
+ * Domain Path: /languages
  * Requires at least: 5.0
  * Tested up to: 6.4
  * Requires PHP: 7.4
@@ -161,9 +162,24 @@ function wcst_autoloader( $class_name ) {
 		'timeline-builder'       => 'includes/analyzers/',
 		'discrepancy-detector'   => 'includes/analyzers/',
 		'skipped-cycle-detector' => 'includes/analyzers/',
+		'fleet-scanner'          => 'includes/analyzers/',
+		'stripe-verifier'        => 'includes/analyzers/',
+		'health-score'           => 'includes/analyzers/',
 		'subscription-data'      => 'includes/collectors/',
+		'debug-collector'        => 'includes/collectors/',
+		'subscription-fixer'     => 'includes/fixers/',
+		'batch-fixer'            => 'includes/fixers/',
+		'action-manager'         => 'includes/fixers/',
+		'remediation-playbooks'  => 'includes/fixers/',
 		'logger'                 => 'includes/utilities/',
 		'security'               => 'includes/utilities/',
+		'report-exporter'        => 'includes/utilities/',
+		'analysis-history'       => 'includes/utilities/',
+		'analysis-exporter'      => 'includes/utilities/',
+		'pii-redactor'           => 'includes/utilities/',
+		'search-shortcuts'       => 'includes/utilities/',
+		'date-formatter'         => 'includes/utilities/',
+		'health-badges'          => 'includes/utilities/',
 	);
 
 	$directory = isset( $class_directories[ $class_file ] ) ? $class_directories[ $class_file ] : 'includes/';
@@ -548,6 +548,11 @@ class WCST_Discrepancy_Detector {
 	 * @return array|null Detached payment method discrepancy or null.
 	 */
 	private function check_detached_payment_method( $subscription ) {
+		// Manual renewals never charge the stored payment method, so a detached one cannot fail them.
+		if ( $subscription->is_manual() ) {
+			return null;
+		}
+
 		// Check subscription notes for the specific Stripe error message.
 		$notes = wc_get_order_notes(
 			array(
@@ -27,22 +27,12 @@ class WCST_Expected_Behavior {
 	 *
 	 * @since 1.0.0
 	 * @param mixed $date Date object or string.
-	 * @return string Formatted date or 'unknown'.
+	 * @return string ISO 8601 date with offset, or 'unknown'.
 	 */
 	private function safe_format_date( $date ) {
-		if ( empty( $date ) ) {
-			return __( 'unknown', 'doctor-subs' );
-		}
-
-		if ( is_object( $date ) && method_exists( $date, 'format' ) ) {
-			return $date->format( 'Y-m-d H:i:s' );
-		}
-
-		if ( is_string( $date ) ) {
-			return $date;
-		}
+		$formatted = empty( $date ) ? null : WCST_Date_Formatter::to_iso8601( $date );
 
-		return __( 'unknown', 'doctor-subs' );
+		return null === $formatted ? __( 'unknown', 'doctor-subs' ) : $formatted;
 	}
 
 	/**
@@ -178,7 +168,7 @@ class WCST_Expected_Behavior {
 				'description'       => __( 'Manual renewals require customer action to complete payments.', 'doctor-subs' ),
 				'next_action'       => __( 'Customer must manually renew the subscription.', 'doctor-subs' ),
 				'automated_actions' => false,
-				'next_payment_date' => $next_payment,
+				'next_payment_date' => $next_payment ? $this->safe_format_date( $next_payment ) : null,
 			);
 		}
 
@@ -197,7 +187,7 @@ class WCST_Expected_Behavior {
 					$this->safe_format_date( $next_payment )
 				),
 				'automated_actions' => true,
-				'next_payment_date' => $next_payment,
+				'next_payment_date' => $next_payment ? $this->safe_format_date( $next_payment ) : null,
 				'billing_interval'  => $billing_interval,
 				'billing_period'    => $billing_period,
 				'renewal_process'   => $this->describe_action_scheduler_renewal_process(),
@@ -209,7 +199,7 @@ class WCST_Expected_Behavior {
 			'description'        => __( 'Renewals are controlled by the payment gateway.', 'doctor-subs' ),
 			'next_action'        => __( 'Gateway will notify site when payment is processed.', 'doctor-subs' ),
 			'automated_actions'  => true,
-			'next_payment_date'  => $next_payment,
+			'next_payment_date'  => $next_payment ? $this->safe_format_date( $next_payment ) : null,
 			'gateway_control'    => true,
 			'webhook_dependency' => true,
 			'renewal_process'    => $this->describe_gateway_controlled_renewal_process( $payment_method ),
@@ -277,8 +267,8 @@ class WCST_Expected_Behavior {
 		return array(
 			'parent_order_id'       => $parent_order->get_id(),
 			'parent_order_status'   => $parent_order->get_status(),
-			'parent_order_date'     => $parent_order->get_date_created(),
-			'subscription_date'     => $subscription->get_date( 'date_created' ),
+			'parent_order_date'     => $this->safe_format_date( $parent_order->get_date_created() ),
+			'subscription_date'     => $this->safe_format_date( $subscription->get_date( 'date_created' ) ),
 			'creation_relationship' => $this->analyze_creation_relationship( $subscription, $parent_order ),
 			'expected_data_match'   => $this->analyze_expected_data_match( $subscription, $parent_order ),
 		);
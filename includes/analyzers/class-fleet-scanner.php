@@ -0,0 +1,391 @@
+<?php
+/**
+ * Fleet Scanner
+ *
+ * Runs the skipped cycle and discrepancy detectors across many subscriptions
+ * to produce a store-wide report.
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Scans many subscriptions in batches and stores the results as a report.
+ *
+ * @since 1.3.0
+ */
+class WCST_Fleet_Scanner {
+
+	/**
+	 * Transient prefix for stored reports.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const REPORT_TRANSIENT_PREFIX = 'wcst_fleet_scan_';
+
+	/**
+	 * How long a stored report is kept, in seconds.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const REPORT_EXPIRATION = DAY_IN_SECONDS;
+
+	/**
+	 * Number of subscriptions analyzed per batch request.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const BATCH_SIZE = 10;
+
+	/**
+	 * Allowed values for the scan limit filter.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const ALLOWED_LIMITS = array( 50, 100, 250, 500 );
+
+	/**
+	 * Skipped cycle detector instance.
+	 *
+	 * @since 1.3.0
+	 * @var WCST_Skipped_Cycle_Detector
+	 */
+	private $skipped_cycle_detector;
+
+	/**
+	 * Discrepancy detector instance.
+	 *
+	 * @since 1.3.0
+	 * @var WCST_Discrepancy_Detector
+	 */
+	private $discrepancy_detector;
+
+	/**
+	 * Health score calculator.
+	 *
+	 * @since 1.3.0
+	 * @var WCST_Health_Score
+	 */
+	private $health_score;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 */
+	public function __construct() {
+		$this->skipped_cycle_detector = new WCST_Skipped_Cycle_Detector();
+		$this->discrepancy_detector   = new WCST_Discrepancy_Detector();
+		$this->health_score           = new WCST_Health_Score();
+	}
+
+	/**
+	 * Normalize scan filters to known values.
+	 *
+	 * @since 1.3.0
+	 * @param array $raw_filters Filters submitted by the client (already sanitized as text).
+	 * @return array Normalized filters.
+	 */
+	public function sanitize_filters( $raw_filters ) {
+		$raw_filters = is_array( $raw_filters ) ? $raw_filters : array();
+
+		$report_type = isset( $raw_filters['report_type'] ) ? sanitize_key( $raw_filters['report_type'] ) : 'all';
+		$status      = isset( $raw_filters['status'] ) ? sanitize_key( $raw_filters['status'] ) : 'any';
+		$gateway     = isset( $raw_filters['gateway'] ) ? sanitize_text_field( $raw_filters['gateway'] ) : '';
+		$limit       = isset( $raw_filters['limit'] ) ? absint( $raw_filters['limit'] ) : 100;
+
+		$statuses = function_exists( 'wcs_get_subscription_statuses' ) ? array_keys( wcs_get_subscription_statuses() ) : array();
+		if ( 'any' !== $status && ! in_array( 'wc-' . $status, $statuses, true ) && ! in_array( $status, $statuses, true ) ) {
+			$status = 'any';
+		}
+
+		return array(
+			'report_type' => in_array( $report_type, array( 'all', 'issues_only' ), true ) ? $report_type : 'all',
+			'status'      => $status,
+			'gateway'     => $gateway,
+			'date_from'   => $this->sanitize_date( $raw_filters['date_from'] ?? '' ),
+			'date_to'     => $this->sanitize_date( $raw_filters['date_to'] ?? '' ),
+			'limit'       => in_array( $limit, self::ALLOWED_LIMITS, true ) ? $limit : 100,
+		);
+	}
+
+	/**
+	 * Start a new fleet scan.
+	 *
+	 * Resolves the matching subscription IDs and stores an empty report that
+	 * subsequent batches are appended to.
+	 *
+	 * @since 1.3.0
+	 * @param array $filters Normalized filters from sanitize_filters().
+	 * @return array The stored report.
+	 */
+	public function start( $filters ) {
+		$report = array(
+			'id'               => wp_generate_uuid4(),
+			'user_id'          => get_current_user_id(),
+			'created'          => current_time( 'mysql' ),
+			'filters'          => $filters,
+			'subscription_ids' => $this->query_subscription_ids( $filters ),
+			'scanned'          => 0,
+			'rows'             => array(),
+		);
+
+		$this->save_report( $report );
+
+		return $report;
+	}
+
+	/**
+	 * Analyze the next batch of subscriptions in a report.
+	 *
+	 * @since 1.3.0
+	 * @param string $report_id Report ID.
+	 * @return array Batch result with the new rows and overall progress.
+	 * @throws Exception If the report does not exist or belongs to another user.
+	 */
+	public function scan_next_batch( $report_id ) {
+		$report = $this->get_report( $report_id );
+
+		$batch    = array_slice( $report['subscription_ids'], $report['scanned'], self::BATCH_SIZE );
+		$new_rows = array();
+
+		foreach ( $batch as $subscription_id ) {
+			$row = $this->scan_subscription( $subscription_id );
+
+			if ( ! $row ) {
+				continue;
+			}
+
+			if ( 'issues_only' === $report['filters']['report_type'] && empty( $row['issues'] ) ) {
+				continue;
+			}
+
+			$new_rows[] = $row;
+		}
+
+		$report['scanned'] += count( $batch );
+		$report['rows']     = array_merge( $report['rows'], $new_rows );
+
+		$this->save_report( $report );
+
+		return array(
+			'report_id'   => $report['id'],
+			'total_count' => count( $report['subscription_ids'] ),
+			'scanned'     => $report['scanned'],
+			'done'        => $report['scanned'] >= count( $report['subscription_ids'] ),
+			'rows'        => $new_rows,
+		);
+	}
+
+	/**
+	 * Get a stored report owned by the current user.
+	 *
+	 * @since 1.3.0
+	 * @param string $report_id Report ID.
+	 * @return array Stored report.
+	 * @throws Exception If the report does not exist or belongs to another user.
+	 */
+	public function get_report( $report_id ) {
+		$report = get_transient( self::REPORT_TRANSIENT_PREFIX . sanitize_key( $report_id ) );
+
+		if ( ! is_array( $report ) || (int) $report['user_id'] !== get_current_user_id() ) {
+			throw new Exception( esc_html__( 'Report not found or expired. Please run the scan again.', 'doctor-subs' ) );
+		}
+
+		return $report;
+	}
+
+	/**
+	 * Persist a report.
+	 *
+	 * @since 1.3.0
+	 * @param array $report Report data.
+	 */
+	private function save_report( $report ) {
+		set_transient( self::REPORT_TRANSIENT_PREFIX . $report['id'], $report, self::REPORT_EXPIRATION );
+	}
+
+	/**
+	 * Find subscription IDs matching the filters.
+	 *
+	 * Uses the WooCommerce order data store so HPOS and posts storage both work.
+	 *
+	 * @since 1.3.0
+	 * @param array $filters Normalized filters.
+	 * @return array Subscription IDs, newest first.
+	 */
+	private function query_subscription_ids( $filters ) {
+		if ( ! function_exists( 'wc_get_orders' ) || ! function_exists( 'wcs_get_subscription_statuses' ) ) {
+			return array();
+		}
+
+		$statuses = array_keys( wcs_get_subscription_statuses() );
+		if ( 'any' !== $filters['status'] ) {
+			$statuses = array( 0 === strpos( $filters['status'], 'wc-' ) ? $filters['status'] : 'wc-' . $filters['status'] );
+		}
+
+		$query_args = array(
+			'type'    => 'shop_subscription',
+			'status'  => $statuses,
+			'limit'   => $filters['limit'],
+			'orderby' => 'date',
+			'order'   => 'DESC',
+			'return'  => 'ids',
+		);
+
+		if ( ! empty( $filters['gateway'] ) ) {
+			$query_args['payment_method'] = $filters['gateway'];
+		}
+
+		if ( $filters['date_from'] && $filters['date_to'] ) {
+			$query_args['date_created'] = $filters['date_from'] . '...' . $filters['date_to'];
+		} elseif ( $filters['date_from'] ) {
+			$query_args['date_created'] = '>=' . $filters['date_from'];
+		} elseif ( $filters['date_to'] ) {
+			$query_args['date_created'] = '<=' . $filters['date_to'];
+		}
+
+		return array_map( 'absint', wc_get_orders( $query_args ) );
+	}
+
+	/**
+	 * Analyze a single subscription and build its report row.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array|null Report row or null if the subscription could not be loaded.
+	 */
+	public function scan_subscription( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			return null;
+		}
+
+		$issues = array();
+
+		try {
+			$enhanced_data = $this->skipped_cycle_detector->analyze( $subscription_id );
+			foreach ( $enhanced_data as $source => $findings ) {
+				$issues = array_merge( $issues, $this->collect_issues( $findings, $source ) );
+			}
+		} catch ( \Throwable $t ) {
+			WCST_Logger::log( 'error', sprintf( 'Fleet scan: enhanced detection failed for #%d: %s', $subscription_id, $t->getMessage() ) );
+		}
+
+		try {
+			$discrepancies = $this->discrepancy_detector->analyze_discrepancies( $subscription_id );
+			$issues        = array_merge( $issues, $this->collect_issues( $discrepancies, 'discrepancies' ) );
+		} catch ( \Throwable $t ) {
+			WCST_Logger::log( 'error', sprintf( 'Fleet scan: discrepancy detection failed for #%d: %s', $subscription_id, $t->getMessage() ) );
+		}
+
+		$last_renewal  = $subscription->get_last_order( 'all', 'renewal' );
+		$last_renewal  = $last_renewal ? $last_renewal->get_date_created() : null;
+		$last_payment  = $last_renewal ? $last_renewal->getTimestamp() : $subscription->get_time( 'start' );
+		$expected_next = false;
+
+		if ( $last_payment ) {
+			// Calendar months and years, so the scan agrees with the repair tool.
+			$expected_next = $this->skipped_cycle_detector->add_billing_period(
+				$last_payment,
+				$subscription->get_billing_period(),
+				(int) $subscription->get_billing_interval()
+			);
+		}
+
+		$next_payment = $subscription->get_time( 'next_payment' );
+		$health       = $this->health_score->score( $issues );
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'customer_name'   => $subscription->get_formatted_billing_full_name(),
+			'customer_email'  => $subscription->get_billing_email(),
+			'gateway'         => $subscription->get_payment_method_title() ? $subscription->get_payment_method_title() : $subscription->get_payment_method(),
+			'last_renewal'    => $last_renewal ? WCST_Date_Formatter::to_iso8601( $last_renewal ) : null,
+			'expected_next'   => $expected_next ? WCST_Date_Formatter::to_iso8601( $expected_next ) : null,
+			'actual_next'     => $next_payment ? WCST_Date_Formatter::to_iso8601( $next_payment ) : null,
+			'status'          => $subscription->get_status(),
+			'severity'        => $this->get_worst_severity( $issues ),
+			'health_score'    => $health['score'],
+			'health_band'     => $health['band'],
+			'issues'          => $issues,
+			'analyze_url'     => WCST_Admin::get_analysis_url( $subscription->get_id() ),
+		);
+	}
+
+	/**
+	 * Flatten analyzer findings into report issues.
+	 *
+	 * @since 1.3.0
+	 * @param array  $findings Analyzer findings.
+	 * @param string $source   Analyzer section the findings came from.
+	 * @return array Issues with type, severity, description, date and source.
+	 */
+	private function collect_issues( $findings, $source ) {
+		$issues = array();
+
+		if ( ! is_array( $findings ) ) {
+			return $issues;
+		}
+
+		foreach ( $findings as $key => $finding ) {
+			// Skip non-finding entries such as the year-over-year summary.
+			if ( ! is_int( $key ) || ! is_array( $finding ) || empty( $finding['type'] ) ) {
+				continue;
+			}
+
+			$issues[] = array(
+				'source'      => $source,
+				'type'        => $finding['type'],
+				'severity'    => WCST_Health_Score::normalize_severity( $finding['severity'] ?? 'info' ),
+				'description' => $finding['description'] ?? '',
+				'date'        => WCST_Health_Score::get_issue_date( $finding ),
+			);
+		}
+
+		return $issues;
+	}
+
+	/**
+	 * Get the most severe level among a list of issues.
+	 *
+	 * @since 1.3.0
+	 * @param array $issues Normalized issues.
+	 * @return string One of critical, warning, info or healthy.
+	 */
+	private function get_worst_severity( $issues ) {
+		$severities = wp_list_pluck( $issues, 'severity' );
+
+		foreach ( array( 'critical', 'warning', 'info' ) as $severity ) {
+			if ( in_array( $severity, $severities, true ) ) {
+				return $severity;
+			}
+		}
+
+		return 'healthy';
+	}
+
+	/**
+	 * Validate a Y-m-d date string.
+	 *
+	 * @since 1.3.0
+	 * @param string $date Date string.
+	 * @return string Valid date or empty string.
+	 */
+	private function sanitize_date( $date ) {
+		$date = sanitize_text_field( (string) $date );
+
+		return preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date ) ? $date : '';
+	}
+}
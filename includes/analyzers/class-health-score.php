@@ -0,0 +1,284 @@
+<?php
+/**
+ * Health Score
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Turns a subscription's issues into a 0–100 health score with a per-issue breakdown.
+ *
+ * Each issue takes points off 100: its severity weight, times its type
+ * weight, times a recency factor that halves every half-life so an old
+ * failure counts less than last week's. The weights and half-life can be
+ * changed in the wcst_settings option.
+ *
+ * @since 1.3.0
+ */
+class WCST_Health_Score {
+
+	/**
+	 * Points an issue of each severity takes off the score.
+	 *
+	 * Override with the health_severity_weights key of the wcst_settings option.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const SEVERITY_WEIGHTS = array(
+		'critical' => 25,
+		'warning'  => 10,
+		'info'     => 2,
+	);
+
+	/**
+	 * Multipliers for issue types that matter more or less than their severity says; other types use 1.
+	 *
+	 * Override with the health_type_weights key of the wcst_settings option.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const TYPE_WEIGHTS = array(
+		'payment_method'                    => 1.5,
+		'detached_payment_method'           => 1.5,
+		'missing_action'                    => 1.5,
+		'missing_renewal_action'            => 1.5,
+		'potential_detached_payment_method' => 1.2,
+		'stripe_renewal_error'              => 1.2,
+		'failed_action'                     => 1.2,
+		'skipped_cycle'                     => 1.2,
+		'overdue_payment'                   => 1.2,
+		'no_payments'                       => 1.2,
+		'timeline_discrepancy'              => 0.8,
+		'missing_renewals'                  => 0.8,
+		'manual_completion'                 => 0.5,
+		'manual_payment'                    => 0.5,
+		'missing_year'                      => 0.5,
+		'payment_due_soon'                  => 0.5,
+	);
+
+	/**
+	 * Days after which a dated issue counts half as much.
+	 *
+	 * Override with the health_recency_half_life key of the wcst_settings option; 0 turns recency off.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const RECENCY_HALF_LIFE = 180;
+
+	/**
+	 * Smallest recency factor, so old issues never stop counting entirely.
+	 *
+	 * @since 1.3.0
+	 * @var float
+	 */
+	const RECENCY_FLOOR = 0.2;
+
+	/**
+	 * Lowest scores of the healthy and warning bands; anything lower is critical.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const BANDS = array(
+		'healthy' => 80,
+		'warning' => 50,
+	);
+
+	/**
+	 * Issue detail keys that date an issue, most specific first.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const DATE_KEYS = array(
+		'timestamp',
+		'last_seen',
+		'last_attempt',
+		'order_date',
+		'actual_next_date',
+		'expected_next_date',
+		'expected_date',
+		'scheduled_date',
+	);
+
+	/**
+	 * Severity weights in use.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	private $severity_weights;
+
+	/**
+	 * Type weights in use.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	private $type_weights;
+
+	/**
+	 * Recency half-life in days.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	private $half_life;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 */
+	public function __construct() {
+		$this->severity_weights = array_merge( self::SEVERITY_WEIGHTS, array_map( 'floatval', (array) WCST_Plugin::get_option( 'health_severity_weights', array() ) ) );
+		$this->type_weights     = array_merge( self::TYPE_WEIGHTS, array_map( 'floatval', (array) WCST_Plugin::get_option( 'health_type_weights', array() ) ) );
+		$this->half_life        = max( 0, (int) WCST_Plugin::get_option( 'health_recency_half_life', self::RECENCY_HALF_LIFE ) );
+	}
+
+	/**
+	 * Score a list of issues.
+	 *
+	 * @since 1.3.0
+	 * @param array $issues Issues with type, severity and optionally title, description and date.
+	 * @return array Score (0–100), band (healthy, warning or critical) and factors, largest penalty first.
+	 */
+	public function score( $issues ) {
+		$factors = array();
+		$total   = 0.0;
+
+		foreach ( $issues as $issue ) {
+			$severity        = self::normalize_severity( $issue['severity'] ?? 'info' );
+			$type            = $issue['type'] ?? 'unknown';
+			$severity_weight = (float) ( $this->severity_weights[ $severity ] ?? 0 );
+			$type_weight     = (float) ( $this->type_weights[ $type ] ?? 1 );
+			$recency         = $this->get_recency( $issue['date'] ?? null );
+			$penalty         = $severity_weight * $type_weight * $recency;
+			$total          += $penalty;
+
+			$factors[] = array(
+				'type'            => $type,
+				'severity'        => $severity,
+				'label'           => $issue['title'] ?? ( $issue['description'] ?? $type ),
+				'date'            => $issue['date'] ?? null,
+				'severity_weight' => $severity_weight,
+				'type_weight'     => $type_weight,
+				'recency'         => round( $recency, 2 ),
+				'penalty'         => round( $penalty, 1 ),
+			);
+		}
+
+		usort(
+			$factors,
+			function ( $a, $b ) {
+				return $b['penalty'] <=> $a['penalty'];
+			}
+		);
+
+		$score = (int) max( 0, min( 100, round( 100 - $total ) ) );
+
+		return array(
+			'score'   => $score,
+			'band'    => $this->get_band( $score ),
+			'factors' => $factors,
+		);
+	}
+
+	/**
+	 * Find the date an analyzer finding refers to.
+	 *
+	 * @since 1.3.0
+	 * @param array $finding Finding with its details.
+	 * @return string|null ISO 8601 date, or null for findings about the current state.
+	 */
+	public static function get_issue_date( $finding ) {
+		$sources = array( $finding, $finding['details'] ?? array() );
+
+		foreach ( $sources as $source ) {
+			foreach ( self::DATE_KEYS as $key ) {
+				$date = isset( $source[ $key ] ) ? WCST_Date_Formatter::to_iso8601( $source[ $key ] ) : null;
+				if ( $date ) {
+					return $date;
+				}
+			}
+		}
+
+		// Detached payment method findings list the error notes; the newest one counts.
+		$latest = null;
+		foreach ( $finding['details']['errors'] ?? array() as $error ) {
+			$timestamp = WCST_Date_Formatter::to_timestamp( $error['date'] ?? null );
+			if ( null !== $timestamp && ( null === $latest || $timestamp > $latest ) ) {
+				$latest = $timestamp;
+			}
+		}
+
+		return null === $latest ? null : WCST_Date_Formatter::to_iso8601( $latest );
+	}
+
+	/**
+	 * Get the band a score falls in.
+	 *
+	 * @since 1.3.0
+	 * @param int $score Health score.
+	 * @return string healthy, warning or critical.
+	 */
+	public function get_band( $score ) {
+		foreach ( self::BANDS as $band => $minimum ) {
+			if ( $score >= $minimum ) {
+				return $band;
+			}
+		}
+
+		return 'critical';
+	}
+
+	/**
+	 * Map the analyzers' severity levels onto critical, warning and info.
+	 *
+	 * Shared with the fleet scanner, so the score and the fleet report always agree on severities.
+	 *
+	 * @since 1.3.0
+	 * @param string $severity Analyzer severity.
+	 * @return string Normalized severity.
+	 */
+	public static function normalize_severity( $severity ) {
+		if ( in_array( $severity, array( 'critical', 'error', 'high' ), true ) ) {
+			return 'critical';
+		}
+
+		if ( in_array( $severity, array( 'warning', 'medium' ), true ) ) {
+			return 'warning';
+		}
+
+		return 'info';
+	}
+
+	/**
+	 * Weigh an issue by how long ago it happened.
+	 *
+	 * @since 1.3.0
+	 * @param string|null $date Issue date, or null for the current state.
+	 * @return float Factor between the recency floor and 1.
+	 */
+	private function get_recency( $date ) {
+		$timestamp = WCST_Date_Formatter::to_timestamp( $date );
+
+		if ( null === $timestamp || ! $this->half_life ) {
+			return 1.0;
+		}
+
+		$age_days = max( 0, time() - $timestamp ) / DAY_IN_SECONDS;
+
+		return max( self::RECENCY_FLOOR, pow( 0.5, $age_days / $this->half_life ) );
+	}
+}
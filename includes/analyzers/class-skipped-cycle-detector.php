@@ -391,17 +391,21 @@ class WCST_Skipped_Cycle_Detector {
 		$subscription_id = $subscription->get_id();
 		$store           = ActionScheduler_Store::instance();
 
+		// WooCommerce Subscriptions schedules its actions with the ID as a named argument.
+		$args = array( 'subscription_id' => $subscription_id );
+
 		// Check for scheduled subscription payments.
 		$payment_actions = $store->query_actions(
 			array(
 				'hook'     => 'woocommerce_scheduled_subscription_payment',
-				'args'     => array( $subscription_id ),
+				'args'     => $args,
 				'status'   => ActionScheduler_Store::STATUS_PENDING,
 				'per_page' => 10,
 			)
 		);
 
-		if ( empty( $payment_actions ) ) {
+		// Only active subscriptions with a next payment date are expected to have one.
+		if ( empty( $payment_actions ) && $subscription->has_status( 'active' ) && $subscription->get_time( 'next_payment' ) ) {
 			$audit_results[] = array(
 				'type'           => 'missing_action',
 				'severity'       => 'warning',
@@ -410,7 +414,7 @@ class WCST_Skipped_Cycle_Detector {
 					'action_type'     => 'woocommerce_scheduled_subscription_payment',
 					'subscription_id' => $subscription_id,
 				),
-				'recommendation' => __( 'Check if subscription payments are properly scheduled.', 'doctor-subs' ),
+				'recommendation' => __( 'Check if subscription payments are properly scheduled. Recreate payment action in the Scheduled Actions table schedules it again from the next payment date.', 'doctor-subs' ),
 			);
 		}
 
@@ -418,14 +422,27 @@ class WCST_Skipped_Cycle_Detector {
 		$failed_actions = $store->query_actions(
 			array(
 				'hook'     => array( 'woocommerce_scheduled_subscription_payment', 'woocommerce_scheduled_subscription_expiration' ),
-				'args'     => array( $subscription_id ),
+				'args'     => $args,
 				'status'   => ActionScheduler_Store::STATUS_FAILED,
 				'per_page' => 10,
 			)
 		);
 
 		foreach ( $failed_actions as $action_id ) {
-			$action          = $store->fetch_action( $action_id );
+			$action = $store->fetch_action( $action_id );
+
+			// A failure followed by a pending action of the same hook has been recovered from.
+			$pending_action = $store->find_action(
+				$action->get_hook(),
+				array(
+					'args'   => $args,
+					'status' => ActionScheduler_Store::STATUS_PENDING,
+				)
+			);
+			if ( $pending_action ) {
+				continue;
+			}
+
 			$audit_results[] = array(
 				'type'           => 'failed_action',
 				'severity'       => 'error',
@@ -441,7 +458,7 @@ class WCST_Skipped_Cycle_Detector {
 					'last_attempt'   => $action->get_last_attempt_gmdate() ? $action->get_last_attempt_gmdate()->format( 'Y-m-d H:i:s' ) : 'Never',
 					'retry_count'    => $action->get_retry_count(),
 				),
-				'recommendation' => __( 'Review failed action and consider manual intervention.', 'doctor-subs' ),
+				'recommendation' => __( 'Review the action\'s log in the Scheduled Actions table, then reschedule the pending action or recreate the missing payment action.', 'doctor-subs' ),
 			);
 		}
 
@@ -451,70 +468,178 @@ class WCST_Skipped_Cycle_Detector {
 	/**
 	 * Perform year-over-year analysis.
 	 *
+	 * Compares the renewals the billing schedule expects in each year with the
+	 * paid renewal orders actually created, by count and by revenue.
+	 *
 	 * @since 1.0.0
 	 * @param WC_Subscription $subscription Subscription object.
-	 * @return array Year-over-year analysis results.
+	 * @return array Year-over-year issues, plus 'yearly_summary' (paid renewals per year)
+	 *               and 'years' (expected vs actual renewals and revenue per year).
 	 */
 	private function year_over_year_analysis( $subscription ) {
 		$analysis = array();
+		$years    = array();
 
-		$related_orders = $subscription->get_related_orders();
+		$renewal_ids = $subscription->get_related_orders( 'ids', 'renewal' );
 
-		// Limit to last 24 orders to prevent performance issues.
-		if ( count( $related_orders ) > 24 ) {
-			$related_orders = array_slice( $related_orders, -24 );
+		// Limit to the most recent renewals to prevent performance issues.
+		if ( count( $renewal_ids ) > 240 ) {
+			rsort( $renewal_ids );
+			$renewal_ids = array_slice( $renewal_ids, 0, 240 );
 		}
 
-		$renewals_by_year = array();
+		$paid_statuses = function_exists( 'wc_get_is_paid_statuses' ) ? wc_get_is_paid_statuses() : array( 'processing', 'completed' );
 
-		foreach ( $related_orders as $order_id ) {
+		foreach ( $renewal_ids as $order_id ) {
 			$order = wc_get_order( $order_id );
 
-			if ( ! $order ) {
+			if ( ! $order || ! $order->get_date_created() || ! in_array( $order->get_status(), $paid_statuses, true ) ) {
 				continue;
 			}
 
-			// Only count renewal orders.
-			if ( 'renewal' === $order->get_meta( '_subscription_renewal' ) ) {
-				$year = $order->get_date_created()->format( 'Y' );
-				if ( ! isset( $renewals_by_year[ $year ] ) ) {
-					$renewals_by_year[ $year ] = 0;
-				}
-				++$renewals_by_year[ $year ];
-			}
+			$year = (int) gmdate( 'Y', $order->get_date_created()->getTimestamp() );
+			$this->add_year_over_year_row( $years, $year );
+			++$years[ $year ]['actual_renewals'];
+			$years[ $year ]['actual_revenue'] += (float) $order->get_total();
 		}
 
-		// Sort years.
-		ksort( $renewals_by_year );
-
-		// Check for missing years.
-		$years = array_keys( $renewals_by_year );
-		if ( count( $years ) > 1 ) {
-			$min_year = min( $years );
-			$max_year = max( $years );
-
-			for ( $year = $min_year; $year <= $max_year; $year++ ) {
-				if ( ! isset( $renewals_by_year[ $year ] ) ) {
-					$analysis[] = array(
-						'type'           => 'missing_year',
-						'severity'       => 'warning',
-						/* translators: %d: year */
-						'description'    => sprintf( __( 'No renewals found for year %d', 'doctor-subs' ), $year ),
-						'details'        => array(
-							'year'            => $year,
-							'analysis_period' => $min_year . ' - ' . $max_year,
-						),
-						'recommendation' => __( 'Investigate why no renewals occurred during this period.', 'doctor-subs' ),
-					);
-				}
+		foreach ( $this->get_expected_renewal_timestamps( $subscription ) as $timestamp ) {
+			$year = (int) gmdate( 'Y', $timestamp );
+			$this->add_year_over_year_row( $years, $year );
+			++$years[ $year ]['expected_renewals'];
+			$years[ $year ]['expected_revenue'] += (float) $subscription->get_total();
+		}
+
+		ksort( $years );
+
+		foreach ( $years as $year => $row ) {
+			$years[ $year ]['expected_revenue'] = round( $row['expected_revenue'], 2 );
+			$years[ $year ]['actual_revenue']   = round( $row['actual_revenue'], 2 );
+			$years[ $year ]['missing']          = $row['actual_renewals'] < $row['expected_renewals'];
+
+			if ( ! $years[ $year ]['missing'] ) {
+				continue;
+			}
+
+			if ( 0 === $row['actual_renewals'] ) {
+				$analysis[] = array(
+					'type'           => 'missing_year',
+					'severity'       => 'warning',
+					/* translators: %d: year */
+					'description'    => sprintf( __( 'No renewals found for year %d', 'doctor-subs' ), $year ),
+					'details'        => array(
+						'year'              => $year,
+						'expected_renewals' => $row['expected_renewals'],
+					),
+					'recommendation' => __( 'Investigate why no renewals occurred during this period.', 'doctor-subs' ),
+				);
+			} else {
+				$analysis[] = array(
+					'type'           => 'missing_renewals',
+					'severity'       => 'warning',
+					'description'    => sprintf(
+						/* translators: 1: expected renewal count, 2: year, 3: actual renewal count */
+						__( 'Expected %1$d renewals in %2$d but found %3$d paid renewals', 'doctor-subs' ),
+						$row['expected_renewals'],
+						$year,
+						$row['actual_renewals']
+					),
+					'details'        => array(
+						'year'              => $year,
+						'expected_renewals' => $row['expected_renewals'],
+						'actual_renewals'   => $row['actual_renewals'],
+					),
+					'recommendation' => __( 'Review the timeline for this year to find the renewals that were skipped or failed.', 'doctor-subs' ),
+				);
 			}
 		}
 
-		$analysis['yearly_summary'] = $renewals_by_year;
+		$analysis['yearly_summary'] = wp_list_pluck( $years, 'actual_renewals' );
+		$analysis['years']          = array_values( $years );
 
 		return $analysis;
 	}
 
+	/**
+	 * Add an empty year-over-year row if the year is not tracked yet.
+	 *
+	 * @since 1.3.0
+	 * @param array $years Year rows keyed by year, passed by reference.
+	 * @param int   $year  Year.
+	 */
+	private function add_year_over_year_row( &$years, $year ) {
+		if ( isset( $years[ $year ] ) ) {
+			return;
+		}
+
+		$years[ $year ] = array(
+			'year'              => $year,
+			'expected_renewals' => 0,
+			'actual_renewals'   => 0,
+			'expected_revenue'  => 0.0,
+			'actual_revenue'    => 0.0,
+		);
+	}
+
+	/**
+	 * List the renewal dates the billing schedule expected up to now.
+	 *
+	 * Uses Subscriptions' calendar-aware date maths when available so monthly
+	 * schedules do not drift the way fixed 30-day periods would.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Expected renewal timestamps.
+	 */
+	public function get_expected_renewal_timestamps( $subscription ) {
+		$period   = $subscription->get_billing_period();
+		$interval = (int) $subscription->get_billing_interval();
+		$start    = $subscription->get_time( 'start' );
+
+		if ( ! $start || ! $period || $interval < 1 ) {
+			return array();
+		}
+
+		$until = time();
+		foreach ( array( 'end', 'cancelled' ) as $date_type ) {
+			$time = $subscription->get_time( $date_type );
+			if ( $time && $time < $until ) {
+				$until = $time;
+			}
+		}
+
+		$trial_end  = $subscription->get_time( 'trial_end' );
+		$timestamps = array();
+		$timestamp  = $trial_end > $start ? $trial_end : $this->add_billing_period( $start, $period, $interval );
+
+		// Bounded so a broken schedule can never loop forever.
+		while ( $timestamp && $timestamp <= $until && count( $timestamps ) < 1000 ) {
+			$timestamps[] = $timestamp;
+			$timestamp    = $this->add_billing_period( $timestamp, $period, $interval );
+		}
+
+		return $timestamps;
+	}
+
+	/**
+	 * Add one billing period to a timestamp.
+	 *
+	 * @since 1.3.0
+	 * @param int    $timestamp Timestamp.
+	 * @param string $period    Billing period.
+	 * @param int    $interval  Billing interval.
+	 * @return int|false Next timestamp or false on failure.
+	 */
+	public function add_billing_period( $timestamp, $period, $interval ) {
+		if ( function_exists( 'wcs_add_time' ) ) {
+			return wcs_add_time( $interval, $period, $timestamp );
+		}
+
+		$next = $this->calculate_expected_next_payment( $timestamp, $period, $interval );
+
+		return $next ? strtotime( $next . ' UTC' ) : false;
+	}
+
 	/**
 	 * Calculate expected next payment date.
 	 *
@@ -524,7 +649,7 @@ class WCST_Skipped_Cycle_Detector {
 	 * @param int    $billing_interval Billing interval.
 	 * @return string|false Expected next payment date or false on failure.
 	 */
-	private function calculate_expected_next_payment( $last_timestamp, $billing_period, $billing_interval ) {
+	public function calculate_expected_next_payment( $last_timestamp, $billing_period, $billing_interval ) {
 		$period_days = $this->get_billing_period_days( $billing_period, $billing_interval );
 
 		if ( ! $period_days ) {
@@ -0,0 +1,338 @@
+<?php
+/**
+ * Stripe Verifier
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Checks a subscription's Stripe payment method and customer against the Stripe API.
+ *
+ * The discrepancy detector can only read order notes, so a detached payment
+ * method shows up there after a renewal has already failed. This asks Stripe
+ * directly, with the keys of the store's Stripe gateway, and only when an
+ * admin requests it.
+ *
+ * @since 1.3.0
+ */
+class WCST_Stripe_Verifier {
+
+	/**
+	 * Stripe API base URL used unless the stripe_api_base setting overrides it.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const DEFAULT_API_BASE = 'https://api.stripe.com';
+
+	/**
+	 * Seconds to wait for a Stripe API response.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const TIMEOUT = 15;
+
+	/**
+	 * Verify a subscription's payment method and customer.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array What Stripe reports about the payment method and customer, and the problems found.
+	 * @throws Exception If the subscription cannot be checked or the Stripe API cannot be reached.
+	 */
+	public function verify( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			throw new Exception( esc_html__( 'Subscription not found.', 'doctor-subs' ) );
+		}
+
+		if ( 0 !== strpos( (string) $subscription->get_payment_method(), 'stripe' ) ) {
+			throw new Exception( esc_html__( 'This subscription is not paid with Stripe.', 'doctor-subs' ) );
+		}
+
+		$payment_method_id = (string) $subscription->get_meta( '_stripe_source_id' );
+		$customer_id       = (string) $subscription->get_meta( '_stripe_customer_id' );
+
+		if ( '' === $payment_method_id ) {
+			throw new Exception( esc_html__( 'The subscription has no Stripe payment method ID (_stripe_source_id) to verify.', 'doctor-subs' ) );
+		}
+
+		$credentials    = $this->get_credentials();
+		$payment_method = $this->request( 'payment_methods/' . rawurlencode( $payment_method_id ), $credentials['secret_key'] );
+		$customer       = '' === $customer_id ? null : $this->request( 'customers/' . rawurlencode( $customer_id ), $credentials['secret_key'] );
+
+		$result = array(
+			'subscription_id' => $subscription->get_id(),
+			'mode'            => $credentials['mode'],
+			'api_base'        => self::get_api_base(),
+			'payment_method'  => $this->describe_payment_method( $payment_method_id, $payment_method, $customer_id ),
+			'customer'        => $this->describe_customer( $customer_id, $customer ),
+			'checked'         => WCST_Date_Formatter::to_iso8601( time() ),
+		);
+
+		$result['findings'] = $this->build_findings( $result, $subscription );
+
+		return $result;
+	}
+
+	/**
+	 * Get the Stripe API base URL.
+	 *
+	 * Set the stripe_api_base key of the wcst_settings option to point the
+	 * check at another server, such as a local Stripe mock.
+	 *
+	 * @since 1.3.0
+	 * @return string Base URL without a trailing slash.
+	 */
+	public static function get_api_base() {
+		$base = esc_url_raw( (string) WCST_Plugin::get_option( 'stripe_api_base', self::DEFAULT_API_BASE ), array( 'http', 'https' ) );
+
+		return untrailingslashit( '' === $base ? self::DEFAULT_API_BASE : $base );
+	}
+
+	/**
+	 * Summarize the payment method Stripe returned.
+	 *
+	 * @since 1.3.0
+	 * @param string     $payment_method_id Payment method ID stored on the subscription.
+	 * @param array|null $payment_method    Stripe payment method, or null if Stripe does not know it.
+	 * @param string     $customer_id       Stripe customer ID stored on the subscription.
+	 * @return array Payment method summary.
+	 */
+	private function describe_payment_method( $payment_method_id, $payment_method, $customer_id ) {
+		if ( null === $payment_method ) {
+			return array(
+				'stripe_source_id' => $payment_method_id,
+				'found'            => false,
+				'status'           => 'not_found',
+			);
+		}
+
+		$attached_to = is_string( $payment_method['customer'] ?? null ) ? $payment_method['customer'] : '';
+		$card        = $payment_method['card'] ?? null;
+
+		if ( '' === $attached_to ) {
+			$status = 'detached';
+		} elseif ( $attached_to !== $customer_id ) {
+			$status = 'attached_to_another_customer';
+		} else {
+			$status = 'attached';
+		}
+
+		$summary = array(
+			'stripe_source_id' => $payment_method_id,
+			'found'            => true,
+			'status'           => $status,
+			'type'             => $payment_method['type'] ?? '',
+			'attached'         => 'attached' === $status,
+			'attached_to'      => $attached_to,
+			'card'             => null,
+		);
+
+		if ( is_array( $card ) && ! empty( $card['exp_year'] ) && ! empty( $card['exp_month'] ) ) {
+			// Cards can be charged until the end of their expiry month.
+			$expires = gmmktime( 0, 0, 0, (int) $card['exp_month'] + 1, 1, (int) $card['exp_year'] );
+
+			$summary['card'] = array(
+				'brand'     => $card['brand'] ?? '',
+				'last4'     => $card['last4'] ?? '',
+				'exp_month' => (int) $card['exp_month'],
+				'exp_year'  => (int) $card['exp_year'],
+				'expires'   => WCST_Date_Formatter::to_iso8601( $expires ),
+				'expired'   => $expires <= time(),
+			);
+		}
+
+		return $summary;
+	}
+
+	/**
+	 * Summarize the customer Stripe returned.
+	 *
+	 * @since 1.3.0
+	 * @param string     $customer_id Stripe customer ID stored on the subscription.
+	 * @param array|null $customer    Stripe customer, or null if there is none.
+	 * @return array Customer summary.
+	 */
+	private function describe_customer( $customer_id, $customer ) {
+		$default_payment_method = $customer['invoice_settings']['default_payment_method'] ?? '';
+
+		return array(
+			'stripe_customer_id'     => $customer_id,
+			'found'                  => null !== $customer && empty( $customer['deleted'] ),
+			'deleted'                => ! empty( $customer['deleted'] ),
+			'default_payment_method' => is_string( $default_payment_method ) ? $default_payment_method : '',
+		);
+	}
+
+	/**
+	 * Turn the verification into discrepancies, worst first.
+	 *
+	 * @since 1.3.0
+	 * @param array           $result       Verification result.
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Discrepancies in the discrepancy detector's format.
+	 */
+	private function build_findings( $result, $subscription ) {
+		$findings       = array();
+		$payment_method = $result['payment_method'];
+		$customer       = $result['customer'];
+
+		if ( ! $customer['found'] ) {
+			$findings[] = array(
+				'type'           => 'stripe_customer_missing',
+				'severity'       => 'critical',
+				'description'    => '' === $customer['stripe_customer_id']
+					? __( 'The subscription has no Stripe customer ID', 'doctor-subs' )
+					: __( 'The subscription\'s Stripe customer does not exist in this Stripe account or was deleted', 'doctor-subs' ),
+				'recommendation' => __( 'Check that the store uses the same Stripe account and mode the subscription was created with. Otherwise ask the customer to update their payment method.', 'doctor-subs' ),
+			);
+		}
+
+		if ( 'not_found' === $payment_method['status'] ) {
+			$findings[] = array(
+				'type'           => 'stripe_payment_method_missing',
+				'severity'       => 'critical',
+				'description'    => __( 'The payment method does not exist in this Stripe account', 'doctor-subs' ),
+				'recommendation' => __( 'The next renewal will fail. Check the Stripe account and mode, e.g. on a cloned site with other keys, or ask the customer to update their payment method.', 'doctor-subs' ),
+			);
+		} elseif ( 'detached' === $payment_method['status'] ) {
+			$findings[] = array(
+				'type'           => 'detached_payment_method',
+				'severity'       => 'critical',
+				'description'    => __( 'The payment method is not attached to any Stripe customer', 'doctor-subs' ),
+				'recommendation' => __( 'The next renewal will fail. This usually happens after cloning a site. Ask the customer to update their payment method, or switch the subscription to manual renewal.', 'doctor-subs' ),
+			);
+		} elseif ( 'attached_to_another_customer' === $payment_method['status'] ) {
+			$findings[] = array(
+				'type'           => 'stripe_payment_method_other_customer',
+				'severity'       => 'critical',
+				'description'    => __( 'The payment method is attached to a different Stripe customer than the subscription\'s', 'doctor-subs' ),
+				'recommendation' => __( 'Stripe refuses to charge it for this customer. Update the subscription\'s Stripe customer ID or ask the customer to update their payment method.', 'doctor-subs' ),
+			);
+		}
+
+		$card         = $payment_method['card'] ?? null;
+		$next_payment = $subscription->get_time( 'next_payment' );
+
+		if ( $card && $card['expired'] ) {
+			$findings[] = array(
+				'type'           => 'stripe_card_expired',
+				'severity'       => 'high',
+				'description'    => sprintf(
+					/* translators: 1: expiry month, 2: expiry year */
+					__( 'The card expired at the end of %1$02d/%2$d', 'doctor-subs' ),
+					$card['exp_month'],
+					$card['exp_year']
+				),
+				'recommendation' => __( 'Ask the customer to update their payment method before the next renewal.', 'doctor-subs' ),
+			);
+		} elseif ( $card && $next_payment && WCST_Date_Formatter::to_timestamp( $card['expires'] ) <= $next_payment ) {
+			$findings[] = array(
+				'type'           => 'stripe_card_expires_before_renewal',
+				'severity'       => 'warning',
+				'description'    => sprintf(
+					/* translators: 1: expiry month, 2: expiry year */
+					__( 'The card expires at the end of %1$02d/%2$d, before the next renewal', 'doctor-subs' ),
+					$card['exp_month'],
+					$card['exp_year']
+				),
+				'recommendation' => __( 'Ask the customer to update their payment method, unless their bank updates the card automatically.', 'doctor-subs' ),
+			);
+		}
+
+		return $findings;
+	}
+
+	/**
+	 * Read the mode and secret key from the Stripe gateway settings.
+	 *
+	 * @since 1.3.0
+	 * @return array Mode ('live' or 'test') and secret key.
+	 * @throws Exception If the gateway has no secret key for its mode.
+	 */
+	private function get_credentials() {
+		$settings = get_option( 'woocommerce_stripe_settings', array() );
+		$is_test  = isset( $settings['testmode'] ) && 'yes' === $settings['testmode'];
+		$key      = $is_test ? ( $settings['test_secret_key'] ?? '' ) : ( $settings['secret_key'] ?? '' );
+
+		if ( '' === trim( (string) $key ) ) {
+			throw new Exception(
+				esc_html(
+					$is_test
+						? __( 'The Stripe gateway has no test secret key configured.', 'doctor-subs' )
+						: __( 'The Stripe gateway has no live secret key configured.', 'doctor-subs' )
+				)
+			);
+		}
+
+		return array(
+			'mode'       => $is_test ? 'test' : 'live',
+			'secret_key' => trim( (string) $key ),
+		);
+	}
+
+	/**
+	 * Fetch an object from the Stripe API.
+	 *
+	 * @since 1.3.0
+	 * @param string $path       Path below /v1/.
+	 * @param string $secret_key Stripe secret key.
+	 * @return array|null Decoded object, or null if Stripe does not know it.
+	 * @throws Exception If the request fails or Stripe returns an error.
+	 */
+	private function request( $path, $secret_key ) {
+		$response = wp_remote_get(
+			self::get_api_base() . '/v1/' . $path,
+			array(
+				'timeout' => self::TIMEOUT,
+				'headers' => array(
+					'Authorization' => 'Bearer ' . $secret_key,
+				),
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: %s: error message */
+						__( 'The Stripe API could not be reached: %s', 'doctor-subs' ),
+						$response->get_error_message()
+					)
+				)
+			);
+		}
+
+		$code = (int) wp_remote_retrieve_response_code( $response );
+		$body = json_decode( wp_remote_retrieve_body( $response ), true );
+
+		if ( 404 === $code && 'resource_missing' === ( $body['error']['code'] ?? '' ) ) {
+			return null;
+		}
+
+		if ( $code < 200 || $code >= 300 || ! is_array( $body ) ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: 1: HTTP status code, 2: Stripe error message */
+						__( 'The Stripe API returned an error (%1$d): %2$s', 'doctor-subs' ),
+						$code,
+						$body['error']['message'] ?? __( 'Unexpected response.', 'doctor-subs' )
+					)
+				)
+			);
+		}
+
+		return $body;
+	}
+}
@@ -27,18 +27,16 @@ class WCST_Subscription_Anatomy {
 	 *
 	 * @since 1.0.0
 	 * @param mixed $date Date object or string.
-	 * @return mixed Formatted date or original value.
+	 * @return mixed ISO 8601 date with offset, or the original value if it cannot be read.
 	 */
 	private function safe_format_date( $date ) {
 		if ( empty( $date ) ) {
 			return $date;
 		}
 
-		if ( is_object( $date ) && method_exists( $date, 'format' ) ) {
-			return $date->format( 'Y-m-d H:i:s' );
-		}
+		$formatted = WCST_Date_Formatter::to_iso8601( $date );
 
-		return $date;
+		return null === $formatted ? $date : $formatted;
 	}
 
 	/**
@@ -272,7 +270,7 @@ class WCST_Subscription_Anatomy {
 				'id'             => $action->action_id,
 				'hook'           => $action->hook,
 				'status'         => $action->status,
-				'scheduled_date' => $action->scheduled_date_gmt,
+				'scheduled_date' => $this->safe_format_date( $action->scheduled_date_gmt ),
 				'args'           => maybe_unserialize( $action->args ),
 				'group_slug'     => $action->group_slug,
 				'extended_args'  => maybe_unserialize( $action->extended_args ),
@@ -27,33 +27,17 @@ class WCST_Timeline_Builder {
 	 *
 	 * @since 1.0.0
 	 * @param mixed $date Date object, string, or timestamp.
-	 * @return string Formatted date string for consistent comparison.
+	 * @return string ISO 8601 date with offset.
 	 */
 	private function safe_format_date( $date ) {
-		if ( empty( $date ) ) {
-			return '1970-01-01 00:00:00'; // Return sortable default.
-		}
-
-		// Handle DateTime/WC_DateTime objects.
-		if ( is_object( $date ) && method_exists( $date, 'format' ) ) {
-			return $date->format( 'Y-m-d H:i:s' );
-		}
-
-		// Handle timestamp integers.
-		if ( is_numeric( $date ) ) {
-			return gmdate( 'Y-m-d H:i:s', (int) $date );
-		}
+		$formatted = empty( $date ) ? null : WCST_Date_Formatter::to_iso8601( $date );
 
-		// Handle string dates - try to normalize format.
-		if ( is_string( $date ) ) {
-			$timestamp = strtotime( $date );
-			if ( false !== $timestamp ) {
-				return gmdate( 'Y-m-d H:i:s', $timestamp );
-			}
-			return $date; // Return as-is if can't parse.
+		if ( null === $formatted ) {
+			// Unreadable strings are kept as-is; anything else gets the epoch so it still sorts.
+			return is_string( $date ) && '' !== $date ? $date : WCST_Date_Formatter::to_iso8601( 0 );
 		}
 
-		return '1970-01-01 00:00:00'; // Fallback for unknown types.
+		return $formatted;
 	}
 
 	/**
@@ -101,18 +85,11 @@ class WCST_Timeline_Builder {
 				$raw_a = isset( $a['timestamp'] ) ? $a['timestamp'] : null;
 				$raw_b = isset( $b['timestamp'] ) ? $b['timestamp'] : null;
 
-				// Format both timestamps safely.
-				$timestamp_a = $this->safe_format_date( $raw_a );
-				$timestamp_b = $this->safe_format_date( $raw_b );
-
-				// Final safety check - ensure both are strings.
-				if ( ! is_string( $timestamp_a ) || ! is_string( $timestamp_b ) ) {
-					// Force string conversion.
-					$timestamp_a = (string) $timestamp_a;
-					$timestamp_b = (string) $timestamp_b;
-				}
+				// Compare the moments themselves: the offsets of two dates differ across a DST change.
+				$timestamp_a = (int) WCST_Date_Formatter::to_timestamp( $raw_a );
+				$timestamp_b = (int) WCST_Date_Formatter::to_timestamp( $raw_b );
 
-				return strcmp( $timestamp_a, $timestamp_b );
+				return $timestamp_a <=> $timestamp_b;
 			}
 		);
 
@@ -120,15 +97,39 @@ class WCST_Timeline_Builder {
 		$discrepancies = $this->analyze_timeline_discrepancies( $events, $subscription );
 
 		return array(
-			'subscription_id' => $subscription_id,
-			'events'          => $events,
-			'event_count'     => count( $events ),
-			'discrepancies'   => $discrepancies,
-			'summary'         => $this->create_timeline_summary( $events ),
-			'analysis'        => $this->analyze_timeline_patterns( $events, $subscription ),
+			'subscription_id'   => $subscription_id,
+			'events'            => $events,
+			'event_count'       => count( $events ),
+			'expected_renewals' => $this->get_expected_renewals( $subscription ),
+			'discrepancies'     => $discrepancies,
+			'summary'           => $this->create_timeline_summary( $events ),
+			'analysis'          => $this->analyze_timeline_patterns( $events, $subscription ),
 		);
 	}
 
+	/**
+	 * Get the renewal dates the billing schedule expected, for ghost markers.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Expected renewal dates (ISO 8601).
+	 */
+	private function get_expected_renewals( $subscription ) {
+		try {
+			$detector = new WCST_Skipped_Cycle_Detector();
+
+			return array_map(
+				function ( $timestamp ) {
+					return $this->safe_format_date( $timestamp );
+				},
+				$detector->get_expected_renewal_timestamps( $subscription )
+			);
+		} catch ( \Throwable $t ) {
+			WCST_Logger::log( 'error', 'Expected renewal calculation failed: ' . $t->getMessage() );
+			return array();
+		}
+	}
+
 	/**
 	 * Get subscription-specific events.
 	 *
@@ -19,6 +19,42 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WCST_Admin {
 
+	/**
+	 * View names that can be restored from the URL, keyed by route parameter.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const ROUTE_VIEWS = array(
+		'wcst_screen'   => array( 'analyze', 'compare', 'fleet-scan', 'repair', 'developer' ),
+		'wcst_tab'      => array( 'step1', 'step2', 'step3', 'summary', 'detection' ),
+		'wcst_advanced' => array( 'discrepancies', 'skipped-cycles', 'manual-completions', 'status-mismatches', 'action-scheduler', 'year-over-year' ),
+	);
+
+	/**
+	 * Timeline facets that can be filtered from the URL.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const ROUTE_FACETS = array( 'categories', 'event_types', 'status_counts' );
+
+	/**
+	 * Screen IDs of the subscriptions list table, with posts and HPOS storage.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const LIST_TABLE_SCREENS = array( 'edit-shop_subscription', 'woocommerce_page_wc-orders--shop_subscription' );
+
+	/**
+	 * List table query variable of the health filter.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const HEALTH_FILTER_VAR = 'wcst_health';
+
 	/**
 	 * Constructor.
 	 *
@@ -29,6 +65,12 @@ class WCST_Admin {
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_admin_scripts' ) );
 		add_filter( 'plugin_action_links_' . WCST_PLUGIN_BASENAME, array( $this, 'add_plugin_action_links' ) );
 		add_filter( 'woocommerce_subscription_list_table_column_status_content', array( $this, 'add_doctor_subs_to_status_column' ), 10, 3 );
+
+		// Health filter of the subscriptions list table, with posts and HPOS storage.
+		add_action( 'restrict_manage_posts', array( $this, 'render_health_filter' ) );
+		add_action( 'woocommerce_order_list_table_restrict_manage_orders', array( $this, 'render_health_filter' ) );
+		add_filter( 'request', array( $this, 'filter_posts_by_health' ) );
+		add_filter( 'woocommerce_shop_subscription_list_table_prepare_items_query_args', array( $this, 'filter_orders_by_health' ) );
 	}
 
 	/**
@@ -54,6 +96,12 @@ class WCST_Admin {
 	 * @param string $hook Current admin page hook.
 	 */
 	public function enqueue_admin_scripts( $hook ) {
+		$screen = get_current_screen();
+		if ( $screen && in_array( $screen->id, self::LIST_TABLE_SCREENS, true ) ) {
+			$this->enqueue_list_table_scripts();
+			return;
+		}
+
 		if ( 'woocommerce_page_doctor-subs' !== $hook ) {
 			return;
 		}
@@ -68,11 +116,14 @@ class WCST_Admin {
 		wp_enqueue_script(
 			'wcst-admin-scripts',
 			WCST_PLUGIN_URL . 'admin/js/admin-scripts.js',
-			array( 'jquery' ),
+			array( 'jquery', 'wp-i18n' ),
 			WCST_PLUGIN_VERSION,
 			true
 		);
 
+		// JSON translations are looked up in the plugin's languages folder, then in wp-content/languages/plugins.
+		wp_set_script_translations( 'wcst-admin-scripts', 'doctor-subs', WCST_PLUGIN_DIR . 'languages' );
+
 		// Check for subscription_id parameter and validate nonce.
 		$auto_analyze_id = null;
 		if ( isset( $_GET['subscription_id'] ) && isset( $_GET['wcst_nonce'] ) ) {
@@ -98,17 +149,47 @@ class WCST_Admin {
 				'ajax_url'        => admin_url( 'admin-ajax.php' ),
 				'nonce'           => wp_create_nonce( 'wcst_nonce' ),
 				'auto_analyze_id' => $auto_analyze_id,
-				'strings'         => array(
-					'error'                   => __( 'An error occurred. Please try again.', 'doctor-subs' ),
-					'searching'               => __( 'Searching...', 'doctor-subs' ),
-					'analyzing'               => __( 'Analyzing subscription...', 'doctor-subs' ),
-					'step1_complete'          => __( 'Step 1: Anatomy analysis complete', 'doctor-subs' ),
-					'step2_complete'          => __( 'Step 2: Expected behavior analysis complete', 'doctor-subs' ),
-					'step3_complete'          => __( 'Step 3: Timeline analysis complete', 'doctor-subs' ),
-					'analysis_complete'       => __( 'Analysis complete!', 'doctor-subs' ),
-					'no_subscription_found'   => __( 'No subscription found with that ID.', 'doctor-subs' ),
-					'invalid_subscription_id' => __( 'Please enter a valid subscription ID.', 'doctor-subs' ),
-				),
+				'redact_pii'      => WCST_PII_Redactor::is_enabled(),
+				'route'           => $this->get_route(),
+				'timezone'        => wp_timezone_string(),
+			)
+		);
+	}
+
+	/**
+	 * Enqueue the health badge script and styles on the subscriptions list table.
+	 *
+	 * @since 1.3.0
+	 */
+	private function enqueue_list_table_scripts() {
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'wcst-admin-styles',
+			WCST_PLUGIN_URL . 'admin/css/admin-styles.css',
+			array(),
+			WCST_PLUGIN_VERSION
+		);
+
+		wp_enqueue_script(
+			'wcst-list-table-health',
+			WCST_PLUGIN_URL . 'admin/js/list-table-health.js',
+			array( 'jquery', 'wp-i18n' ),
+			WCST_PLUGIN_VERSION,
+			true
+		);
+
+		wp_set_script_translations( 'wcst-list-table-health', 'doctor-subs', WCST_PLUGIN_DIR . 'languages' );
+
+		wp_localize_script(
+			'wcst-list-table-health',
+			'wcst_list_table',
+			array(
+				'ajax_url'   => admin_url( 'admin-ajax.php' ),
+				'nonce'      => wp_create_nonce( 'wcst_nonce' ),
+				'batch_size' => WCST_Health_Badges::BATCH_SIZE,
 			)
 		);
 	}
@@ -147,25 +228,10 @@ class WCST_Admin {
 			return $column_content;
 		}
 
-		$subscription_id = $subscription->get_id();
-
-		// Create secure URL with nonce.
-		$doctor_subs_url = wp_nonce_url(
-			add_query_arg(
-				array(
-					'page'            => 'doctor-subs',
-					'subscription_id' => $subscription_id,
-				),
-				admin_url( 'admin.php' )
-			),
-			'wcst_subscription_action',
-			'wcst_nonce'
-		);
-
 		// Create Doctor Subs action link.
 		$doctor_subs_link = sprintf(
 			'<span class="doctor-subs"><a href="%s">%s</a></span>',
-			esc_url( $doctor_subs_url ),
+			esc_url( self::get_analysis_url( $subscription->get_id() ) ),
 			__( 'Doctor Subs', 'doctor-subs' )
 		);
 
@@ -176,9 +242,180 @@ class WCST_Admin {
 			$column_content
 		);
 
+		// Health badge placeholder, filled in by list-table-health.js after the list renders.
+		$health_badge = sprintf(
+			'<span class="wcst-health-badge" data-subscription-id="%d"></span>',
+			$subscription->get_id()
+		);
+
+		// Keep the badge visible in front of the row actions, which only show on hover.
+		if ( false !== strpos( $column_content, '<div class="row-actions' ) ) {
+			$column_content = preg_replace( '/<div class="row-actions/', $health_badge . '$0', $column_content, 1 );
+		} else {
+			$column_content .= $health_badge;
+		}
+
 		return $column_content;
 	}
 
+	/**
+	 * Render the health filter above the subscriptions list table.
+	 *
+	 * @since 1.3.0
+	 * @param string $type Post type (posts storage) or order type (HPOS) of the list table.
+	 */
+	public function render_health_filter( $type ) {
+		if ( 'shop_subscription' !== $type || ! current_user_can( 'manage_woocommerce' ) ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filter.
+		$current = isset( $_GET[ self::HEALTH_FILTER_VAR ] ) ? sanitize_key( wp_unslash( $_GET[ self::HEALTH_FILTER_VAR ] ) ) : '';
+		?>
+		<select name="<?php echo esc_attr( self::HEALTH_FILTER_VAR ); ?>" id="filter-by-wcst-health">
+			<option value=""><?php esc_html_e( 'All health', 'doctor-subs' ); ?></option>
+			<option value="critical" <?php selected( $current, 'critical' ); ?>><?php esc_html_e( 'Critical findings (Doctor Subs)', 'doctor-subs' ); ?></option>
+		</select>
+		<?php
+	}
+
+	/**
+	 * Limit the subscriptions list table to critical findings with posts storage.
+	 *
+	 * @since 1.3.0
+	 * @param array $query_vars Request query variables.
+	 * @return array Query variables.
+	 */
+	public function filter_posts_by_health( $query_vars ) {
+		global $typenow;
+
+		if ( ! is_admin() || 'shop_subscription' !== $typenow ) {
+			return $query_vars;
+		}
+
+		return $this->add_health_meta_query( $query_vars );
+	}
+
+	/**
+	 * Limit the subscriptions list table to critical findings with HPOS storage.
+	 *
+	 * @since 1.3.0
+	 * @param array $query_args Order query arguments.
+	 * @return array Order query arguments.
+	 */
+	public function filter_orders_by_health( $query_args ) {
+		return $this->add_health_meta_query( $query_args );
+	}
+
+	/**
+	 * Add the health filter to list table query arguments when it is selected.
+	 *
+	 * Only subscriptions whose health badge has been loaded at least once have
+	 * the critical findings count, so unchecked subscriptions are left out.
+	 *
+	 * @since 1.3.0
+	 * @param array $args Query arguments.
+	 * @return array Query arguments.
+	 */
+	private function add_health_meta_query( $args ) {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filter.
+		if ( ! isset( $_GET[ self::HEALTH_FILTER_VAR ] ) || 'critical' !== sanitize_key( wp_unslash( $_GET[ self::HEALTH_FILTER_VAR ] ) ) || ! current_user_can( 'manage_woocommerce' ) ) {
+			return $args;
+		}
+
+		// phpcs:disable WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Only added when the critical findings filter is selected.
+		$args['meta_query']   = isset( $args['meta_query'] ) && is_array( $args['meta_query'] ) ? $args['meta_query'] : array();
+		$args['meta_query'][] = array(
+			'key'     => WCST_Health_Badges::CRITICAL_META_KEY,
+			'value'   => 0,
+			'compare' => '>',
+			'type'    => 'NUMERIC',
+		);
+		// phpcs:enable
+
+		return $args;
+	}
+
+	/**
+	 * Get the nonce-protected URL that opens the analysis for a subscription.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return string Analysis URL (not escaped).
+	 */
+	public static function get_analysis_url( $subscription_id ) {
+		return add_query_arg(
+			array(
+				'page'            => 'doctor-subs',
+				'subscription_id' => $subscription_id,
+				'wcst_nonce'      => wp_create_nonce( 'wcst_subscription_action' ),
+			),
+			admin_url( 'admin.php' )
+		);
+	}
+
+	/**
+	 * Read the analysis view requested in the URL.
+	 *
+	 * Shared links carry no nonce, so they only restore view state; the
+	 * subscription is checked here and every analysis request is still verified.
+	 *
+	 * @since 1.3.0
+	 * @return array Validated view state.
+	 */
+	private function get_route() {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- Read-only view state; wp_unslash() and sanitize_text_field() are applied below.
+		$params = array();
+		foreach ( array( 'wcst_screen', 'wcst_subscription', 'wcst_tab', 'wcst_advanced', 'wcst_range', 'wcst_q', 'wcst_collapse' ) as $param ) {
+			$params[ $param ] = isset( $_GET[ $param ] ) ? sanitize_text_field( wp_unslash( $_GET[ $param ] ) ) : '';
+		}
+		foreach ( self::ROUTE_FACETS as $facet ) {
+			$params[ 'wcst_hide_' . $facet ] = isset( $_GET[ 'wcst_hide_' . $facet ] ) ? sanitize_text_field( wp_unslash( $_GET[ 'wcst_hide_' . $facet ] ) ) : '';
+		}
+		// phpcs:enable
+
+		$route = array(
+			'screen'          => null,
+			'subscription_id' => null,
+			'tab'             => null,
+			'advanced'        => null,
+			'range'           => null,
+			'hidden'          => array(),
+			'search'          => $params['wcst_q'],
+			'collapse'        => '0' !== $params['wcst_collapse'],
+			'error'           => null,
+		);
+
+		foreach ( self::ROUTE_VIEWS as $param => $views ) {
+			if ( in_array( $params[ $param ], $views, true ) ) {
+				$route[ substr( $param, 5 ) ] = $params[ $param ];
+			}
+		}
+
+		if ( preg_match( '/^(\d+)-(\d+)$/', $params['wcst_range'], $matches ) && (int) $matches[1] < (int) $matches[2] ) {
+			$route['range'] = array( (int) $matches[1], (int) $matches[2] );
+		}
+
+		foreach ( self::ROUTE_FACETS as $facet ) {
+			$route['hidden'][ $facet ] = array_values( array_filter( array_map( 'sanitize_key', explode( ',', $params[ 'wcst_hide_' . $facet ] ) ) ) );
+		}
+
+		$subscription_id = absint( $params['wcst_subscription'] );
+		if ( $subscription_id ) {
+			if ( current_user_can( 'manage_woocommerce' ) && function_exists( 'wcs_get_subscription' ) && wcs_get_subscription( $subscription_id ) ) {
+				$route['subscription_id'] = $subscription_id;
+			} else {
+				$route['error'] = sprintf(
+					/* translators: %d: subscription ID */
+					__( 'Subscription #%d could not be opened. It may have been deleted, or you may not have permission to view it.', 'doctor-subs' ),
+					$subscription_id
+				);
+			}
+		}
+
+		return $route;
+	}
+
 	/**
 	 * Render the main admin page.
 	 *
@@ -204,141 +441,537 @@ class WCST_Admin {
 				</p>
 			</div>
 
-			<!-- Subscription Search -->
-					<!-- Subscription Search -->
-					<div class="wcst-search-section">
-						<h2><?php esc_html_e( 'Search Subscriptions', 'doctor-subs' ); ?></h2>
-						<p class="wcst-search-description"><?php esc_html_e( 'Enter a subscription ID or customer email to find and analyze subscriptions.', 'doctor-subs' ); ?></p>
-						<div class="wcst-search-container">
-							<input 
-								type="text" 
-								id="wcst-subscription-search" 
-								placeholder="<?php esc_attr_e( 'Enter subscription ID or customer email...', 'doctor-subs' ); ?>"
-								class="wcst-search-input"
-							/>
+			<!-- PII Redaction -->
+			<?php $redaction_forced = WCST_PII_Redactor::is_forced(); ?>
+			<label class="wcst-redact-toggle"<?php echo $redaction_forced ? ' title="' . esc_attr__( 'Redaction is required for your role.', 'doctor-subs' ) . '"' : ''; ?>>
+				<input type="checkbox" id="wcst-redact-pii" <?php checked( WCST_PII_Redactor::is_enabled() ); ?> <?php disabled( $redaction_forced ); ?> />
+				<?php esc_html_e( 'Redact PII', 'doctor-subs' ); ?>
+			</label>
+
+			<!-- Date Display -->
+			<label class="wcst-date-mode">
+				<?php esc_html_e( 'Show dates as', 'doctor-subs' ); ?>
+				<select id="wcst-date-mode">
+					<option value="relative"><?php esc_html_e( 'Relative', 'doctor-subs' ); ?></option>
+					<option value="store">
+						<?php
+						/* translators: %s: store timezone, e.g. Europe/Berlin or +02:00 */
+						printf( esc_html__( 'Store time (%s)', 'doctor-subs' ), esc_html( wp_timezone_string() ) );
+						?>
+					</option>
+					<option value="utc"><?php esc_html_e( 'UTC', 'doctor-subs' ); ?></option>
+				</select>
+			</label>
+
+			<!-- Screen Navigation -->
+			<nav class="nav-tab-wrapper wcst-screen-nav">
+				<a href="#wcst-screen-analyze" class="nav-tab nav-tab-active wcst-screen-tab" data-screen="wcst-screen-analyze">
+					<?php esc_html_e( 'Analyze Subscription', 'doctor-subs' ); ?>
+				</a>
+				<a href="#wcst-screen-compare" class="nav-tab wcst-screen-tab" data-screen="wcst-screen-compare">
+					<?php esc_html_e( 'Compare', 'doctor-subs' ); ?>
+				</a>
+				<a href="#wcst-screen-fleet-scan" class="nav-tab wcst-screen-tab" data-screen="wcst-screen-fleet-scan">
+					<?php esc_html_e( 'Fleet Scan', 'doctor-subs' ); ?>
+				</a>
+				<a href="#wcst-screen-repair" class="nav-tab wcst-screen-tab" data-screen="wcst-screen-repair">
+					<?php esc_html_e( 'Repair Tools', 'doctor-subs' ); ?>
+				</a>
+				<a href="#wcst-screen-developer" class="nav-tab wcst-screen-tab" data-screen="wcst-screen-developer">
+					<?php esc_html_e( 'Developer', 'doctor-subs' ); ?>
+				</a>
+			</nav>
+
+			<div id="wcst-notices"></div>
+
+			<div id="wcst-screen-analyze" class="wcst-screen active">
+				<?php $this->render_analysis_screen(); ?>
+			</div>
+
+			<div id="wcst-screen-compare" class="wcst-screen">
+				<?php $this->render_compare_screen(); ?>
+			</div>
+
+			<div id="wcst-screen-fleet-scan" class="wcst-screen">
+				<?php $this->render_fleet_scan_screen(); ?>
+			</div>
+
+			<div id="wcst-screen-repair" class="wcst-screen">
+				<?php $this->render_repair_screen(); ?>
+			</div>
+
+			<div id="wcst-screen-developer" class="wcst-screen">
+				<?php $this->render_developer_screen(); ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the single subscription analysis screen.
+	 *
+	 * @since 1.3.0
+	 */
+	private function render_analysis_screen() {
+		?>
+		<!-- Subscription Search -->
+		<div class="wcst-search-section">
+			<h2><?php esc_html_e( 'Search Subscriptions', 'doctor-subs' ); ?></h2>
+			<p class="wcst-search-description"><?php esc_html_e( 'Enter a subscription or order ID, customer email or name, Stripe customer ID or transaction ID to find and analyze subscriptions.', 'doctor-subs' ); ?></p>
+			<div class="wcst-search-container">
+				<input 
+					type="text" 
+					id="wcst-subscription-search" 
+					placeholder="<?php esc_attr_e( 'Subscription or order ID, email, name, cus_ or transaction ID...', 'doctor-subs' ); ?>"
+					class="wcst-search-input"
+					role="combobox"
+					autocomplete="off"
+					aria-autocomplete="list"
+					aria-expanded="false"
+					aria-controls="wcst-search-results"
+				/>
+			</div>
+			<div id="wcst-search-results" class="wcst-search-results" role="listbox" aria-label="<?php esc_attr_e( 'Subscriptions', 'doctor-subs' ); ?>"></div>
+		</div>
+		
+		<!-- Progress Indicator -->
+		<div id="wcst-progress" class="wcst-progress" style="display: none;">
+			<h3><?php esc_html_e( 'Troubleshooting Process', 'doctor-subs' ); ?></h3>
+			<div class="wcst-steps">
+				<div class="wcst-step" data-step="1" data-stage="anatomy">
+					<div class="wcst-step-number">1</div>
+					<div class="wcst-step-title"><?php esc_html_e( 'Understand the Anatomy', 'doctor-subs' ); ?></div>
+					<div class="wcst-step-description"><?php esc_html_e( 'Review subscription structure and configuration', 'doctor-subs' ); ?></div>
+					<button type="button" class="button button-small wcst-retry-stage" data-stage="anatomy" hidden><?php esc_html_e( 'Retry this step', 'doctor-subs' ); ?></button>
+				</div>
+				<div class="wcst-step" data-step="2" data-stage="expected">
+					<div class="wcst-step-number">2</div>
+					<div class="wcst-step-title"><?php esc_html_e( 'Determine Expected Behavior', 'doctor-subs' ); ?></div>
+					<div class="wcst-step-description"><?php esc_html_e( 'Establish what should happen based on setup', 'doctor-subs' ); ?></div>
+					<button type="button" class="button button-small wcst-retry-stage" data-stage="expected" hidden><?php esc_html_e( 'Retry this step', 'doctor-subs' ); ?></button>
+				</div>
+				<div class="wcst-step" data-step="3" data-stage="timeline">
+					<div class="wcst-step-number">3</div>
+					<div class="wcst-step-title"><?php esc_html_e( 'Create Timeline', 'doctor-subs' ); ?></div>
+					<div class="wcst-step-description"><?php esc_html_e( 'Document what actually occurred', 'doctor-subs' ); ?></div>
+					<button type="button" class="button button-small wcst-retry-stage" data-stage="timeline" hidden><?php esc_html_e( 'Retry this step', 'doctor-subs' ); ?></button>
+				</div>
+				<div class="wcst-step" data-step="4" data-stage="enhanced">
+					<div class="wcst-step-number">4</div>
+					<div class="wcst-step-title"><?php esc_html_e( 'Advanced Detection', 'doctor-subs' ); ?></div>
+					<div class="wcst-step-description"><?php esc_html_e( 'Look for skipped cycles, manual completions and scheduler problems', 'doctor-subs' ); ?></div>
+					<button type="button" class="button button-small wcst-retry-stage" data-stage="enhanced" hidden><?php esc_html_e( 'Retry this step', 'doctor-subs' ); ?></button>
+				</div>
+				<div class="wcst-step" data-step="5" data-stage="discrepancies">
+					<div class="wcst-step-number">5</div>
+					<div class="wcst-step-title"><?php esc_html_e( 'Find Discrepancies', 'doctor-subs' ); ?></div>
+					<div class="wcst-step-description"><?php esc_html_e( 'Check gateway, scheduler and configuration consistency', 'doctor-subs' ); ?></div>
+					<button type="button" class="button button-small wcst-retry-stage" data-stage="discrepancies" hidden><?php esc_html_e( 'Retry this step', 'doctor-subs' ); ?></button>
+				</div>
+			</div>
+		</div>
+		
+		<!-- Results -->
+		<div id="wcst-results" class="wcst-results" style="display: none;">
+			
+			<!-- Export -->
+			<div class="wcst-analysis-export">
+				<span><?php esc_html_e( 'Export report:', 'doctor-subs' ); ?></span>
+				<button type="button" class="button wcst-export-analysis-btn" data-format="html"><?php esc_html_e( 'HTML', 'doctor-subs' ); ?></button>
+				<button type="button" class="button wcst-export-analysis-btn" data-format="markdown"><?php esc_html_e( 'Markdown', 'doctor-subs' ); ?></button>
+				<button type="button" class="button wcst-export-analysis-btn" data-format="json"><?php esc_html_e( 'JSON', 'doctor-subs' ); ?></button>
+			</div>
+
+			<!-- Analysis History -->
+			<div id="wcst-analysis-history" class="wcst-analysis-history" style="display: none;">
+				<label for="wcst-history-compare"><?php esc_html_e( 'Compare to previous run:', 'doctor-subs' ); ?></label>
+				<select id="wcst-history-compare" class="wcst-filter-control"></select>
+				<div id="wcst-history-diff"></div>
+			</div>
+
+			<!-- Main Analysis Tabs -->
+			<div class="wcst-main-tabs">
+				<nav class="wcst-main-nav">
+					<a href="#step1" class="wcst-main-tab active" data-tab="step1">
+						<?php esc_html_e( 'Step 1: Anatomy', 'doctor-subs' ); ?>
+					</a>
+					<a href="#step2" class="wcst-main-tab" data-tab="step2">
+						<?php esc_html_e( 'Step 2: Expected', 'doctor-subs' ); ?>
+					</a>
+					<a href="#step3" class="wcst-main-tab" data-tab="step3">
+						<?php esc_html_e( 'Step 3: Timeline', 'doctor-subs' ); ?>
+					</a>
+					<a href="#summary" class="wcst-main-tab" data-tab="summary">
+						<?php esc_html_e( 'Issues & Stats', 'doctor-subs' ); ?>
+					</a>
+					<a href="#detection" class="wcst-main-tab" data-tab="detection">
+						<?php esc_html_e( 'Advanced', 'doctor-subs' ); ?>
+					</a>
+				</nav>
+				
+				<div class="wcst-main-tab-content">
+					<!-- Step 1: Subscription Anatomy -->
+					<div id="step1" class="wcst-main-tab-panel active">
+						<div class="wcst-section wcst-anatomy-section">
+							<h2><?php esc_html_e( 'Step 1: Subscription Anatomy', 'doctor-subs' ); ?></h2>
+							<p class="wcst-section-description"><?php esc_html_e( 'Understanding how your subscription is structured and configured.', 'doctor-subs' ); ?></p>
+							<div id="wcst-anatomy-content" class="wcst-content"></div>
 						</div>
-						<div id="wcst-search-results" class="wcst-search-results"></div>
 					</div>
 					
-					<!-- Progress Indicator -->
-					<div id="wcst-progress" class="wcst-progress" style="display: none;">
-						<h3><?php esc_html_e( '3-Step Troubleshooting Process', 'doctor-subs' ); ?></h3>
-						<div class="wcst-steps">
-							<div class="wcst-step" data-step="1">
-								<div class="wcst-step-number">1</div>
-								<div class="wcst-step-title"><?php esc_html_e( 'Understand the Anatomy', 'doctor-subs' ); ?></div>
-								<div class="wcst-step-description"><?php esc_html_e( 'Review subscription structure and configuration', 'doctor-subs' ); ?></div>
-							</div>
-							<div class="wcst-step" data-step="2">
-								<div class="wcst-step-number">2</div>
-								<div class="wcst-step-title"><?php esc_html_e( 'Determine Expected Behavior', 'doctor-subs' ); ?></div>
-								<div class="wcst-step-description"><?php esc_html_e( 'Establish what should happen based on setup', 'doctor-subs' ); ?></div>
-							</div>
-							<div class="wcst-step" data-step="3">
-								<div class="wcst-step-number">3</div>
-								<div class="wcst-step-title"><?php esc_html_e( 'Create Timeline', 'doctor-subs' ); ?></div>
-								<div class="wcst-step-description"><?php esc_html_e( 'Document what actually occurred', 'doctor-subs' ); ?></div>
-							</div>
+					<!-- Step 2: Expected Behavior -->
+					<div id="step2" class="wcst-main-tab-panel">
+						<div class="wcst-section wcst-expected-section">
+							<h2><?php esc_html_e( 'Step 2: Expected Behavior', 'doctor-subs' ); ?></h2>
+							<p class="wcst-section-description"><?php esc_html_e( 'What should happen based on your subscription configuration.', 'doctor-subs' ); ?></p>
+							<div id="wcst-expected-content" class="wcst-content"></div>
 						</div>
 					</div>
 					
-					<!-- Results -->
-					<div id="wcst-results" class="wcst-results" style="display: none;">
-						
-						<!-- Main Analysis Tabs -->
-						<div class="wcst-main-tabs">
-							<nav class="wcst-main-nav">
-								<a href="#step1" class="wcst-main-tab active" data-tab="step1">
-									<?php esc_html_e( 'Step 1: Anatomy', 'doctor-subs' ); ?>
-								</a>
-								<a href="#step2" class="wcst-main-tab" data-tab="step2">
-									<?php esc_html_e( 'Step 2: Expected', 'doctor-subs' ); ?>
-								</a>
-								<a href="#step3" class="wcst-main-tab" data-tab="step3">
-									<?php esc_html_e( 'Step 3: Timeline', 'doctor-subs' ); ?>
-								</a>
-								<a href="#summary" class="wcst-main-tab" data-tab="summary">
-									<?php esc_html_e( 'Issues & Stats', 'doctor-subs' ); ?>
-								</a>
-								<a href="#detection" class="wcst-main-tab" data-tab="detection">
-									<?php esc_html_e( 'Advanced', 'doctor-subs' ); ?>
-								</a>
-							</nav>
+					<!-- Step 3: Timeline -->
+					<div id="step3" class="wcst-main-tab-panel">
+						<div class="wcst-section wcst-timeline-section">
+							<h2><?php esc_html_e( 'Step 3: Timeline of Events', 'doctor-subs' ); ?></h2>
+							<p class="wcst-section-description"><?php esc_html_e( 'Chronological record of what actually happened with this subscription.', 'doctor-subs' ); ?></p>
+							<div id="wcst-timeline-content" class="wcst-content"></div>
+						</div>
+					</div>
+					
+					<!-- Issues & Statistics -->
+					<div id="summary" class="wcst-main-tab-panel">
+						<div class="wcst-section wcst-summary-section">
+							<h2><?php esc_html_e( 'Issues Detected & Summary Statistics', 'doctor-subs' ); ?></h2>
+							<div id="wcst-summary-content" class="wcst-content"></div>
+						</div>
+					</div>
+
+					<!-- Detection -->
+					<div id="detection" class="wcst-main-tab-panel">
+						<div class="wcst-section wcst-detection-section">
+							<h2><?php esc_html_e( 'Advanced Detection', 'doctor-subs' ); ?></h2>
+							<p class="wcst-section-description"><?php esc_html_e( 'Advanced detection for subscription issues and anomalies.', 'doctor-subs' ); ?></p>
 							
-							<div class="wcst-main-tab-content">
-								<!-- Step 1: Subscription Anatomy -->
-								<div id="step1" class="wcst-main-tab-panel active">
-									<div class="wcst-section wcst-anatomy-section">
-										<h2><?php esc_html_e( 'Step 1: Subscription Anatomy', 'doctor-subs' ); ?></h2>
-										<p class="wcst-section-description"><?php esc_html_e( 'Understanding how your subscription is structured and configured.', 'doctor-subs' ); ?></p>
-										<div id="wcst-anatomy-content" class="wcst-content"></div>
+							<nav class="wcst-enhanced-nav">
+								<a href="#wcst-advanced-discrepancies" class="wcst-enhanced-tab active" data-tab="wcst-advanced-discrepancies"><?php esc_html_e( 'Discrepancies', 'doctor-subs' ); ?></a>
+								<a href="#wcst-advanced-skipped-cycles" class="wcst-enhanced-tab" data-tab="wcst-advanced-skipped-cycles"><?php esc_html_e( 'Skipped Cycles', 'doctor-subs' ); ?></a>
+								<a href="#wcst-advanced-manual-completions" class="wcst-enhanced-tab" data-tab="wcst-advanced-manual-completions"><?php esc_html_e( 'Manual Completions', 'doctor-subs' ); ?></a>
+								<a href="#wcst-advanced-status-mismatches" class="wcst-enhanced-tab" data-tab="wcst-advanced-status-mismatches"><?php esc_html_e( 'Status Mismatches', 'doctor-subs' ); ?></a>
+								<a href="#wcst-advanced-action-scheduler" class="wcst-enhanced-tab" data-tab="wcst-advanced-action-scheduler"><?php esc_html_e( 'Action Scheduler', 'doctor-subs' ); ?></a>
+								<a href="#wcst-advanced-year-over-year" class="wcst-enhanced-tab" data-tab="wcst-advanced-year-over-year"><?php esc_html_e( 'Year-over-Year', 'doctor-subs' ); ?></a>
+							</nav>
+
+							<div class="wcst-detection-sections">
+								<div id="wcst-advanced-discrepancies" class="wcst-detection-section wcst-enhanced-tab-panel active">
+									<h3><?php esc_html_e( 'Discrepancies', 'doctor-subs' ); ?></h3>
+									<p class="wcst-section-description"><?php esc_html_e( 'Gateway, scheduler, status and configuration discrepancies, grouped by category and ordered by severity.', 'doctor-subs' ); ?></p>
+									<div id="wcst-discrepancies-content" class="wcst-content"></div>
+									<div id="wcst-stripe-verification" class="wcst-stripe-verification" hidden>
+										<h4><?php esc_html_e( 'Stripe API Check', 'doctor-subs' ); ?></h4>
+										<p class="wcst-section-description"><?php esc_html_e( 'Fetch the payment method and customer from Stripe with the store\'s Stripe keys, to see whether the payment method is still attached before the next renewal tries it.', 'doctor-subs' ); ?></p>
+										<p><button type="button" class="button wcst-stripe-verify-btn"><?php esc_html_e( 'Verify with Stripe', 'doctor-subs' ); ?></button></p>
+										<div class="wcst-stripe-verification-result"></div>
 									</div>
 								</div>
+
+								<div id="wcst-advanced-skipped-cycles" class="wcst-detection-section wcst-enhanced-tab-panel">
+									<h3><?php esc_html_e( 'Skipped Cycles', 'doctor-subs' ); ?></h3>
+									<p class="wcst-section-description"><?php esc_html_e( 'Detects when subscription payments have skipped expected billing cycles.', 'doctor-subs' ); ?></p>
+									<div id="wcst-skipped-cycles-content" class="wcst-content"></div>
+								</div>
 								
-								<!-- Step 2: Expected Behavior -->
-								<div id="step2" class="wcst-main-tab-panel">
-									<div class="wcst-section wcst-expected-section">
-										<h2><?php esc_html_e( 'Step 2: Expected Behavior', 'doctor-subs' ); ?></h2>
-										<p class="wcst-section-description"><?php esc_html_e( 'What should happen based on your subscription configuration.', 'doctor-subs' ); ?></p>
-										<div id="wcst-expected-content" class="wcst-content"></div>
-									</div>
+								<div id="wcst-advanced-manual-completions" class="wcst-detection-section wcst-enhanced-tab-panel">
+									<h3><?php esc_html_e( 'Manual Completions', 'doctor-subs' ); ?></h3>
+									<p class="wcst-section-description"><?php esc_html_e( 'Identifies orders completed manually without proper transaction IDs.', 'doctor-subs' ); ?></p>
+									<div id="wcst-manual-completions-content" class="wcst-content"></div>
 								</div>
 								
-								<!-- Step 3: Timeline -->
-								<div id="step3" class="wcst-main-tab-panel">
-									<div class="wcst-section wcst-timeline-section">
-										<h2><?php esc_html_e( 'Step 3: Timeline of Events', 'doctor-subs' ); ?></h2>
-										<p class="wcst-section-description"><?php esc_html_e( 'Chronological record of what actually happened with this subscription.', 'doctor-subs' ); ?></p>
-										<div id="wcst-timeline-content" class="wcst-content"></div>
-									</div>
+								<div id="wcst-advanced-status-mismatches" class="wcst-detection-section wcst-enhanced-tab-panel">
+									<h3><?php esc_html_e( 'Status Mismatches', 'doctor-subs' ); ?></h3>
+									<p class="wcst-section-description"><?php esc_html_e( 'Detects inconsistencies between subscription status and payment schedules.', 'doctor-subs' ); ?></p>
+									<div id="wcst-status-mismatches-content" class="wcst-content"></div>
 								</div>
 								
-								<!-- Issues & Statistics -->
-								<div id="summary" class="wcst-main-tab-panel">
-									<div class="wcst-section wcst-summary-section">
-										<h2><?php esc_html_e( 'Issues Detected & Summary Statistics', 'doctor-subs' ); ?></h2>
-										<div id="wcst-summary-content" class="wcst-content"></div>
-									</div>
+								<div id="wcst-advanced-action-scheduler" class="wcst-detection-section wcst-enhanced-tab-panel">
+									<h3><?php esc_html_e( 'Action Scheduler', 'doctor-subs' ); ?></h3>
+									<p class="wcst-section-description"><?php esc_html_e( 'Reviews scheduled actions for failed or missing events, and lets you run, reschedule, cancel or recreate them.', 'doctor-subs' ); ?></p>
+									<div id="wcst-action-scheduler-content" class="wcst-content"></div>
+									<div id="wcst-action-panel" class="wcst-action-panel"></div>
 								</div>
 
-								<!-- Detection -->
-								<div id="detection" class="wcst-main-tab-panel">
-									<div class="wcst-section wcst-detection-section">
-										<h2><?php esc_html_e( 'Advanced Detection', 'doctor-subs' ); ?></h2>
-										<p class="wcst-section-description"><?php esc_html_e( 'Advanced detection for subscription issues and anomalies.', 'doctor-subs' ); ?></p>
-										
-										<div class="wcst-detection-sections">
-											<div class="wcst-detection-section">
-												<h3><?php esc_html_e( 'Skipped Cycles', 'doctor-subs' ); ?></h3>
-												<p class="wcst-section-description"><?php esc_html_e( 'Detects when subscription payments have skipped expected billing cycles.', 'doctor-subs' ); ?></p>
-												<div id="wcst-skipped-cycles-content" class="wcst-content"></div>
-											</div>
-											
-											<div class="wcst-detection-section">
-												<h3><?php esc_html_e( 'Manual Completions', 'doctor-subs' ); ?></h3>
-												<p class="wcst-section-description"><?php esc_html_e( 'Identifies orders completed manually without proper transaction IDs.', 'doctor-subs' ); ?></p>
-												<div id="wcst-manual-completions-content" class="wcst-content"></div>
-											</div>
-											
-											<div class="wcst-detection-section">
-												<h3><?php esc_html_e( 'Status Mismatches', 'doctor-subs' ); ?></h3>
-												<p class="wcst-section-description"><?php esc_html_e( 'Detects inconsistencies between subscription status and payment schedules.', 'doctor-subs' ); ?></p>
-												<div id="wcst-status-mismatches-content" class="wcst-content"></div>
-											</div>
-											
-											<div class="wcst-detection-section">
-												<h3><?php esc_html_e( 'Action Scheduler', 'doctor-subs' ); ?></h3>
-												<p class="wcst-section-description"><?php esc_html_e( 'Reviews scheduled actions for failed or missing events.', 'doctor-subs' ); ?></p>
-												<div id="wcst-action-scheduler-content" class="wcst-content"></div>
-											</div>
-										</div>
-									</div>
+								<div id="wcst-advanced-year-over-year" class="wcst-detection-section wcst-enhanced-tab-panel">
+									<h3><?php esc_html_e( 'Year-over-Year', 'doctor-subs' ); ?></h3>
+									<p class="wcst-section-description"><?php esc_html_e( 'Compares the renewals and revenue the billing schedule expects each year with the paid renewals actually recorded.', 'doctor-subs' ); ?></p>
+									<div id="wcst-year-over-year-content" class="wcst-content"></div>
 								</div>
 							</div>
 						</div>
 					</div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the store-wide Fleet Scan screen.
+	 *
+	 * @since 1.3.0
+	 */
+	private function render_fleet_scan_screen() {
+		$statuses = function_exists( 'wcs_get_subscription_statuses' ) ? wcs_get_subscription_statuses() : array();
+		$gateways = function_exists( 'WC' ) ? WC()->payment_gateways()->payment_gateways() : array();
+		?>
+		<div class="wcst-section wcst-fleet-scan-section">
+			<h2><?php esc_html_e( 'Fleet Scan', 'doctor-subs' ); ?></h2>
+			<p class="wcst-section-description"><?php esc_html_e( 'Run the skipped cycle and discrepancy detectors across many subscriptions at once.', 'doctor-subs' ); ?></p>
+			<div class="wcst-content">
+				<form id="wcst-fleet-scan-form" class="wcst-filters">
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-report-type"><?php esc_html_e( 'Report', 'doctor-subs' ); ?></label>
+							<select id="wcst-report-type" class="wcst-filter-control">
+								<option value="all"><?php esc_html_e( 'All scanned subscriptions', 'doctor-subs' ); ?></option>
+								<option value="issues_only"><?php esc_html_e( 'Only subscriptions with issues', 'doctor-subs' ); ?></option>
+							</select>
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-status-filter"><?php esc_html_e( 'Status', 'doctor-subs' ); ?></label>
+							<select id="wcst-status-filter" class="wcst-filter-control">
+								<option value="any"><?php esc_html_e( 'Any status', 'doctor-subs' ); ?></option>
+								<?php foreach ( $statuses as $status_key => $status_label ) : ?>
+									<option value="<?php echo esc_attr( str_replace( 'wc-', '', $status_key ) ); ?>"><?php echo esc_html( $status_label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-gateway-filter"><?php esc_html_e( 'Gateway', 'doctor-subs' ); ?></label>
+							<select id="wcst-gateway-filter" class="wcst-filter-control">
+								<option value=""><?php esc_html_e( 'Any gateway', 'doctor-subs' ); ?></option>
+								<?php foreach ( $gateways as $gateway_id => $gateway ) : ?>
+									<option value="<?php echo esc_attr( $gateway_id ); ?>"><?php echo esc_html( $gateway->get_method_title() ? $gateway->get_method_title() : $gateway_id ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
+					</div>
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-date-from"><?php esc_html_e( 'Created from', 'doctor-subs' ); ?></label>
+							<input type="date" id="wcst-date-from" class="wcst-filter-control" />
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-date-to"><?php esc_html_e( 'Created to', 'doctor-subs' ); ?></label>
+							<input type="date" id="wcst-date-to" class="wcst-filter-control" />
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-limit"><?php esc_html_e( 'Maximum subscriptions', 'doctor-subs' ); ?></label>
+							<select id="wcst-limit" class="wcst-filter-control">
+								<?php foreach ( WCST_Fleet_Scanner::ALLOWED_LIMITS as $limit ) : ?>
+									<option value="<?php echo esc_attr( (string) $limit ); ?>" <?php selected( 100, $limit ); ?>><?php echo esc_html( number_format_i18n( $limit ) ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
+						<div class="wcst-filter-group">
+							<button type="submit" id="wcst-generate-report-btn" class="button button-primary"><?php esc_html_e( 'Run Fleet Scan', 'doctor-subs' ); ?></button>
+						</div>
+					</div>
+				</form>
+
+				<div id="wcst-bulk-progress" class="wcst-bulk-progress" style="display: none;">
+					<div class="wcst-bulk-progress-bar"><span></span></div>
+					<p class="wcst-bulk-progress-text"></p>
+				</div>
+
+				<div id="wcst-bulk-results" class="wcst-bulk-results" style="display: none;">
+					<div id="wcst-bulk-export" class="wcst-bulk-export" style="display: none;">
+						<span><?php esc_html_e( 'Export report:', 'doctor-subs' ); ?></span>
+						<button type="button" class="button wcst-export-report-btn" data-format="csv"><?php esc_html_e( 'CSV', 'doctor-subs' ); ?></button>
+						<button type="button" class="button wcst-export-report-btn" data-format="json"><?php esc_html_e( 'JSON', 'doctor-subs' ); ?></button>
+						<button type="button" class="button wcst-export-report-btn" data-format="ndjson"><?php esc_html_e( 'NDJSON', 'doctor-subs' ); ?></button>
+						<button type="button" id="wcst-queue-batch-fix-btn" class="button"><?php esc_html_e( 'Queue for Batch Fix', 'doctor-subs' ); ?></button>
+					</div>
+					<div id="wcst-bulk-report-content"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the Repair Tools screen.
+	 *
+	 * @since 1.3.0
+	 */
+	private function render_repair_screen() {
+		?>
+		<div class="wcst-section wcst-repair-section">
+			<h2><?php esc_html_e( 'Next Payment Date Repair', 'doctor-subs' ); ?></h2>
+			<p class="wcst-section-description"><?php esc_html_e( 'Recalculate the next payment date from the billing schedule, review the change field by field, then apply it. Every applied fix is noted on the subscription and can be undone.', 'doctor-subs' ); ?></p>
+			<div class="wcst-content">
+				<form id="wcst-fix-form" class="wcst-filters">
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-fix-search"><?php esc_html_e( 'Subscription ID', 'doctor-subs' ); ?></label>
+							<input type="number" id="wcst-fix-search" class="wcst-filter-control" min="1" />
+						</div>
+						<div class="wcst-filter-group">
+							<button type="submit" id="wcst-preview-fix-btn" class="button"><?php esc_html_e( 'Preview Fix', 'doctor-subs' ); ?></button>
+						</div>
+					</div>
+				</form>
+
+				<div id="wcst-fix-preview" class="wcst-fix-preview" style="display: none;">
+					<div class="wcst-fix-preview-content"></div>
+					<button type="button" id="wcst-apply-fix-btn" class="button button-primary"><?php esc_html_e( 'Apply Fix', 'doctor-subs' ); ?></button>
+				</div>
+
+				<div id="wcst-fix-history" class="wcst-fix-history" style="display: none;"></div>
+			</div>
+		</div>
+
+		<div class="wcst-section wcst-batch-section">
+			<h2><?php esc_html_e( 'Batch Fixing', 'doctor-subs' ); ?></h2>
+			<p class="wcst-section-description"><?php esc_html_e( 'Queue a fix for many subscriptions. The job runs in small chunks through Action Scheduler and can be paused, resumed or cancelled.', 'doctor-subs' ); ?></p>
+			<div class="wcst-content">
+				<form id="wcst-batch-fix-form" class="wcst-filters">
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-batch-fix-type"><?php esc_html_e( 'Fix', 'doctor-subs' ); ?></label>
+							<select id="wcst-batch-fix-type" class="wcst-filter-control">
+								<option value="payment_date"><?php esc_html_e( 'Next payment date', 'doctor-subs' ); ?></option>
+							</select>
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-batch-csv"><?php esc_html_e( 'Import CSV', 'doctor-subs' ); ?></label>
+							<input type="file" id="wcst-batch-csv" accept=".csv,.txt" />
+						</div>
+					</div>
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group wcst-batch-ids-group">
+							<label for="wcst-batch-subscription-ids"><?php esc_html_e( 'Subscription IDs (one per line or comma-separated)', 'doctor-subs' ); ?></label>
+							<textarea id="wcst-batch-subscription-ids" class="wcst-filter-control" rows="5"></textarea>
+						</div>
+					</div>
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<button type="button" id="wcst-batch-dry-run-btn" class="button"><?php esc_html_e( 'Dry Run', 'doctor-subs' ); ?></button>
+							<button type="button" id="wcst-batch-apply-btn" class="button button-primary"><?php esc_html_e( 'Apply Fixes', 'doctor-subs' ); ?></button>
+						</div>
+					</div>
+				</form>
+
+				<div id="wcst-batch-job" class="wcst-batch-job" style="display: none;">
+					<div class="wcst-bulk-progress-bar"><span></span></div>
+					<p class="wcst-batch-job-text"></p>
+					<div class="wcst-batch-controls">
+						<button type="button" id="wcst-batch-pause-btn" class="button wcst-batch-control-btn" data-command="pause"><?php esc_html_e( 'Pause', 'doctor-subs' ); ?></button>
+						<button type="button" id="wcst-batch-resume-btn" class="button wcst-batch-control-btn" data-command="resume"><?php esc_html_e( 'Resume', 'doctor-subs' ); ?></button>
+						<button type="button" id="wcst-batch-cancel-btn" class="button wcst-batch-control-btn" data-command="cancel"><?php esc_html_e( 'Cancel', 'doctor-subs' ); ?></button>
+					</div>
+					<div id="wcst-batch-items" class="wcst-batch-items"></div>
+				</div>
+
+				<div id="wcst-batch-results" class="wcst-batch-results" style="display: none;"></div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the Developer debug console screen.
+	 *
+	 * @since 1.3.0
+	 */
+	private function render_developer_screen() {
+		?>
+		<div class="wcst-section wcst-developer-section">
+			<h2><?php esc_html_e( 'Debug Console', 'doctor-subs' ); ?></h2>
+			<p class="wcst-section-description"><?php esc_html_e( 'Inspect raw subscription meta, related orders, Action Scheduler rows, payment tokens and gateway settings. Secrets are masked.', 'doctor-subs' ); ?></p>
+			<div class="wcst-content">
+				<form id="wcst-dev-form" class="wcst-filters">
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-dev-search"><?php esc_html_e( 'Subscription ID', 'doctor-subs' ); ?></label>
+							<input type="number" id="wcst-dev-search" class="wcst-filter-control" min="1" />
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-debug-type"><?php esc_html_e( 'Data', 'doctor-subs' ); ?></label>
+							<select id="wcst-debug-type" class="wcst-filter-control">
+								<option value="all"><?php esc_html_e( 'Everything', 'doctor-subs' ); ?></option>
+								<option value="subscription_meta"><?php esc_html_e( 'Subscription meta', 'doctor-subs' ); ?></option>
+								<option value="related_orders"><?php esc_html_e( 'Related orders', 'doctor-subs' ); ?></option>
+								<option value="action_scheduler"><?php esc_html_e( 'Action Scheduler rows', 'doctor-subs' ); ?></option>
+								<option value="payment_tokens"><?php esc_html_e( 'Payment tokens', 'doctor-subs' ); ?></option>
+								<option value="gateway_settings"><?php esc_html_e( 'Gateway settings', 'doctor-subs' ); ?></option>
+							</select>
+						</div>
+						<div class="wcst-filter-group">
+							<button type="submit" id="wcst-dev-analyze-btn" class="button button-primary"><?php esc_html_e( 'Load Debug Data', 'doctor-subs' ); ?></button>
+						</div>
+					</div>
+				</form>
+
+				<div id="wcst-dev-results" class="wcst-dev-results" style="display: none;">
+					<div class="wcst-dev-toolbar">
+						<input type="search" id="wcst-dev-key-search" class="wcst-filter-control" placeholder="<?php esc_attr_e( 'Search keys...', 'doctor-subs' ); ?>" />
+						<button type="button" class="button wcst-json-toggle-all" data-open="1"><?php esc_html_e( 'Expand All', 'doctor-subs' ); ?></button>
+						<button type="button" class="button wcst-json-toggle-all" data-open="0"><?php esc_html_e( 'Collapse All', 'doctor-subs' ); ?></button>
+						<button type="button" id="wcst-dev-snapshot-btn" class="button"><?php esc_html_e( 'Save Snapshot', 'doctor-subs' ); ?></button>
+					</div>
+					<div id="wcst-dev-content" class="wcst-dev-content"></div>
+				</div>
+
+				<div id="wcst-dev-snapshots" class="wcst-dev-snapshots" style="display: none;">
+					<h3><?php esc_html_e( 'Compare Snapshots', 'doctor-subs' ); ?></h3>
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-snapshot-a"><?php esc_html_e( 'Snapshot A', 'doctor-subs' ); ?></label>
+							<select id="wcst-snapshot-a" class="wcst-filter-control wcst-snapshot-select"></select>
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-snapshot-b"><?php esc_html_e( 'Snapshot B', 'doctor-subs' ); ?></label>
+							<select id="wcst-snapshot-b" class="wcst-filter-control wcst-snapshot-select"></select>
+						</div>
+						<div class="wcst-filter-group">
+							<button type="button" id="wcst-snapshot-diff-btn" class="button"><?php esc_html_e( 'Show Differences', 'doctor-subs' ); ?></button>
+							<button type="button" id="wcst-snapshot-clear-btn" class="button"><?php esc_html_e( 'Clear Snapshots', 'doctor-subs' ); ?></button>
+						</div>
+					</div>
+					<div id="wcst-snapshot-diff" class="wcst-snapshot-diff"></div>
+				</div>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the side-by-side subscription comparison screen.
+	 *
+	 * @since 1.3.0
+	 */
+	private function render_compare_screen() {
+		?>
+		<div class="wcst-section wcst-compare-section">
+			<h2><?php esc_html_e( 'Compare Subscriptions', 'doctor-subs' ); ?></h2>
+			<p class="wcst-section-description"><?php esc_html_e( 'Analyze two subscriptions side by side, e.g. one whose renewal fails and one on the same product that works. Differing fields are highlighted and the timelines are aligned by billing cycle.', 'doctor-subs' ); ?></p>
+			<div class="wcst-content">
+				<form id="wcst-compare-form" class="wcst-filters">
+					<div class="wcst-filter-row">
+						<div class="wcst-filter-group">
+							<label for="wcst-compare-a"><?php esc_html_e( 'Subscription A', 'doctor-subs' ); ?></label>
+							<input type="number" id="wcst-compare-a" class="wcst-filter-control" min="1" />
+						</div>
+						<div class="wcst-filter-group">
+							<label for="wcst-compare-b"><?php esc_html_e( 'Subscription B', 'doctor-subs' ); ?></label>
+							<input type="number" id="wcst-compare-b" class="wcst-filter-control" min="1" />
+						</div>
+						<div class="wcst-filter-group">
+							<button type="submit" id="wcst-compare-btn" class="button button-primary"><?php esc_html_e( 'Compare', 'doctor-subs' ); ?></button>
+						</div>
+					</div>
+				</form>
+
+				<div id="wcst-compare-results" class="wcst-compare-results" style="display: none;"></div>
 			</div>
-			
 		</div>
 		<?php
 	}
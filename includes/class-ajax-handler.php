@@ -19,6 +19,22 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WCST_Ajax_Handler {
 
+	/**
+	 * Analysis stages that can be run one at a time, in display order.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const ANALYSIS_STAGES = array( 'anatomy', 'expected', 'timeline', 'enhanced', 'discrepancies' );
+
+	/**
+	 * Transient prefix for stage results kept for the summary stage.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const STAGE_TRANSIENT_PREFIX = 'wcst_analysis_stages_';
+
 	/**
 	 * Constructor.
 	 *
@@ -26,192 +42,356 @@ class WCST_Ajax_Handler {
 	 */
 	public function __construct() {
 		// Analysis actions.
-		add_action( 'wp_ajax_wcst_analyze_subscription', array( $this, 'analyze_subscription' ) );
+		add_action( 'wp_ajax_wcst_analyze_stage', array( $this, 'analyze_stage' ) );
+		add_action( 'wp_ajax_wcst_compare_analysis', array( $this, 'compare_analysis' ) );
+		add_action( 'wp_ajax_wcst_export_analysis', array( $this, 'export_analysis' ) );
+		add_action( 'wp_ajax_wcst_compare_subscriptions', array( $this, 'compare_subscriptions' ) );
 		add_action( 'wp_ajax_wcst_search_subscriptions', array( $this, 'search_subscriptions' ) );
+		add_action( 'wp_ajax_wcst_get_search_shortcuts', array( $this, 'get_search_shortcuts' ) );
+		add_action( 'wp_ajax_wcst_pin_subscription', array( $this, 'pin_subscription' ) );
+		add_action( 'wp_ajax_wcst_verify_stripe_payment_method', array( $this, 'verify_stripe_payment_method' ) );
+
+		// Fleet scan actions.
+		add_action( 'wp_ajax_wcst_generate_bulk_report', array( $this, 'generate_bulk_report' ) );
+		add_action( 'wp_ajax_wcst_export_bulk_report', array( $this, 'export_bulk_report' ) );
+		add_action( 'wp_ajax_wcst_get_health_badges', array( $this, 'get_health_badges' ) );
+
+		// Fixing actions.
+		add_action( 'wp_ajax_wcst_fix_subscription', array( $this, 'fix_subscription' ) );
+		add_action( 'wp_ajax_wcst_undo_fix', array( $this, 'undo_fix' ) );
+		add_action( 'wp_ajax_wcst_run_playbook', array( $this, 'run_playbook' ) );
+
+		// Scheduled action control.
+		add_action( 'wp_ajax_wcst_get_scheduled_actions', array( $this, 'get_scheduled_actions' ) );
+		add_action( 'wp_ajax_wcst_manage_scheduled_action', array( $this, 'manage_scheduled_action' ) );
+
+		// Batch fixing actions.
+		add_action( 'wp_ajax_wcst_start_batch_fix', array( $this, 'start_batch_fix' ) );
+		add_action( 'wp_ajax_wcst_batch_fix_status', array( $this, 'batch_fix_status' ) );
+		add_action( 'wp_ajax_wcst_control_batch_fix', array( $this, 'control_batch_fix' ) );
+
+		// Developer actions.
+		add_action( 'wp_ajax_wcst_get_developer_debug', array( $this, 'get_developer_debug' ) );
+
+		// Privacy actions.
+		add_action( 'wp_ajax_wcst_set_pii_redaction', array( $this, 'set_pii_redaction' ) );
 	}
 
 	/**
-	 * Perform complete subscription analysis.
+	 * Run a single analysis stage.
 	 *
-	 * @since 1.0.0
-	 * @throws Exception If analysis fails.
+	 * Stage results are kept briefly so the final 'summary' stage can be built
+	 * from them, and so a failed stage can be retried on its own.
+	 *
+	 * @since 1.3.0
 	 */
-	public function analyze_subscription() {
+	public function analyze_stage() {
 		try {
-			// Check if required classes exist.
-			if ( ! class_exists( 'WCST_Security' ) ) {
-				throw new Exception( 'WCST_Security class not found' );
-			}
-			if ( ! class_exists( 'WCST_Logger' ) ) {
-				throw new Exception( 'WCST_Logger class not found' );
-			}
-
 			// Security checks.
 			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
 			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
 			WCST_Security::check_permissions( 'manage_woocommerce' );
 
 			// Validate and sanitize input.
-			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.MissingUnslash,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- wp_unslash() and sanitize_text_field() are applied below.
-			$raw_subscription_id = isset( $_POST['subscription_id'] ) ? wp_unslash( $_POST['subscription_id'] ) : '';
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$stage           = isset( $_POST['stage'] ) ? sanitize_key( wp_unslash( $_POST['stage'] ) ) : '';
+			$run_id          = isset( $_POST['run_id'] ) ? sanitize_key( wp_unslash( $_POST['run_id'] ) ) : '';
 			// phpcs:enable
 
-			// Log raw input for debugging (only in debug mode).
-			if ( defined( 'WP_DEBUG' ) && WP_DEBUG && defined( 'WP_DEBUG_LOG' ) && WP_DEBUG_LOG ) {
-				// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_print_r -- Only used when WP_DEBUG and WP_DEBUG_LOG are enabled.
-				WCST_Logger::log( 'debug', 'Raw subscription ID received: ' . print_r( $raw_subscription_id, true ) ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_print_r
+			if ( 'summary' !== $stage && ! in_array( $stage, self::ANALYSIS_STAGES, true ) ) {
+				throw new Exception( esc_html__( 'Unknown analysis stage.', 'doctor-subs' ) );
 			}
 
-			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitize_text_field() and absint() handle sanitization.
-			$subscription_id = WCST_Security::validate_subscription_id( sanitize_text_field( $raw_subscription_id ) );
-
-			// Verify subscription exists.
 			if ( ! function_exists( 'wcs_get_subscription' ) ) {
-				throw new Exception( 'WooCommerce Subscriptions is not active or not loaded.' );
+				throw new Exception( esc_html__( 'WooCommerce Subscriptions is not active or not loaded.', 'doctor-subs' ) );
 			}
 
-			$subscription = wcs_get_subscription( $subscription_id );
-			if ( ! $subscription ) {
-				throw new Exception( sprintf( 'Subscription #%d not found.', $subscription_id ) );
+			if ( ! wcs_get_subscription( $subscription_id ) ) {
+				throw new Exception(
+					esc_html(
+						sprintf(
+							/* translators: %d: subscription ID */
+							__( 'Subscription #%d not found.', 'doctor-subs' ),
+							$subscription_id
+						)
+					)
+				);
 			}
 
-			// Keep logs minimal: only errors elsewhere.
+			$transient = self::STAGE_TRANSIENT_PREFIX . get_current_user_id() . '_' . $subscription_id;
+			$results   = get_transient( $transient );
+			$results   = is_array( $results ) ? $results : array();
 
-			// Initialize analyzers with error checking.
-			if ( ! class_exists( 'WCST_Subscription_Anatomy' ) ) {
-				throw new Exception( 'WCST_Subscription_Anatomy class not found' );
-			}
-			$anatomy_analyzer = new WCST_Subscription_Anatomy();
+			if ( 'summary' === $stage ) {
+				$summary = $this->create_summary(
+					$results['anatomy'] ?? array(),
+					$results['expected'] ?? array(),
+					$results['timeline'] ?? array(),
+					$results['enhanced'] ?? array(),
+					$results['discrepancies'] ?? array()
+				);
 
-			if ( ! class_exists( 'WCST_Expected_Behavior' ) ) {
-				throw new Exception( 'WCST_Expected_Behavior class not found' );
-			}
-			$expected_analyzer = new WCST_Expected_Behavior();
+				// Save the run and compare it with the one before.
+				$history = new WCST_Analysis_History();
+				$history->record( $subscription_id, $run_id, $results, $summary );
+				$runs = $history->get_runs( $subscription_id );
 
-			if ( ! class_exists( 'WCST_Timeline_Builder' ) ) {
-				throw new Exception( 'WCST_Timeline_Builder class not found' );
+				wp_send_json_success(
+					WCST_PII_Redactor::maybe_redact(
+						array(
+							'stage'      => $stage,
+							'data'       => $summary,
+							'timestamp'  => current_time( 'Y-m-d H:i:s' ),
+							'history'    => $runs,
+							'comparison' => count( $runs ) > 1 && $runs[0]['id'] === $run_id ? $history->compare( $subscription_id, $run_id, $runs[1]['id'] ) : null,
+						),
+						array( $subscription_id )
+					)
+				);
 			}
-			$timeline_builder = new WCST_Timeline_Builder();
 
-			if ( ! class_exists( 'WCST_Skipped_Cycle_Detector' ) ) {
-				throw new Exception( 'WCST_Skipped_Cycle_Detector class not found' );
+			if ( 'anatomy' === $stage ) {
+				$shortcuts = new WCST_Search_Shortcuts();
+				$shortcuts->add_recent( $subscription_id );
 			}
-			$skipped_cycle_detector = new WCST_Skipped_Cycle_Detector();
 
-			if ( ! class_exists( 'WCST_Discrepancy_Detector' ) ) {
-				throw new Exception( 'WCST_Discrepancy_Detector class not found' );
-			}
-			$discrepancy_detector = new WCST_Discrepancy_Detector();
-
-			// Step 1: Analyze anatomy.
-			// Anatomy analysis.
-			try {
-				$anatomy_data = $anatomy_analyzer->analyze( $subscription_id );
-			} catch ( \Throwable $e ) {
-				throw new Exception( 'Step 1 (Anatomy) failed: ' . $e->getMessage(), 0, $e );
-			}
+			// Drop the previous result first so a failed run never feeds a stale one into the summary.
+			unset( $results[ $stage ] );
+			set_transient( $transient, $results, HOUR_IN_SECONDS );
 
-			// Step 2: Determine expected behavior.
-			// Expected behavior analysis.
-			try {
-				$expected_data = $expected_analyzer->analyze( $subscription_id );
-			} catch ( \Throwable $e ) {
-				throw new Exception( 'Step 2 (Expected Behavior) failed: ' . $e->getMessage(), 0, $e );
-			}
+			$results[ $stage ] = $this->run_analysis_stage( $stage, $subscription_id );
+			set_transient( $transient, $results, HOUR_IN_SECONDS );
 
-			// Step 3: Build timeline.
-			// Timeline analysis.
-			try {
-				$timeline_data = $timeline_builder->build( $subscription_id );
-			} catch ( \Throwable $e ) {
-				throw new Exception( 'Step 3 (Timeline) failed: ' . $e->getMessage(), 0, $e );
-			}
+			wp_send_json_success(
+				array(
+					'stage' => $stage,
+					'data'  => WCST_PII_Redactor::maybe_redact( $results[ $stage ], array( $subscription_id ) ),
+				)
+			);
 
-			// Discrepancy Detection: Check for Stripe and other gateway issues.
-			$discrepancy_data = array();
-			try {
-				$discrepancy_data = $discrepancy_detector->analyze_discrepancies( $subscription_id );
-			} catch ( \Throwable $t ) {
-				WCST_Logger::log( 'error', 'Discrepancy detection failed: ' . $t->getMessage() );
-				// Keep empty discrepancy data on failure.
-			}
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Analysis stage failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
 
-			// Enhanced Detection: Analyze skipped cycles and issues.
-			// Enhanced detection analysis.
+	/**
+	 * Compare a saved analysis run with an earlier one.
+	 *
+	 * @since 1.3.0
+	 */
+	public function compare_analysis() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
 
-			// Set a timeout for the enhanced analysis to prevent hanging.
-			// phpcs:ignore Squiz.PHP.DiscouragedFunctions.Discouraged -- Necessary for long-running analysis operations.
-			set_time_limit( 30 ); // 30 seconds max.
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$run_id          = isset( $_POST['run_id'] ) ? sanitize_key( wp_unslash( $_POST['run_id'] ) ) : '';
+			$compare_id      = isset( $_POST['compare_id'] ) ? sanitize_key( wp_unslash( $_POST['compare_id'] ) ) : '';
+			// phpcs:enable
 
-			// Default enhanced data structure.
-			$enhanced_data = array(
-				'skipped_cycles'     => array(),
-				'manual_completions' => array(),
-				'status_mismatches'  => array(),
-				'action_scheduler'   => array(),
-				'year_over_year'     => array(),
-			);
+			$history = new WCST_Analysis_History();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $history->compare( $subscription_id, $run_id, $compare_id ), array( $subscription_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Analysis comparison failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
 
-			// Use the public analyzer entrypoint to avoid calling private methods.
-			try {
-				$enhanced_data = $skipped_cycle_detector->analyze( $subscription_id );
-			} catch ( \Throwable $t ) {
-				WCST_Logger::log( 'error', 'Enhanced detection failed: ' . $t->getMessage() );
-				// Keep default empty enhanced data on failure.
+	/**
+	 * Download the current analysis as an HTML, Markdown or JSON support-ticket report.
+	 *
+	 * The report is built from the stored stage results, so what is exported is
+	 * exactly what was shown on screen.
+	 *
+	 * @since 1.3.0
+	 */
+	public function export_analysis() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Recommended,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_GET['nonce'] ) ? sanitize_text_field( wp_unslash( $_GET['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_GET['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_GET['subscription_id'] ) ) : '' );
+			$format          = isset( $_GET['format'] ) ? sanitize_key( wp_unslash( $_GET['format'] ) ) : 'html';
+			// phpcs:enable
+
+			$results = get_transient( self::STAGE_TRANSIENT_PREFIX . get_current_user_id() . '_' . $subscription_id );
+			if ( ! is_array( $results ) || empty( $results ) ) {
+				throw new Exception( esc_html__( 'The analysis results have expired. Run the analysis again before exporting.', 'doctor-subs' ) );
 			}
 
-			// Create summary with findings.
-			$summary_data = $this->create_summary( $anatomy_data, $expected_data, $timeline_data, $enhanced_data, $discrepancy_data );
-
-			// Prepare response data.
-			$response_data = array(
-				'subscription_id' => $subscription_id,
-				'anatomy'         => $anatomy_data,
-				'expected'        => $expected_data,
-				'timeline'        => $timeline_data,
-				'enhanced'        => $enhanced_data,
-				'discrepancies'   => $discrepancy_data,
-				'summary'         => $summary_data,
-				'timestamp'       => current_time( 'Y-m-d H:i:s' ),
+			$analysis = array( 'subscription_id' => $subscription_id );
+			foreach ( self::ANALYSIS_STAGES as $stage ) {
+				$analysis[ $stage ] = $results[ $stage ] ?? null;
+			}
+			$analysis['summary'] = $this->create_summary(
+				$results['anatomy'] ?? array(),
+				$results['expected'] ?? array(),
+				$results['timeline'] ?? array(),
+				$results['enhanced'] ?? array(),
+				$results['discrepancies'] ?? array()
 			);
 
-			wp_send_json_success( $response_data );
+			$exporter = new WCST_Analysis_Exporter();
+			$exporter->stream( WCST_PII_Redactor::maybe_redact( $analysis, array( $subscription_id ) ), $format );
+			exit;
 
 		} catch ( \Throwable $e ) {
-			$error_message = $e->getMessage();
-			$error_details = array(
-				'message' => $error_message,
-				'file'    => $e->getFile(),
-				'line'    => $e->getLine(),
-				'trace'   => $e->getTraceAsString(),
+			WCST_Logger::log( 'error', 'Analysis export failed: ' . $e->getMessage() );
+			wp_die(
+				esc_html( $e->getMessage() ),
+				esc_html__( 'Export failed', 'doctor-subs' ),
+				array(
+					'response'  => 400,
+					'back_link' => true,
+				)
 			);
+		}
+	}
 
-			WCST_Logger::log( 'error', 'Subscription analysis failed: ' . $error_message, $error_details );
-			WCST_Logger::log( 'error', 'Stack trace: ' . $e->getTraceAsString() );
-
-			// Provide more helpful error message to user (sanitized).
-			$user_message = 'Analysis failed. ';
-			if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
-				// Show detailed error in debug mode.
-				$user_message .= esc_html( $error_message );
-			} else {
-				// Generic message for production.
-				$user_message .= 'Please check WooCommerce logs (WooCommerce > Status > Logs > doctor-subs) for details.';
-			}
+	/**
+	 * Analyze two subscriptions for the side-by-side comparison.
+	 *
+	 * Only the anatomy, expected behavior and timeline stages are run.
+	 *
+	 * @since 1.3.0
+	 */
+	public function compare_subscriptions() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
 
-			// Include error details in response for debugging.
-			$error_response = array(
-				'message' => $user_message,
+			// Validate and sanitize input.
+			$subscription_ids = array(
+				WCST_Security::validate_subscription_id( isset( $_POST['subscription_a'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_a'] ) ) : '' ),
+				WCST_Security::validate_subscription_id( isset( $_POST['subscription_b'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_b'] ) ) : '' ),
 			);
+			// phpcs:enable
+
+			if ( $subscription_ids[0] === $subscription_ids[1] ) {
+				throw new Exception( esc_html__( 'Please enter two different subscription IDs.', 'doctor-subs' ) );
+			}
+
+			$subscriptions = array();
+			foreach ( $subscription_ids as $subscription_id ) {
+				if ( ! wcs_get_subscription( $subscription_id ) ) {
+					throw new Exception(
+						esc_html(
+							sprintf(
+								/* translators: %d: subscription ID */
+								__( 'Subscription #%d not found.', 'doctor-subs' ),
+								$subscription_id
+							)
+						)
+					);
+				}
 
-			if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
-				$error_response['debug'] = array(
-					'file' => $e->getFile(),
-					'line' => $e->getLine(),
+				$subscriptions[] = array(
+					'subscription_id' => $subscription_id,
+					'anatomy'         => $this->run_analysis_stage( 'anatomy', $subscription_id ),
+					'expected'        => $this->run_analysis_stage( 'expected', $subscription_id ),
+					'timeline'        => $this->run_analysis_stage( 'timeline', $subscription_id ),
 				);
 			}
 
-			wp_send_json_error( $error_response );
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( array( 'subscriptions' => $subscriptions ), $subscription_ids ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Subscription comparison failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Turn PII redaction on or off for the current user.
+	 *
+	 * @since 1.3.0
+	 */
+	public function set_pii_redaction() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$enabled = isset( $_POST['enabled'] ) && '1' === sanitize_text_field( wp_unslash( $_POST['enabled'] ) );
+			// phpcs:enable
+
+			if ( ! $enabled && WCST_PII_Redactor::is_forced() ) {
+				throw new Exception( esc_html__( 'PII redaction is required for your role and cannot be turned off.', 'doctor-subs' ) );
+			}
+
+			update_user_meta( get_current_user_id(), WCST_PII_Redactor::USER_META_KEY, $enabled ? 1 : 0 );
+
+			wp_send_json_success( array( 'enabled' => WCST_PII_Redactor::is_enabled() ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'PII redaction toggle failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the current user's pinned and recently analyzed subscriptions.
+	 *
+	 * @since 1.3.0
+	 */
+	public function get_search_shortcuts() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+			// phpcs:enable
+
+			$shortcuts = new WCST_Search_Shortcuts();
+			$lists     = $shortcuts->get_shortcuts();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $lists, wp_list_pluck( array_merge( $lists['pinned'], $lists['recent'] ), 'id' ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Loading search shortcuts failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Pin or unpin a subscription in the current user's search shortcuts.
+	 *
+	 * @since 1.3.0
+	 */
+	public function pin_subscription() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$pinned          = isset( $_POST['pinned'] ) && '1' === sanitize_text_field( wp_unslash( $_POST['pinned'] ) );
+			// phpcs:enable
+
+			$shortcuts = new WCST_Search_Shortcuts();
+			$shortcuts->set_pinned( $subscription_id, $pinned );
+			$lists = $shortcuts->get_shortcuts();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $lists, wp_list_pluck( array_merge( $lists['pinned'], $lists['recent'] ), 'id' ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Pinning subscription failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
 		}
 	}
 
@@ -229,19 +409,26 @@ class WCST_Ajax_Handler {
 
 			// Validate and sanitize input.
 			$search_term = isset( $_POST['search_term'] ) ? sanitize_text_field( wp_unslash( $_POST['search_term'] ) ) : '';
+			$page        = isset( $_POST['page'] ) ? absint( wp_unslash( $_POST['page'] ) ) : 1;
 			// phpcs:enable
 
 			if ( strlen( $search_term ) < 2 ) {
-				wp_send_json_success( array() );
+				wp_send_json_success(
+					array(
+						'results'  => array(),
+						'page'     => 1,
+						'has_more' => false,
+					)
+				);
 			}
 
 			// Initialize data collector.
 			$data_collector = new WCST_Subscription_Data();
 
 			// Search for subscriptions.
-			$results = $data_collector->search_subscriptions( $search_term );
+			$results = $data_collector->search_subscriptions( $search_term, $page );
 
-			wp_send_json_success( $results );
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $results, wp_list_pluck( $results['results'], 'id' ) ) );
 
 		} catch ( Exception $e ) {
 			WCST_Logger::log( 'error', 'Subscription search failed: ' . $e->getMessage() );
@@ -249,7 +436,444 @@ class WCST_Ajax_Handler {
 		}
 	}
 
+	/**
+	 * Run one batch of a store-wide fleet scan.
+	 *
+	 * The first request (without a report ID) resolves the matching
+	 * subscriptions and starts a report; each request then analyzes the next
+	 * batch so large stores never hit a single long-running request.
+	 *
+	 * @since 1.3.0
+	 */
+	public function generate_bulk_report() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$report_id   = isset( $_POST['report_id'] ) ? sanitize_text_field( wp_unslash( $_POST['report_id'] ) ) : '';
+			$raw_filters = isset( $_POST['filters'] ) && is_array( $_POST['filters'] ) ? map_deep( wp_unslash( $_POST['filters'] ), 'sanitize_text_field' ) : array();
+			// phpcs:enable
+
+			$scanner = new WCST_Fleet_Scanner();
+
+			if ( empty( $report_id ) ) {
+				$report    = $scanner->start( $scanner->sanitize_filters( $raw_filters ) );
+				$report_id = $report['id'];
+			}
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $scanner->scan_next_batch( $report_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Fleet scan failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get health badges for a batch of rows in the subscriptions list table.
+	 *
+	 * @since 1.3.0
+	 */
+	public function get_health_badges() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- wp_unslash() and absint() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_ids = isset( $_POST['subscription_ids'] ) && is_array( $_POST['subscription_ids'] ) ? array_map( 'absint', wp_unslash( $_POST['subscription_ids'] ) ) : array();
+			// phpcs:enable
+
+			$badges = new WCST_Health_Badges();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $badges->get_badges( $subscription_ids ), $subscription_ids ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Health badges failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Download a stored fleet scan report as CSV, JSON or NDJSON.
+	 *
+	 * The report is read from the server by ID, so the client never sends file
+	 * content back and large reports are streamed in chunks.
+	 *
+	 * @since 1.3.0
+	 */
+	public function export_bulk_report() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Recommended,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_GET['nonce'] ) ? sanitize_text_field( wp_unslash( $_GET['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$report_id = isset( $_GET['report_id'] ) ? sanitize_text_field( wp_unslash( $_GET['report_id'] ) ) : '';
+			$format    = isset( $_GET['format'] ) ? sanitize_key( wp_unslash( $_GET['format'] ) ) : 'csv';
+			// phpcs:enable
+
+			$scanner  = new WCST_Fleet_Scanner();
+			$exporter = new WCST_Report_Exporter();
 
+			$exporter->stream( WCST_PII_Redactor::maybe_redact( $scanner->get_report( $report_id ) ), $format );
+			exit;
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Fleet scan export failed: ' . $e->getMessage() );
+			wp_die(
+				esc_html( $e->getMessage() ),
+				esc_html__( 'Export failed', 'doctor-subs' ),
+				array(
+					'response'  => 400,
+					'back_link' => true,
+				)
+			);
+		}
+	}
+
+	/**
+	 * Preview or apply a subscription fix.
+	 *
+	 * With dry_run set the fix is only previewed; otherwise it is applied and an
+	 * undo record is stored on the subscription.
+	 *
+	 * @since 1.3.0
+	 */
+	public function fix_subscription() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$fix_type        = isset( $_POST['fix_type'] ) ? sanitize_key( wp_unslash( $_POST['fix_type'] ) ) : '';
+			$dry_run         = isset( $_POST['dry_run'] ) ? rest_sanitize_boolean( sanitize_text_field( wp_unslash( $_POST['dry_run'] ) ) ) : true;
+			// phpcs:enable
+
+			$fixer = new WCST_Subscription_Fixer();
+
+			if ( $dry_run ) {
+				wp_send_json_success( $fixer->preview( $subscription_id, $fix_type ) );
+			}
+
+			wp_send_json_success( $fixer->apply( $subscription_id, $fix_type ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Subscription fix failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Undo a previously applied subscription fix.
+	 *
+	 * @since 1.3.0
+	 */
+	public function undo_fix() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$undo_id         = isset( $_POST['undo_id'] ) ? sanitize_text_field( wp_unslash( $_POST['undo_id'] ) ) : '';
+			// phpcs:enable
+
+			$fixer = new WCST_Subscription_Fixer();
+
+			wp_send_json_success( $fixer->undo( $subscription_id, $undo_id ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Undoing subscription fix failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check a subscription's Stripe payment method and customer against the Stripe API.
+	 *
+	 * @since 1.3.0
+	 */
+	public function verify_stripe_payment_method() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+			WCST_Security::check_rate_limit( 'stripe_verification' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			// phpcs:enable
+
+			$verifier = new WCST_Stripe_Verifier();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $verifier->verify( $subscription_id ), array( $subscription_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Stripe verification failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Preview or apply the remediation playbook attached to a detected issue.
+	 *
+	 * With dry_run set the playbook only lists what it would change.
+	 *
+	 * @since 1.3.0
+	 */
+	public function run_playbook() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$playbook        = isset( $_POST['playbook'] ) ? sanitize_key( wp_unslash( $_POST['playbook'] ) ) : '';
+			$dry_run         = isset( $_POST['dry_run'] ) ? rest_sanitize_boolean( sanitize_text_field( wp_unslash( $_POST['dry_run'] ) ) ) : true;
+			// phpcs:enable
+
+			$playbooks = new WCST_Remediation_Playbooks();
+			$result    = $dry_run ? $playbooks->preview( $subscription_id, $playbook ) : $playbooks->apply( $subscription_id, $playbook );
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $result, array( $subscription_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Remediation playbook failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * List the scheduled actions of a subscription for the control panel.
+	 *
+	 * @since 1.3.0
+	 */
+	public function get_scheduled_actions() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			// phpcs:enable
+
+			$manager = new WCST_Action_Manager();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $manager->get_panel( $subscription_id ), array( $subscription_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Loading scheduled actions failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Run, reschedule or cancel a scheduled action, or recreate a missing payment action.
+	 *
+	 * @since 1.3.0
+	 */
+	public function manage_scheduled_action() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$operation       = isset( $_POST['operation'] ) ? sanitize_key( wp_unslash( $_POST['operation'] ) ) : '';
+			$action_id       = isset( $_POST['action_id'] ) ? absint( $_POST['action_id'] ) : 0;
+			$date            = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : '';
+			$zone            = isset( $_POST['zone'] ) ? sanitize_key( wp_unslash( $_POST['zone'] ) ) : 'store';
+			// phpcs:enable
+
+			$manager = new WCST_Action_Manager();
+
+			switch ( $operation ) {
+				case 'run':
+					$result = $manager->run_now( $subscription_id, $action_id );
+					break;
+				case 'reschedule':
+					$result = $manager->reschedule( $subscription_id, $action_id, $date, $zone );
+					break;
+				case 'cancel':
+					$result = $manager->cancel_duplicate( $subscription_id, $action_id );
+					break;
+				case 'recreate':
+					$result = $manager->recreate_payment_action( $subscription_id );
+					break;
+				default:
+					throw new Exception( esc_html__( 'Unsupported action operation.', 'doctor-subs' ) );
+			}
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $result, array( $subscription_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Scheduled action operation failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Queue a batch fix job.
+	 *
+	 * @since 1.3.0
+	 */
+	public function start_batch_fix() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$raw_ids  = isset( $_POST['subscription_ids'] ) ? sanitize_textarea_field( wp_unslash( $_POST['subscription_ids'] ) ) : '';
+			$fix_type = isset( $_POST['fix_type'] ) ? sanitize_key( wp_unslash( $_POST['fix_type'] ) ) : '';
+			$dry_run  = isset( $_POST['dry_run'] ) ? rest_sanitize_boolean( sanitize_text_field( wp_unslash( $_POST['dry_run'] ) ) ) : true;
+			// phpcs:enable
+
+			$batch_fixer = new WCST_Batch_Fixer();
+
+			wp_send_json_success( $batch_fixer->start( $batch_fixer->parse_subscription_ids( $raw_ids ), $fix_type, $dry_run ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Starting batch fix failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Report the progress of a batch fix job.
+	 *
+	 * @since 1.3.0
+	 */
+	public function batch_fix_status() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+			// phpcs:enable
+
+			$batch_fixer = new WCST_Batch_Fixer();
+
+			wp_send_json_success( $batch_fixer->get_status( $job_id ) );
+
+		} catch ( \Throwable $e ) {
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Pause, resume or cancel a batch fix job.
+	 *
+	 * @since 1.3.0
+	 */
+	public function control_batch_fix() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$job_id  = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+			$command = isset( $_POST['command'] ) ? sanitize_key( wp_unslash( $_POST['command'] ) ) : '';
+			// phpcs:enable
+
+			$batch_fixer = new WCST_Batch_Fixer();
+
+			wp_send_json_success( $batch_fixer->control( $job_id, $command ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Batch fix command failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Collect raw debug data for the developer console.
+	 *
+	 * @since 1.3.0
+	 */
+	public function get_developer_debug() {
+		try {
+			// Security checks.
+			// phpcs:disable WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.MissingUnslash -- wp_unslash() and sanitize_text_field() are applied below.
+			WCST_Security::verify_nonce( isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '', 'wcst_nonce' );
+			WCST_Security::check_permissions( 'manage_woocommerce' );
+
+			// Validate and sanitize input.
+			$subscription_id = WCST_Security::validate_subscription_id( isset( $_POST['subscription_id'] ) ? sanitize_text_field( wp_unslash( $_POST['subscription_id'] ) ) : '' );
+			$debug_type      = isset( $_POST['debug_type'] ) ? sanitize_key( wp_unslash( $_POST['debug_type'] ) ) : 'all';
+			// phpcs:enable
+
+			$collector = new WCST_Debug_Collector();
+
+			wp_send_json_success( WCST_PII_Redactor::maybe_redact( $collector->collect( $subscription_id, $debug_type ), array( $subscription_id ) ) );
+
+		} catch ( \Throwable $e ) {
+			WCST_Logger::log( 'error', 'Developer debug failed: ' . $e->getMessage() );
+			wp_send_json_error( $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Run the analyzer behind an analysis stage.
+	 *
+	 * @since 1.3.0
+	 * @param string $stage           Analysis stage.
+	 * @param int    $subscription_id Subscription ID.
+	 * @return array Stage data.
+	 * @throws Exception If the stage is unknown.
+	 */
+	private function run_analysis_stage( $stage, $subscription_id ) {
+		switch ( $stage ) {
+			case 'anatomy':
+				$analyzer = new WCST_Subscription_Anatomy();
+				return $analyzer->analyze( $subscription_id );
+
+			case 'expected':
+				$analyzer = new WCST_Expected_Behavior();
+				return $analyzer->analyze( $subscription_id );
+
+			case 'timeline':
+				$builder = new WCST_Timeline_Builder();
+				return $builder->build( $subscription_id );
+
+			case 'enhanced':
+				// phpcs:ignore Squiz.PHP.DiscouragedFunctions.Discouraged -- Necessary for long-running analysis operations.
+				set_time_limit( 30 ); // 30 seconds max.
+
+				$detector = new WCST_Skipped_Cycle_Detector();
+				return $detector->analyze( $subscription_id );
+
+			case 'discrepancies':
+				$detector = new WCST_Discrepancy_Detector();
+				return $detector->analyze_discrepancies( $subscription_id );
+		}
+
+		throw new Exception( esc_html__( 'Unknown analysis stage.', 'doctor-subs' ) );
+	}
 
 	/**
 	 * Create summary of analysis findings.
@@ -305,6 +929,7 @@ class WCST_Ajax_Handler {
 					'type'        => 'timeline_discrepancy',
 					'title'       => $discrepancy['title'] ?? __( 'Timeline Discrepancy', 'doctor-subs' ),
 					'description' => $discrepancy['description'] ?? '',
+					'date'        => WCST_Health_Score::get_issue_date( $discrepancy ),
 				);
 			}
 			$status = 'issues_found';
@@ -320,6 +945,7 @@ class WCST_Ajax_Handler {
 						'type'        => 'skipped_cycle',
 						'title'       => __( 'Skipped Payment Cycle', 'doctor-subs' ),
 						'description' => $cycle['description'] ?? __( 'A payment cycle was skipped.', 'doctor-subs' ),
+						'date'        => WCST_Health_Score::get_issue_date( $cycle ),
 					);
 				}
 				$status = 'issues_found';
@@ -333,6 +959,7 @@ class WCST_Ajax_Handler {
 						'type'        => 'manual_completion',
 						'title'       => __( 'Manual Completion Detected', 'doctor-subs' ),
 						'description' => $completion['description'] ?? __( 'Payment was completed manually.', 'doctor-subs' ),
+						'date'        => WCST_Health_Score::get_issue_date( $completion ),
 					);
 				}
 			}
@@ -349,6 +976,25 @@ class WCST_Ajax_Handler {
 				}
 				$status = 'issues_found';
 			}
+
+			// Check the Action Scheduler audit for missing and failed actions.
+			if ( isset( $enhanced_data['action_scheduler'] ) && ! empty( $enhanced_data['action_scheduler'] ) ) {
+				foreach ( $enhanced_data['action_scheduler'] as $audit ) {
+					$issues[] = array(
+						'severity'    => $audit['severity'] ?? 'warning',
+						'type'        => $audit['type'] ?? 'unknown',
+						'title'       => $audit['description'] ?? __( 'Scheduled Action Issue', 'doctor-subs' ),
+						'description' => $audit['recommendation'] ?? '',
+						'date'        => WCST_Health_Score::get_issue_date( $audit ),
+					);
+
+					if ( 'error' === ( $audit['severity'] ?? 'warning' ) ) {
+						$status = 'issues_found';
+					} elseif ( 'healthy' === $status ) {
+						$status = 'warnings';
+					}
+				}
+			}
 		}
 
 		// Check discrepancy detector for Stripe and gateway issues.
@@ -360,6 +1006,7 @@ class WCST_Ajax_Handler {
 					'title'       => $discrepancy['description'] ?? __( 'Issue Detected', 'doctor-subs' ),
 					'description' => $discrepancy['recommendation'] ?? '',
 					'details'     => $discrepancy['details'] ?? array(),
+					'date'        => WCST_Health_Score::get_issue_date( $discrepancy ),
 				);
 
 				// Update status based on severity.
@@ -372,6 +1019,14 @@ class WCST_Ajax_Handler {
 			}
 		}
 
+		// Offer a one-click fix for issues that have a remediation playbook.
+		foreach ( $issues as $index => $issue ) {
+			$playbook = WCST_Remediation_Playbooks::get_playbook( $issue['type'] );
+			if ( $playbook ) {
+				$issues[ $index ]['playbook'] = $playbook;
+			}
+		}
+
 		// Generate next steps based on findings.
 		if ( empty( $issues ) ) {
 			$next_steps[] = __( 'No issues detected. The subscription appears to be functioning normally.', 'doctor-subs' );
@@ -380,9 +1035,12 @@ class WCST_Ajax_Handler {
 			$next_steps[] = __( 'Consider contacting WooCommerce support if issues persist.', 'doctor-subs' );
 		}
 
+		$health_score = new WCST_Health_Score();
+
 		return array(
 			'status'     => $status,
 			'issues'     => $issues,
+			'health'     => $health_score->score( $issues ),
 			'next_steps' => $next_steps,
 			'statistics' => array(
 				'total_issues' => count( $issues ),
@@ -405,21 +1063,4 @@ class WCST_Ajax_Handler {
 			),
 		);
 	}
-
-
-
-
-
-	/**
-	 * Get cached analysis data for a subscription.
-	 *
-	 * @since 1.0.0
-	 * @param int $subscription_id Subscription ID.
-	 * @return array|false Analysis data or false if not found.
-	 */
-	private function get_cached_analysis( $subscription_id ) {
-		// In a future version, this could retrieve cached analysis data.
-		// For now, we'll re-run the analysis.
-		return false;
-	}
 }
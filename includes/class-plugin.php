@@ -43,6 +43,14 @@ class WCST_Plugin {
 	 */
 	public $ajax_handler;
 
+	/**
+	 * Batch fixer instance.
+	 *
+	 * @since 1.3.0
+	 * @var WCST_Batch_Fixer
+	 */
+	public $batch_fixer;
+
 	/**
 	 * Logger instance.
 	 *
@@ -103,6 +111,10 @@ class WCST_Plugin {
 
 		// Load logger.
 		$this->logger = new WCST_Logger();
+
+		// Load batch fixer. Its chunks run from Action Scheduler, outside admin requests.
+		$this->batch_fixer = new WCST_Batch_Fixer();
+		add_action( WCST_Batch_Fixer::CHUNK_HOOK, array( $this->batch_fixer, 'process_chunk' ) );
 	}
 
 	/**
@@ -169,9 +181,15 @@ class WCST_Plugin {
 	 */
 	private static function set_default_options() {
 		$default_options = array(
-			'enable_logging'     => true,
-			'log_retention_days' => 30,
-			'show_advanced_data' => false,
+			'enable_logging'           => true,
+			'log_retention_days'       => 30,
+			'show_advanced_data'       => false,
+			'analysis_history_limit'   => WCST_Analysis_History::DEFAULT_LIMIT,
+			'redact_pii_roles'         => array(),
+			'health_severity_weights'  => WCST_Health_Score::SEVERITY_WEIGHTS,
+			'health_type_weights'      => WCST_Health_Score::TYPE_WEIGHTS,
+			'health_recency_half_life' => WCST_Health_Score::RECENCY_HALF_LIFE,
+			'stripe_api_base'          => WCST_Stripe_Verifier::DEFAULT_API_BASE,
 		);
 
 		add_option( 'wcst_settings', $default_options );
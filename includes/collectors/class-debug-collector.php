@@ -0,0 +1,340 @@
+<?php
+/**
+ * Debug Data Collector
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Collects raw subscription data for the developer debug console.
+ *
+ * Values that look like credentials are masked before they leave the server.
+ *
+ * @since 1.3.0
+ */
+class WCST_Debug_Collector {
+
+	/**
+	 * Debug sections that can be collected.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const SECTIONS = array(
+		'subscription_meta',
+		'related_orders',
+		'action_scheduler',
+		'payment_tokens',
+		'gateway_settings',
+	);
+
+	/**
+	 * Maximum number of related orders and scheduled actions returned.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const ROW_LIMIT = 50;
+
+	/**
+	 * Key pattern for values that must be masked.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const SECRET_KEY_PATTERN = '/(secret|passw|private|api[_-]?key|access[_-]?key|auth[_-]?token|webhook|signing|signature|credential|^token$)/i';
+
+	/**
+	 * Value pattern for well-known credential formats (e.g. Stripe keys).
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const SECRET_VALUE_PATTERN = '/^(sk|rk)_(live|test)_|^whsec_/';
+
+	/**
+	 * Collect debug data for a subscription.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $section         Section to collect, or 'all'.
+	 * @return array Debug data keyed by section.
+	 * @throws Exception If the subscription or section is invalid.
+	 */
+	public function collect( $subscription_id, $section = 'all' ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: %d: subscription ID */
+						__( 'Subscription #%d not found.', 'doctor-subs' ),
+						$subscription_id
+					)
+				)
+			);
+		}
+
+		if ( 'all' !== $section && ! in_array( $section, self::SECTIONS, true ) ) {
+			throw new Exception( esc_html__( 'Unknown debug section.', 'doctor-subs' ) );
+		}
+
+		$sections = 'all' === $section ? self::SECTIONS : array( $section );
+		$data     = array();
+
+		foreach ( $sections as $name ) {
+			try {
+				$data[ $name ] = $this->{'collect_' . $name}( $subscription );
+			} catch ( \Throwable $t ) {
+				WCST_Logger::log( 'error', sprintf( 'Debug collection of %s failed for #%d: %s', $name, $subscription_id, $t->getMessage() ) );
+				$data[ $name ] = array( 'error' => $t->getMessage() );
+			}
+		}
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'collected'       => WCST_Date_Formatter::to_iso8601( time() ),
+			'sections'        => $this->mask_secrets( $data ),
+		);
+	}
+
+	/**
+	 * Collect the subscription's core properties and every meta row.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Subscription data and meta.
+	 */
+	private function collect_subscription_meta( $subscription ) {
+		$data = $subscription->get_data();
+		unset( $data['meta_data'] );
+
+		return array(
+			'data' => $this->normalize( $data ),
+			'meta' => $this->get_meta_rows( $subscription ),
+		);
+	}
+
+	/**
+	 * Collect the parent, renewal, resubscribe and switch orders.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Related orders with their meta.
+	 */
+	private function collect_related_orders( $subscription ) {
+		$orders = array();
+
+		foreach ( array( 'parent', 'renewal', 'resubscribe', 'switch' ) as $relation ) {
+			foreach ( $subscription->get_related_orders( 'all', $relation ) as $order ) {
+				if ( count( $orders ) >= self::ROW_LIMIT ) {
+					break 2;
+				}
+
+				$orders[] = array(
+					'id'             => $order->get_id(),
+					'relation'       => $relation,
+					'status'         => $order->get_status(),
+					'total'          => $order->get_total(),
+					'payment_method' => $order->get_payment_method(),
+					'transaction_id' => $order->get_transaction_id(),
+					'date_created'   => $order->get_date_created() ? $order->get_date_created()->format( 'Y-m-d H:i:s' ) : null,
+					'date_paid'      => $order->get_date_paid() ? $order->get_date_paid()->format( 'Y-m-d H:i:s' ) : null,
+					'meta'           => $this->get_meta_rows( $order ),
+				);
+			}
+		}
+
+		return $orders;
+	}
+
+	/**
+	 * Collect the Action Scheduler rows for the subscription, with their logs.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Scheduled actions, newest first.
+	 */
+	private function collect_action_scheduler( $subscription ) {
+		if ( ! function_exists( 'as_get_scheduled_actions' ) || ! class_exists( 'ActionScheduler' ) ) {
+			return array( 'error' => __( 'Action Scheduler is not available.', 'doctor-subs' ) );
+		}
+
+		$action_ids = as_get_scheduled_actions(
+			array(
+				'args'     => array( 'subscription_id' => $subscription->get_id() ),
+				'status'   => '',
+				'per_page' => self::ROW_LIMIT,
+				'orderby'  => 'date',
+				'order'    => 'DESC',
+			),
+			'ids'
+		);
+
+		$store  = ActionScheduler::store();
+		$logger = ActionScheduler::logger();
+		$rows   = array();
+
+		foreach ( $action_ids as $action_id ) {
+			$action   = $store->fetch_action( $action_id );
+			$schedule = $action->get_schedule();
+			$date     = $schedule && method_exists( $schedule, 'get_date' ) ? $schedule->get_date() : null;
+			$logs     = array();
+
+			foreach ( $logger->get_logs( $action_id ) as $log ) {
+				$logs[] = array(
+					'date'    => $log->get_date()->format( 'Y-m-d H:i:s' ),
+					'message' => $log->get_message(),
+				);
+			}
+
+			$rows[] = array(
+				'id'             => (int) $action_id,
+				'hook'           => $action->get_hook(),
+				'status'         => $store->get_status( $action_id ),
+				'group'          => $action->get_group(),
+				'args'           => $action->get_args(),
+				'scheduled_date' => $date ? $date->format( 'Y-m-d H:i:s' ) : null,
+				'logs'           => $logs,
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Collect the customer's saved payment tokens.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Payment tokens.
+	 */
+	private function collect_payment_tokens( $subscription ) {
+		if ( ! class_exists( 'WC_Payment_Tokens' ) ) {
+			return array();
+		}
+
+		$tokens = array();
+
+		foreach ( WC_Payment_Tokens::get_customer_tokens( $subscription->get_customer_id() ) as $token ) {
+			$tokens[] = $this->normalize( $token->get_data() );
+		}
+
+		return $tokens;
+	}
+
+	/**
+	 * Collect the settings of the subscription's payment gateway.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Gateway ID and settings.
+	 */
+	private function collect_gateway_settings( $subscription ) {
+		$gateway_id = $subscription->get_payment_method();
+		$gateways   = function_exists( 'WC' ) ? WC()->payment_gateways()->payment_gateways() : array();
+
+		if ( ! $gateway_id || ! isset( $gateways[ $gateway_id ] ) ) {
+			return array(
+				'gateway'  => $gateway_id,
+				'settings' => null,
+			);
+		}
+
+		return array(
+			'gateway'  => $gateway_id,
+			'title'    => $gateways[ $gateway_id ]->get_title(),
+			'supports' => $gateways[ $gateway_id ]->supports,
+			'settings' => $gateways[ $gateway_id ]->settings,
+		);
+	}
+
+	/**
+	 * Get all meta rows of an order or subscription.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Order $order Order or subscription.
+	 * @return array Meta values keyed by meta key; repeated keys become lists.
+	 */
+	private function get_meta_rows( $order ) {
+		$meta     = array();
+		$repeated = array();
+
+		foreach ( $order->get_meta_data() as $meta_item ) {
+			$item  = $meta_item->get_data();
+			$key   = $item['key'];
+			$value = $this->normalize( $item['value'] );
+
+			if ( isset( $repeated[ $key ] ) ) {
+				$meta[ $key ][] = $value;
+			} elseif ( array_key_exists( $key, $meta ) ) {
+				$meta[ $key ]     = array( $meta[ $key ], $value );
+				$repeated[ $key ] = true;
+			} else {
+				$meta[ $key ] = $value;
+			}
+		}
+
+		ksort( $meta );
+
+		return $meta;
+	}
+
+	/**
+	 * Convert dates and objects into JSON-friendly values.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $value Value to normalize.
+	 * @return mixed Normalized value.
+	 */
+	private function normalize( $value ) {
+		if ( $value instanceof DateTimeInterface ) {
+			return $value->format( 'Y-m-d H:i:s' );
+		}
+
+		if ( is_object( $value ) ) {
+			$value = get_object_vars( $value );
+		}
+
+		if ( is_array( $value ) ) {
+			return array_map( array( $this, 'normalize' ), $value );
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Mask credential-like values, keeping the last four characters.
+	 *
+	 * @since 1.3.0
+	 * @param mixed  $data Data to mask.
+	 * @param string $key  Key of the current value.
+	 * @return mixed Masked data.
+	 */
+	private function mask_secrets( $data, $key = '' ) {
+		if ( is_array( $data ) ) {
+			foreach ( $data as $child_key => $child ) {
+				$data[ $child_key ] = $this->mask_secrets( $child, (string) $child_key );
+			}
+			return $data;
+		}
+
+		if ( ! is_string( $data ) || '' === $data ) {
+			return $data;
+		}
+
+		if ( preg_match( self::SECRET_KEY_PATTERN, $key ) || preg_match( self::SECRET_VALUE_PATTERN, $data ) ) {
+			return strlen( $data ) > 8 ? '********' . substr( $data, -4 ) : '********';
+		}
+
+		return $data;
+	}
+}
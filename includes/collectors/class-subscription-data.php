@@ -19,134 +19,320 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WCST_Subscription_Data {
 
+	/**
+	 * Number of search results per page.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const SEARCH_PER_PAGE = 10;
+
+	/**
+	 * Maximum number of subscriptions matched per search source.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const SEARCH_MATCH_LIMIT = 100;
+
 	/**
 	 * Safely format a date that might be a DateTime object or string (HPOS compatibility).
 	 *
 	 * @since 1.0.0
 	 * @param mixed $date Date object or string.
-	 * @return string Formatted date or null.
+	 * @return string|null ISO 8601 date with offset, or null.
 	 */
 	private function safe_format_date( $date ) {
-		if ( empty( $date ) ) {
-			return null;
-		}
-
-		if ( is_object( $date ) && method_exists( $date, 'format' ) ) {
-			return $date->format( 'Y-m-d H:i:s' );
-		}
-
-		if ( is_string( $date ) ) {
-			return $date;
-		}
-
-		return null;
+		return empty( $date ) ? null : WCST_Date_Formatter::to_iso8601( $date );
 	}
 
 	/**
 	 * Search for subscriptions.
 	 *
+	 * Matches subscription IDs, parent/renewal/switch/resubscribe order IDs,
+	 * Stripe customer IDs, order transaction IDs and (partial) billing emails,
+	 * names and addresses. Queries go through the WooCommerce data stores so
+	 * HPOS and posts storage both work.
+	 *
 	 * @since 1.0.0
-	 * @param string $search_term Search term (subscription ID or customer email).
-	 * @return array Search results.
+	 * @param string $search_term Search term.
+	 * @param int    $page        Results page, starting at 1.
+	 * @return array Results for the page, the page number and whether more results exist.
 	 */
-	public function search_subscriptions( $search_term ) {
+	public function search_subscriptions( $search_term, $page = 1 ) {
+		$page    = max( 1, (int) $page );
+		$matches = array();
+
 		if ( ! function_exists( 'wcs_get_subscription' ) ) {
-			return array();
+			return array(
+				'results'  => array(),
+				'page'     => $page,
+				'has_more' => false,
+			);
+		}
+
+		$search_term = trim( $search_term );
+
+		// Exact identifiers first, so they lead the results.
+		if ( ctype_digit( $search_term ) ) {
+			$this->add_id_matches( $matches, absint( $search_term ) );
+		}
+
+		if ( preg_match( '/^cus_[A-Za-z0-9]+$/', $search_term ) ) {
+			$this->add_stripe_customer_matches( $matches, $search_term );
 		}
 
+		if ( strlen( $search_term ) >= 4 && ! preg_match( '/\s/', $search_term ) ) {
+			$this->add_transaction_matches( $matches, $search_term );
+		}
+
+		$this->add_text_matches( $matches, $search_term );
+
+		$offset  = ( $page - 1 ) * self::SEARCH_PER_PAGE;
 		$results = array();
 
-		// Search by subscription ID.
-		if ( is_numeric( $search_term ) ) {
-			$subscription = wcs_get_subscription( $search_term );
+		foreach ( array_slice( $matches, $offset, self::SEARCH_PER_PAGE, true ) as $subscription_id => $matched ) {
+			$subscription = wcs_get_subscription( $subscription_id );
+
 			if ( $subscription ) {
-				$results[] = array(
-					'id'           => $subscription->get_id(),
-					'title'        => sprintf(
-						/* translators: %d: subscription ID */
-						__( 'Subscription #%d', 'doctor-subs' ),
-						$subscription->get_id()
-					),
-					'status'       => $subscription->get_status(),
-					'customer'     => $subscription->get_formatted_billing_full_name(),
-					'customer_id'  => $subscription->get_customer_id(),
-					'email'        => $subscription->get_billing_email(),
-					'total'        => $subscription->get_formatted_order_total(),
-					'next_payment' => $this->safe_format_date( $subscription->get_date( 'next_payment' ) ),
-				);
+				$results[] = $this->format_search_result( $subscription, $matched ?? $this->get_text_match_label( $subscription, $search_term ) );
 			}
 		}
 
-		// Search by customer email.
-		if ( is_email( $search_term ) ) {
-			$email_results = $this->search_by_email( $search_term );
-			$results       = array_merge( $results, $email_results );
+		return array(
+			'results'  => $results,
+			'page'     => $page,
+			'has_more' => count( $matches ) > $offset + self::SEARCH_PER_PAGE,
+		);
+	}
+
+	/**
+	 * Match a subscription ID, or an order ID resolved to its subscriptions.
+	 *
+	 * @since 1.3.0
+	 * @param array $matches Matched labels keyed by subscription ID.
+	 * @param int   $id      Subscription or order ID.
+	 */
+	private function add_id_matches( &$matches, $id ) {
+		if ( wcs_get_subscription( $id ) ) {
+			$this->add_match( $matches, $id, __( 'Subscription ID', 'doctor-subs' ) );
+			return;
+		}
+
+		$order = wc_get_order( $id );
+		if ( ! $order ) {
+			return;
 		}
 
-		// Remove duplicates based on subscription ID.
-		$unique_results = array();
-		$seen_ids       = array();
+		$relations = array(
+			/* translators: %d: order ID */
+			'parent'      => __( 'Parent order #%d', 'doctor-subs' ),
+			/* translators: %d: order ID */
+			'renewal'     => __( 'Renewal order #%d', 'doctor-subs' ),
+			/* translators: %d: order ID */
+			'switch'      => __( 'Switch order #%d', 'doctor-subs' ),
+			/* translators: %d: order ID */
+			'resubscribe' => __( 'Resubscribe order #%d', 'doctor-subs' ),
+		);
 
-		foreach ( $results as $result ) {
-			if ( ! in_array( $result['id'], $seen_ids, true ) ) {
-				$unique_results[] = $result;
-				$seen_ids[]       = $result['id'];
+		foreach ( $relations as $relation => $label ) {
+			foreach ( wcs_get_subscriptions_for_order( $order, array( 'order_type' => $relation ) ) as $subscription ) {
+				$this->add_match( $matches, $subscription->get_id(), sprintf( $label, $id ) );
 			}
 		}
-
-		return $unique_results;
 	}
 
 	/**
-	 * Search subscriptions by customer email.
+	 * Match a Stripe customer ID stored on the subscription or on its customer.
 	 *
-	 * @since 1.0.0
-	 * @param string $email Customer email address.
-	 * @return array Search results.
+	 * @since 1.3.0
+	 * @param array  $matches     Matched labels keyed by subscription ID.
+	 * @param string $customer_id Stripe customer ID (cus_...).
 	 */
-	private function search_by_email( $email ) {
-		global $wpdb;
+	private function add_stripe_customer_matches( &$matches, $customer_id ) {
+		$label = __( 'Stripe customer ID', 'doctor-subs' );
 
-		$results = array();
+		$subscription_ids = wc_get_orders(
+			array(
+				'type'       => 'shop_subscription',
+				'status'     => array_keys( wcs_get_subscription_statuses() ),
+				'limit'      => self::SEARCH_MATCH_LIMIT,
+				'return'     => 'ids',
+				// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Stripe customer IDs are only stored in meta.
+				'meta_query' => array(
+					array(
+						'key'   => '_stripe_customer_id',
+						'value' => $customer_id,
+					),
+				),
+			)
+		);
+
+		foreach ( $subscription_ids as $subscription_id ) {
+			$this->add_match( $matches, absint( $subscription_id ), $label );
+		}
 
-		// Search in postmeta for billing email.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching -- Necessary for subscription search functionality.
-		$subscription_ids = $wpdb->get_col(
-			$wpdb->prepare(
-				"SELECT p.ID 
-				FROM {$wpdb->posts} p
-				JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
-				WHERE p.post_type = 'shop_subscription'
-				AND pm.meta_key = '_billing_email'
-				AND pm.meta_value = %s
-				ORDER BY p.post_date DESC
-				LIMIT 10",
-				$email
+		// The Stripe extension also keeps the customer ID on the WordPress user.
+		$user_ids = get_users(
+			array(
+				// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- Stripe customer IDs are only stored in meta.
+				'meta_key'   => '_stripe_customer_id',
+				// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value -- Stripe customer IDs are only stored in meta.
+				'meta_value' => $customer_id,
+				'fields'     => 'ID',
+				'number'     => 10,
 			)
 		);
 
+		foreach ( $user_ids as $user_id ) {
+			foreach ( array_keys( wcs_get_users_subscriptions( (int) $user_id ) ) as $subscription_id ) {
+				$this->add_match( $matches, absint( $subscription_id ), $label );
+			}
+		}
+	}
+
+	/**
+	 * Match a payment transaction ID on a related order.
+	 *
+	 * @since 1.3.0
+	 * @param array  $matches        Matched labels keyed by subscription ID.
+	 * @param string $transaction_id Gateway transaction ID (e.g. a Stripe pi_ or ch_ ID).
+	 */
+	private function add_transaction_matches( &$matches, $transaction_id ) {
+		$order_ids = wc_get_orders(
+			array(
+				'type'           => 'shop_order',
+				'transaction_id' => $transaction_id,
+				'limit'          => self::SEARCH_MATCH_LIMIT,
+				'return'         => 'ids',
+			)
+		);
+
+		foreach ( $order_ids as $order_id ) {
+			$label = sprintf(
+				/* translators: %d: order ID */
+				__( 'Transaction ID on order #%d', 'doctor-subs' ),
+				$order_id
+			);
+
+			foreach ( wcs_get_subscriptions_for_order( $order_id, array( 'order_type' => 'any' ) ) as $subscription ) {
+				$this->add_match( $matches, $subscription->get_id(), $label );
+			}
+		}
+	}
+
+	/**
+	 * Match partial billing emails, names, companies and addresses.
+	 *
+	 * Labels are left empty here and worked out only for the page that is shown.
+	 *
+	 * @since 1.3.0
+	 * @param array  $matches     Matched labels keyed by subscription ID.
+	 * @param string $search_term Search term.
+	 */
+	private function add_text_matches( &$matches, $search_term ) {
+		if ( $this->is_hpos_enabled() ) {
+			$subscription_ids = wc_get_orders(
+				array(
+					'type'    => 'shop_subscription',
+					'status'  => array_keys( wcs_get_subscription_statuses() ),
+					's'       => $search_term,
+					'limit'   => self::SEARCH_MATCH_LIMIT,
+					'orderby' => 'date',
+					'order'   => 'DESC',
+					'return'  => 'ids',
+				)
+			);
+		} else {
+			// The posts data store searches the billing/shipping address index, which includes names and emails.
+			$subscription_ids = array_filter(
+				WC_Data_Store::load( 'subscription' )->search_orders( $search_term ),
+				function ( $id ) {
+					return 'shop_subscription' === get_post_type( $id );
+				}
+			);
+			rsort( $subscription_ids );
+			$subscription_ids = array_slice( $subscription_ids, 0, self::SEARCH_MATCH_LIMIT );
+		}
+
 		foreach ( $subscription_ids as $subscription_id ) {
-			$subscription = wcs_get_subscription( $subscription_id );
+			$this->add_match( $matches, absint( $subscription_id ), null );
+		}
+	}
 
-			if ( $subscription ) {
-				$results[] = array(
-					'id'           => $subscription->get_id(),
-					'title'        => sprintf(
-						/* translators: %d: subscription ID */
-						__( 'Subscription #%d', 'doctor-subs' ),
-						$subscription->get_id()
-					),
-					'status'       => $subscription->get_status(),
-					'customer'     => $subscription->get_formatted_billing_full_name(),
-					'customer_id'  => $subscription->get_customer_id(),
-					'email'        => $subscription->get_billing_email(),
-					'total'        => $subscription->get_formatted_order_total(),
-					'next_payment' => $this->safe_format_date( $subscription->get_date( 'next_payment' ) ),
-				);
+	/**
+	 * Record a match, keeping the first label found for a subscription.
+	 *
+	 * @since 1.3.0
+	 * @param array       $matches         Matched labels keyed by subscription ID.
+	 * @param int         $subscription_id Subscription ID.
+	 * @param string|null $label           Field that matched, or null to work it out later.
+	 */
+	private function add_match( &$matches, $subscription_id, $label ) {
+		if ( $subscription_id && ! array_key_exists( $subscription_id, $matches ) ) {
+			$matches[ $subscription_id ] = $label;
+		}
+	}
+
+	/**
+	 * Work out which customer field a text search matched.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param string          $search_term  Search term.
+	 * @return string Matched field label.
+	 */
+	private function get_text_match_label( $subscription, $search_term ) {
+		$fields = array(
+			__( 'Billing email', 'doctor-subs' ) => $subscription->get_billing_email(),
+			__( 'Billing name', 'doctor-subs' )  => $subscription->get_formatted_billing_full_name(),
+			__( 'Shipping name', 'doctor-subs' ) => $subscription->get_formatted_shipping_full_name(),
+			__( 'Company', 'doctor-subs' )       => $subscription->get_billing_company() . ' ' . $subscription->get_shipping_company(),
+		);
+
+		foreach ( $fields as $label => $value ) {
+			if ( false !== stripos( (string) $value, $search_term ) ) {
+				return $label;
 			}
 		}
 
-		return $results;
+		return __( 'Address or order details', 'doctor-subs' );
+	}
+
+	/**
+	 * Format a subscription as a search result.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param string          $matched      Label of the field that matched.
+	 * @return array Search result.
+	 */
+	public function format_search_result( $subscription, $matched ) {
+		return array(
+			'id'           => $subscription->get_id(),
+			'title'        => sprintf(
+				/* translators: %d: subscription ID */
+				__( 'Subscription #%d', 'doctor-subs' ),
+				$subscription->get_id()
+			),
+			'status'       => $subscription->get_status(),
+			'customer'     => $subscription->get_formatted_billing_full_name(),
+			'customer_id'  => $subscription->get_customer_id(),
+			'email'        => $subscription->get_billing_email(),
+			'total'        => $subscription->get_formatted_order_total(),
+			'next_payment' => $this->safe_format_date( $subscription->get_date( 'next_payment' ) ),
+			'matched'      => $matched,
+		);
+	}
+
+	/**
+	 * Check whether orders are stored in the HPOS custom tables.
+	 *
+	 * @since 1.3.0
+	 * @return bool True if HPOS is the authoritative order storage.
+	 */
+	private function is_hpos_enabled() {
+		return class_exists( '\Automattic\WooCommerce\Utilities\OrderUtil' ) && \Automattic\WooCommerce\Utilities\OrderUtil::custom_orders_table_usage_is_enabled();
 	}
 
 	/**
@@ -0,0 +1,454 @@
+<?php
+/**
+ * Action Manager
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Lists a subscription's scheduled actions and runs guarded operations on them.
+ *
+ * Every operation is refused unless the action belongs to the subscription and
+ * is in a state where the operation is safe, and is recorded as a subscription note.
+ *
+ * @since 1.3.0
+ */
+class WCST_Action_Manager {
+
+	/**
+	 * Hook of the scheduled renewal payment action.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const PAYMENT_HOOK = 'woocommerce_scheduled_subscription_payment';
+
+	/**
+	 * Subscription hooks shown in the panel, with the subscription date each one follows.
+	 *
+	 * Actions of hooks with a date are rescheduled by changing that date, so the
+	 * subscription and its schedule stay in sync.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const HOOK_DATES = array(
+		'woocommerce_scheduled_subscription_payment'             => 'next_payment',
+		'woocommerce_scheduled_subscription_trial_end'           => 'trial_end',
+		'woocommerce_scheduled_subscription_expiration'          => 'end',
+		'woocommerce_scheduled_subscription_end_of_prepaid_term' => '',
+	);
+
+	/**
+	 * Maximum number of actions listed.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const ROW_LIMIT = 50;
+
+	/**
+	 * Get the subscription's scheduled actions for the control panel.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array Actions (newest first) and whether a missing payment action can be recreated.
+	 * @throws Exception If the subscription is not found or Action Scheduler is unavailable.
+	 */
+	public function get_panel( $subscription_id ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$actions      = $this->get_actions( $subscription );
+		$recreate     = $this->check_recreate( $subscription, $actions );
+
+		return array(
+			'subscription_id'  => $subscription->get_id(),
+			'actions'          => $actions,
+			'next_payment'     => $subscription->get_time( 'next_payment' ) ? WCST_Date_Formatter::to_iso8601( $subscription->get_time( 'next_payment' ) ) : null,
+			'can_recreate'     => true === $recreate,
+			'recreate_message' => true === $recreate ? '' : $recreate,
+		);
+	}
+
+	/**
+	 * Run a pending action now.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @param int $action_id       Action ID.
+	 * @return array Operation result with the refreshed panel.
+	 * @throws Exception If the action cannot be run.
+	 */
+	public function run_now( $subscription_id, $action_id ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$action       = $this->get_pending_action( $subscription, $action_id );
+
+		// The queue runner logs the attempt and marks the action complete or failed, like a cron run.
+		ActionScheduler::runner()->process_action( $action['id'], 'Doctor Subs' );
+		$status = ActionScheduler::store()->get_status( $action['id'] );
+
+		$this->add_note(
+			$subscription,
+			sprintf(
+				/* translators: 1: action ID, 2: action hook, 3: action status */
+				__( 'Doctor Subs: ran scheduled action #%1$d (%2$s) manually; its status is now %3$s.', 'doctor-subs' ),
+				$action['id'],
+				$action['hook'],
+				$status
+			)
+		);
+
+		return $this->build_result(
+			$subscription,
+			sprintf(
+				/* translators: 1: action ID, 2: action status */
+				__( 'Action #%1$d was run; its status is now %2$s.', 'doctor-subs' ),
+				$action['id'],
+				$status
+			)
+		);
+	}
+
+	/**
+	 * Move a pending action to another date.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param int    $action_id       Action ID.
+	 * @param string $date            New date (Y-m-d\TH:i).
+	 * @param string $zone            Timezone the date is in: 'utc' or 'store'.
+	 * @return array Operation result with the refreshed panel.
+	 * @throws Exception If the date is invalid or the action cannot be rescheduled.
+	 */
+	public function reschedule( $subscription_id, $action_id, $date, $zone ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$action       = $this->get_pending_action( $subscription, $action_id );
+		$datetime     = DateTimeImmutable::createFromFormat( 'Y-m-d\TH:i', $date, 'utc' === $zone ? new DateTimeZone( 'UTC' ) : wp_timezone() );
+
+		if ( ! $datetime || $datetime->getTimestamp() <= time() ) {
+			throw new Exception( esc_html__( 'Choose a date and time in the future.', 'doctor-subs' ) );
+		}
+
+		$gmt_date = gmdate( 'Y-m-d H:i:s', $datetime->getTimestamp() );
+		$field    = self::HOOK_DATES[ $action['hook'] ];
+
+		if ( $field ) {
+			// WooCommerce Subscriptions moves the action itself and validates the date against the others.
+			$subscription->update_dates( array( $field => $gmt_date ) );
+		} else {
+			ActionScheduler::store()->cancel_action( $action['id'] );
+			as_schedule_single_action( $datetime->getTimestamp(), $action['hook'], $action['args'], $action['group'] );
+		}
+
+		$this->add_note(
+			$subscription,
+			sprintf(
+				/* translators: 1: action ID, 2: action hook, 3: previous date, 4: new date */
+				__( 'Doctor Subs: rescheduled action #%1$d (%2$s) from %3$s to %4$s.', 'doctor-subs' ),
+				$action['id'],
+				$action['hook'],
+				$action['scheduled_date'],
+				WCST_Date_Formatter::to_iso8601( $datetime )
+			)
+		);
+
+		return $this->build_result(
+			$subscription,
+			sprintf(
+				/* translators: %d: action ID */
+				__( 'Action #%d was rescheduled.', 'doctor-subs' ),
+				$action['id']
+			)
+		);
+	}
+
+	/**
+	 * Cancel one of two or more pending actions of the same hook.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @param int $action_id       Action ID.
+	 * @return array Operation result with the refreshed panel.
+	 * @throws Exception If the action is not a duplicate, or is the one that matches the subscription.
+	 */
+	public function cancel_duplicate( $subscription_id, $action_id ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$action       = $this->get_pending_action( $subscription, $action_id );
+
+		if ( ! $action['is_duplicate'] ) {
+			throw new Exception( esc_html__( 'This is the only pending action of its kind, so it is not a duplicate.', 'doctor-subs' ) );
+		}
+
+		// Keep the action that matches the subscription's own date while another one does not.
+		if ( $action['matches_subscription'] ) {
+			foreach ( $this->get_actions( $subscription ) as $other ) {
+				if ( $other['is_duplicate'] && $other['hook'] === $action['hook'] && ! $other['matches_subscription'] ) {
+					throw new Exception( esc_html__( 'This action matches the subscription\'s date. Cancel the duplicate that does not match instead.', 'doctor-subs' ) );
+				}
+			}
+		}
+
+		ActionScheduler::store()->cancel_action( $action['id'] );
+
+		$this->add_note(
+			$subscription,
+			sprintf(
+				/* translators: 1: action ID, 2: action hook, 3: scheduled date */
+				__( 'Doctor Subs: cancelled duplicate scheduled action #%1$d (%2$s) due %3$s.', 'doctor-subs' ),
+				$action['id'],
+				$action['hook'],
+				$action['scheduled_date']
+			)
+		);
+
+		return $this->build_result(
+			$subscription,
+			sprintf(
+				/* translators: %d: action ID */
+				__( 'Duplicate action #%d was cancelled.', 'doctor-subs' ),
+				$action['id']
+			)
+		);
+	}
+
+	/**
+	 * Schedule the renewal payment action again from the subscription's next payment date.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array Operation result with the refreshed panel.
+	 * @throws Exception If the subscription does not need or allow a new payment action.
+	 */
+	public function recreate_payment_action( $subscription_id ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$recreate     = $this->check_recreate( $subscription, $this->get_actions( $subscription ) );
+
+		if ( true !== $recreate ) {
+			throw new Exception( esc_html( $recreate ) );
+		}
+
+		$args = array( 'subscription_id' => $subscription->get_id() );
+
+		// Saving the date lets WooCommerce Subscriptions schedule the action its own way; schedule it directly if it did not.
+		$subscription->update_dates( array( 'next_payment' => $subscription->get_date( 'next_payment' ) ) );
+		if ( false === as_next_scheduled_action( self::PAYMENT_HOOK, $args ) ) {
+			as_schedule_single_action( $subscription->get_time( 'next_payment' ), self::PAYMENT_HOOK, $args );
+		}
+
+		$this->add_note(
+			$subscription,
+			sprintf(
+				/* translators: %s: next payment date */
+				__( 'Doctor Subs: recreated the missing scheduled renewal payment action for %s.', 'doctor-subs' ),
+				WCST_Date_Formatter::to_iso8601( $subscription->get_time( 'next_payment' ) )
+			)
+		);
+
+		return $this->build_result( $subscription, __( 'The renewal payment action was scheduled again.', 'doctor-subs' ) );
+	}
+
+	/**
+	 * Read the subscription's actions, with attempts and logs.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Actions, newest first.
+	 * @throws Exception If Action Scheduler is unavailable.
+	 */
+	private function get_actions( $subscription ) {
+		global $wpdb;
+
+		$actions_table = $wpdb->prefix . 'actionscheduler_actions';
+		$groups_table  = $wpdb->prefix . 'actionscheduler_groups';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching -- Necessary for Action Scheduler table check.
+		if ( ! class_exists( 'ActionScheduler' ) || $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $actions_table ) ) !== $actions_table ) {
+			throw new Exception( esc_html__( 'Action Scheduler is not available.', 'doctor-subs' ) );
+		}
+
+		$hooks = array_keys( self::HOOK_DATES );
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.InterpolatedNotPrepared,WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare,PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table names are safe (wpdb prefix), necessary for Action Scheduler queries.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"
+				SELECT a.action_id, a.hook, a.status, a.scheduled_date_gmt, a.attempts, a.last_attempt_gmt, a.args, ag.slug as group_slug
+				FROM {$actions_table} a
+				LEFT JOIN {$groups_table} ag ON a.group_id = ag.group_id
+				WHERE a.hook IN (" . implode( ', ', array_fill( 0, count( $hooks ), '%s' ) ) . ')
+				AND a.args = %s
+				ORDER BY a.scheduled_date_gmt DESC
+				LIMIT %d
+			',
+				array_merge( $hooks, array( wp_json_encode( array( 'subscription_id' => $subscription->get_id() ) ), self::ROW_LIMIT ) )
+			)
+		);
+		// phpcs:enable
+
+		$pending = array();
+		foreach ( $rows as $row ) {
+			if ( ActionScheduler_Store::STATUS_PENDING === $row->status ) {
+				$pending[ $row->hook ] = ( $pending[ $row->hook ] ?? 0 ) + 1;
+			}
+		}
+
+		$logger  = ActionScheduler::logger();
+		$actions = array();
+
+		foreach ( $rows as $row ) {
+			$field     = self::HOOK_DATES[ $row->hook ];
+			$timestamp = WCST_Date_Formatter::to_timestamp( $row->scheduled_date_gmt );
+			$logs      = array();
+
+			foreach ( $logger->get_logs( $row->action_id ) as $log ) {
+				$logs[] = array(
+					'date'    => WCST_Date_Formatter::to_iso8601( $log->get_date() ),
+					'message' => $log->get_message(),
+				);
+			}
+
+			$actions[] = array(
+				'id'                   => (int) $row->action_id,
+				'hook'                 => $row->hook,
+				'status'               => $row->status,
+				'scheduled_date'       => WCST_Date_Formatter::to_iso8601( $timestamp ),
+				'attempts'             => (int) $row->attempts,
+				'last_attempt'         => '0000-00-00 00:00:00' === $row->last_attempt_gmt ? null : WCST_Date_Formatter::to_iso8601( $row->last_attempt_gmt ),
+				'args'                 => json_decode( $row->args, true ),
+				'group'                => (string) $row->group_slug,
+				'logs'                 => $logs,
+				'is_duplicate'         => ActionScheduler_Store::STATUS_PENDING === $row->status && $pending[ $row->hook ] > 1,
+				'matches_subscription' => $field && $timestamp === $subscription->get_time( $field ),
+			);
+		}
+
+		return $actions;
+	}
+
+	/**
+	 * Find a pending action of the subscription.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param int             $action_id    Action ID.
+	 * @return array Action.
+	 * @throws Exception If the action does not belong to the subscription or is not pending.
+	 */
+	private function get_pending_action( $subscription, $action_id ) {
+		foreach ( $this->get_actions( $subscription ) as $action ) {
+			if ( $action['id'] !== (int) $action_id ) {
+				continue;
+			}
+
+			if ( ActionScheduler_Store::STATUS_PENDING !== $action['status'] ) {
+				throw new Exception(
+					esc_html(
+						sprintf(
+							/* translators: 1: action ID, 2: action status */
+							__( 'Action #%1$d is %2$s; only pending actions can be changed.', 'doctor-subs' ),
+							$action['id'],
+							$action['status']
+						)
+					)
+				);
+			}
+
+			return $action;
+		}
+
+		throw new Exception(
+			esc_html(
+				sprintf(
+					/* translators: 1: action ID, 2: subscription ID */
+					__( 'Action #%1$d is not a scheduled action of subscription #%2$d.', 'doctor-subs' ),
+					$action_id,
+					$subscription->get_id()
+				)
+			)
+		);
+	}
+
+	/**
+	 * Check whether a missing renewal payment action can be recreated.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param array           $actions      The subscription's actions.
+	 * @return true|string True, or the reason it cannot be recreated.
+	 */
+	private function check_recreate( $subscription, $actions ) {
+		foreach ( $actions as $action ) {
+			if ( self::PAYMENT_HOOK === $action['hook'] && ActionScheduler_Store::STATUS_PENDING === $action['status'] ) {
+				return __( 'A renewal payment action is already scheduled.', 'doctor-subs' );
+			}
+		}
+
+		if ( ! $subscription->has_status( 'active' ) ) {
+			return __( 'Only active subscriptions have a scheduled renewal payment.', 'doctor-subs' );
+		}
+
+		if ( $subscription->get_time( 'next_payment' ) <= time() ) {
+			return __( 'The subscription has no next payment date in the future to schedule the payment for. Fix the next payment date first.', 'doctor-subs' );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Build the result of an operation.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param string          $message      Result message.
+	 * @return array Message and refreshed panel.
+	 */
+	private function build_result( $subscription, $message ) {
+		return array(
+			'message' => $message,
+			'panel'   => $this->get_panel( $subscription->get_id() ),
+		);
+	}
+
+	/**
+	 * Record an operation as a private subscription note.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param string          $note         Note text.
+	 */
+	private function add_note( $subscription, $note ) {
+		$subscription->add_order_note( $note, 0, true );
+	}
+
+	/**
+	 * Get a subscription or fail.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return WC_Subscription Subscription object.
+	 * @throws Exception If the subscription is not found.
+	 */
+	private function get_subscription( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: %d: subscription ID */
+						__( 'Subscription #%d not found.', 'doctor-subs' ),
+						$subscription_id
+					)
+				)
+			);
+		}
+
+		return $subscription;
+	}
+}
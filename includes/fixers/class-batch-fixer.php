@@ -0,0 +1,381 @@
+<?php
+/**
+ * Batch Fixer
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Runs a fix across many subscriptions as a chunked Action Scheduler job.
+ *
+ * Each chunk is its own scheduled action, so a job survives request timeouts
+ * and can be paused, resumed or cancelled between chunks.
+ *
+ * @since 1.3.0
+ */
+class WCST_Batch_Fixer {
+
+	/**
+	 * Action Scheduler hook that processes one chunk of a job.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const CHUNK_HOOK = 'wcst_process_batch_fix_chunk';
+
+	/**
+	 * Action Scheduler group for batch fix actions.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const ACTION_GROUP = 'doctor-subs';
+
+	/**
+	 * Transient prefix for stored jobs.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const JOB_TRANSIENT_PREFIX = 'wcst_batch_fix_';
+
+	/**
+	 * How long a stored job is kept, in seconds.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const JOB_EXPIRATION = WEEK_IN_SECONDS;
+
+	/**
+	 * Number of subscriptions fixed per scheduled action.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const CHUNK_SIZE = 10;
+
+	/**
+	 * Maximum number of subscriptions in one job.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const MAX_SUBSCRIPTIONS = 2000;
+
+	/**
+	 * Parse subscription IDs from pasted text or a list.
+	 *
+	 * Accepts commas, semicolons, whitespace and newlines as separators.
+	 *
+	 * @since 1.3.0
+	 * @param string|array $raw_ids Raw IDs.
+	 * @return array Unique positive subscription IDs.
+	 */
+	public function parse_subscription_ids( $raw_ids ) {
+		if ( ! is_array( $raw_ids ) ) {
+			$raw_ids = preg_split( '/[\s,;]+/', (string) $raw_ids );
+		}
+
+		return array_values( array_unique( array_filter( array_map( 'absint', $raw_ids ) ) ) );
+	}
+
+	/**
+	 * Create a job and schedule its first chunk.
+	 *
+	 * @since 1.3.0
+	 * @param array  $subscription_ids Subscription IDs.
+	 * @param string $fix_type         Fix type.
+	 * @param bool   $dry_run          Whether to only preview the fixes.
+	 * @return array Job state.
+	 * @throws Exception If the job cannot be created.
+	 */
+	public function start( $subscription_ids, $fix_type, $dry_run ) {
+		if ( ! function_exists( 'as_enqueue_async_action' ) ) {
+			throw new Exception( esc_html__( 'Action Scheduler is not available.', 'doctor-subs' ) );
+		}
+
+		if ( ! in_array( $fix_type, WCST_Subscription_Fixer::FIX_TYPES, true ) ) {
+			throw new Exception( esc_html__( 'Unsupported fix type.', 'doctor-subs' ) );
+		}
+
+		if ( empty( $subscription_ids ) ) {
+			throw new Exception( esc_html__( 'Please enter subscription IDs.', 'doctor-subs' ) );
+		}
+
+		if ( count( $subscription_ids ) > self::MAX_SUBSCRIPTIONS ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: %d: maximum number of subscriptions */
+						__( 'A batch can contain at most %d subscriptions.', 'doctor-subs' ),
+						self::MAX_SUBSCRIPTIONS
+					)
+				)
+			);
+		}
+
+		$items = array();
+		foreach ( $subscription_ids as $subscription_id ) {
+			$items[] = array(
+				'subscription_id' => (int) $subscription_id,
+				'status'          => 'pending',
+				'message'         => '',
+			);
+		}
+
+		$job = array(
+			'id'       => wp_generate_uuid4(),
+			'user_id'  => get_current_user_id(),
+			'created'  => current_time( 'mysql' ),
+			'fix_type' => $fix_type,
+			'dry_run'  => (bool) $dry_run,
+			'status'   => 'running',
+			'cursor'   => 0,
+			'items'    => $items,
+		);
+
+		$this->save_job( $job );
+		$this->schedule_chunk( $job['id'] );
+
+		return $this->format_job( $job );
+	}
+
+	/**
+	 * Get the current state of a job.
+	 *
+	 * @since 1.3.0
+	 * @param string $job_id Job ID.
+	 * @return array Job state.
+	 * @throws Exception If the job does not exist or belongs to another user.
+	 */
+	public function get_status( $job_id ) {
+		return $this->format_job( $this->get_job( $job_id ) );
+	}
+
+	/**
+	 * Pause, resume or cancel a job.
+	 *
+	 * @since 1.3.0
+	 * @param string $job_id  Job ID.
+	 * @param string $command Command (pause, resume or cancel).
+	 * @return array Job state.
+	 * @throws Exception If the command is not valid for the job's status.
+	 */
+	public function control( $job_id, $command ) {
+		$job = $this->get_job( $job_id );
+
+		if ( in_array( $job['status'], array( 'completed', 'cancelled' ), true ) ) {
+			throw new Exception( esc_html__( 'This batch job has already finished.', 'doctor-subs' ) );
+		}
+
+		switch ( $command ) {
+			case 'pause':
+				$job['status'] = 'paused';
+				$this->save_job( $job );
+				break;
+
+			case 'resume':
+				$job['status'] = 'running';
+				$this->save_job( $job );
+				$this->schedule_chunk( $job['id'] );
+				break;
+
+			case 'cancel':
+				$job = $this->cancel_pending_items( $job );
+				$this->save_job( $job );
+				if ( function_exists( 'as_unschedule_all_actions' ) ) {
+					as_unschedule_all_actions( self::CHUNK_HOOK, array( $job['id'] ), self::ACTION_GROUP );
+				}
+				break;
+
+			default:
+				throw new Exception( esc_html__( 'Unknown batch command.', 'doctor-subs' ) );
+		}
+
+		return $this->format_job( $job );
+	}
+
+	/**
+	 * Process the next chunk of a job.
+	 *
+	 * Runs from Action Scheduler, so the job owner is set as the current user
+	 * for subscription notes and undo records.
+	 *
+	 * @since 1.3.0
+	 * @param string $job_id Job ID.
+	 */
+	public function process_chunk( $job_id ) {
+		$job = get_transient( self::JOB_TRANSIENT_PREFIX . sanitize_key( $job_id ) );
+
+		if ( ! is_array( $job ) || 'running' !== $job['status'] ) {
+			return;
+		}
+
+		wp_set_current_user( (int) $job['user_id'] );
+
+		$fixer = new WCST_Subscription_Fixer();
+		$end   = min( $job['cursor'] + self::CHUNK_SIZE, count( $job['items'] ) );
+
+		for ( $i = $job['cursor']; $i < $end; $i++ ) {
+			$job['items'][ $i ] = $this->fix_item( $fixer, $job['items'][ $i ], $job['fix_type'], $job['dry_run'] );
+			$job['cursor']      = $i + 1;
+		}
+
+		// Keep a pause or cancel that arrived while this chunk was running.
+		$latest = get_transient( self::JOB_TRANSIENT_PREFIX . $job['id'] );
+		if ( is_array( $latest ) && 'running' !== $latest['status'] ) {
+			$job['status'] = $latest['status'];
+		}
+
+		if ( 'cancelled' === $job['status'] ) {
+			$job = $this->cancel_pending_items( $job );
+		} elseif ( $job['cursor'] >= count( $job['items'] ) ) {
+			$job['status'] = 'completed';
+		}
+
+		$this->save_job( $job );
+
+		if ( 'running' === $job['status'] ) {
+			$this->schedule_chunk( $job['id'] );
+		}
+	}
+
+	/**
+	 * Fix a single subscription and record the outcome.
+	 *
+	 * @since 1.3.0
+	 * @param WCST_Subscription_Fixer $fixer    Fixer instance.
+	 * @param array                   $item     Job item.
+	 * @param string                  $fix_type Fix type.
+	 * @param bool                    $dry_run  Whether to only preview the fix.
+	 * @return array Updated job item.
+	 */
+	private function fix_item( $fixer, $item, $fix_type, $dry_run ) {
+		try {
+			$preview = $fixer->preview( $item['subscription_id'], $fix_type );
+
+			if ( ! $preview['can_apply'] ) {
+				$item['status']  = 'skipped';
+				$item['message'] = $preview['message'];
+			} elseif ( $dry_run ) {
+				$item['status']  = 'success';
+				$item['message'] = $preview['message'];
+			} else {
+				$result          = $fixer->apply( $item['subscription_id'], $fix_type );
+				$item['status']  = 'success';
+				$item['message'] = $result['message'];
+			}
+		} catch ( \Throwable $t ) {
+			WCST_Logger::log( 'error', sprintf( 'Batch fix failed for #%d: %s', $item['subscription_id'], $t->getMessage() ) );
+			$item['status']  = 'failed';
+			$item['message'] = $t->getMessage();
+		}
+
+		return $item;
+	}
+
+	/**
+	 * Mark a job cancelled and its unprocessed items as cancelled.
+	 *
+	 * @since 1.3.0
+	 * @param array $job Job data.
+	 * @return array Updated job data.
+	 */
+	private function cancel_pending_items( $job ) {
+		$job['status'] = 'cancelled';
+
+		foreach ( $job['items'] as $index => $item ) {
+			if ( 'pending' === $item['status'] ) {
+				$job['items'][ $index ]['status'] = 'cancelled';
+			}
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Queue the next chunk unless one is already pending.
+	 *
+	 * @since 1.3.0
+	 * @param string $job_id Job ID.
+	 */
+	private function schedule_chunk( $job_id ) {
+		if ( function_exists( 'as_has_scheduled_action' ) && as_has_scheduled_action( self::CHUNK_HOOK, array( $job_id ), self::ACTION_GROUP ) ) {
+			return;
+		}
+
+		as_enqueue_async_action( self::CHUNK_HOOK, array( $job_id ), self::ACTION_GROUP );
+	}
+
+	/**
+	 * Load a job owned by the current user.
+	 *
+	 * @since 1.3.0
+	 * @param string $job_id Job ID.
+	 * @return array Job data.
+	 * @throws Exception If the job does not exist or belongs to another user.
+	 */
+	private function get_job( $job_id ) {
+		$job = get_transient( self::JOB_TRANSIENT_PREFIX . sanitize_key( $job_id ) );
+
+		if ( ! is_array( $job ) || (int) $job['user_id'] !== get_current_user_id() ) {
+			throw new Exception( esc_html__( 'Batch job not found or expired.', 'doctor-subs' ) );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Persist a job.
+	 *
+	 * @since 1.3.0
+	 * @param array $job Job data.
+	 */
+	private function save_job( $job ) {
+		set_transient( self::JOB_TRANSIENT_PREFIX . $job['id'], $job, self::JOB_EXPIRATION );
+	}
+
+	/**
+	 * Build the job state returned to the browser.
+	 *
+	 * @since 1.3.0
+	 * @param array $job Job data.
+	 * @return array Job state with per-status counts.
+	 */
+	private function format_job( $job ) {
+		$counts = array(
+			'pending'   => 0,
+			'success'   => 0,
+			'skipped'   => 0,
+			'failed'    => 0,
+			'cancelled' => 0,
+		);
+
+		foreach ( $job['items'] as $item ) {
+			++$counts[ $item['status'] ];
+		}
+
+		return array(
+			'job_id'     => $job['id'],
+			'status'     => $job['status'],
+			'fix_type'   => $job['fix_type'],
+			'dry_run'    => $job['dry_run'],
+			'created'    => $job['created'],
+			'total'      => count( $job['items'] ),
+			'processed'  => $job['cursor'],
+			'successful' => $counts['success'],
+			'skipped'    => $counts['skipped'],
+			'failed'     => $counts['failed'],
+			'cancelled'  => $counts['cancelled'],
+			'items'      => $job['items'],
+		);
+	}
+}
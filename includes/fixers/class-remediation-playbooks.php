@@ -0,0 +1,409 @@
+<?php
+/**
+ * Remediation Playbooks
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Previews and applies the repair attached to each type of detected issue.
+ *
+ * A playbook's preview lists exactly what it would change and never writes
+ * anything; applying it re-checks the same conditions first and records the
+ * change as a subscription note.
+ *
+ * @since 1.3.0
+ */
+class WCST_Remediation_Playbooks {
+
+	/**
+	 * Playbook run for each issue type in the analysis summary.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const PLAYBOOKS = array(
+		'missing_action'                    => 'recreate_payment_action',
+		'failed_action'                     => 'recreate_payment_action',
+		'missing_renewal_action'            => 'recreate_payment_action',
+		'failed_actions'                    => 'recreate_payment_action',
+		'skipped_cycle'                     => 'realign_next_payment',
+		'status_mismatch'                   => 'reconcile_status',
+		'detached_payment_method'           => 'switch_to_manual_renewal',
+		'potential_detached_payment_method' => 'switch_to_manual_renewal',
+	);
+
+	/**
+	 * Get the playbook that fixes an issue type.
+	 *
+	 * @since 1.3.0
+	 * @param string $issue_type Issue type from the analysis summary.
+	 * @return string|null Playbook name, or null if the issue has no playbook.
+	 */
+	public static function get_playbook( $issue_type ) {
+		return self::PLAYBOOKS[ $issue_type ] ?? null;
+	}
+
+	/**
+	 * Preview a playbook without changing the subscription.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $playbook        Playbook name.
+	 * @return array Preview with a message, whether it can be applied and the changes it would make.
+	 * @throws Exception If the subscription or playbook is invalid.
+	 */
+	public function preview( $subscription_id, $playbook ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$this->validate_playbook( $playbook );
+
+		switch ( $playbook ) {
+			case 'recreate_payment_action':
+				$plan = $this->plan_recreate_payment_action( $subscription );
+				break;
+			case 'realign_next_payment':
+				$plan = $this->plan_realign_next_payment( $subscription );
+				break;
+			case 'reconcile_status':
+				$plan = $this->plan_reconcile_status( $subscription );
+				break;
+			default:
+				$plan = $this->plan_switch_to_manual_renewal( $subscription );
+		}
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'playbook'        => $playbook,
+			'title'           => $this->get_title( $playbook ),
+			'message'         => $plan['message'],
+			'can_apply'       => ! empty( $plan['changes'] ),
+			'changes'         => $plan['changes'],
+		);
+	}
+
+	/**
+	 * Apply a playbook after checking its preview again.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $playbook        Playbook name.
+	 * @return array Result message and the changes made.
+	 * @throws Exception If the playbook has nothing to change or fails.
+	 */
+	public function apply( $subscription_id, $playbook ) {
+		$preview = $this->preview( $subscription_id, $playbook );
+
+		if ( ! $preview['can_apply'] ) {
+			throw new Exception( esc_html( $preview['message'] ) );
+		}
+
+		$subscription = $this->get_subscription( $subscription_id );
+
+		switch ( $playbook ) {
+			case 'recreate_payment_action':
+				$result  = ( new WCST_Action_Manager() )->recreate_payment_action( $subscription->get_id() );
+				$message = $result['message'];
+				break;
+			case 'realign_next_payment':
+				$result  = ( new WCST_Subscription_Fixer() )->apply( $subscription->get_id(), 'payment_date' );
+				$message = $result['message'];
+				break;
+			case 'reconcile_status':
+				$message = $this->reconcile_status( $subscription );
+				break;
+			default:
+				$message = $this->switch_to_manual_renewal( $subscription );
+		}
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'playbook'        => $playbook,
+			'message'         => $message,
+			'changes'         => $preview['changes'],
+		);
+	}
+
+	/**
+	 * Plan scheduling the missing renewal payment action again.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Message and changes.
+	 */
+	private function plan_recreate_payment_action( $subscription ) {
+		$panel = ( new WCST_Action_Manager() )->get_panel( $subscription->get_id() );
+
+		if ( ! $panel['can_recreate'] ) {
+			return array(
+				'message' => $panel['recreate_message'],
+				'changes' => array(),
+			);
+		}
+
+		return array(
+			'message' => __( 'A renewal payment action will be scheduled for the subscription\'s next payment date, so the next renewal is charged automatically.', 'doctor-subs' ),
+			'changes' => array(
+				$this->build_change( __( 'Scheduled renewal payment action', 'doctor-subs' ), null, $panel['next_payment'], true ),
+			),
+		);
+	}
+
+	/**
+	 * Plan moving the next payment date back onto the billing schedule.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Message and changes.
+	 */
+	private function plan_realign_next_payment( $subscription ) {
+		$fixer = new WCST_Subscription_Fixer();
+
+		// Never move a renewal that is already on the billing schedule.
+		if ( $fixer->is_next_payment_on_schedule( $subscription ) ) {
+			return array(
+				'message' => __( 'The next payment date is already on the billing schedule, so it is left unchanged.', 'doctor-subs' ),
+				'changes' => array(),
+			);
+		}
+
+		$preview = $fixer->preview( $subscription->get_id(), 'payment_date' );
+
+		if ( ! $preview['can_apply'] ) {
+			return array(
+				'message' => $preview['message'],
+				'changes' => array(),
+			);
+		}
+
+		return array(
+			'message' => $preview['message'] . ' ' . __( 'Renewals already missed stay in the order history; the fix can be undone from the Repair tools.', 'doctor-subs' ),
+			'changes' => array(
+				$this->build_change(
+					__( 'Next Payment', 'doctor-subs' ),
+					WCST_Date_Formatter::to_iso8601( $preview['current_next_payment'] ),
+					WCST_Date_Formatter::to_iso8601( $preview['suggested_next_payment'] ),
+					true
+				),
+			),
+		);
+	}
+
+	/**
+	 * Plan making the subscription status agree with its dates.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Message and changes.
+	 */
+	private function plan_reconcile_status( $subscription ) {
+		$next_payment = $subscription->get_time( 'next_payment' );
+		$end          = $subscription->get_time( 'end' );
+
+		if ( $subscription->has_status( 'expired' ) && $next_payment > time() ) {
+			return array(
+				'message' => __( 'The next payment date will be removed, because expired subscriptions are never renewed.', 'doctor-subs' ),
+				'changes' => array(
+					$this->build_change( __( 'Next Payment', 'doctor-subs' ), WCST_Date_Formatter::to_iso8601( $next_payment ), null, true ),
+				),
+			);
+		}
+
+		if ( $subscription->has_status( 'active' ) && $end && $end < time() ) {
+			if ( ! $subscription->can_be_updated_to( 'expired' ) ) {
+				return array(
+					'message' => __( 'The subscription has passed its end date but cannot be expired from its current state.', 'doctor-subs' ),
+					'changes' => array(),
+				);
+			}
+
+			return array(
+				'message' => __( 'The subscription will be expired, because its end date has passed. WooCommerce Subscriptions runs its usual expiration handling, including any expiration emails.', 'doctor-subs' ),
+				'changes' => array(
+					$this->build_change( __( 'Status', 'doctor-subs' ), wcs_get_subscription_status_name( 'active' ), wcs_get_subscription_status_name( 'expired' ) ),
+				),
+			);
+		}
+
+		return array(
+			'message' => __( 'The subscription status already agrees with its dates. No fix is needed.', 'doctor-subs' ),
+			'changes' => array(),
+		);
+	}
+
+	/**
+	 * Plan switching the subscription to manual renewal.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Message and changes.
+	 */
+	private function plan_switch_to_manual_renewal( $subscription ) {
+		if ( $subscription->is_manual() ) {
+			return array(
+				'message' => __( 'The subscription already renews manually, so the detached payment method is not charged.', 'doctor-subs' ),
+				'changes' => array(),
+			);
+		}
+
+		return array(
+			'message' => __( 'Renewals will stop charging the detached payment method. The customer pays each renewal order themselves and can save a new card while paying, which turns automatic renewal back on.', 'doctor-subs' ),
+			'changes' => array(
+				$this->build_change(
+					__( 'Renewal', 'doctor-subs' ),
+					sprintf(
+						/* translators: %s: payment method title */
+						__( 'Automatic (%s)', 'doctor-subs' ),
+						$subscription->get_payment_method_title()
+					),
+					__( 'Manual', 'doctor-subs' )
+				),
+			),
+		);
+	}
+
+	/**
+	 * Remove a future next payment date from an expired subscription, or expire an active one past its end date.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return string Result message.
+	 */
+	private function reconcile_status( $subscription ) {
+		if ( $subscription->has_status( 'expired' ) ) {
+			$next_payment = $subscription->get_date( 'next_payment' );
+
+			$subscription->delete_date( 'next_payment' );
+			$this->add_note(
+				$subscription,
+				sprintf(
+					/* translators: %s: removed next payment date */
+					__( 'Doctor Subs: removed the next payment date %s from the expired subscription.', 'doctor-subs' ),
+					$next_payment
+				)
+			);
+
+			return __( 'The next payment date was removed from the expired subscription.', 'doctor-subs' );
+		}
+
+		$subscription->update_status( 'expired', __( 'Doctor Subs: expired the subscription because its end date had passed.', 'doctor-subs' ) );
+
+		return __( 'The subscription was expired.', 'doctor-subs' );
+	}
+
+	/**
+	 * Stop automatic renewals charging a detached payment method.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return string Result message.
+	 */
+	private function switch_to_manual_renewal( $subscription ) {
+		$subscription->set_requires_manual_renewal( true );
+		$subscription->save();
+
+		$this->add_note(
+			$subscription,
+			sprintf(
+				/* translators: %s: payment method title */
+				__( 'Doctor Subs: switched to manual renewal because the %s payment method is detached.', 'doctor-subs' ),
+				$subscription->get_payment_method_title()
+			)
+		);
+
+		return __( 'The subscription now renews manually.', 'doctor-subs' );
+	}
+
+	/**
+	 * Build one row of a playbook's changes.
+	 *
+	 * @since 1.3.0
+	 * @param string      $label   Changed field.
+	 * @param string|null $before  Value before the change, null when unset.
+	 * @param string|null $after   Value after the change, null when unset.
+	 * @param bool        $is_date Whether the values are ISO 8601 dates.
+	 * @return array Change row.
+	 */
+	private function build_change( $label, $before, $after, $is_date = false ) {
+		return array(
+			'label'   => $label,
+			'before'  => $before,
+			'after'   => $after,
+			'is_date' => $is_date,
+		);
+	}
+
+	/**
+	 * Get a playbook's button and heading text.
+	 *
+	 * @since 1.3.0
+	 * @param string $playbook Playbook name.
+	 * @return string Playbook title.
+	 */
+	private function get_title( $playbook ) {
+		$titles = array(
+			'recreate_payment_action'  => __( 'Recreate the renewal payment action', 'doctor-subs' ),
+			'realign_next_payment'     => __( 'Move the next payment back onto the billing schedule', 'doctor-subs' ),
+			'reconcile_status'         => __( 'Make the status agree with the subscription dates', 'doctor-subs' ),
+			'switch_to_manual_renewal' => __( 'Switch to manual renewal', 'doctor-subs' ),
+		);
+
+		return $titles[ $playbook ];
+	}
+
+	/**
+	 * Record a change as a private subscription note.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param string          $note         Note text.
+	 */
+	private function add_note( $subscription, $note ) {
+		$subscription->add_order_note( $note, 0, true );
+	}
+
+	/**
+	 * Load a subscription or fail.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return WC_Subscription Subscription object.
+	 * @throws Exception If the subscription does not exist.
+	 */
+	private function get_subscription( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: %d: subscription ID */
+						__( 'Subscription #%d not found.', 'doctor-subs' ),
+						$subscription_id
+					)
+				)
+			);
+		}
+
+		return $subscription;
+	}
+
+	/**
+	 * Make sure a playbook exists.
+	 *
+	 * @since 1.3.0
+	 * @param string $playbook Playbook name.
+	 * @throws Exception If the playbook does not exist.
+	 */
+	private function validate_playbook( $playbook ) {
+		if ( ! in_array( $playbook, self::PLAYBOOKS, true ) ) {
+			throw new Exception( esc_html__( 'Unsupported playbook.', 'doctor-subs' ) );
+		}
+	}
+}
@@ -0,0 +1,485 @@
+<?php
+/**
+ * Subscription Fixer
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Previews, applies and undoes repairs to subscription data.
+ *
+ * Every applied fix stores an undo record on the subscription so the previous
+ * values can be restored from the admin screen.
+ *
+ * @since 1.3.0
+ */
+class WCST_Subscription_Fixer {
+
+	/**
+	 * Supported fix types.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const FIX_TYPES = array( 'payment_date' );
+
+	/**
+	 * Subscription meta key holding the undo records.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const HISTORY_META_KEY = '_wcst_fix_history';
+
+	/**
+	 * Maximum number of undo records kept per subscription.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const HISTORY_LIMIT = 10;
+
+	/**
+	 * Subscription date fields shown in the fix diff.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const DATE_FIELDS = array(
+		'start',
+		'trial_end',
+		'next_payment',
+		'last_order_date_created',
+		'end',
+	);
+
+	/**
+	 * Skipped cycle detector used for the billing schedule calculation.
+	 *
+	 * @since 1.3.0
+	 * @var WCST_Skipped_Cycle_Detector
+	 */
+	private $skipped_cycle_detector;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 */
+	public function __construct() {
+		$this->skipped_cycle_detector = new WCST_Skipped_Cycle_Detector();
+	}
+
+	/**
+	 * Preview a fix without changing the subscription.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $fix_type        Fix type.
+	 * @return array Fix preview with a field-by-field diff.
+	 * @throws Exception If the subscription or fix type is invalid.
+	 */
+	public function preview( $subscription_id, $fix_type ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$this->validate_fix_type( $fix_type );
+
+		$before     = $this->get_dates( $subscription );
+		$suggested  = $this->suggest_next_payment( $subscription );
+		$after      = $before;
+		$can_apply  = false;
+		$has_change = $suggested && ! $this->is_next_payment_on_schedule( $subscription );
+
+		if ( ! $suggested ) {
+			$message = __( 'A next payment date could not be calculated from this subscription\'s billing schedule.', 'doctor-subs' );
+		} elseif ( ! $subscription->can_date_be_updated( 'next_payment' ) ) {
+			$message = sprintf(
+				/* translators: %s: subscription status */
+				__( 'The next payment date cannot be changed while the subscription is %s.', 'doctor-subs' ),
+				$subscription->get_status()
+			);
+		} elseif ( ! $has_change ) {
+			$message = __( 'The next payment date already matches the billing schedule. No fix is needed.', 'doctor-subs' );
+		} else {
+			$after['next_payment'] = $suggested;
+			$can_apply             = true;
+			$message               = sprintf(
+				/* translators: %s: suggested next payment date */
+				__( 'The next payment date will be moved to %s to match the billing schedule.', 'doctor-subs' ),
+				$suggested
+			);
+		}
+
+		return array(
+			'subscription_id'        => $subscription->get_id(),
+			'fix_type'               => $fix_type,
+			'message'                => $message,
+			'can_apply'              => $can_apply,
+			'current_next_payment'   => $before['next_payment'],
+			'suggested_next_payment' => $suggested,
+			'changes'                => $this->build_diff( $before, $after ),
+			'history'                => $this->get_history( $subscription->get_id() ),
+		);
+	}
+
+	/**
+	 * Apply a fix and store an undo record.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $fix_type        Fix type.
+	 * @return array Applied fix result.
+	 * @throws Exception If the fix cannot be applied.
+	 */
+	public function apply( $subscription_id, $fix_type ) {
+		$preview = $this->preview( $subscription_id, $fix_type );
+
+		if ( ! $preview['can_apply'] ) {
+			throw new Exception( esc_html( $preview['message'] ) );
+		}
+
+		$subscription = $this->get_subscription( $subscription_id );
+		$before       = $this->get_dates( $subscription );
+
+		$subscription->update_dates( array( 'next_payment' => $preview['suggested_next_payment'] ) );
+		$subscription->add_order_note(
+			sprintf(
+				/* translators: 1: previous next payment date, 2: new next payment date */
+				__( 'Doctor Subs: next payment date changed from %1$s to %2$s to match the billing schedule.', 'doctor-subs' ),
+				$before['next_payment'] ? $before['next_payment'] : __( 'none', 'doctor-subs' ),
+				$preview['suggested_next_payment']
+			),
+			0,
+			true
+		);
+
+		$record = array(
+			'id'       => wp_generate_uuid4(),
+			'fix_type' => $fix_type,
+			'applied'  => gmdate( 'Y-m-d H:i:s' ),
+			'user_id'  => get_current_user_id(),
+			'before'   => array( 'next_payment' => $before['next_payment'] ),
+			'after'    => array( 'next_payment' => $preview['suggested_next_payment'] ),
+			'undone'   => null,
+		);
+
+		$history = $this->get_raw_history( $subscription );
+		array_unshift( $history, $record );
+		$subscription->update_meta_data( self::HISTORY_META_KEY, array_slice( $history, 0, self::HISTORY_LIMIT ) );
+		$subscription->save();
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'message'         => sprintf(
+				/* translators: %d: subscription ID */
+				__( 'Next payment date updated for subscription #%d.', 'doctor-subs' ),
+				$subscription->get_id()
+			),
+			'undo_id'         => $record['id'],
+			'changes'         => $this->build_diff( $before, $this->get_dates( $subscription ) ),
+			'history'         => $this->get_history( $subscription->get_id() ),
+		);
+	}
+
+	/**
+	 * Restore the values recorded before a fix was applied.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $undo_id         Undo record ID.
+	 * @return array Undo result.
+	 * @throws Exception If the record is missing, already undone or stale.
+	 */
+	public function undo( $subscription_id, $undo_id ) {
+		$subscription = $this->get_subscription( $subscription_id );
+		$history      = $this->get_raw_history( $subscription );
+		$index        = null;
+
+		foreach ( $history as $key => $record ) {
+			if ( isset( $record['id'] ) && $record['id'] === $undo_id ) {
+				$index = $key;
+				break;
+			}
+		}
+
+		if ( null === $index ) {
+			throw new Exception( esc_html__( 'Undo record not found.', 'doctor-subs' ) );
+		}
+
+		$record = $history[ $index ];
+
+		if ( ! empty( $record['undone'] ) ) {
+			throw new Exception( esc_html__( 'This fix has already been undone.', 'doctor-subs' ) );
+		}
+
+		// Refuse to overwrite dates that changed after the fix, e.g. by a processed renewal.
+		$current = $this->get_dates( $subscription );
+		foreach ( $record['after'] as $field => $value ) {
+			if ( $current[ $field ] !== $value ) {
+				throw new Exception( esc_html__( 'The subscription dates have changed since this fix was applied, so it can no longer be undone automatically.', 'doctor-subs' ) );
+			}
+		}
+
+		$restore = array();
+		foreach ( $record['before'] as $field => $value ) {
+			$restore[ $field ] = $value ? $value : 0;
+		}
+
+		$subscription->update_dates( $restore );
+		$subscription->add_order_note(
+			sprintf(
+				/* translators: %s: restored next payment date */
+				__( 'Doctor Subs: undid next payment date fix, restoring %s.', 'doctor-subs' ),
+				$record['before']['next_payment'] ? $record['before']['next_payment'] : __( 'none', 'doctor-subs' )
+			),
+			0,
+			true
+		);
+
+		$history[ $index ]['undone'] = gmdate( 'Y-m-d H:i:s' );
+		$subscription->update_meta_data( self::HISTORY_META_KEY, $history );
+		$subscription->save();
+
+		return array(
+			'subscription_id' => $subscription->get_id(),
+			'message'         => sprintf(
+				/* translators: %d: subscription ID */
+				__( 'Previous dates restored for subscription #%d.', 'doctor-subs' ),
+				$subscription->get_id()
+			),
+			'changes'         => $this->build_diff( $current, $this->get_dates( $subscription ) ),
+			'history'         => $this->get_history( $subscription->get_id() ),
+		);
+	}
+
+	/**
+	 * Get the undo records for a subscription, newest first.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array Undo records with the applying user's display name.
+	 */
+	public function get_history( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+		if ( ! $subscription ) {
+			return array();
+		}
+
+		$history = array();
+		foreach ( $this->get_raw_history( $subscription ) as $record ) {
+			$user           = get_userdata( (int) $record['user_id'] );
+			$record['user'] = $user ? $user->display_name : __( 'Unknown user', 'doctor-subs' );
+			$history[]      = $record;
+		}
+
+		return $history;
+	}
+
+	/**
+	 * Check whether the current next payment date falls on the billing schedule.
+	 *
+	 * A future next payment date counts as on schedule when stepping from the
+	 * last renewal (or the start date) by whole billing periods lands on its
+	 * day, so correct dates are never offered for a fix.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return bool True if the next payment date needs no fix.
+	 */
+	public function is_next_payment_on_schedule( $subscription ) {
+		$next_payment = $subscription->get_time( 'next_payment' );
+		$timestamp    = $this->get_schedule_start( $subscription );
+
+		if ( ! $next_payment || $next_payment <= time() || ! $timestamp ) {
+			return false;
+		}
+
+		$next_payment_day = gmdate( 'Y-m-d', $next_payment );
+
+		// Bounded so a broken schedule can never loop forever.
+		for ( $i = 0; $i < 1000; $i++ ) {
+			$timestamp = $this->add_billing_period( $subscription, $timestamp );
+
+			if ( ! $timestamp || gmdate( 'Y-m-d', $timestamp ) > $next_payment_day ) {
+				return false;
+			}
+
+			if ( gmdate( 'Y-m-d', $timestamp ) === $next_payment_day ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Suggest the next payment date from the billing schedule.
+	 *
+	 * Starts from the last renewal (or the start date) and steps forward one
+	 * calendar billing period at a time until the date is in the future.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return string|false Suggested date (Y-m-d H:i:s, GMT) or false.
+	 */
+	private function suggest_next_payment( $subscription ) {
+		$timestamp = $this->get_schedule_start( $subscription );
+
+		if ( ! $timestamp ) {
+			return false;
+		}
+
+		$now = time();
+
+		// Bounded so a broken schedule can never loop forever.
+		for ( $i = 0; $i < 1000; $i++ ) {
+			$timestamp = $this->add_billing_period( $subscription, $timestamp );
+
+			if ( ! $timestamp ) {
+				return false;
+			}
+
+			if ( $timestamp > $now ) {
+				return gmdate( 'Y-m-d H:i:s', $timestamp );
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the timestamp the billing schedule is counted from: the last renewal, or the start date.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return int Timestamp, or 0 if the subscription has neither.
+	 */
+	private function get_schedule_start( $subscription ) {
+		$last_renewal = $subscription->get_last_order( 'all', 'renewal' );
+		$last_payment = $last_renewal ? $last_renewal->get_date_created() : null;
+
+		return $last_payment ? $last_payment->getTimestamp() : (int) $subscription->get_time( 'start' );
+	}
+
+	/**
+	 * Add one of the subscription's billing periods to a timestamp, using calendar months and years.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @param int             $timestamp    Timestamp.
+	 * @return int|false Next timestamp or false on failure.
+	 */
+	private function add_billing_period( $subscription, $timestamp ) {
+		return $this->skipped_cycle_detector->add_billing_period(
+			$timestamp,
+			$subscription->get_billing_period(),
+			(int) $subscription->get_billing_interval()
+		);
+	}
+
+	/**
+	 * Build a field-by-field diff of subscription dates.
+	 *
+	 * @since 1.3.0
+	 * @param array $before Dates before the change.
+	 * @param array $after  Dates after the change.
+	 * @return array Diff rows.
+	 */
+	private function build_diff( $before, $after ) {
+		$labels = array(
+			'start'                   => __( 'Start Date', 'doctor-subs' ),
+			'trial_end'               => __( 'Trial End', 'doctor-subs' ),
+			'next_payment'            => __( 'Next Payment', 'doctor-subs' ),
+			'last_order_date_created' => __( 'Last Order Date', 'doctor-subs' ),
+			'end'                     => __( 'End Date', 'doctor-subs' ),
+		);
+
+		$diff = array();
+		foreach ( self::DATE_FIELDS as $field ) {
+			$diff[] = array(
+				'field'   => $field,
+				'label'   => $labels[ $field ],
+				'before'  => $before[ $field ],
+				'after'   => $after[ $field ],
+				'changed' => $before[ $field ] !== $after[ $field ],
+			);
+		}
+
+		return $diff;
+	}
+
+	/**
+	 * Get the subscription dates shown in the diff.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Dates (Y-m-d H:i:s, GMT) keyed by field, null when unset.
+	 */
+	private function get_dates( $subscription ) {
+		$dates = array();
+		foreach ( self::DATE_FIELDS as $field ) {
+			$date            = $subscription->get_date( $field );
+			$dates[ $field ] = $date ? $date : null;
+		}
+
+		return $dates;
+	}
+
+	/**
+	 * Read the stored undo records.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 * @return array Undo records.
+	 */
+	private function get_raw_history( $subscription ) {
+		$history = $subscription->get_meta( self::HISTORY_META_KEY );
+
+		return is_array( $history ) ? $history : array();
+	}
+
+	/**
+	 * Load a subscription or fail.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return WC_Subscription Subscription object.
+	 * @throws Exception If the subscription does not exist.
+	 */
+	private function get_subscription( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			throw new Exception(
+				esc_html(
+					sprintf(
+						/* translators: %d: subscription ID */
+						__( 'Subscription #%d not found.', 'doctor-subs' ),
+						$subscription_id
+					)
+				)
+			);
+		}
+
+		return $subscription;
+	}
+
+	/**
+	 * Make sure a fix type is supported.
+	 *
+	 * @since 1.3.0
+	 * @param string $fix_type Fix type.
+	 * @throws Exception If the fix type is not supported.
+	 */
+	private function validate_fix_type( $fix_type ) {
+		if ( ! in_array( $fix_type, self::FIX_TYPES, true ) ) {
+			throw new Exception( esc_html__( 'Unsupported fix type.', 'doctor-subs' ) );
+		}
+	}
+}
@@ -0,0 +1,383 @@
+<?php
+/**
+ * Analysis Exporter Utility Class
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Exports a single subscription analysis as a support-ticket report.
+ *
+ * HTML and Markdown are rendered from the same section model, so both formats
+ * always carry the same content; JSON is the raw analysis data.
+ *
+ * @since 1.3.0
+ */
+class WCST_Analysis_Exporter {
+
+	/**
+	 * Supported export formats and their content types.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const FORMATS = array(
+		'html'     => 'text/html',
+		'markdown' => 'text/markdown',
+		'json'     => 'application/json',
+	);
+
+	/**
+	 * Send an analysis to the browser as a file download.
+	 *
+	 * @since 1.3.0
+	 * @param array  $analysis Analysis data keyed by stage, plus subscription_id and summary.
+	 * @param string $format   Export format (html, markdown or json).
+	 * @throws Exception If the format is not supported.
+	 */
+	public function stream( $analysis, $format ) {
+		if ( ! isset( self::FORMATS[ $format ] ) ) {
+			throw new Exception( esc_html__( 'Unsupported export format.', 'doctor-subs' ) );
+		}
+
+		$header   = $this->get_header( $analysis );
+		$filename = sprintf(
+			'doctor-subs-subscription-%d-%s.%s',
+			$analysis['subscription_id'],
+			gmdate( 'Y-m-d' ),
+			'markdown' === $format ? 'md' : $format
+		);
+
+		nocache_headers();
+		header( 'Content-Type: ' . self::FORMATS[ $format ] . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		switch ( $format ) {
+			case 'html':
+				// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Every value is escaped in render_html().
+				echo $this->render_html( $header, $this->build_sections( $analysis ) );
+				break;
+			case 'markdown':
+				// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Plain-text download, not rendered by the browser.
+				echo $this->render_markdown( $header, $this->build_sections( $analysis ) );
+				break;
+			case 'json':
+				echo wp_json_encode( array_merge( array( 'report' => $header ), $analysis ), JSON_PRETTY_PRINT );
+				break;
+		}
+	}
+
+	/**
+	 * Get the report header: generation time and the versions support will ask for.
+	 *
+	 * @since 1.3.0
+	 * @param array $analysis Analysis data.
+	 * @return array Header values keyed by field.
+	 */
+	private function get_header( $analysis ) {
+		$subscriptions_version = '';
+		if ( class_exists( 'WC_Subscriptions' ) && property_exists( 'WC_Subscriptions', 'version' ) ) {
+			$subscriptions_version = WC_Subscriptions::$version;
+		}
+
+		return array(
+			'subscription_id'                   => (int) $analysis['subscription_id'],
+			'generated'                         => WCST_Date_Formatter::to_iso8601( time() ),
+			'doctor_subs_version'               => WCST_PLUGIN_VERSION,
+			'woocommerce_version'               => defined( 'WC_VERSION' ) ? WC_VERSION : '',
+			'woocommerce_subscriptions_version' => $subscriptions_version,
+		);
+	}
+
+	/**
+	 * Build the report sections shared by the HTML and Markdown formats.
+	 *
+	 * Each section has a title and either 'pairs' (label => value) or
+	 * 'columns' and 'rows' for a table.
+	 *
+	 * @since 1.3.0
+	 * @param array $analysis Analysis data.
+	 * @return array Report sections.
+	 */
+	private function build_sections( $analysis ) {
+		$summary       = $analysis['summary'] ?? array();
+		$anatomy       = $analysis['anatomy'] ?? array();
+		$expected      = $analysis['expected'] ?? array();
+		$timeline      = $analysis['timeline'] ?? array();
+		$discrepancies = $analysis['discrepancies'] ?? array();
+		$schedule      = $anatomy['billing_schedule'] ?? array();
+		$payment       = $anatomy['payment_method'] ?? array();
+		$gateway       = $expected['payment_gateway_behavior'] ?? array();
+		$renewal       = $expected['renewal_expectations'] ?? array();
+
+		$sections = array();
+
+		$sections[] = array(
+			'title' => __( 'Summary', 'doctor-subs' ),
+			'pairs' => array(
+				__( 'Status', 'doctor-subs' )       => $summary['status'] ?? null,
+				__( 'Health score', 'doctor-subs' ) => isset( $summary['health']['score'] ) ? $summary['health']['score'] . '/100 (' . $summary['health']['band'] . ')' : null,
+				__( 'Total issues', 'doctor-subs' ) => $summary['statistics']['total_issues'] ?? null,
+				__( 'Critical', 'doctor-subs' )     => $summary['statistics']['critical'] ?? null,
+				__( 'Warnings', 'doctor-subs' )     => $summary['statistics']['warnings'] ?? null,
+			),
+		);
+
+		$sections[] = array(
+			'title'   => __( 'Issues', 'doctor-subs' ),
+			'columns' => array( __( 'Severity', 'doctor-subs' ), __( 'Issue', 'doctor-subs' ), __( 'Details', 'doctor-subs' ) ),
+			'rows'    => array_map(
+				function ( $issue ) {
+					return array( $issue['severity'] ?? '', $issue['title'] ?? '', $issue['description'] ?? '' );
+				},
+				$summary['issues'] ?? array()
+			),
+		);
+
+		$sections[] = array(
+			'title'   => __( 'Health Score Breakdown', 'doctor-subs' ),
+			'columns' => array( __( 'Issue', 'doctor-subs' ), __( 'Severity', 'doctor-subs' ), __( 'Date', 'doctor-subs' ), __( 'Severity weight', 'doctor-subs' ), __( 'Type weight', 'doctor-subs' ), __( 'Recency', 'doctor-subs' ), __( 'Points lost', 'doctor-subs' ) ),
+			'rows'    => array_map(
+				function ( $factor ) {
+					return array( $factor['label'], $factor['severity'], $factor['date'], $factor['severity_weight'], $factor['type_weight'], $factor['recency'], $factor['penalty'] );
+				},
+				$summary['health']['factors'] ?? array()
+			),
+		);
+
+		$sections[] = array(
+			'title'   => __( 'Discrepancies', 'doctor-subs' ),
+			'columns' => array( __( 'Severity', 'doctor-subs' ), __( 'Category', 'doctor-subs' ), __( 'Description', 'doctor-subs' ), __( 'Recommendation', 'doctor-subs' ) ),
+			'rows'    => array_map(
+				function ( $discrepancy ) {
+					return array( $discrepancy['severity'] ?? '', $discrepancy['category'] ?? '', $discrepancy['description'] ?? '', $discrepancy['recommendation'] ?? '' );
+				},
+				is_array( $discrepancies ) ? $discrepancies : array()
+			),
+		);
+
+		$sections[] = array(
+			'title' => __( 'Step 1: Subscription Anatomy', 'doctor-subs' ),
+			'pairs' => array(
+				__( 'Status', 'doctor-subs' )                    => $anatomy['basic_info']['status'] ?? null,
+				__( 'Customer ID', 'doctor-subs' )               => $anatomy['basic_info']['customer_id'] ?? null,
+				__( 'Total', 'doctor-subs' )                     => isset( $anatomy['basic_info']['total'] ) ? $anatomy['basic_info']['total'] . ' ' . $anatomy['basic_info']['currency'] : null,
+				__( 'Payment gateway', 'doctor-subs' )           => $payment['gateway_id'] ?? null,
+				__( 'Payment method', 'doctor-subs' )            => $payment['title'] ?? null,
+				__( 'Renewal type', 'doctor-subs' )              => isset( $payment['requires_manual'] ) ? ( $payment['requires_manual'] ? __( 'Manual', 'doctor-subs' ) : __( 'Automatic', 'doctor-subs' ) ) : null,
+				__( 'Payment method valid', 'doctor-subs' )      => $payment['status']['is_valid'] ?? null,
+				__( 'Billing interval', 'doctor-subs' )          => isset( $schedule['interval'] ) ? $schedule['interval'] . ' ' . $schedule['period'] : null,
+				__( 'Start date', 'doctor-subs' )                => $schedule['start_date'] ?? null,
+				__( 'Trial end', 'doctor-subs' )                 => $schedule['trial_end'] ?? null,
+				__( 'Next payment', 'doctor-subs' )              => $schedule['next_payment'] ?? null,
+				__( 'Last payment', 'doctor-subs' )              => $schedule['last_payment'] ?? null,
+				__( 'End date', 'doctor-subs' )                  => $schedule['end_date'] ?? null,
+				__( 'Billing schedule editable', 'doctor-subs' ) => $schedule['is_editable'] ?? null,
+			),
+		);
+
+		$sections[] = array(
+			'title' => __( 'Step 2: Expected Behavior', 'doctor-subs' ),
+			'pairs' => array(
+				__( 'Gateway', 'doctor-subs' )                 => $gateway['gateway_title'] ?? ( $gateway['error'] ?? null ),
+				__( 'Gateway mode', 'doctor-subs' )            => $gateway['gateway_mode']['description'] ?? null,
+				__( 'Supports subscriptions', 'doctor-subs' )  => $gateway['supports_subscriptions'] ?? null,
+				__( 'Supports date changes', 'doctor-subs' )   => $gateway['supports_subscription_date_changes'] ?? null,
+				__( 'Supports amount changes', 'doctor-subs' ) => $gateway['supports_subscription_amount_changes'] ?? null,
+				__( 'Renewal process', 'doctor-subs' )         => $renewal['type'] ?? null,
+				__( 'Renewal description', 'doctor-subs' )     => $renewal['description'] ?? null,
+				__( 'Next action', 'doctor-subs' )             => $renewal['next_action'] ?? null,
+			),
+		);
+
+		$sections[] = array(
+			'title'   => __( 'Step 3: Timeline', 'doctor-subs' ),
+			'columns' => array( __( 'Date', 'doctor-subs' ), __( 'Category', 'doctor-subs' ), __( 'Event', 'doctor-subs' ), __( 'Details', 'doctor-subs' ) ),
+			'rows'    => array_map(
+				function ( $event ) {
+					$description = $event['description'] ?? '';
+					return array(
+						$event['timestamp'] ?? '',
+						$event['category'] ?? '',
+						$event['title'] ?? '',
+						$description !== ( $event['title'] ?? '' ) ? $description : '',
+					);
+				},
+				$timeline['events'] ?? array()
+			),
+		);
+
+		return $sections;
+	}
+
+	/**
+	 * Render the report as a self-contained HTML document.
+	 *
+	 * @since 1.3.0
+	 * @param array $header   Report header.
+	 * @param array $sections Report sections.
+	 * @return string HTML document.
+	 */
+	private function render_html( $header, $sections ) {
+		$title = sprintf(
+			/* translators: %d: subscription ID */
+			__( 'Doctor Subs report: subscription #%d', 'doctor-subs' ),
+			$header['subscription_id']
+		);
+
+		$html  = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' . esc_html( $title ) . '</title>';
+		$html .= '<style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;color:#1d2327;max-width:1100px;margin:2em auto;padding:0 1em}';
+		$html .= 'table{border-collapse:collapse;width:100%;margin-bottom:1.5em}th,td{border:1px solid #dcdcde;padding:6px 8px;text-align:left;vertical-align:top;font-size:13px}';
+		$html .= 'th{background:#f6f7f7}.meta th{width:260px}</style></head><body>';
+		$html .= '<h1>' . esc_html( $title ) . '</h1>';
+		$html .= $this->render_html_pairs( $this->get_header_pairs( $header ) );
+
+		foreach ( $sections as $section ) {
+			$html .= '<h2>' . esc_html( $section['title'] ) . '</h2>';
+
+			if ( isset( $section['pairs'] ) ) {
+				$html .= $this->render_html_pairs( $section['pairs'] );
+				continue;
+			}
+
+			if ( empty( $section['rows'] ) ) {
+				$html .= '<p>' . esc_html__( 'None.', 'doctor-subs' ) . '</p>';
+				continue;
+			}
+
+			$html .= '<table><thead><tr>';
+			foreach ( $section['columns'] as $column ) {
+				$html .= '<th>' . esc_html( $column ) . '</th>';
+			}
+			$html .= '</tr></thead><tbody>';
+			foreach ( $section['rows'] as $row ) {
+				$html .= '<tr>';
+				foreach ( $row as $value ) {
+					$html .= '<td>' . esc_html( $this->format_value( $value ) ) . '</td>';
+				}
+				$html .= '</tr>';
+			}
+			$html .= '</tbody></table>';
+		}
+
+		return $html . '</body></html>';
+	}
+
+	/**
+	 * Render label/value pairs as an HTML table.
+	 *
+	 * @since 1.3.0
+	 * @param array $pairs Values keyed by label.
+	 * @return string HTML table.
+	 */
+	private function render_html_pairs( $pairs ) {
+		$html = '<table class="meta">';
+		foreach ( $pairs as $label => $value ) {
+			$html .= '<tr><th>' . esc_html( $label ) . '</th><td>' . esc_html( $this->format_value( $value ) ) . '</td></tr>';
+		}
+
+		return $html . '</table>';
+	}
+
+	/**
+	 * Render the report as Markdown.
+	 *
+	 * @since 1.3.0
+	 * @param array $header   Report header.
+	 * @param array $sections Report sections.
+	 * @return string Markdown document.
+	 */
+	private function render_markdown( $header, $sections ) {
+		$markdown = '# ' . sprintf(
+			/* translators: %d: subscription ID */
+			__( 'Doctor Subs report: subscription #%d', 'doctor-subs' ),
+			$header['subscription_id']
+		) . "\n\n";
+
+		foreach ( $this->get_header_pairs( $header ) as $label => $value ) {
+			$markdown .= '- **' . $label . ':** ' . $this->format_markdown_cell( $value ) . "\n";
+		}
+
+		foreach ( $sections as $section ) {
+			$markdown .= "\n## " . $section['title'] . "\n\n";
+
+			if ( isset( $section['pairs'] ) ) {
+				foreach ( $section['pairs'] as $label => $value ) {
+					$markdown .= '- **' . $label . ':** ' . $this->format_markdown_cell( $value ) . "\n";
+				}
+				continue;
+			}
+
+			if ( empty( $section['rows'] ) ) {
+				$markdown .= __( 'None.', 'doctor-subs' ) . "\n";
+				continue;
+			}
+
+			$markdown .= '| ' . implode( ' | ', $section['columns'] ) . " |\n";
+			$markdown .= '|' . str_repeat( ' --- |', count( $section['columns'] ) ) . "\n";
+			foreach ( $section['rows'] as $row ) {
+				$markdown .= '| ' . implode( ' | ', array_map( array( $this, 'format_markdown_cell' ), $row ) ) . " |\n";
+			}
+		}
+
+		return $markdown;
+	}
+
+	/**
+	 * Label the header fields.
+	 *
+	 * @since 1.3.0
+	 * @param array $header Report header.
+	 * @return array Header values keyed by label.
+	 */
+	private function get_header_pairs( $header ) {
+		return array(
+			__( 'Generated', 'doctor-subs' )                         => $header['generated'],
+			__( 'Doctor Subs version', 'doctor-subs' )               => $header['doctor_subs_version'],
+			__( 'WooCommerce version', 'doctor-subs' )               => $header['woocommerce_version'],
+			__( 'WooCommerce Subscriptions version', 'doctor-subs' ) => $header['woocommerce_subscriptions_version'],
+		);
+	}
+
+	/**
+	 * Turn a value into readable plain text.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $value Value.
+	 * @return string Plain text.
+	 */
+	private function format_value( $value ) {
+		if ( is_bool( $value ) ) {
+			return $value ? __( 'Yes', 'doctor-subs' ) : __( 'No', 'doctor-subs' );
+		}
+
+		if ( null === $value || '' === $value ) {
+			return '—';
+		}
+
+		if ( is_array( $value ) ) {
+			return wp_json_encode( $value );
+		}
+
+		return trim( wp_strip_all_tags( (string) $value ) );
+	}
+
+	/**
+	 * Format a value for a Markdown table cell or list item.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $value Value.
+	 * @return string Cell text with pipes escaped and line breaks flattened.
+	 */
+	private function format_markdown_cell( $value ) {
+		return str_replace( array( '|', "\r\n", "\n" ), array( '\|', ' ', ' ' ), $this->format_value( $value ) );
+	}
+}
@@ -0,0 +1,302 @@
+<?php
+/**
+ * Analysis History
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Stores a compact snapshot of each analysis run of a subscription and
+ * compares runs, so a fix can be confirmed by what changed since the last run.
+ *
+ * Runs are kept in a non-autoloaded option per subscription rather than in
+ * subscription meta, so they are not loaded with every read of the
+ * subscription and recording a run never saves the subscription.
+ *
+ * @since 1.3.0
+ */
+class WCST_Analysis_History {
+
+	/**
+	 * Prefix of the option holding a subscription's stored runs, followed by the subscription ID.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const OPTION_PREFIX = 'wcst_analysis_history_';
+
+	/**
+	 * Number of runs kept when the analysis_history_limit option is not set.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const DEFAULT_LIMIT = 10;
+
+	/**
+	 * Maximum number of timeline events kept per run.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const EVENT_LIMIT = 100;
+
+	/**
+	 * Billing schedule date fields compared between runs.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const DATE_FIELDS = array(
+		'start_date',
+		'trial_end',
+		'next_payment',
+		'last_payment',
+		'end_date',
+		'cancelled_date',
+	);
+
+	/**
+	 * Store a run, replacing an earlier save of the same run (e.g. after a retried step).
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $run_id          Run ID.
+	 * @param array  $results         Stage results keyed by stage.
+	 * @param array  $summary         Analysis summary.
+	 */
+	public function record( $subscription_id, $run_id, $results, $summary ) {
+		$limit        = $this->get_limit();
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $limit || ! $subscription || '' === $run_id ) {
+			return;
+		}
+
+		$snapshot = array(
+			'id'      => $run_id,
+			'created' => current_time( 'c' ),
+			'user_id' => get_current_user_id(),
+			'status'  => $summary['status'] ?? '',
+			'score'   => $summary['health']['score'] ?? null,
+			'issues'  => array(),
+			'dates'   => null,
+			'events'  => null,
+		);
+
+		foreach ( $summary['issues'] ?? array() as $issue ) {
+			$snapshot['issues'][] = array(
+				'severity'    => $issue['severity'] ?? 'warning',
+				'type'        => $issue['type'] ?? '',
+				'title'       => $issue['title'] ?? '',
+				'description' => $issue['description'] ?? '',
+			);
+		}
+
+		// Failed stages leave dates or events unset, so they are skipped when comparing.
+		if ( isset( $results['anatomy']['billing_schedule'] ) ) {
+			$snapshot['dates'] = array();
+			foreach ( self::DATE_FIELDS as $field ) {
+				$snapshot['dates'][ $field ] = $results['anatomy']['billing_schedule'][ $field ] ?? null;
+			}
+		}
+
+		if ( isset( $results['timeline']['events'] ) ) {
+			$snapshot['events'] = array();
+			foreach ( array_slice( $results['timeline']['events'], -self::EVENT_LIMIT ) as $event ) {
+				$snapshot['events'][] = array(
+					'timestamp' => $event['timestamp'] ?? '',
+					'type'      => $event['type'] ?? '',
+					'title'     => $event['title'] ?? '',
+				);
+			}
+		}
+
+		$history = array_filter(
+			$this->get_raw_history( $subscription->get_id() ),
+			function ( $run ) use ( $run_id ) {
+				return $run['id'] !== $run_id;
+			}
+		);
+		array_unshift( $history, $snapshot );
+
+		update_option( self::OPTION_PREFIX . $subscription->get_id(), array_slice( $history, 0, $limit ), false );
+	}
+
+	/**
+	 * Get the stored runs of a subscription, newest first.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array Runs without their snapshot data.
+	 */
+	public function get_runs( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+		if ( ! $subscription ) {
+			return array();
+		}
+
+		return array_map( array( $this, 'format_run' ), $this->get_raw_history( $subscription->get_id() ) );
+	}
+
+	/**
+	 * Compare a run with an earlier one.
+	 *
+	 * @since 1.3.0
+	 * @param int    $subscription_id Subscription ID.
+	 * @param string $run_id          Run ID.
+	 * @param string $compare_id      ID of the run to compare against.
+	 * @return array Issues that appeared or resolved, changed dates and new timeline events.
+	 * @throws Exception If either run is not found.
+	 */
+	public function compare( $subscription_id, $run_id, $compare_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+		$runs         = array();
+
+		foreach ( $subscription ? $this->get_raw_history( $subscription->get_id() ) : array() as $run ) {
+			$runs[ $run['id'] ] = $run;
+		}
+
+		if ( ! isset( $runs[ $run_id ], $runs[ $compare_id ] ) ) {
+			throw new Exception( esc_html__( 'Analysis run not found. It may have been removed by the history retention limit.', 'doctor-subs' ) );
+		}
+
+		$current  = $runs[ $run_id ];
+		$previous = $runs[ $compare_id ];
+
+		$diff = array(
+			'run'             => $this->format_run( $current ),
+			'compare_to'      => $this->format_run( $previous ),
+			'issues_appeared' => $this->diff_by_key( $current['issues'], $previous['issues'], array( $this, 'get_issue_key' ) ),
+			'issues_resolved' => $this->diff_by_key( $previous['issues'], $current['issues'], array( $this, 'get_issue_key' ) ),
+			'dates_changed'   => array(),
+			'new_events'      => array(),
+		);
+
+		if ( is_array( $current['dates'] ) && is_array( $previous['dates'] ) ) {
+			$labels = array(
+				'start_date'     => __( 'Start Date', 'doctor-subs' ),
+				'trial_end'      => __( 'Trial End', 'doctor-subs' ),
+				'next_payment'   => __( 'Next Payment', 'doctor-subs' ),
+				'last_payment'   => __( 'Last Payment', 'doctor-subs' ),
+				'end_date'       => __( 'End Date', 'doctor-subs' ),
+				'cancelled_date' => __( 'Cancelled Date', 'doctor-subs' ),
+			);
+
+			foreach ( self::DATE_FIELDS as $field ) {
+				$before = $previous['dates'][ $field ] ?? null;
+				$after  = $current['dates'][ $field ] ?? null;
+
+				// Compare moments, so runs stored before dates carried an offset still line up.
+				if ( WCST_Date_Formatter::to_timestamp( $before ) !== WCST_Date_Formatter::to_timestamp( $after ) ) {
+					$diff['dates_changed'][] = array(
+						'field'  => $field,
+						'label'  => $labels[ $field ],
+						'before' => $before,
+						'after'  => $after,
+					);
+				}
+			}
+		}
+
+		if ( is_array( $current['events'] ) && is_array( $previous['events'] ) ) {
+			$diff['new_events'] = $this->diff_by_key( $current['events'], $previous['events'], array( $this, 'get_event_key' ) );
+		}
+
+		return $diff;
+	}
+
+	/**
+	 * Get the entries of one list whose keys are missing from another.
+	 *
+	 * @since 1.3.0
+	 * @param array    $items  Items to keep from.
+	 * @param array    $others Items to compare against.
+	 * @param callable $key    Callback returning an item's identity.
+	 * @return array Items not present in $others.
+	 */
+	private function diff_by_key( $items, $others, $key ) {
+		$known = array_flip( array_map( $key, $others ) );
+
+		return array_values(
+			array_filter(
+				$items,
+				function ( $item ) use ( $known, $key ) {
+					return ! isset( $known[ call_user_func( $key, $item ) ] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Identify an issue across runs. Descriptions are left out because they often contain counts.
+	 *
+	 * @since 1.3.0
+	 * @param array $issue Issue.
+	 * @return string Issue key.
+	 */
+	private function get_issue_key( $issue ) {
+		return $issue['type'] . '|' . $issue['title'];
+	}
+
+	/**
+	 * Identify a timeline event across runs.
+	 *
+	 * @since 1.3.0
+	 * @param array $event Timeline event.
+	 * @return string Event key.
+	 */
+	private function get_event_key( $event ) {
+		return WCST_Date_Formatter::to_timestamp( $event['timestamp'] ) . '|' . $event['type'] . '|' . $event['title'];
+	}
+
+	/**
+	 * Describe a run for the history dropdown.
+	 *
+	 * @since 1.3.0
+	 * @param array $run Stored run.
+	 * @return array Run ID, date, user, status, health score and issue count.
+	 */
+	private function format_run( $run ) {
+		$user = get_userdata( (int) $run['user_id'] );
+
+		return array(
+			'id'          => $run['id'],
+			'created'     => $run['created'],
+			'user'        => $user ? $user->display_name : __( 'Unknown user', 'doctor-subs' ),
+			'status'      => $run['status'],
+			'score'       => $run['score'] ?? null,
+			'issue_count' => count( $run['issues'] ),
+		);
+	}
+
+	/**
+	 * Get the number of runs to keep per subscription.
+	 *
+	 * @since 1.3.0
+	 * @return int Run limit; 0 disables the history.
+	 */
+	private function get_limit() {
+		return max( 0, (int) WCST_Plugin::get_option( 'analysis_history_limit', self::DEFAULT_LIMIT ) );
+	}
+
+	/**
+	 * Read the stored runs.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array Stored runs.
+	 */
+	private function get_raw_history( $subscription_id ) {
+		$history = get_option( self::OPTION_PREFIX . absint( $subscription_id ), array() );
+
+		return is_array( $history ) ? $history : array();
+	}
+}
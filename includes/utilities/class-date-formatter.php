@@ -0,0 +1,71 @@
+<?php
+/**
+ * Date Formatter Utility Class
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Formats dates sent to the admin screen as ISO 8601 with an explicit offset.
+ *
+ * The browser switches between relative, store time and UTC display on its own,
+ * so it must never have to guess which timezone a date string is in.
+ *
+ * @since 1.3.0
+ */
+class WCST_Date_Formatter {
+
+	/**
+	 * Format a date as ISO 8601 in the store timezone.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $date DateTime object, Unix timestamp or date string.
+	 * @return string|null Date such as 2024-03-01T09:30:00+01:00, or null if it cannot be read.
+	 */
+	public static function to_iso8601( $date ) {
+		$timestamp = self::to_timestamp( $date );
+
+		if ( null === $timestamp ) {
+			return null;
+		}
+
+		return ( new DateTimeImmutable( '@' . $timestamp ) )->setTimezone( wp_timezone() )->format( DATE_ATOM );
+	}
+
+	/**
+	 * Convert a date to a Unix timestamp.
+	 *
+	 * Strings without a timezone are read as UTC, which is how WooCommerce
+	 * Subscriptions and Action Scheduler store their GMT dates.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $date DateTime object, Unix timestamp or date string.
+	 * @return int|null Unix timestamp, or null if the date cannot be read.
+	 */
+	public static function to_timestamp( $date ) {
+		if ( $date instanceof DateTimeInterface ) {
+			return $date->getTimestamp();
+		}
+
+		if ( is_numeric( $date ) ) {
+			return (int) $date;
+		}
+
+		if ( ! is_string( $date ) || '' === trim( $date ) ) {
+			return null;
+		}
+
+		try {
+			return ( new DateTimeImmutable( $date, new DateTimeZone( 'UTC' ) ) )->getTimestamp();
+		} catch ( Exception $e ) {
+			return null;
+		}
+	}
+}
@@ -0,0 +1,163 @@
+<?php
+/**
+ * Health Badges
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Health badges for the subscriptions list table.
+ *
+ * Badges run the fleet scan checks on a subscription and cache the result on
+ * the subscription, so reloading the list is cheap and the list table can be
+ * filtered by the subscriptions whose last check found critical issues.
+ *
+ * @since 1.3.0
+ */
+class WCST_Health_Badges {
+
+	/**
+	 * Subscription meta key holding the cached badge.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const META_KEY = '_wcst_health_badge';
+
+	/**
+	 * Subscription meta key holding the number of critical issues, for the list table filter.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const CRITICAL_META_KEY = '_wcst_critical_findings';
+
+	/**
+	 * How long a cached badge is used before the subscription is checked again.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const CACHE_EXPIRATION = 6 * HOUR_IN_SECONDS;
+
+	/**
+	 * Subscriptions checked per request, so each request stays short.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const BATCH_SIZE = 5;
+
+	/**
+	 * Issues listed when hovering a badge.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const TOP_ISSUES = 3;
+
+	/**
+	 * Fleet scanner, created on the first badge that is not cached.
+	 *
+	 * @since 1.3.0
+	 * @var WCST_Fleet_Scanner|null
+	 */
+	private $scanner = null;
+
+	/**
+	 * Get the badges of a batch of subscriptions.
+	 *
+	 * @since 1.3.0
+	 * @param array $subscription_ids Subscription IDs; only the first BATCH_SIZE are used.
+	 * @return array Badges keyed by subscription ID; subscriptions that could not be loaded are left out.
+	 */
+	public function get_badges( $subscription_ids ) {
+		$badges = array();
+
+		foreach ( array_slice( array_unique( array_filter( array_map( 'absint', $subscription_ids ) ) ), 0, self::BATCH_SIZE ) as $subscription_id ) {
+			try {
+				$badge = $this->get_badge( $subscription_id );
+			} catch ( \Throwable $t ) {
+				WCST_Logger::log( 'error', sprintf( 'Health badge failed for #%d: %s', $subscription_id, $t->getMessage() ) );
+				continue;
+			}
+
+			if ( $badge ) {
+				$badges[ $subscription_id ] = $badge;
+			}
+		}
+
+		return $badges;
+	}
+
+	/**
+	 * Get the badge of a subscription, checking it again if the cached badge has expired.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 * @return array|null Score, band, critical issue count, issue count, top issues and check time, or null if the subscription could not be loaded.
+	 */
+	public function get_badge( $subscription_id ) {
+		$subscription = wcs_get_subscription( $subscription_id );
+
+		if ( ! $subscription ) {
+			return null;
+		}
+
+		$cached = $subscription->get_meta( self::META_KEY );
+		if ( is_array( $cached ) && isset( $cached['checked'] ) && $cached['checked'] > time() - self::CACHE_EXPIRATION ) {
+			return $cached;
+		}
+
+		if ( null === $this->scanner ) {
+			$this->scanner = new WCST_Fleet_Scanner();
+		}
+
+		$row = $this->scanner->scan_subscription( $subscription_id );
+		if ( ! $row ) {
+			return null;
+		}
+
+		$health_score = new WCST_Health_Score();
+		$health       = $health_score->score( $row['issues'] );
+		$critical     = count(
+			array_filter(
+				$row['issues'],
+				function ( $issue ) {
+					return 'critical' === $issue['severity'];
+				}
+			)
+		);
+
+		$badge = array(
+			'score'       => $health['score'],
+			'band'        => $health['band'],
+			'critical'    => $critical,
+			'issue_count' => count( $row['issues'] ),
+			'top_issues'  => array_map(
+				function ( $factor ) {
+					return array(
+						'severity' => $factor['severity'],
+						'label'    => $factor['label'],
+					);
+				},
+				array_slice( $health['factors'], 0, self::TOP_ISSUES )
+			),
+			'checked'     => time(),
+		);
+
+		// Only the meta is written, so viewing the list never changes the subscription's modified date or fires its update hooks.
+		$subscription->update_meta_data( self::META_KEY, $badge );
+		$subscription->update_meta_data( self::CRITICAL_META_KEY, $critical );
+		$subscription->save_meta_data();
+
+		return $badge;
+	}
+}
@@ -0,0 +1,279 @@
+<?php
+/**
+ * PII Redactor Utility Class
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Replaces customer personal data with stable pseudonyms before it leaves the server.
+ *
+ * The same value always maps to the same pseudonym, so a customer's name in a
+ * note still lines up with the name on the anatomy card and in search results.
+ *
+ * @since 1.3.0
+ */
+class WCST_PII_Redactor {
+
+	/**
+	 * User meta key holding a user's own redaction preference.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const USER_META_KEY = 'wcst_redact_pii';
+
+	/**
+	 * Key patterns for values that are always redacted, by kind.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const KEY_PATTERNS = array(
+		'email'      => '/email$/i',
+		'name'       => '/^_?(billing_|shipping_)?(first_name|last_name|full_name|company)$|^(customer|customer_name|display_name|user_login|user_nicename)$/i',
+		'phone'      => '/phone$/i',
+		'address'    => '/^_?(billing_|shipping_)?(address_1|address_2|address_index|city|postcode)$|ip_address$|user_agent$/i',
+		'identifier' => '/^_?stripe_(customer|source)_id$/i',
+		'text'       => '/^customer_note$/i',
+	);
+
+	/**
+	 * Pattern for email addresses inside free text.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const EMAIL_PATTERN = '/[A-Z0-9._%+\-]+@[A-Z0-9.\-]+\.[A-Z]{2,}/i';
+
+	/**
+	 * Pattern for Stripe customer, payment method and source IDs inside free text.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const STRIPE_ID_PATTERN = '/\b(cus|pm|src|card|ba)_[A-Za-z0-9]{8,}\b/';
+
+	/**
+	 * Known personal values of the subscriptions being rendered, keyed by value.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	private $known_values = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.3.0
+	 * @param array $subscription_ids Subscriptions whose customer details should also be found in free text such as notes.
+	 */
+	public function __construct( $subscription_ids = array() ) {
+		foreach ( $subscription_ids as $subscription_id ) {
+			$subscription = function_exists( 'wcs_get_subscription' ) ? wcs_get_subscription( $subscription_id ) : null;
+			if ( $subscription ) {
+				$this->add_known_values( $subscription );
+			}
+		}
+
+		// Replace longer values first, so a full name wins over the first name inside it.
+		uksort(
+			$this->known_values,
+			function ( $a, $b ) {
+				return strlen( (string) $b ) - strlen( (string) $a );
+			}
+		);
+	}
+
+	/**
+	 * Check whether output should be redacted for a user.
+	 *
+	 * @since 1.3.0
+	 * @param int $user_id User ID; defaults to the current user.
+	 * @return bool True if redaction is forced for the user's role or turned on by the user.
+	 */
+	public static function is_enabled( $user_id = 0 ) {
+		$user_id = $user_id ? $user_id : get_current_user_id();
+
+		return self::is_forced( $user_id ) || (bool) get_user_meta( $user_id, self::USER_META_KEY, true );
+	}
+
+	/**
+	 * Check whether redaction is forced on for a user by the redact_pii_roles option.
+	 *
+	 * @since 1.3.0
+	 * @param int $user_id User ID; defaults to the current user.
+	 * @return bool True if one of the user's roles is listed.
+	 */
+	public static function is_forced( $user_id = 0 ) {
+		$user  = get_userdata( $user_id ? $user_id : get_current_user_id() );
+		$roles = (array) WCST_Plugin::get_option( 'redact_pii_roles', array() );
+
+		return $user && array_intersect( $roles, (array) $user->roles );
+	}
+
+	/**
+	 * Redact data for the current user, if redaction is enabled.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $data             Data to redact.
+	 * @param array $subscription_ids Subscriptions the data belongs to.
+	 * @return mixed Redacted data, or the data unchanged when redaction is off.
+	 */
+	public static function maybe_redact( $data, $subscription_ids = array() ) {
+		if ( ! self::is_enabled() ) {
+			return $data;
+		}
+
+		$redactor = new self( $subscription_ids );
+
+		return $redactor->redact( $data );
+	}
+
+	/**
+	 * Redact personal data in a value, recursively.
+	 *
+	 * @since 1.3.0
+	 * @param mixed  $data Data to redact.
+	 * @param string $key  Key of the current value.
+	 * @return mixed Redacted data.
+	 */
+	public function redact( $data, $key = '' ) {
+		if ( is_array( $data ) ) {
+			foreach ( $data as $child_key => $child ) {
+				$data[ $child_key ] = $this->redact( $child, (string) $child_key );
+			}
+			return $data;
+		}
+
+		if ( ! is_string( $data ) || '' === trim( $data ) ) {
+			return $data;
+		}
+
+		foreach ( self::KEY_PATTERNS as $kind => $pattern ) {
+			if ( preg_match( $pattern, $key ) ) {
+				return $this->pseudonym( wp_strip_all_tags( $data ), $kind );
+			}
+		}
+
+		return $this->redact_text( $data );
+	}
+
+	/**
+	 * Replace known values, email addresses and Stripe IDs inside free text.
+	 *
+	 * @since 1.3.0
+	 * @param string $text Text such as an order note or timeline description.
+	 * @return string Redacted text.
+	 */
+	private function redact_text( $text ) {
+		// Known values are replaced first; the patterns below leave their pseudonyms alone.
+		foreach ( $this->known_values as $value => $kind ) {
+			$text = preg_replace( '/(?<!\w)' . preg_quote( (string) $value, '/' ) . '(?!\w)/iu', $this->pseudonym( (string) $value, $kind ), $text );
+		}
+
+		$text = preg_replace_callback(
+			self::EMAIL_PATTERN,
+			function ( $matches ) {
+				return '@redacted.invalid' === substr( $matches[0], -17 ) ? $matches[0] : $this->pseudonym( $matches[0], 'email' );
+			},
+			$text
+		);
+
+		return preg_replace_callback(
+			self::STRIPE_ID_PATTERN,
+			function ( $matches ) {
+				return false !== strpos( $matches[0], '_redacted' ) ? $matches[0] : $this->pseudonym( $matches[0], 'identifier' );
+			},
+			$text
+		);
+	}
+
+	/**
+	 * Get the stable pseudonym of a value.
+	 *
+	 * @since 1.3.0
+	 * @param string $value Value to replace.
+	 * @param string $kind  Kind of value (email, name, phone, address, identifier or text).
+	 * @return string Pseudonym.
+	 */
+	private function pseudonym( $value, $kind ) {
+		$hash = substr( wp_hash( 'wcst_pii|' . strtolower( trim( $value ) ) ), 0, 6 );
+
+		switch ( $kind ) {
+			case 'email':
+				return 'customer-' . $hash . '@redacted.invalid';
+			case 'name':
+				return sprintf(
+					/* translators: %s: pseudonym hash */
+					__( 'Customer %s', 'doctor-subs' ),
+					strtoupper( $hash )
+				);
+			case 'identifier':
+				// Keep the ID prefix so the kind of Stripe object is still recognizable.
+				return preg_match( '/^([a-z]+)_/', $value, $matches ) ? $matches[1] . '_redacted' . $hash : '[id ' . $hash . ']';
+			case 'phone':
+				return '[phone ' . $hash . ']';
+			case 'address':
+				return '[address ' . $hash . ']';
+		}
+
+		return '[redacted ' . $hash . ']';
+	}
+
+	/**
+	 * Remember a subscription's customer details so they are also found in free text.
+	 *
+	 * @since 1.3.0
+	 * @param WC_Subscription $subscription Subscription object.
+	 */
+	private function add_known_values( $subscription ) {
+		$values = array(
+			'email'      => array( $subscription->get_billing_email() ),
+			'name'       => array(
+				$subscription->get_formatted_billing_full_name(),
+				$subscription->get_formatted_shipping_full_name(),
+				$subscription->get_billing_first_name(),
+				$subscription->get_billing_last_name(),
+				$subscription->get_shipping_first_name(),
+				$subscription->get_shipping_last_name(),
+				$subscription->get_billing_company(),
+				$subscription->get_shipping_company(),
+			),
+			'phone'      => array( $subscription->get_billing_phone() ),
+			'address'    => array(
+				$subscription->get_billing_address_1(),
+				$subscription->get_billing_address_2(),
+				$subscription->get_shipping_address_1(),
+				$subscription->get_shipping_address_2(),
+			),
+			'identifier' => array(
+				$subscription->get_meta( '_stripe_customer_id' ),
+				$subscription->get_meta( '_stripe_source_id' ),
+			),
+		);
+
+		$customer = get_userdata( $subscription->get_customer_id() );
+		if ( $customer ) {
+			$values['email'][] = $customer->user_email;
+			$values['name'][]  = $customer->display_name;
+			$values['name'][]  = $customer->user_login;
+		}
+
+		foreach ( $values as $kind => $kind_values ) {
+			foreach ( $kind_values as $value ) {
+				// Very short values (e.g. a two-letter first name) would match too much unrelated text.
+				if ( is_string( $value ) && strlen( trim( $value ) ) >= 3 ) {
+					$this->known_values[ trim( $value ) ] = $kind;
+				}
+			}
+		}
+	}
+}
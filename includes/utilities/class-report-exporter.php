@@ -0,0 +1,254 @@
+<?php
+/**
+ * Report Exporter Utility Class
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Streams stored fleet scan reports as CSV, JSON or NDJSON downloads.
+ *
+ * @since 1.3.0
+ */
+class WCST_Report_Exporter {
+
+	/**
+	 * Supported export formats and their content types.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const FORMATS = array(
+		'csv'    => 'text/csv',
+		'json'   => 'application/json',
+		'ndjson' => 'application/x-ndjson',
+	);
+
+	/**
+	 * Number of report rows written between output flushes.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const CHUNK_SIZE = 100;
+
+	/**
+	 * Subscription columns, matching the Fleet Scan results table.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const COLUMNS = array(
+		'subscription_id',
+		'customer_name',
+		'customer_email',
+		'gateway',
+		'last_renewal',
+		'expected_next',
+		'actual_next',
+		'status',
+		'severity',
+		'health_score',
+	);
+
+	/**
+	 * Issue fields exported for each finding.
+	 *
+	 * @since 1.3.0
+	 * @var array
+	 */
+	const ISSUE_FIELDS = array(
+		'source',
+		'type',
+		'severity',
+		'description',
+		'date',
+	);
+
+	/**
+	 * Stream a report to the browser as a file download.
+	 *
+	 * @since 1.3.0
+	 * @param array  $report Stored fleet scan report.
+	 * @param string $format Export format (csv, json or ndjson).
+	 * @throws Exception If the format is not supported.
+	 */
+	public function stream( $report, $format ) {
+		if ( ! isset( self::FORMATS[ $format ] ) ) {
+			throw new Exception( esc_html__( 'Unsupported export format.', 'doctor-subs' ) );
+		}
+
+		$filename = sprintf( 'doctor-subs-fleet-scan-%s.%s', gmdate( 'Y-m-d', strtotime( $report['created'] ) ), $format );
+
+		nocache_headers();
+		header( 'Content-Type: ' . self::FORMATS[ $format ] . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+		header( 'X-Content-Type-Options: nosniff' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Writing to the output stream, not the filesystem.
+		$output = fopen( 'php://output', 'w' );
+
+		switch ( $format ) {
+			case 'csv':
+				$this->write_csv( $output, $report['rows'] );
+				break;
+			case 'json':
+				$this->write_json( $output, $report['rows'] );
+				break;
+			case 'ndjson':
+				$this->write_ndjson( $output, $report['rows'] );
+				break;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Closing the output stream opened above.
+		fclose( $output );
+	}
+
+	/**
+	 * Write rows as CSV, one line per issue.
+	 *
+	 * Subscriptions without issues still get a single line with empty issue
+	 * columns so every scanned subscription appears in the export.
+	 *
+	 * @since 1.3.0
+	 * @param resource $output Output stream.
+	 * @param array    $rows   Report rows.
+	 */
+	private function write_csv( $output, $rows ) {
+		$issue_columns = array_map(
+			function ( $field ) {
+				return 'issue_' . $field;
+			},
+			self::ISSUE_FIELDS
+		);
+
+		fputcsv( $output, array_merge( self::COLUMNS, $issue_columns ) );
+
+		foreach ( array_chunk( $rows, self::CHUNK_SIZE ) as $chunk ) {
+			foreach ( $chunk as $row ) {
+				$subscription_values = $this->pick( $row, self::COLUMNS );
+				$issues              = ! empty( $row['issues'] ) ? $row['issues'] : array( array() );
+
+				foreach ( $issues as $issue ) {
+					$values = array_merge( $subscription_values, $this->pick( $issue, self::ISSUE_FIELDS ) );
+					fputcsv( $output, array_map( array( $this, 'escape_csv_value' ), $values ) );
+				}
+			}
+
+			$this->flush_output();
+		}
+	}
+
+	/**
+	 * Write rows as a JSON array.
+	 *
+	 * @since 1.3.0
+	 * @param resource $output Output stream.
+	 * @param array    $rows   Report rows.
+	 */
+	private function write_json( $output, $rows ) {
+		// phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing to the output stream, not the filesystem.
+		fwrite( $output, '[' );
+
+		$first = true;
+		foreach ( array_chunk( $rows, self::CHUNK_SIZE ) as $chunk ) {
+			foreach ( $chunk as $row ) {
+				fwrite( $output, ( $first ? "\n" : ",\n" ) . wp_json_encode( $this->export_row( $row ) ) );
+				$first = false;
+			}
+
+			$this->flush_output();
+		}
+
+		fwrite( $output, "\n]\n" );
+		// phpcs:enable
+	}
+
+	/**
+	 * Write rows as newline-delimited JSON, one subscription per line.
+	 *
+	 * @since 1.3.0
+	 * @param resource $output Output stream.
+	 * @param array    $rows   Report rows.
+	 */
+	private function write_ndjson( $output, $rows ) {
+		foreach ( array_chunk( $rows, self::CHUNK_SIZE ) as $chunk ) {
+			foreach ( $chunk as $row ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite -- Writing to the output stream, not the filesystem.
+				fwrite( $output, wp_json_encode( $this->export_row( $row ) ) . "\n" );
+			}
+
+			$this->flush_output();
+		}
+	}
+
+	/**
+	 * Build the structured export record for a report row.
+	 *
+	 * @since 1.3.0
+	 * @param array $row Report row.
+	 * @return array Export record.
+	 */
+	private function export_row( $row ) {
+		$record           = array_combine( self::COLUMNS, $this->pick( $row, self::COLUMNS ) );
+		$record['issues'] = array();
+
+		foreach ( isset( $row['issues'] ) ? $row['issues'] : array() as $issue ) {
+			$record['issues'][] = array_combine( self::ISSUE_FIELDS, $this->pick( $issue, self::ISSUE_FIELDS ) );
+		}
+
+		return $record;
+	}
+
+	/**
+	 * Pick values for the given keys, in order.
+	 *
+	 * @since 1.3.0
+	 * @param array $data Source data.
+	 * @param array $keys Keys to pick.
+	 * @return array Values, with null for missing keys.
+	 */
+	private function pick( $data, $keys ) {
+		$values = array();
+
+		foreach ( $keys as $key ) {
+			$values[] = isset( $data[ $key ] ) ? $data[ $key ] : null;
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Prevent spreadsheet formula injection from customer-controlled values.
+	 *
+	 * @since 1.3.0
+	 * @param mixed $value Cell value.
+	 * @return mixed Safe cell value.
+	 */
+	private function escape_csv_value( $value ) {
+		if ( is_string( $value ) && '' !== $value && in_array( $value[0], array( '=', '+', '-', '@', "\t", "\r" ), true ) ) {
+			return "'" . $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Push the current chunk to the browser.
+	 *
+	 * @since 1.3.0
+	 */
+	private function flush_output() {
+		if ( ob_get_level() > 0 ) {
+			ob_flush();
+		}
+		flush();
+	}
+}
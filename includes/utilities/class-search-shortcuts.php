@@ -0,0 +1,142 @@
+<?php
+/**
+ * Search Shortcuts
+ *
+ * @package Dr_Subs
+ * @since   1.3.0
+ */
+
+declare( strict_types=1 );
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Keeps each admin user's recently analyzed and pinned subscriptions, shown in
+ * the search dropdown while the search field is empty.
+ *
+ * @since 1.3.0
+ */
+class WCST_Search_Shortcuts {
+
+	/**
+	 * User meta key holding recently analyzed subscription IDs, newest first.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const RECENT_META_KEY = 'wcst_recent_subscriptions';
+
+	/**
+	 * User meta key holding pinned subscription IDs, newest first.
+	 *
+	 * @since 1.3.0
+	 * @var string
+	 */
+	const PINNED_META_KEY = 'wcst_pinned_subscriptions';
+
+	/**
+	 * Number of recent subscriptions kept.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const RECENT_LIMIT = 8;
+
+	/**
+	 * Number of pinned subscriptions kept.
+	 *
+	 * @since 1.3.0
+	 * @var int
+	 */
+	const PINNED_LIMIT = 20;
+
+	/**
+	 * Record that the current user analyzed a subscription.
+	 *
+	 * @since 1.3.0
+	 * @param int $subscription_id Subscription ID.
+	 */
+	public function add_recent( $subscription_id ) {
+		$this->prepend( self::RECENT_META_KEY, $subscription_id, self::RECENT_LIMIT );
+	}
+
+	/**
+	 * Pin or unpin a subscription for the current user.
+	 *
+	 * @since 1.3.0
+	 * @param int  $subscription_id Subscription ID.
+	 * @param bool $pinned          Whether the subscription should be pinned.
+	 */
+	public function set_pinned( $subscription_id, $pinned ) {
+		if ( $pinned ) {
+			$this->prepend( self::PINNED_META_KEY, $subscription_id, self::PINNED_LIMIT );
+			return;
+		}
+
+		$ids = array_diff( $this->get_ids( self::PINNED_META_KEY ), array( $subscription_id ) );
+		update_user_meta( get_current_user_id(), self::PINNED_META_KEY, array_values( $ids ) );
+	}
+
+	/**
+	 * Get the current user's pinned and recent subscriptions as search results.
+	 *
+	 * Subscriptions that no longer exist are skipped; pinned ones are left out of the recent list.
+	 *
+	 * @since 1.3.0
+	 * @return array Pinned and recent search results.
+	 */
+	public function get_shortcuts() {
+		$data_collector = new WCST_Subscription_Data();
+		$pinned_ids     = $this->get_ids( self::PINNED_META_KEY );
+		$recent_ids     = array_diff( $this->get_ids( self::RECENT_META_KEY ), $pinned_ids );
+		$shortcuts      = array(
+			'pinned' => array(),
+			'recent' => array(),
+		);
+
+		foreach ( array( 'pinned' => $pinned_ids, 'recent' => $recent_ids ) as $list => $ids ) {
+			foreach ( $ids as $subscription_id ) {
+				$subscription = function_exists( 'wcs_get_subscription' ) ? wcs_get_subscription( $subscription_id ) : null;
+
+				if ( $subscription ) {
+					$shortcuts[ $list ][] = $data_collector->format_search_result(
+						$subscription,
+						'pinned' === $list ? __( 'Pinned', 'doctor-subs' ) : __( 'Recently analyzed', 'doctor-subs' )
+					);
+				}
+			}
+		}
+
+		return $shortcuts;
+	}
+
+	/**
+	 * Move a subscription to the front of a stored list.
+	 *
+	 * @since 1.3.0
+	 * @param string $meta_key        User meta key.
+	 * @param int    $subscription_id Subscription ID.
+	 * @param int    $limit           Maximum list length.
+	 */
+	private function prepend( $meta_key, $subscription_id, $limit ) {
+		$ids = array_diff( $this->get_ids( $meta_key ), array( $subscription_id ) );
+		array_unshift( $ids, $subscription_id );
+
+		update_user_meta( get_current_user_id(), $meta_key, array_slice( $ids, 0, $limit ) );
+	}
+
+	/**
+	 * Read a stored list of subscription IDs.
+	 *
+	 * @since 1.3.0
+	 * @param string $meta_key User meta key.
+	 * @return array Subscription IDs.
+	 */
+	private function get_ids( $meta_key ) {
+		$ids = get_user_meta( get_current_user_id(), $meta_key, true );
+
+		return is_array( $ids ) ? array_values( array_map( 'absint', $ids ) ) : array();
+	}
+}
@@ -0,0 +1,267 @@
+/**
+ * Escaping regression tests for the admin screen renderers.
+ *
+ * Loads admin/js/admin-scripts.js in a sandbox with jQuery and wp.i18n stubbed
+ * out, sends hostile customer, product and note content through each renderer
+ * and checks that it comes out as text. Run with: node --test tests/js
+ */
+
+'use strict';
+
+const { test } = require( 'node:test' );
+const assert = require( 'node:assert/strict' );
+const fs = require( 'fs' );
+const path = require( 'path' );
+const vm = require( 'vm' );
+
+const PAYLOADS = {
+    tag: '<img src=x onerror=alert(1)>',
+    doubleQuote: '"><svg onload=alert(2)>',
+    singleQuote: '\' onmouseover=\'alert(3)\' data-x=\'',
+    closingTag: '</td></tr></table><script>alert(4)</script>'
+};
+
+function escapeHtml( value ) {
+    return String( value )
+        .replace( /&/g, '&amp;' )
+        .replace( /</g, '&lt;' )
+        .replace( />/g, '&gt;' )
+        .replace( /"/g, '&quot;' )
+        .replace( /'/g, '&#039;' );
+}
+
+// Every payload must be absent as markup and, where it was sent, present as escaped text.
+function assertEscaped( output, payloads ) {
+    assert.doesNotMatch( output, /<(img|svg|script)\b/i, 'a hostile element was rendered as markup' );
+
+    payloads.forEach( ( payload ) => {
+        assert.ok( ! output.includes( payload ), `payload rendered unescaped: ${ payload }` );
+        assert.ok( output.includes( escapeHtml( payload ) ), `payload missing from the output as text: ${ payload }` );
+    } );
+}
+
+// A jQuery stand-in: every call chains, and ready() runs its callback so the script initializes.
+function chain() {
+    const proxy = new Proxy( function() {}, {
+        get: ( target, key ) => {
+            if ( 'ready' === key ) {
+                return ( callback ) => {
+                    callback();
+                    return proxy;
+                };
+            }
+            return 'length' === key ? 0 : () => proxy;
+        },
+        apply: () => proxy
+    } );
+    return proxy;
+}
+
+function sprintf( format, ...args ) {
+    let next = 0;
+    return format.replace( /%(?:(\d+)\$)?([sd])/g, ( match, position, type ) => {
+        const value = args[ position ? position - 1 : next++ ];
+        return 'd' === type ? parseInt( value, 10 ) : String( value );
+    } );
+}
+
+function loadAdminScripts() {
+    const jQuery = Object.assign( ( value ) => {
+        if ( 'function' === typeof value ) {
+            value();
+        }
+        return chain();
+    }, { ajax() {}, param() { return ''; } } );
+    const context = {
+        jQuery,
+        wp: { i18n: { __: text => text, _n: ( single, plural, count ) => ( 1 === count ? single : plural ), sprintf } },
+        wcst_ajax: { ajax_url: '', nonce: '', route: {}, redact_pii: false, timezone: 'UTC' },
+        window: { localStorage: { getItem: () => null, setItem() {}, removeItem() {} }, location: {}, history: {} },
+        document: {},
+        navigator: {},
+        console,
+        Intl
+    };
+    const source = fs.readFileSync( path.join( __dirname, '../../admin/js/admin-scripts.js' ), 'utf8' )
+        .replace( /\}\s*\)\(\s*jQuery\s*\);\s*$/, 'globalThis.WCST = WCST; } )( jQuery );' );
+
+    vm.createContext( context );
+    vm.runInContext( source, context );
+
+    const WCST = context.WCST;
+    const rendered = [];
+
+    WCST.dateMode = 'utc';
+    WCST.render = ( target, content ) => {
+        rendered.push( WCST.toHtml( content ) );
+        return chain();
+    };
+    WCST.openSearchResults = ( content ) => {
+        rendered.push( WCST.toHtml( content ) );
+    };
+
+    return { WCST, rendered };
+}
+
+function buildSubscription( id, hostile ) {
+    return {
+        subscription_id: id,
+        anatomy: {
+            basic_info: { status: hostile, customer_id: hostile, total: '10.00', currency: hostile },
+            payment_method: {
+                gateway_id: hostile,
+                title: hostile,
+                gateway_enabled: true,
+                requires_manual: false,
+                status: { is_valid: false, warnings: [ hostile ] },
+                token_info: { is_valid: true, type: hostile, expiry: hostile }
+            },
+            billing_schedule: {
+                interval: 1,
+                period: hostile,
+                start_date: '2025-01-01T00:00:00+00:00',
+                next_payment: '2025-03-01T00:00:00+00:00',
+                end_date: null,
+                is_editable: true
+            },
+            subscription_type: { billing_control: 'automatic' },
+            scheduled_actions: { pending: [ { hook: hostile, scheduled_date: '2025-03-01T00:00:00+00:00' } ] }
+        },
+        expected: {
+            payment_gateway_behavior: { gateway_mode: { is_test: true, description: hostile }, supports_subscriptions: true },
+            renewal_expectations: { type: hostile, description: hostile, next_action: hostile },
+            product_configuration: [ { name: hostile, synchronization: null } ]
+        },
+        timeline: {
+            expected_renewals: [ '2025-02-01T00:00:00+00:00' ],
+            events: [ { timestamp: '2025-02-01T00:00:00+00:00', type: 'note', status: 'info', title: hostile, description: hostile } ]
+        }
+    };
+}
+
+test( 'html escapes interpolated values and keeps nested markup', () => {
+    const { WCST } = loadAdminScripts();
+
+    Object.values( PAYLOADS ).forEach( ( payload ) => {
+        const output = WCST.toHtml( WCST.html`<a title="${ payload }">${ payload }</a>${ WCST.html`<b>${ payload }</b>` }` );
+
+        assertEscaped( output, [ payload ] );
+        assert.ok( output.includes( '<b>' ), 'nested html`` markup was escaped' );
+    } );
+} );
+
+test( 'raw passes markup through only when asked', () => {
+    const { WCST } = loadAdminScripts();
+
+    assert.equal( WCST.toHtml( WCST.raw( '<em>kept</em>' ) ), '<em>kept</em>' );
+    assertEscaped( WCST.toHtml( [ PAYLOADS.tag, [ PAYLOADS.doubleQuote ] ] ), [ PAYLOADS.tag, PAYLOADS.doubleQuote ] );
+} );
+
+test( 'formatHtml escapes the format and plain arguments but keeps markup arguments', () => {
+    const { WCST } = loadAdminScripts();
+    const output = WCST.toHtml( WCST.formatHtml( `${ PAYLOADS.singleQuote } %1$s %2$s`, PAYLOADS.tag, WCST.formatDate( '2025-01-01T00:00:00+00:00' ) ) );
+
+    assertEscaped( output, [ PAYLOADS.singleQuote, PAYLOADS.tag ] );
+    assert.match( output, /<time class="wcst-date"/ );
+} );
+
+test( 'showNotice renders error messages as text', () => {
+    const { WCST, rendered } = loadAdminScripts();
+
+    Object.values( PAYLOADS ).forEach( payload => WCST.showNotice( 'error', payload ) );
+
+    assertEscaped( rendered.join( '' ), Object.values( PAYLOADS ) );
+} );
+
+test( 'renderTimelineContent escapes event titles and search highlights', () => {
+    const { WCST } = loadAdminScripts();
+
+    WCST.timelineSearch = 'img';
+    const events = Object.values( PAYLOADS ).map( ( payload, index ) => ( {
+        timestamp: `2025-0${ index + 1 }-01T00:00:00+00:00`,
+        type: 'note',
+        category: 'notes',
+        status: 'info',
+        title: payload,
+        description: payload
+    } ) );
+    const output = WCST.toHtml( WCST.renderTimelineContent( { events, expected_renewals: [] } ) );
+
+    assertEscaped( output, [ PAYLOADS.doubleQuote, PAYLOADS.singleQuote, PAYLOADS.closingTag ] );
+    assert.doesNotMatch( output, /<img/ );
+} );
+
+test( 'renderSummaryContent escapes issue titles, descriptions and health factors', () => {
+    const { WCST } = loadAdminScripts();
+    const issues = Object.values( PAYLOADS ).map( payload => ( { severity: 'warning', type: payload, title: payload, description: payload, playbook: payload } ) );
+    const output = WCST.toHtml( WCST.renderSummaryContent( {
+        statistics: { total_issues: PAYLOADS.tag, critical: 0, warnings: 4 },
+        issues,
+        health: {
+            score: 40,
+            band: 'critical',
+            factors: issues.map( issue => ( { type: issue.type, severity: 'warning', label: issue.title, date: null, severity_weight: 10, type_weight: 1, recency: 1, penalty: 10 } ) )
+        }
+    } ) );
+
+    assertEscaped( output, Object.values( PAYLOADS ) );
+} );
+
+test( 'displaySearchResults escapes customer names, emails and match labels', () => {
+    const { WCST, rendered } = loadAdminScripts();
+
+    WCST.displaySearchResults( {
+        page: 1,
+        has_more: false,
+        results: [
+            { id: 1, status: PAYLOADS.singleQuote, customer: PAYLOADS.tag, matched: PAYLOADS.doubleQuote },
+            { id: 2, status: 'active', customer: '', email: PAYLOADS.closingTag, matched: null }
+        ]
+    } );
+
+    assertEscaped( rendered.join( '' ), Object.values( PAYLOADS ) );
+} );
+
+test( 'displayManualCompletions escapes descriptions, details and recommendations', () => {
+    const { WCST, rendered } = loadAdminScripts();
+
+    WCST.displayManualCompletions( [
+        { severity: 'warning', description: PAYLOADS.tag, details: { note: PAYLOADS.closingTag }, recommendation: PAYLOADS.singleQuote },
+        { severity: 'warning', description: PAYLOADS.doubleQuote, details: {}, recommendation: '' }
+    ] );
+
+    const output = rendered.join( '' );
+    assertEscaped( output, [ PAYLOADS.tag, PAYLOADS.singleQuote, PAYLOADS.doubleQuote, PAYLOADS.closingTag ] );
+    assert.match( output, /<table class="wcst-data-table wcst-details-table">/ );
+} );
+
+test( 'displayComparison escapes both subscriptions in every section', () => {
+    const { WCST, rendered } = loadAdminScripts();
+
+    Object.values( PAYLOADS ).forEach( ( payload ) => {
+        rendered.length = 0;
+        WCST.displayComparison( [ buildSubscription( 1, payload ), buildSubscription( 2, 'plain' ) ] );
+
+        assertEscaped( rendered.join( '' ), [ payload ] );
+    } );
+} );
+
+test( 'renderActionPanel escapes hooks, statuses and log messages', () => {
+    const { WCST, rendered } = loadAdminScripts();
+
+    WCST.renderActionPanel( {
+        can_recreate: true,
+        next_payment: '2025-03-01T00:00:00+00:00',
+        actions: Object.values( PAYLOADS ).map( ( payload, index ) => ( {
+            id: index + 1,
+            hook: payload,
+            status: 'pending',
+            scheduled_date: '2025-03-01T00:00:00+00:00',
+            attempts: 0,
+            is_duplicate: false,
+            logs: [ { date: '2025-02-01T00:00:00+00:00', message: payload } ]
+        } ) )
+    } );
+
+    assertEscaped( rendered.join( '' ), Object.values( PAYLOADS ) );
+} );